@@ -0,0 +1,95 @@
+pragma circom 2.1.9;
+
+include "../node_modules/circomlib/circuits/bitify.circom";
+include "../node_modules/circomlib/circuits/comparators.circom";
+
+// Range-checked composite check for n up to `bits` bits.
+// n, factor1 and factor2 are decomposed into bits, so an n of 2^bits or more can't be proven at all.
+// The smaller factor is limited to bits/2 bits, which any factorisation of such an n satisfies.
+// That keeps factor1 * factor2 below 2^(3 * bits / 2), far under the BN254 field size, so the product can't wrap.
+template RangeCheckedCompositeCheck(bits) {
+    assert(bits % 2 == 0);
+    assert(bits + bits / 2 < 252);
+
+    signal input n;
+    signal input factor1;
+    signal input factor2;
+    // Public inputs that bind the proof to the address submitting it and to one game deployment
+    signal input prover;
+    signal input chainId;
+    signal input gameAddress;
+    signal output isComposite;
+
+    // Range check n and both factors
+    component nBits = Num2Bits(bits);
+    nBits.in <== n;
+
+    component factor1Bits = Num2Bits(bits);
+    factor1Bits.in <== factor1;
+
+    component factor2Bits = Num2Bits(bits);
+    factor2Bits.in <== factor2;
+
+    // Range check the smaller factor to half the width
+    component isFactor1Smaller = LessThan(bits);
+    isFactor1Smaller.in[0] <== factor1;
+    isFactor1Smaller.in[1] <== factor2;
+
+    signal smallerFactor;
+    smallerFactor <== factor2 + isFactor1Smaller.out * (factor1 - factor2);
+
+    component smallerFactorBits = Num2Bits(bits / 2);
+    smallerFactorBits.in <== smallerFactor;
+
+    // Compute the product of the two factors. It is below 2^(3 * bits / 2), so it equals the integer product
+    signal product;
+    product <== factor1 * factor2;
+
+    // Check if the product equals n
+    component isProductEqual = IsEqual();
+    isProductEqual.in[0] <== product;
+    isProductEqual.in[1] <== n;
+
+    // The comparators are sound because all of their inputs have been range checked to `bits` bits
+    // Check if factor1 > 1
+    component isFactor1GreaterThan1 = GreaterThan(bits);
+    isFactor1GreaterThan1.in[0] <== factor1;
+    isFactor1GreaterThan1.in[1] <== 1;
+
+    // Check if factor2 > 1
+    component isFactor2GreaterThan1 = GreaterThan(bits);
+    isFactor2GreaterThan1.in[0] <== factor2;
+    isFactor2GreaterThan1.in[1] <== 1;
+
+    // Check if factor1 < n
+    component isFactor1LessThanN = LessThan(bits);
+    isFactor1LessThanN.in[0] <== factor1;
+    isFactor1LessThanN.in[1] <== n;
+
+    // Check if factor2 < n
+    component isFactor2LessThanN = LessThan(bits);
+    isFactor2LessThanN.in[0] <== factor2;
+    isFactor2LessThanN.in[1] <== n;
+
+    // Combine the conditions in a quadratic manner
+    signal condition1;
+    signal condition2;
+    signal condition3;
+
+    condition1 <== isProductEqual.out * isFactor1GreaterThan1.out;
+    condition2 <== isFactor2GreaterThan1.out * isFactor1LessThanN.out;
+    condition3 <== condition1 * condition2;
+
+    isComposite <== condition3 * isFactor2LessThanN.out;
+
+    // Use the binding inputs in constraints so they can't be swapped out of a valid proof
+    signal proverSquare;
+    signal chainIdSquare;
+    signal gameAddressSquare;
+
+    proverSquare <== prover * prover;
+    chainIdSquare <== chainId * chainId;
+    gameAddressSquare <== gameAddress * gameAddress;
+}
+
+component main {public [n, prover, chainId, gameAddress]} = RangeCheckedCompositeCheck(128);
@@ -6,6 +6,10 @@ template SimpleCompositeCheck() {
     signal input n;
     signal input factor1;
     signal input factor2;
+    // Public inputs that bind the proof to the address submitting it and to one game deployment
+    signal input prover;
+    signal input chainId;
+    signal input gameAddress;
     signal output isComposite;
 
     signal product;
@@ -48,6 +52,15 @@ template SimpleCompositeCheck() {
     condition3 <== condition1 * condition2;
 
     isComposite <== condition3 * isFactor2LessThanN.out;
+
+    // Use the binding inputs in constraints so they can't be swapped out of a valid proof
+    signal proverSquare;
+    signal chainIdSquare;
+    signal gameAddressSquare;
+
+    proverSquare <== prover * prover;
+    chainIdSquare <== chainId * chainId;
+    gameAddressSquare <== gameAddress * gameAddress;
 }
 
-component main {public [n]} = SimpleCompositeCheck();
\ No newline at end of file
+component main {public [n, prover, chainId, gameAddress]} = SimpleCompositeCheck();
\ No newline at end of file
@@ -2,38 +2,146 @@
 pragma solidity 0.8.26;
 
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
 import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {Context} from "@openzeppelin/contracts/utils/Context.sol";
+import {ERC2771Context} from "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 import {IVerifier} from "./IVerfier.sol";
 
 /**
  * @title CompositeNumberGame
  * @notice A contract that allows users to create and solve challenges for composite numbers.
+ * @dev Calls relayed by the trusted ERC-2771 forwarder are made on behalf of the account that signed the request, which
+ * is the challenger, solver or balance owner instead of the relayer that paid the gas.
  * @author Heather Swope
  */
-contract CompositeNumberGame is ReentrancyGuard {
+contract CompositeNumberGame is Ownable, ReentrancyGuard, ERC2771Context {
     using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    /// @notice Unit a challenge's solving window is measured in
+    enum WindowMode {
+        Blocks,
+        Timestamp
+    }
+
+    /// @notice Where creation fees are credited
+    enum FeeDestination {
+        PrizePool,
+        Treasury
+    }
 
     /// @notice Struct to store challenge details
+    /// @dev deadline is the last block number (Blocks mode) or timestamp (Timestamp mode) at which the challenge can be solved
     struct Challenge {
         uint256 n;
         uint256 rewardAmount;
         uint256 blockNumber;
+        uint256 deadline;
         address challenger;
         address rewardToken;
         address solver;
+        WindowMode windowMode;
+        uint256 circuitVersion;
+        RewardSplit rewardSplit;
+        uint256 expiryPayoutCapBps;
+    }
+
+    /// @notice Struct to store how rewards and prize pools are split, in basis points
+    /// @dev A solved challenge's reward goes solverBps to the solver, treasuryBps to the treasury and the rest, including
+    /// rounding remainders, to the prize pool. The challenger of an expired challenge receives expiryPoolBps of the prize pool
+    struct RewardSplit {
+        uint16 solverBps;
+        uint16 treasuryBps;
+        uint16 expiryPoolBps;
+    }
+
+    /// @notice Struct to store a registered circuit version's verifier
+    struct VerifierVersion {
+        IVerifier verifier;
+        bool deprecated;
+    }
+
+    /// @notice Struct to pass one challenge to createChallenges, with the same fields as the createChallenge parameters
+    struct NewChallenge {
+        uint256 n;
+        address rewardToken;
+        uint256 rewardAmount;
+        uint256 window;
+        WindowMode windowMode;
+        uint256 circuitVersion;
+        uint256[2] pA;
+        uint256[2][2] pB;
+        uint256[2] pC;
+        uint256[5] pubSignals;
+    }
+
+    /// @notice Struct to store the smallest and largest solving window a challenger can choose
+    struct WindowBounds {
+        uint256 min;
+        uint256 max;
     }
 
-    /// @notice Timeframe in blocks
-    uint256 public constant T = 10;
+    /// @notice Sentinel token address under which native ETH rewards, prize pools and balances are kept
+    address public constant NATIVE_TOKEN =
+        0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
+
+    /// @notice Largest keeper tip the owner can set, in basis points of the reward
+    uint256 public constant MAX_KEEPER_TIP_BPS = 1_000;
+
+    /// @notice Largest expiry payout cap the owner can set, in basis points of the reward
+    uint256 public constant MAX_EXPIRY_PAYOUT_CAP_BPS = 100_000;
+
+    /// @notice Share of an expired challenge's reward paid to whoever claims it on the challenger's behalf, in basis points
+    uint256 public keeperTipBps;
+
+    /// @notice Most of the prize pool an expired challenge can pay its challenger, in basis points of the challenge's reward.
+    /// New challenges lock it in
+    uint256 public expiryPayoutCapBps;
+
+    /// @notice Reward split that new challenges lock in. Existing challenges keep the split they were created with
+    RewardSplit public rewardSplit;
+
+    /// @notice Address the treasury's share of rewards is withdrawn to
+    address public treasury;
+
+    /// @notice Mapping to store, by challenger and token, how much of the prize pool the challenger's solved challenges and
+    /// creation fees paid in and expired challenges haven't taken back yet. No expired challenge pays the challenger more
+    mapping(address => mapping(address => uint256)) public prizePoolContributions;
+
+    /// @notice Mapping to store the treasury's share of rewards by token address
+    mapping(address => uint256) public treasuryBalances;
+
+    /// @notice Mapping to store the smallest reward a new challenge can have by token address. Zero means any non-zero reward
+    mapping(address => uint256) public minRewards;
 
-    /// @notice Verifier contract interface
-    IVerifier public verifier;
+    /// @notice Mapping to store the flat fee charged for creating a challenge by token address, on top of the reward
+    mapping(address => uint256) public creationFees;
 
-    /// @notice Mapping to store supported tokens by token address
-    mapping(address => bool) public supportedTokens;
+    /// @notice Where creation fees are credited
+    FeeDestination public creationFeeDestination;
 
-    /// @notice Mapping to store challenges by challenge n value
+    /// @notice Mapping to store the solving window bounds by window mode
+    mapping(WindowMode => WindowBounds) public windowBounds;
+
+    /// @notice Number of circuit versions registered so far. Versions start at 1
+    uint256 public circuitVersionCount;
+
+    /// @notice Mapping to store verifiers by circuit version
+    mapping(uint256 => VerifierVersion) public verifiers;
+
+    /// @notice Set of token addresses that can be used as rewards for new challenges
+    EnumerableSet.AddressSet private supportedTokenSet;
+
+    /// @notice Number of challenges created so far. Challenge IDs start at 1
+    uint256 public challengeCount;
+
+    /// @notice Mapping to store challenges by challenge ID
     mapping(uint256 => Challenge) public challenges;
 
     /// @notice Mapping to store prize pools by token address
@@ -42,21 +150,32 @@ contract CompositeNumberGame is ReentrancyGuard {
     /// @notice Mapping to store user balances by user address and token address
     mapping(address => mapping(address => uint256)) public balances;
 
+    /// @notice Amount of each token the game owes: the rewards of unsolved challenges that haven't been claimed, the prize
+    /// pool, the treasury's balance and every user's balance
+    mapping(address => uint256) public totalLiabilities;
+
     /// @notice Event emitted when a new challenge is created
+    /// @dev rewardAmount is the amount the game received, which is less than requested for fee-on-transfer tokens
     event ChallengeCreated(
-        uint256 indexed n,
+        uint256 indexed challengeId,
+        uint256 n,
         address indexed challenger,
         address indexed rewardToken,
-        uint256 rewardAmount
+        uint256 rewardAmount,
+        uint256 deadline,
+        WindowMode windowMode
     );
 
     /// @notice Event emitted when a challenge is solved
+    /// @dev rewardAmount, prizePoolAmount and treasuryAmount are the solver's, prize pool's and treasury's shares of the reward
     event ChallengeSolved(
-        uint256 indexed n,
+        uint256 indexed challengeId,
+        uint256 n,
         address indexed solver,
         address indexed rewardtoken,
         uint256 rewardAmount,
-        uint256 prizePoolAmount
+        uint256 prizePoolAmount,
+        uint256 treasuryAmount
     );
 
     ///@notice Event emitted when a user withdraws tokens
@@ -67,215 +186,1147 @@ contract CompositeNumberGame is ReentrancyGuard {
         uint256 newBalance
     );
 
+    /// @notice Event emitted when an expired challenge is claimed
+    /// @dev rewardAmount is the whole reward. A keeper tip taken out of it is reported by KeeperTipPaid. prizePoolAmount is
+    /// expiryPoolBps of the prize pool, the share the challenge locked in when it was created, capped at the challenge's
+    /// expiryPayoutCapBps of rewardAmount and at what the challenger has paid into the prize pool
     event ExpiredChallengeClaimed(
-        uint256 indexed n,
+        uint256 indexed challengeId,
+        uint256 n,
         address indexed challenger,
         address indexed rewardtoken,
         uint256 rewardAmount,
-        uint256 prizePoolAmount
+        uint256 prizePoolAmount,
+        uint256 expiryPoolBps
+    );
+
+    /// @notice Event emitted when an expired challenge is claimed on the challenger's behalf and the caller is tipped
+    event KeeperTipPaid(
+        uint256 indexed challengeId,
+        address indexed keeper,
+        address indexed rewardToken,
+        uint256 tip
+    );
+
+    /// @notice Event emitted when the owner changes the keeper tip
+    event KeeperTipUpdated(uint256 keeperTipBps);
+
+    /// @notice Event emitted when the owner changes the expiry payout cap for new challenges
+    event ExpiryPayoutCapUpdated(uint256 expiryPayoutCapBps);
+
+    /// @notice Event emitted when the owner changes the reward split for new challenges
+    event RewardSplitUpdated(
+        uint256 solverBps,
+        uint256 treasuryBps,
+        uint256 expiryPoolBps
+    );
+
+    /// @notice Event emitted when the owner changes the minimum reward of a token
+    event MinRewardUpdated(address indexed token, uint256 minReward);
+
+    /// @notice Event emitted when the owner changes the creation fee of a token
+    event CreationFeeUpdated(address indexed token, uint256 creationFee);
+
+    /// @notice Event emitted when the owner changes where creation fees are credited
+    event CreationFeeDestinationUpdated(FeeDestination destination);
+
+    /// @notice Event emitted when a challenge's creation fee is credited to the prize pool or the treasury
+    event CreationFeePaid(
+        uint256 indexed challengeId,
+        address indexed token,
+        uint256 creationFee,
+        FeeDestination destination
+    );
+
+    /// @notice Event emitted when the owner changes the treasury address
+    event TreasuryUpdated(address indexed treasury);
+
+    /// @notice Event emitted when the treasury's balance of a token is withdrawn to the treasury
+    event TreasuryWithdrawn(
+        address indexed treasury,
+        address indexed token,
+        uint256 amount
+    );
+
+    /// @notice Event emitted when a token is added to the supported tokens
+    event TokenSupported(address indexed token);
+
+    /// @notice Event emitted when a token is removed from the supported tokens
+    event TokenUnsupported(address indexed token);
+
+    /// @notice Event emitted when a verifier is registered for a new circuit version
+    event VerifierAdded(uint256 indexed circuitVersion, address verifier);
+
+    /// @notice Event emitted when a circuit version is deprecated for new challenges
+    event VerifierDeprecated(uint256 indexed circuitVersion);
+
+    /// @notice Event emitted when the owner changes the solving window bounds
+    event WindowBoundsUpdated(
+        WindowMode indexed windowMode,
+        uint256 min,
+        uint256 max
     );
 
     /// @notice Custom errors
     error InvalidAddress(address invalidAddress);
-    error InvalidChallenge(uint256 n);
-    error InvalidProof();
+    error InvalidProof(uint256 challengeId);
     error InvalidAmount(uint256 amount);
     error InvalidRewardAmount(uint256 rewardAmount);
+    error RewardBelowMinimum(uint256 rewardAmount, uint256 minReward);
+    error InsufficientCreationFee(uint256 received, uint256 creationFee);
+    error InvalidValue(uint256 value, uint256 expected);
+    error InvalidWindow(uint256 window, uint256 min, uint256 max);
+    error InvalidWindowBounds(uint256 min, uint256 max);
+    error InvalidKeeperTip(uint256 keeperTipBps, uint256 max);
+    error InvalidExpiryPayoutCap(uint256 expiryPayoutCapBps, uint256 max);
+    error InvalidRewardSplit(
+        uint256 solverBps,
+        uint256 treasuryBps,
+        uint256 expiryPoolBps
+    );
+    error UnknownCircuitVersion(uint256 circuitVersion);
+    error CircuitVersionDeprecated(uint256 circuitVersion);
     error UnsupportedToken(address tokenAddress);
-    error ChallengeAlreadyExists(uint256 n);
-    error ChallengeDoesNotExist(uint256 n);
-    error ChallengeExpired(uint256 n);
-    error ChallengeNotExpired(uint256 n);
-    error ChallengeAlreadySolved(uint256 n);
+    error TokenAlreadySupported(address tokenAddress);
+    error ChallengeDoesNotExist(uint256 challengeId);
+    error ChallengeExpired(uint256 challengeId);
+    error ChallengeNotExpired(uint256 challengeId);
+    error ChallengeAlreadySolved(uint256 challengeId);
     error InsufficientBalance(uint256 amount, uint256 balance);
-    error ProofNotForN(uint256 n);
-    error NotComposite(uint256 isComposite);
-    error UnauthorizedChallenger(address challenger);
+    error ProofNotForN(uint256 challengeId, uint256 n);
+    error ProofNotForSender(uint256 challengeId, address sender);
+    error ProofNotForGame(uint256 challengeId, uint256 chainId, address game);
+    error NotComposite(uint256 challengeId, uint256 isComposite);
+    error UnauthorizedChallenger(uint256 challengeId, address challenger);
+    error EmptyBatch();
+    error BatchItemFailed(uint256 index, bytes reason);
 
-    modifier onlyChallenger(uint256 _n) {
+    modifier onlyChallenger(uint256 _challengeId) {
         require(
-            challenges[_n].challenger == msg.sender,
-            UnauthorizedChallenger(msg.sender)
+            challenges[_challengeId].challenger == _msgSender(),
+            UnauthorizedChallenger(_challengeId, _msgSender())
         );
         _;
     }
 
     /**
      * @notice Constructor that initializes the contract with a list of supported token addresses.
+     * @dev Challenges can only be created once the owner has registered a verifier with addVerifier.
      * @param _tokenAddresses An array of token addresses to be marked as supported.
+     * @param _trustedForwarder The ERC-2771 forwarder allowed to relay calls on behalf of their signers. The zero address
+     * disables relaying.
      */
-    constructor(address[] memory _tokenAddresses, address _verifierAddress) {
-        require(
-            _verifierAddress != address(0),
-            InvalidAddress(_verifierAddress)
-        );
-
-        verifier = IVerifier(_verifierAddress);
-
+    constructor(
+        address[] memory _tokenAddresses,
+        address _trustedForwarder
+    ) Ownable(msg.sender) ERC2771Context(_trustedForwarder) {
         for (uint256 i = 0; i < _tokenAddresses.length; i++) {
-            require(
-                _tokenAddresses[i] != address(0),
-                InvalidAddress(_tokenAddresses[i])
-            );
-            supportedTokens[_tokenAddresses[i]] = true;
+            _addSupportedToken(_tokenAddresses[i]);
         }
+
+        // Default solving window bounds. The owner can change them with setWindowBounds
+        _setWindowBounds(WindowMode.Blocks, 10, 50_400);
+        _setWindowBounds(WindowMode.Timestamp, 2 minutes, 7 days);
+
+        // Default keeper tip of 1%. The owner can change it with setKeeperTip
+        _setKeeperTip(100);
+
+        // Default split of half the reward to the solver and half to the prize pool, and half the prize pool to the
+        // challenger of an expired challenge. The owner can change it with setRewardSplit and set a treasury with setTreasury
+        _setRewardSplit(5_000, 0, 5_000);
+        _setTreasury(msg.sender);
+
+        // Default expiry payout cap of the challenge's own reward, so a challenger can't take more of the prize pool than they
+        // staked. The owner can change it with setExpiryPayoutCap
+        _setExpiryPayoutCap(10_000);
     }
 
     /**
      * @notice Creates a new challenge with a reward amount for a given composite number.
-     * @dev The reward amount is transferred to the contract and the challenge is created.
-     * The challenger must provide a proof that the _n is composite.
+     * @dev The reward amount is transferred to the contract and the challenge is created under the next challenge ID.
+     * The challenger must provide a proof that the _n is composite. The same _n can be challenged any number of times.
+     * The token's creation fee, if any, is transferred along with the reward and credited to creationFeeDestination.
+     * For an ETH reward, _rewardToken is NATIVE_TOKEN and msg.value must equal _rewardAmount plus the creation fee. Otherwise
+     * msg.value must be zero.
      * @param _n The composite number to be challenged.
-     * @param _rewardToken The address of the token to be used as reward.
-     * @param _rewardAmount The amount of tokens to be used as reward.
+     * @param _rewardToken The address of the token to be used as reward, or NATIVE_TOKEN for ETH.
+     * @param _rewardAmount The amount of tokens to be used as reward, excluding the creation fee. If the token charges a fee on
+     * transfer, the challenge's reward is the amount the game received less the creation fee, which ChallengeCreated reports.
+     * It must be at least the token's minRewards.
+     * @param _window The solving window, in blocks or seconds depending on _windowMode. Must be within windowBounds.
+     * @param _windowMode Whether _window is a number of blocks or a number of seconds.
+     * @param _circuitVersion The circuit version the proof was generated with. The challenge is solved against the same version.
      * @param _pA The proof A array.
      * @param _pB The proof B array.
      * @param _pC The proof C array.
      * @param _pubSignals The public signals array.
+     * @return challengeId The ID of the new challenge.
      */
     function createChallenge(
         uint256 _n,
         address _rewardToken,
         uint256 _rewardAmount,
+        uint256 _window,
+        WindowMode _windowMode,
+        uint256 _circuitVersion,
         uint256[2] calldata _pA,
         uint256[2][2] calldata _pB,
         uint256[2] calldata _pC,
-        uint256[2] calldata _pubSignals
-    ) external nonReentrant {
-        require(_rewardAmount > 0, InvalidRewardAmount(_rewardAmount));
-        require(supportedTokens[_rewardToken], UnsupportedToken(_rewardToken));
+        uint256[5] calldata _pubSignals
+    ) external payable nonReentrant returns (uint256 challengeId) {
+        challengeId = _createChallenge(
+            _n,
+            _rewardToken,
+            _rewardAmount,
+            _window,
+            _windowMode,
+            _circuitVersion,
+            _pA,
+            _pB,
+            _pC,
+            _pubSignals
+        );
+    }
+
+    /**
+     * @notice Creates a new challenge like createChallenge, approving the reward transfer with an EIP-2612 permit signature
+     * instead of a separate approve transaction.
+     * @dev If the permit call fails, because the token doesn't implement EIP-2612 or the permit was already used by someone
+     * who copied it from the mempool, the challenge is still created if the game's allowance covers the reward.
+     * @param _n The composite number to be challenged.
+     * @param _rewardToken The address of the token to be used as reward.
+     * @param _rewardAmount The amount of tokens to be used as reward. The permit must be for this amount plus the token's
+     * creation fee.
+     * @param _window The solving window, in blocks or seconds depending on _windowMode. Must be within windowBounds.
+     * @param _windowMode Whether _window is a number of blocks or a number of seconds.
+     * @param _circuitVersion The circuit version the proof was generated with. The challenge is solved against the same version.
+     * @param _pA The proof A array.
+     * @param _pB The proof B array.
+     * @param _pC The proof C array.
+     * @param _pubSignals The public signals array.
+     * @param _permitDeadline The timestamp until which the permit signature is valid.
+     * @param _v The v component of the permit signature.
+     * @param _r The r component of the permit signature.
+     * @param _s The s component of the permit signature.
+     * @return challengeId The ID of the new challenge.
+     */
+    function createChallengeWithPermit(
+        uint256 _n,
+        address _rewardToken,
+        uint256 _rewardAmount,
+        uint256 _window,
+        WindowMode _windowMode,
+        uint256 _circuitVersion,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[5] calldata _pubSignals,
+        uint256 _permitDeadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external nonReentrant returns (uint256 challengeId) {
+        // Checked before calling into the token, which must be a contract for the call to be caught. ETH has no permit
         require(
-            challenges[_n].challenger == address(0),
-            ChallengeAlreadyExists(_n)
+            _rewardToken != NATIVE_TOKEN &&
+                supportedTokenSet.contains(_rewardToken),
+            UnsupportedToken(_rewardToken)
         );
 
-        // Check that the submitted proof is for _n. The input signal _n is in the second element
-        require(_n == _pubSignals[1], ProofNotForN(_n));
+        try
+            IERC20Permit(_rewardToken).permit(
+                _msgSender(),
+                address(this),
+                _rewardAmount + creationFees[_rewardToken],
+                _permitDeadline,
+                _v,
+                _r,
+                _s
+            )
+        // solhint-disable-next-line no-empty-blocks
+        {} catch {
+            // Fall back to the existing allowance. safeTransferFrom reverts if it is too low
+        }
 
-        // Verify the proof using the Verifier contract. Verifies the mathematical validity of the proof but doesn't check public inputs
-        bool isValidProof = verifier.verifyProof(_pA, _pB, _pC, _pubSignals);
-        require(isValidProof, InvalidProof());
+        challengeId = _createChallenge(
+            _n,
+            _rewardToken,
+            _rewardAmount,
+            _window,
+            _windowMode,
+            _circuitVersion,
+            _pA,
+            _pB,
+            _pC,
+            _pubSignals
+        );
+    }
 
-        // Check that the proof determined that _n is composite based on the factors (private inputs signals) provided by the challenger
-        // The output signal isComposite is in the first element
-        require(_pubSignals[0] == 1, NotComposite(_pubSignals[0]));
+    /**
+     * @notice Creates several challenges in one transaction, each with its own n, reward, window and proof.
+     * @dev Each challenge is created exactly as by createChallenge. Either all of them are created or the transaction reverts
+     * with BatchItemFailed, carrying the index of the first challenge that failed and its revert data. Batches take ERC20
+     * rewards only: every delegated call would see the same msg.value, so an ETH reward fails with InvalidValue.
+     * @param _challenges The challenges to create.
+     * @return challengeIds The IDs of the new challenges, in the order they were passed.
+     */
+    function createChallenges(
+        NewChallenge[] calldata _challenges
+    ) external returns (uint256[] memory challengeIds) {
+        require(_challenges.length > 0, EmptyBatch());
 
-        // Transfer the reward amount to the contract
-        IERC20(_rewardToken).safeTransferFrom(
-            msg.sender,
-            address(this),
-            _rewardAmount
-        );
+        challengeIds = new uint256[](_challenges.length);
+        for (uint256 i = 0; i < _challenges.length; i++) {
+            NewChallenge calldata challenge = _challenges[i];
 
-        // Create the challenge
-        challenges[_n] = Challenge({
-            n: _n,
-            rewardAmount: _rewardAmount,
-            blockNumber: block.number,
-            challenger: msg.sender,
-            rewardToken: _rewardToken,
-            solver: address(0)
-        });
+            bytes memory data = abi.encodeCall(
+                this.createChallenge,
+                (
+                    challenge.n,
+                    challenge.rewardToken,
+                    challenge.rewardAmount,
+                    challenge.window,
+                    challenge.windowMode,
+                    challenge.circuitVersion,
+                    challenge.pA,
+                    challenge.pB,
+                    challenge.pC,
+                    challenge.pubSignals
+                )
+            );
+            // A relayed call names its signer in the last 20 bytes of the calldata, so the delegated call must carry them too
+            if (isTrustedForwarder(msg.sender)) {
+                data = abi.encodePacked(data, _msgSender());
+            }
 
-        emit ChallengeCreated(_n, msg.sender, _rewardToken, _rewardAmount);
+            // Delegate to createChallenge so the sender stays the challenger and a revert can be tagged with its index
+            // solhint-disable-next-line avoid-low-level-calls
+            (bool success, bytes memory result) = address(this).delegatecall(
+                data
+            );
+            require(success, BatchItemFailed(i, result));
+            challengeIds[i] = abi.decode(result, (uint256));
+        }
     }
 
     /**
-     * @notice Allows caller to solve a challenge by providing a proof that _n is a composite number.
-     * @dev The challenger must provide a proof that _n is composite.
-     * @param _n The composite number to be challenged.
+     * @notice Allows caller to solve a challenge by providing a proof that the challenge's n is a composite number.
+     * @dev The solver must provide a proof that n is composite.
+     * @param _challengeId The ID of the challenge to solve.
      * @param _pA The proof A array.
      * @param _pB The proof B array.
      * @param _pC The proof C array.
      * @param _pubSignals The public signals array.
      */
     function solveChallenge(
-        uint256 _n,
+        uint256 _challengeId,
         uint256[2] calldata _pA,
         uint256[2][2] calldata _pB,
         uint256[2] calldata _pC,
-        uint256[2] calldata _pubSignals
+        uint256[5] calldata _pubSignals
     ) external {
-        Challenge memory challenge = challenges[_n];
-        require(challenge.challenger != address(0), ChallengeDoesNotExist(_n));
+        Challenge memory challenge = challenges[_challengeId];
         require(
-            block.number <= challenge.blockNumber + T,
-            ChallengeExpired(_n)
+            challenge.challenger != address(0),
+            ChallengeDoesNotExist(_challengeId)
+        );
+        require(!_isExpired(challenge), ChallengeExpired(_challengeId));
+        require(
+            challenge.solver == address(0),
+            ChallengeAlreadySolved(_challengeId)
         );
-        require(challenge.solver == address(0), ChallengeAlreadySolved(_n));
 
-        // Check that the submitted proof is for _n. The input signal _n is in the second element
-        require(_n == _pubSignals[1], ProofNotForN(_n));
+        // Check that the solver's proof is for the challenge's n, was generated for the sender and shows that n is composite.
+        // The challenge's circuit version is used even if it has been deprecated since
+        _verifyCompositeProof(
+            verifiers[challenge.circuitVersion].verifier,
+            _challengeId,
+            challenge.n,
+            _pA,
+            _pB,
+            _pC,
+            _pubSignals
+        );
 
-        // Verify the proof using the Verifier contract. Verifies the mathematical validity of the proof but doesn't check public inputs
-        bool isValidProof = verifier.verifyProof(_pA, _pB, _pC, _pubSignals);
-        require(isValidProof, InvalidProof());
+        // Split the reward by the shares the challenge locked in. The prize pool gets what the rounded-down solver and
+        // treasury shares leave, so the whole reward stays accounted for
+        uint256 solverAmount = (challenge.rewardAmount *
+            challenge.rewardSplit.solverBps) / 10_000;
+        uint256 treasuryAmount = (challenge.rewardAmount *
+            challenge.rewardSplit.treasuryBps) / 10_000;
+        uint256 prizePoolAmount = challenge.rewardAmount -
+            solverAmount -
+            treasuryAmount;
 
-        // Check that the proof determined that _n is composite based on the factors (private inputs) provided by the solver
-        // The output signal isComposite is in the first element
-        require(_pubSignals[0] == 1, NotComposite(_pubSignals[0]));
+        prizePools[challenge.rewardToken] += prizePoolAmount;
+        prizePoolContributions[challenge.challenger][
+            challenge.rewardToken
+        ] += prizePoolAmount;
+        treasuryBalances[challenge.rewardToken] += treasuryAmount;
+        balances[_msgSender()][challenge.rewardToken] += solverAmount;
+
+        challenges[_challengeId].solver = _msgSender();
+
+        emit ChallengeSolved(
+            _challengeId,
+            challenge.n,
+            _msgSender(),
+            challenge.rewardToken,
+            solverAmount,
+            prizePoolAmount,
+            treasuryAmount
+        );
+    }
 
-        uint256 halfReward = challenge.rewardAmount / 2;
+    /**
+     * @notice Allows the challenger to claim back the reward of an unsolved, expired challenge plus a share of the token's prize pool.
+     * @dev The share is the challenge's rewardSplit.expiryPoolBps, capped at its expiryPayoutCapBps of the reward and at
+     * the challenger's prizePoolContributions, which the share is then taken from. The challenge is deleted once claimed.
+     * @param _challengeId The ID of the expired challenge.
+     */
+    function claimExpiredChallenge(
+        uint256 _challengeId
+    ) external onlyChallenger(_challengeId) {
+        _claimExpired(_challengeId, 0);
+    }
 
-        prizePools[challenge.rewardToken] += halfReward;
-        balances[msg.sender][challenge.rewardToken] += halfReward;
+    /**
+     * @notice Claims an unsolved, expired challenge on the challenger's behalf, so its reward doesn't sit unclaimed.
+     * @dev Anyone can call this. The reward plus a share of the token's prize pool is credited to the challenger, minus a tip of
+     * keeperTipBps of the reward that is credited to the caller. The challenge is deleted once claimed.
+     * @param _challengeId The ID of the expired challenge.
+     * @return tip The amount of the reward token credited to the caller.
+     */
+    function claimExpiredFor(
+        uint256 _challengeId
+    ) external returns (uint256 tip) {
+        tip = _claimExpired(_challengeId, keeperTipBps);
+    }
 
-        challenges[_n].solver = msg.sender;
+    /**
+     * @notice Claims several unsolved, expired challenges on their challengers' behalf in one transaction.
+     * @dev Reverts if any of the challenges can't be claimed, so callers should check isExpired first.
+     * The tips are credited to the caller in each challenge's reward token.
+     * @param _challengeIds The IDs of the expired challenges.
+     */
+    function claimExpiredForBatch(uint256[] calldata _challengeIds) external {
+        uint256 tipBps = keeperTipBps;
+        for (uint256 i = 0; i < _challengeIds.length; i++) {
+            _claimExpired(_challengeIds[i], tipBps);
+        }
+    }
 
-        emit ChallengeSolved(
+    /**
+     * @notice Withdraws an amount of the specified token from the caller's balance in the contract.
+     * @dev Tokens that are no longer supported can still be withdrawn, so removing a token never locks balances.
+     * @param _amount The amount of tokens to withdraw.
+     * @param _tokenAddress The address of the token to withdraw, or NATIVE_TOKEN to withdraw ETH.
+     */
+    function withdraw(uint256 _amount, address _tokenAddress) external nonReentrant {
+        require(_amount > 0, InvalidAmount(_amount));
+        uint256 balance = balances[_msgSender()][_tokenAddress];
+        require(balance >= _amount, InsufficientBalance(_amount, balance));
+
+        _withdraw(_amount, _tokenAddress, balance);
+    }
+
+    /**
+     * @notice Withdraws the caller's whole balance of each listed token.
+     * @dev Tokens the caller has no balance in are skipped, so a fixed list of tokens can be passed every time.
+     * @param _tokenAddresses The addresses of the tokens to withdraw.
+     * @return amounts The amount withdrawn of each token, in the order they were passed.
+     */
+    function withdrawAll(
+        address[] calldata _tokenAddresses
+    ) external nonReentrant returns (uint256[] memory amounts) {
+        amounts = new uint256[](_tokenAddresses.length);
+        for (uint256 i = 0; i < _tokenAddresses.length; i++) {
+            uint256 balance = balances[_msgSender()][_tokenAddresses[i]];
+            if (balance > 0) {
+                _withdraw(balance, _tokenAddresses[i], balance);
+                amounts[i] = balance;
+            }
+        }
+    }
+
+    /**
+     * @notice Withdraws the treasury's whole balance of a token to the treasury address.
+     * @dev Anyone can call this, since the balance can only be sent to the treasury.
+     * @param _tokenAddress The address of the token to withdraw, or NATIVE_TOKEN to withdraw ETH.
+     * @return amount The amount withdrawn.
+     */
+    function withdrawTreasury(
+        address _tokenAddress
+    ) external nonReentrant returns (uint256 amount) {
+        amount = treasuryBalances[_tokenAddress];
+        require(amount > 0, InvalidAmount(amount));
+
+        // Clear the treasury balance before transferring tokens
+        treasuryBalances[_tokenAddress] = 0;
+        totalLiabilities[_tokenAddress] -= amount;
+        _transferOut(_tokenAddress, treasury, amount);
+
+        emit TreasuryWithdrawn(treasury, _tokenAddress, amount);
+    }
+
+    /**
+     * @notice Adds a token to the tokens that can be used as challenge rewards.
+     * @param _tokenAddress The address of the ERC20 token.
+     */
+    function addSupportedToken(address _tokenAddress) external onlyOwner {
+        _addSupportedToken(_tokenAddress);
+    }
+
+    /**
+     * @notice Removes a token from the tokens that can be used as challenge rewards.
+     * @dev Open challenges, prize pools and balances in the token are unaffected and can still be solved, claimed and withdrawn.
+     * @param _tokenAddress The address of the ERC20 token.
+     */
+    function removeSupportedToken(address _tokenAddress) external onlyOwner {
+        require(
+            supportedTokenSet.remove(_tokenAddress),
+            UnsupportedToken(_tokenAddress)
+        );
+        emit TokenUnsupported(_tokenAddress);
+    }
+
+    /**
+     * @notice Registers the verifier for a new circuit version.
+     * @param _verifierAddress The address of the verifier contract generated for the circuit.
+     * @return circuitVersion The version number assigned to the circuit.
+     */
+    function addVerifier(
+        address _verifierAddress
+    ) external onlyOwner returns (uint256 circuitVersion) {
+        require(
+            _verifierAddress != address(0),
+            InvalidAddress(_verifierAddress)
+        );
+
+        circuitVersion = ++circuitVersionCount;
+        verifiers[circuitVersion] = VerifierVersion({
+            verifier: IVerifier(_verifierAddress),
+            deprecated: false
+        });
+
+        emit VerifierAdded(circuitVersion, _verifierAddress);
+    }
+
+    /**
+     * @notice Stops a circuit version from being used for new challenges.
+     * @dev Challenges created under the version can still be solved with it.
+     * @param _circuitVersion The circuit version to deprecate.
+     */
+    function deprecateVerifier(uint256 _circuitVersion) external onlyOwner {
+        require(
+            address(verifiers[_circuitVersion].verifier) != address(0),
+            UnknownCircuitVersion(_circuitVersion)
+        );
+        require(
+            !verifiers[_circuitVersion].deprecated,
+            CircuitVersionDeprecated(_circuitVersion)
+        );
+
+        verifiers[_circuitVersion].deprecated = true;
+
+        emit VerifierDeprecated(_circuitVersion);
+    }
+
+    /**
+     * @notice Sets the smallest and largest solving window challengers can choose for a window mode.
+     * @dev Only affects challenges created afterwards. Existing challenges keep their deadline.
+     * @param _windowMode The window mode the bounds apply to.
+     * @param _min The smallest window, in blocks or seconds.
+     * @param _max The largest window, in blocks or seconds.
+     */
+    function setWindowBounds(
+        WindowMode _windowMode,
+        uint256 _min,
+        uint256 _max
+    ) external onlyOwner {
+        _setWindowBounds(_windowMode, _min, _max);
+    }
+
+    /**
+     * @notice Sets the tip paid to callers of claimExpiredFor.
+     * @param _keeperTipBps The tip in basis points of the reward. Must not exceed MAX_KEEPER_TIP_BPS.
+     */
+    function setKeeperTip(uint256 _keeperTipBps) external onlyOwner {
+        _setKeeperTip(_keeperTipBps);
+    }
+
+    /**
+     * @notice Sets how the rewards of challenges created from now on are split.
+     * @dev Existing challenges keep the split they were created with, so a change can't reduce what they pay out.
+     * @param _solverBps Share of a solved challenge's reward credited to the solver, in basis points.
+     * @param _treasuryBps Share of a solved challenge's reward credited to the treasury, in basis points. The prize pool gets
+     * the rest. _solverBps plus _treasuryBps must not exceed 10,000.
+     * @param _expiryPoolBps Share of the prize pool credited to the challenger of an expired challenge, in basis points.
+     * Must not exceed 10,000.
+     */
+    function setRewardSplit(
+        uint16 _solverBps,
+        uint16 _treasuryBps,
+        uint16 _expiryPoolBps
+    ) external onlyOwner {
+        _setRewardSplit(_solverBps, _treasuryBps, _expiryPoolBps);
+    }
+
+    /**
+     * @notice Sets the most of the prize pool that challenges created from now on can pay on expiry.
+     * @dev Existing challenges keep the cap they were created with.
+     * @param _expiryPayoutCapBps The cap in basis points of the challenge's reward. Must not exceed MAX_EXPIRY_PAYOUT_CAP_BPS.
+     */
+    function setExpiryPayoutCap(
+        uint256 _expiryPayoutCapBps
+    ) external onlyOwner {
+        _setExpiryPayoutCap(_expiryPayoutCapBps);
+    }
+
+    /**
+     * @notice Sets the smallest reward new challenges in a token can have.
+     * @dev The minimum applies to the reward the game receives, after any fee the token charges on transfer. Existing
+     * challenges are unaffected.
+     * @param _tokenAddress The address of the token, or NATIVE_TOKEN for ETH.
+     * @param _minReward The minimum reward. Zero allows any non-zero reward.
+     */
+    function setMinReward(
+        address _tokenAddress,
+        uint256 _minReward
+    ) external onlyOwner {
+        minRewards[_tokenAddress] = _minReward;
+        emit MinRewardUpdated(_tokenAddress, _minReward);
+    }
+
+    /**
+     * @notice Sets the flat fee charged for creating a challenge in a token, on top of its reward.
+     * @param _tokenAddress The address of the token, or NATIVE_TOKEN for ETH.
+     * @param _creationFee The fee. Zero disables it.
+     */
+    function setCreationFee(
+        address _tokenAddress,
+        uint256 _creationFee
+    ) external onlyOwner {
+        creationFees[_tokenAddress] = _creationFee;
+        emit CreationFeeUpdated(_tokenAddress, _creationFee);
+    }
+
+    /**
+     * @notice Sets whether creation fees are credited to the token's prize pool or to the treasury.
+     * @param _destination Where creation fees are credited from now on.
+     */
+    function setCreationFeeDestination(
+        FeeDestination _destination
+    ) external onlyOwner {
+        creationFeeDestination = _destination;
+        emit CreationFeeDestinationUpdated(_destination);
+    }
+
+    /**
+     * @notice Sets the address the treasury's balances are withdrawn to.
+     * @dev Balances already credited to the treasury are withdrawn to the new address.
+     * @param _treasury The new treasury address.
+     */
+    function setTreasury(address _treasury) external onlyOwner {
+        _setTreasury(_treasury);
+    }
+
+    /**
+     * @notice Returns whether a token can be used as a reward for new challenges.
+     * @param _tokenAddress The address of the token.
+     * @return True if the token is supported.
+     */
+    function supportedTokens(
+        address _tokenAddress
+    ) external view returns (bool) {
+        return supportedTokenSet.contains(_tokenAddress);
+    }
+
+    /**
+     * @notice Returns all tokens that can be used as rewards for new challenges.
+     * @return The supported token addresses.
+     */
+    function getSupportedTokens() external view returns (address[] memory) {
+        return supportedTokenSet.values();
+    }
+
+    /**
+     * @notice Returns what creating a challenge in a token requires.
+     * @param _tokenAddress The address of the token, or NATIVE_TOKEN for ETH.
+     * @return supported Whether the token can be used as a reward for new challenges.
+     * @return minReward The smallest reward the game must receive. Zero means any non-zero reward.
+     * @return creationFee The flat fee transferred along with the reward.
+     */
+    function getCreationRequirements(
+        address _tokenAddress
+    )
+        external
+        view
+        returns (bool supported, uint256 minReward, uint256 creationFee)
+    {
+        supported = supportedTokenSet.contains(_tokenAddress);
+        minReward = minRewards[_tokenAddress];
+        creationFee = creationFees[_tokenAddress];
+    }
+
+    /**
+     * @notice Compares what the game holds of a token with what it owes.
+     * @dev Liabilities change only when rewards and creation fees are paid in and balances are withdrawn. Solving, claiming and keeper tips
+     * move amounts between challenges, the prize pool, the treasury and balances without changing the total.
+     * @param _tokenAddress The address of the token, or NATIVE_TOKEN for ETH.
+     * @return assets The game's balance of the token.
+     * @return liabilities The amount of the token the game owes, see totalLiabilities.
+     * @return surplus assets minus liabilities. Negative if the game can't pay everything it owes.
+     */
+    function solvency(
+        address _tokenAddress
+    )
+        external
+        view
+        returns (uint256 assets, uint256 liabilities, int256 surplus)
+    {
+        assets = _tokenAddress == NATIVE_TOKEN
+            ? address(this).balance
+            : IERC20(_tokenAddress).balanceOf(address(this));
+        liabilities = totalLiabilities[_tokenAddress];
+        surplus = int256(assets) - int256(liabilities);
+    }
+
+    /**
+     * @notice Returns whether a challenge's solving window has passed.
+     * @param _challengeId The ID of the challenge.
+     * @return True if the challenge exists and its deadline has passed.
+     */
+    function isExpired(uint256 _challengeId) external view returns (bool) {
+        Challenge memory challenge = challenges[_challengeId];
+        return challenge.challenger != address(0) && _isExpired(challenge);
+    }
+
+    /**
+     * @notice Marks a token as supported.
+     * @param _tokenAddress The address of the token. Must not be the zero address or already supported.
+     */
+    function _addSupportedToken(address _tokenAddress) internal {
+        require(_tokenAddress != address(0), InvalidAddress(_tokenAddress));
+        require(
+            supportedTokenSet.add(_tokenAddress),
+            TokenAlreadySupported(_tokenAddress)
+        );
+        emit TokenSupported(_tokenAddress);
+    }
+
+    /**
+     * @notice Validates and stores the solving window bounds for a window mode.
+     * @param _windowMode The window mode the bounds apply to.
+     * @param _min The smallest window. Must be non-zero and not greater than _max.
+     * @param _max The largest window.
+     */
+    function _setWindowBounds(
+        WindowMode _windowMode,
+        uint256 _min,
+        uint256 _max
+    ) internal {
+        require(_min > 0 && _min <= _max, InvalidWindowBounds(_min, _max));
+        windowBounds[_windowMode] = WindowBounds({min: _min, max: _max});
+        emit WindowBoundsUpdated(_windowMode, _min, _max);
+    }
+
+    /**
+     * @notice Validates a new challenge, verifies the challenger's proof, transfers the reward to the contract and stores the challenge.
+     * @dev Shared by createChallenge and createChallengeWithPermit. See createChallenge for the parameters.
+     * @return challengeId The ID of the new challenge.
+     */
+    function _createChallenge(
+        uint256 _n,
+        address _rewardToken,
+        uint256 _rewardAmount,
+        uint256 _window,
+        WindowMode _windowMode,
+        uint256 _circuitVersion,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[5] calldata _pubSignals
+    ) internal returns (uint256 challengeId) {
+        require(_rewardAmount > 0, InvalidRewardAmount(_rewardAmount));
+        require(
+            supportedTokenSet.contains(_rewardToken),
+            UnsupportedToken(_rewardToken)
+        );
+        WindowBounds memory bounds = windowBounds[_windowMode];
+        require(
+            _window >= bounds.min && _window <= bounds.max,
+            InvalidWindow(_window, bounds.min, bounds.max)
+        );
+        IVerifier verifier = verifiers[_circuitVersion].verifier;
+        require(
+            address(verifier) != address(0),
+            UnknownCircuitVersion(_circuitVersion)
+        );
+        require(
+            !verifiers[_circuitVersion].deprecated,
+            CircuitVersionDeprecated(_circuitVersion)
+        );
+
+        challengeId = ++challengeCount;
+
+        // Check that the challenger's proof is for _n, was generated for the sender and shows that _n is composite
+        _verifyCompositeProof(
+            verifier,
+            challengeId,
             _n,
-            msg.sender,
-            challenge.rewardToken,
-            halfReward,
-            halfReward
+            _pA,
+            _pB,
+            _pC,
+            _pubSignals
         );
+
+        // Transfer the reward amount and creation fee to the contract. ETH arrives with the call
+        uint256 creationFee = creationFees[_rewardToken];
+        uint256 received = _rewardAmount + creationFee;
+        if (_rewardToken == NATIVE_TOKEN) {
+            require(msg.value == received, InvalidValue(msg.value, received));
+        } else {
+            require(msg.value == 0, InvalidValue(msg.value, 0));
+            uint256 balanceBefore = IERC20(_rewardToken).balanceOf(
+                address(this)
+            );
+            IERC20(_rewardToken).safeTransferFrom(
+                _msgSender(),
+                address(this),
+                received
+            );
+
+            // Fee-on-transfer tokens deliver less than requested. Only what arrived is credited, so the game stays solvent
+            received =
+                IERC20(_rewardToken).balanceOf(address(this)) -
+                balanceBefore;
+        }
+
+        // The creation fee comes first and the reward is what's left, so a token's transfer fee can't shrink the creation fee
+        require(
+            received >= creationFee,
+            InsufficientCreationFee(received, creationFee)
+        );
+        uint256 rewardAmount = received - creationFee;
+        require(rewardAmount > 0, InvalidRewardAmount(rewardAmount));
+        require(
+            rewardAmount >= minRewards[_rewardToken],
+            RewardBelowMinimum(rewardAmount, minRewards[_rewardToken])
+        );
+
+        // The reward and the creation fee are both owed from now on
+        totalLiabilities[_rewardToken] += received;
+        if (creationFee > 0) {
+            if (creationFeeDestination == FeeDestination.Treasury) {
+                treasuryBalances[_rewardToken] += creationFee;
+            } else {
+                prizePools[_rewardToken] += creationFee;
+                prizePoolContributions[_msgSender()][
+                    _rewardToken
+                ] += creationFee;
+            }
+            emit CreationFeePaid(
+                challengeId,
+                _rewardToken,
+                creationFee,
+                creationFeeDestination
+            );
+        }
+
+        // Create the challenge. Its reward is owed to the solver and prize pool, or to the challenger once it expires
+        uint256 deadline = _windowMode == WindowMode.Blocks
+            ? block.number + _window
+            : block.timestamp + _window;
+        challenges[challengeId] = Challenge({
+            n: _n,
+            rewardAmount: rewardAmount,
+            blockNumber: block.number,
+            deadline: deadline,
+            challenger: _msgSender(),
+            rewardToken: _rewardToken,
+            solver: address(0),
+            windowMode: _windowMode,
+            circuitVersion: _circuitVersion,
+            rewardSplit: rewardSplit,
+            expiryPayoutCapBps: expiryPayoutCapBps
+        });
+
+        emit ChallengeCreated(
+            challengeId,
+            _n,
+            _msgSender(),
+            _rewardToken,
+            rewardAmount,
+            deadline,
+            _windowMode
+        );
+    }
+
+    /**
+     * @notice Transfers an amount of a token, or of ETH for NATIVE_TOKEN, from the caller's balance in the contract to the caller.
+     * @param _amount The amount of tokens to withdraw. Must not exceed _balance.
+     * @param _tokenAddress The address of the token to withdraw.
+     * @param _balance The caller's balance of the token before the withdrawal.
+     */
+    function _withdraw(
+        uint256 _amount,
+        address _tokenAddress,
+        uint256 _balance
+    ) internal {
+        // Decrement user balance before transferring tokens
+        balances[_msgSender()][_tokenAddress] = _balance - _amount;
+        totalLiabilities[_tokenAddress] -= _amount;
+        _transferOut(_tokenAddress, _msgSender(), _amount);
+        emit Withdrawn(_msgSender(), _tokenAddress, _amount, _balance - _amount);
+    }
+
+    /**
+     * @notice Transfers an amount of a token, or of ETH for NATIVE_TOKEN, out of the contract.
+     * @param _tokenAddress The address of the token to transfer.
+     * @param _to The recipient.
+     * @param _amount The amount to transfer.
+     */
+    function _transferOut(
+        address _tokenAddress,
+        address _to,
+        uint256 _amount
+    ) internal {
+        if (_tokenAddress == NATIVE_TOKEN) {
+            Address.sendValue(payable(_to), _amount);
+        } else {
+            IERC20(_tokenAddress).safeTransfer(_to, _amount);
+        }
+    }
+
+    /**
+     * @notice Validates and stores the keeper tip.
+     * @param _keeperTipBps The tip in basis points of the reward. Must not exceed MAX_KEEPER_TIP_BPS.
+     */
+    function _setKeeperTip(uint256 _keeperTipBps) internal {
+        require(
+            _keeperTipBps <= MAX_KEEPER_TIP_BPS,
+            InvalidKeeperTip(_keeperTipBps, MAX_KEEPER_TIP_BPS)
+        );
+        keeperTipBps = _keeperTipBps;
+        emit KeeperTipUpdated(_keeperTipBps);
+    }
+
+    /**
+     * @notice Validates and stores the reward split for new challenges.
+     * @param _solverBps Share of a solved challenge's reward credited to the solver, in basis points.
+     * @param _treasuryBps Share of a solved challenge's reward credited to the treasury, in basis points.
+     * @param _expiryPoolBps Share of the prize pool credited to the challenger of an expired challenge, in basis points.
+     */
+    function _setRewardSplit(
+        uint16 _solverBps,
+        uint16 _treasuryBps,
+        uint16 _expiryPoolBps
+    ) internal {
+        require(
+            uint256(_solverBps) + _treasuryBps <= 10_000 &&
+                _expiryPoolBps <= 10_000,
+            InvalidRewardSplit(_solverBps, _treasuryBps, _expiryPoolBps)
+        );
+        rewardSplit = RewardSplit({
+            solverBps: _solverBps,
+            treasuryBps: _treasuryBps,
+            expiryPoolBps: _expiryPoolBps
+        });
+        emit RewardSplitUpdated(_solverBps, _treasuryBps, _expiryPoolBps);
     }
 
-    function claimExpiredChallenge(uint256 _n) external onlyChallenger(_n) {
-        Challenge memory challenge = challenges[_n];
-        require(challenge.challenger != address(0), ChallengeDoesNotExist(_n));
+    /**
+     * @notice Validates and stores the expiry payout cap for new challenges.
+     * @param _expiryPayoutCapBps The cap in basis points of the challenge's reward. Must not exceed MAX_EXPIRY_PAYOUT_CAP_BPS.
+     */
+    function _setExpiryPayoutCap(uint256 _expiryPayoutCapBps) internal {
+        require(
+            _expiryPayoutCapBps <= MAX_EXPIRY_PAYOUT_CAP_BPS,
+            InvalidExpiryPayoutCap(
+                _expiryPayoutCapBps,
+                MAX_EXPIRY_PAYOUT_CAP_BPS
+            )
+        );
+        expiryPayoutCapBps = _expiryPayoutCapBps;
+        emit ExpiryPayoutCapUpdated(_expiryPayoutCapBps);
+    }
+
+    /**
+     * @notice Validates and stores the treasury address.
+     * @param _treasury The treasury address. Must not be the zero address.
+     */
+    function _setTreasury(address _treasury) internal {
+        require(_treasury != address(0), InvalidAddress(_treasury));
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+
+    /**
+     * @notice Credits an unsolved, expired challenge's reward plus its share of the token's prize pool to its challenger and deletes it.
+     * @param _challengeId The ID of the expired challenge.
+     * @param _tipBps The share of the reward credited to the caller instead of the challenger, in basis points.
+     * @return tip The amount credited to the caller.
+     */
+    function _claimExpired(
+        uint256 _challengeId,
+        uint256 _tipBps
+    ) internal returns (uint256 tip) {
+        Challenge memory challenge = challenges[_challengeId];
+        require(
+            challenge.challenger != address(0),
+            ChallengeDoesNotExist(_challengeId)
+        );
+        require(_isExpired(challenge), ChallengeNotExpired(_challengeId));
         require(
-            block.number > challenge.blockNumber + T,
-            ChallengeNotExpired(_n)
+            challenge.solver == address(0),
+            ChallengeAlreadySolved(_challengeId)
         );
-        require(challenge.solver == address(0), ChallengeAlreadySolved(_n));
 
         uint256 rewardAmount = challenge.rewardAmount;
-        uint256 prizePoolReward = prizePools[challenge.rewardToken] / 2;
+        // Cap the prize pool share relative to the challenger's own stake. Otherwise a tiny reward on a number nobody can
+        // factor in time would take the same share of the pool as a large one
+        uint256 prizePoolReward = Math.min(
+            (prizePools[challenge.rewardToken] *
+                challenge.rewardSplit.expiryPoolBps) / 10_000,
+            (rewardAmount * challenge.expiryPayoutCapBps) / 10_000
+        );
+        // and at what the challenger paid into the pool. Otherwise anyone could take the pool, one risk-free claim on a
+        // number nobody can factor at a time, without ever having funded it
+        uint256 contribution = prizePoolContributions[challenge.challenger][
+            challenge.rewardToken
+        ];
+        prizePoolReward = Math.min(prizePoolReward, contribution);
+        tip = (rewardAmount * _tipBps) / 10_000;
 
         prizePools[challenge.rewardToken] -= prizePoolReward;
+        prizePoolContributions[challenge.challenger][challenge.rewardToken] =
+            contribution -
+            prizePoolReward;
         balances[challenge.challenger][challenge.rewardToken] +=
-            rewardAmount +
+            rewardAmount -
+            tip +
             prizePoolReward;
 
-        delete challenges[_n];
+        delete challenges[_challengeId];
 
         emit ExpiredChallengeClaimed(
-            _n,
+            _challengeId,
+            challenge.n,
             challenge.challenger,
             challenge.rewardToken,
             rewardAmount,
-            prizePoolReward
+            prizePoolReward,
+            challenge.rewardSplit.expiryPoolBps
         );
+
+        if (tip > 0) {
+            balances[_msgSender()][challenge.rewardToken] += tip;
+            emit KeeperTipPaid(
+                _challengeId,
+                _msgSender(),
+                challenge.rewardToken,
+                tip
+            );
+        }
     }
 
     /**
-     * @notice Withdraws an amount of the specified token from the caller's balance in the contract.
-     * @param _amount The amount of tokens to withdraw.
-     * @param _tokenAddress The address of the token to withdraw.
+     * @notice Verifies a composite-check proof submitted by the sender for _n.
+     * @dev The public signals are ordered [isComposite, n, prover, chainId, gameAddress].
+     * Binding the proof to the prover, chain and game means a proof copied from another transaction can't be reused.
+     * @param _verifier The verifier of the circuit version the proof was generated with.
+     * @param _challengeId The ID of the challenge the proof is submitted for, reported in errors.
+     * @param _n The composite number the proof must be for.
+     * @param _pA The proof A array.
+     * @param _pB The proof B array.
+     * @param _pC The proof C array.
+     * @param _pubSignals The public signals array.
      */
-    function withdraw(uint256 _amount, address _tokenAddress) external nonReentrant {
-        require(_amount > 0, InvalidAmount(_amount));
+    function _verifyCompositeProof(
+        IVerifier _verifier,
+        uint256 _challengeId,
+        uint256 _n,
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[5] calldata _pubSignals
+    ) internal view {
+        // Check that the submitted proof is for _n. The input signal _n is in the second element
+        require(_n == _pubSignals[1], ProofNotForN(_challengeId, _n));
+
+        // Check that the proof was generated for the caller. The input signal prover is in the third element
         require(
-            supportedTokens[_tokenAddress],
-            UnsupportedToken(_tokenAddress)
+            _pubSignals[2] == uint256(uint160(_msgSender())),
+            ProofNotForSender(_challengeId, _msgSender())
         );
-        uint256 balance = balances[msg.sender][_tokenAddress];
-        require(balance >= _amount, InsufficientBalance(_amount, balance));
 
-        // Decrement user balance before transferring tokens
-        balances[msg.sender][_tokenAddress] -= _amount;
-        IERC20(_tokenAddress).safeTransfer(msg.sender, _amount);
-        emit Withdrawn(msg.sender, _tokenAddress, _amount, balance - _amount);
+        // Check that the proof was generated for this chain and this game. The input signals chainId and gameAddress are in the fourth and fifth elements
+        require(
+            _pubSignals[3] == block.chainid &&
+                _pubSignals[4] == uint256(uint160(address(this))),
+            ProofNotForGame(_challengeId, block.chainid, address(this))
+        );
+
+        // Verify the proof using the Verifier contract. Verifies the mathematical validity of the proof but doesn't check public inputs
+        bool isValidProof = _verifier.verifyProof(
+            _pA,
+            _pB,
+            _pC,
+            _pubSignals
+        );
+        require(isValidProof, InvalidProof(_challengeId));
+
+        // Check that the proof determined that _n is composite based on the factors (private inputs) provided by the prover
+        // The output signal isComposite is in the first element
+        require(
+            _pubSignals[0] == 1,
+            NotComposite(_challengeId, _pubSignals[0])
+        );
+    }
+
+    /**
+     * @dev Resolves the Context functions that both Ownable and ERC2771Context inherit to the ERC2771Context versions, so
+     * the signer of a relayed call is the sender, including for onlyOwner.
+     */
+    function _msgSender()
+        internal
+        view
+        override(Context, ERC2771Context)
+        returns (address)
+    {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData()
+        internal
+        view
+        override(Context, ERC2771Context)
+        returns (bytes calldata)
+    {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength()
+        internal
+        view
+        override(Context, ERC2771Context)
+        returns (uint256)
+    {
+        return ERC2771Context._contextSuffixLength();
+    }
+
+    /**
+     * @notice Checks a challenge's deadline against the current block number or timestamp.
+     * @param _challenge The challenge to check.
+     * @return True if the challenge can no longer be solved.
+     */
+    function _isExpired(
+        Challenge memory _challenge
+    ) internal view returns (bool) {
+        if (_challenge.windowMode == WindowMode.Blocks) {
+            return block.number > _challenge.deadline;
+        }
+        return block.timestamp > _challenge.deadline;
     }
 }
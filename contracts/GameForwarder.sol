@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import {ERC2771Forwarder} from "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title GameForwarder
+ * @notice The trusted ERC-2771 forwarder of the CompositeNumberGame. Relayers submit requests signed by players, who don't
+ * need ETH for gas, and the game treats each relayed call as made by its signer.
+ * @dev The EIP-712 domain is named "GameForwarder" with version "1".
+ */
+contract GameForwarder is ERC2771Forwarder {
+    // solhint-disable-next-line no-empty-blocks
+    constructor() ERC2771Forwarder("GameForwarder") {}
+}
@@ -11,6 +11,6 @@ interface IVerifier {
         uint256[2] calldata _pA,
         uint256[2][2] calldata _pB,
         uint256[2] calldata _pC,
-        uint256[2] calldata _pubSignals
+        uint256[5] calldata _pubSignals
     ) external view returns (bool);
 }
@@ -27,30 +27,39 @@ contract Groth16Verifier {
     uint256 constant q   = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
 
     // Verification Key data
-    uint256 constant alphax  = 20491192805390485299153009773594534940189261866228447918068658471970481763042;
-    uint256 constant alphay  = 9383485363053290200918347156157836566562967994039712273449902621266178545958;
-    uint256 constant betax1  = 4252822878758300859123897981450591353533073413197771768651442665752259397132;
-    uint256 constant betax2  = 6375614351688725206403948262868962793625744043794305715222011528459656738731;
-    uint256 constant betay1  = 21847035105528745403288232691147584728191162732299865338377159692350059136679;
-    uint256 constant betay2  = 10505242626370262277552901082094356697409835680220590971873171140371331206856;
+    uint256 constant alphax  = 17496371515470639534866520563630136669106076160092839345645134622878640216628;
+    uint256 constant alphay  = 3803585748052247894792855401017588900339403366256991062518721582168318388647;
+    uint256 constant betax1  = 4420129744808096218112853738084663906715381719575831307763676613341092489213;
+    uint256 constant betax2  = 20122134114255211401915702147633849572920779128308346846538403463373435105358;
+    uint256 constant betay1  = 15336474077630186163327092390502405221685352685479116889698950321588140267816;
+    uint256 constant betay2  = 7838026300546537423532812840020736837229332742705650682453406339430587501142;
     uint256 constant gammax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
     uint256 constant gammax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
     uint256 constant gammay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
     uint256 constant gammay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
-    uint256 constant deltax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
-    uint256 constant deltax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
-    uint256 constant deltay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
-    uint256 constant deltay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
+    uint256 constant deltax1 = 3293164162165213740874640770095869519856321660086784252821845421025130665158;
+    uint256 constant deltax2 = 117093288631992923236187136904105070652167726569292833520105934678785684286;
+    uint256 constant deltay1 = 6737296326415307178202269375893853043629619500235950897863221248574730807340;
+    uint256 constant deltay2 = 9443514065570142183978612919264811985710274347574705125918832701012590951331;
 
     
-    uint256 constant IC0x = 4576349515125326855907145825609067649041453083196945380351397464113851897363;
-    uint256 constant IC0y = 7409635956947902312560050293630956285938843407276715587455852906076656214189;
+    uint256 constant IC0x = 18353825070131087395629700519392554922676592055016504078780898730447279660171;
+    uint256 constant IC0y = 3483952855774142129351102062567831670427658016047991311779960266980893873521;
     
-    uint256 constant IC1x = 1684081044200546899274707216089382910805097256682928880172312520525343788674;
-    uint256 constant IC1y = 5777683393348359511098725319618802979418570481374937785318148894174950242693;
+    uint256 constant IC1x = 16444131402580434978362534550458777776089771467891955983821355888047261949036;
+    uint256 constant IC1y = 3110627011208477064935504142264358791602160287174037447491035592419681842770;
     
-    uint256 constant IC2x = 13430233857104670756226731614416203856769448372575903104084850849508386920626;
-    uint256 constant IC2y = 10832858052215175593984505231302743644590027550285311274935739858582940569054;
+    uint256 constant IC2x = 17205280736883067462840833438883961460067164648373349913669079626003606482985;
+    uint256 constant IC2y = 10066730033292286557983625788912377484083975754798025614652068590882239420732;
+    
+    uint256 constant IC3x = 3099414631985592171601814462072772642511852436481706658926656778257620363496;
+    uint256 constant IC3y = 2524081110630057763532409629655175794083095362941058317307486693470499038003;
+    
+    uint256 constant IC4x = 4809229863395355505196430275794865137900358977898449007835378212988129320661;
+    uint256 constant IC4y = 18510045567171102386984713735421501617115784710550330836183708269801485173143;
+    
+    uint256 constant IC5x = 6529683907618265752990740583375181550316153008436646690603944389797240586018;
+    uint256 constant IC5y = 17689017047530252962531262356576161850128979852134323716773812802591879665836;
     
  
     // Memory data
@@ -59,7 +68,7 @@ contract Groth16Verifier {
 
     uint16 constant pLastMem = 896;
 
-    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[2] calldata _pubSignals) public view returns (bool) {
+    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[5] calldata _pubSignals) public view returns (bool) {
         assembly {
             function checkField(v) {
                 if iszero(lt(v, r)) {
@@ -107,6 +116,12 @@ contract Groth16Verifier {
                 
                 g1_mulAccC(_pVk, IC2x, IC2y, calldataload(add(pubSignals, 32)))
                 
+                g1_mulAccC(_pVk, IC3x, IC3y, calldataload(add(pubSignals, 64)))
+                
+                g1_mulAccC(_pVk, IC4x, IC4y, calldataload(add(pubSignals, 96)))
+                
+                g1_mulAccC(_pVk, IC5x, IC5y, calldataload(add(pubSignals, 128)))
+                
 
                 // -A
                 mstore(_pPairing, calldataload(pA))
@@ -166,6 +181,12 @@ contract Groth16Verifier {
             
             checkField(calldataload(add(_pubSignals, 64)))
             
+            checkField(calldataload(add(_pubSignals, 96)))
+            
+            checkField(calldataload(add(_pubSignals, 128)))
+            
+            checkField(calldataload(add(_pubSignals, 160)))
+            
 
             // Validate all evaluations
             let isValid := checkPairing(_pA, _pB, _pC, _pubSignals, pMem)
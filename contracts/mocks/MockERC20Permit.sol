@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+contract MockERC20Permit is ERC20Permit {
+    uint8 private __decimals;
+
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        uint8 _decimals,
+        uint256 _initialSupply
+    ) ERC20(_name, _symbol) ERC20Permit(_name) {
+        __decimals = _decimals;
+        _mint(msg.sender, _initialSupply);
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return __decimals;
+    }
+}
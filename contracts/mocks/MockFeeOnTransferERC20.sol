@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @dev Burns feeBps of every transfer between two accounts, so the recipient receives less than the amount sent
+contract MockFeeOnTransferERC20 is ERC20 {
+    uint8 private __decimals;
+    uint256 public feeBps;
+
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        uint8 _decimals,
+        uint256 _initialSupply,
+        uint256 _feeBps
+    ) ERC20(_name, _symbol) {
+        __decimals = _decimals;
+        feeBps = _feeBps;
+        _mint(msg.sender, _initialSupply);
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return __decimals;
+    }
+
+    function setFee(uint256 _feeBps) external {
+        feeBps = _feeBps;
+    }
+
+    function _update(
+        address _from,
+        address _to,
+        uint256 _value
+    ) internal virtual override {
+        if (_from == address(0) || _to == address(0)) {
+            super._update(_from, _to, _value);
+            return;
+        }
+
+        uint256 fee = (_value * feeBps) / 10_000;
+        super._update(_from, address(0), fee);
+        super._update(_from, _to, _value - fee);
+    }
+}
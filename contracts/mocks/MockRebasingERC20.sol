@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @dev Keeps balances as shares of a supply that rebase scales up or down, so every holder's balance changes without a
+ * transfer. Amounts are converted to shares rounding down, like stETH, so a transfer can deliver a wei less than sent.
+ * Transfer events and balance errors carry shares.
+ */
+contract MockRebasingERC20 is ERC20 {
+    uint256 private constant ONE = 1e18;
+
+    uint8 private __decimals;
+
+    /// @notice Balance of one share, scaled by 1e18
+    uint256 public sharePrice = ONE;
+
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        uint8 _decimals,
+        uint256 _initialSupply
+    ) ERC20(_name, _symbol) {
+        __decimals = _decimals;
+        _mint(msg.sender, _initialSupply);
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return __decimals;
+    }
+
+    /// @notice Scales every balance by _numerator / _denominator
+    function rebase(uint256 _numerator, uint256 _denominator) external {
+        sharePrice = (sharePrice * _numerator) / _denominator;
+    }
+
+    function balanceOf(
+        address _account
+    ) public view virtual override returns (uint256) {
+        return (super.balanceOf(_account) * sharePrice) / ONE;
+    }
+
+    function totalSupply() public view virtual override returns (uint256) {
+        return (super.totalSupply() * sharePrice) / ONE;
+    }
+
+    function _update(
+        address _from,
+        address _to,
+        uint256 _value
+    ) internal virtual override {
+        super._update(_from, _to, (_value * ONE) / sharePrice);
+    }
+}
@@ -1,6 +1,7 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@nomicfoundation/hardhat-chai-matchers");
 require("dotenv").config();
+require("./tasks/cng");
 
 
 /** @type import('hardhat/config').HardhatUserConfig */
@@ -0,0 +1,37 @@
+const { runCeremony } = require("../utils/ceremony");
+const { terminate } = require("../utils/prover");
+require("dotenv").config();
+
+async function main() {
+    const circuitVersions = (process.env.CEREMONY_CIRCUITS || "1,2").split(",").map((version) => Number(version.trim()));
+    const contributors = (process.env.CEREMONY_CONTRIBUTORS || "").split(",").map((name) => name.trim()).filter(Boolean);
+    if (contributors.length === 0) {
+        throw new Error("CEREMONY_CONTRIBUTORS is not set in the .env file");
+    }
+    // For example the hash of a block mined after the last contribution, announced before it was mined
+    const beaconHash = process.env.CEREMONY_BEACON;
+    if (!beaconHash) {
+        throw new Error("CEREMONY_BEACON is not set in the .env file");
+    }
+
+    try {
+        for (const circuitVersion of circuitVersions) {
+            console.log(`Running the trusted setup of circuit version ${circuitVersion}`);
+            const entry = await runCeremony({
+                circuitVersion,
+                contributions: contributors.map((name) => ({ name })),
+                beacon: { hash: beaconHash, iterationsExp: Number(process.env.CEREMONY_BEACON_ITERATIONS || 10) },
+            });
+            console.log(`Circuit version ${circuitVersion} is set up:`, entry.outputs);
+        }
+    } finally {
+        await terminate();
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,17 @@
+const { checkVerifiers } = require("../utils/ceremony");
+const { terminate } = require("../utils/prover");
+
+async function main() {
+    const problems = await checkVerifiers().finally(terminate);
+    if (problems.length > 0) {
+        throw new Error(`The verifiers don't match their trusted setup:\n${problems.join("\n")}`);
+    }
+    console.log("The zkeys, verification keys and Solidity verifiers of every circuit version agree");
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -1,35 +1,36 @@
-const { ethers, run, network } = require("hardhat");
+const { run, network } = require("hardhat");
 const { deployContracts } = require("../utils/deployContracts");
-const fs = require("fs");
+const { loadDeploymentManifest, saveDeploymentManifest, deploymentManifestPath } = require("../utils/deployedAddresses");
+const { checkVerifiers } = require("../utils/ceremony");
 
 async function main() {
-    const { tokenAddresses, verifier, game } = await deployContracts();
-
-    const verifierAddress = await verifier.getAddress();
-    const gameAddress = await game.getAddress();
+    // Never deploy a verifier that doesn't match its proving key, or whose proving key never had a contribution
+    const problems = await checkVerifiers();
+    if (problems.length > 0) {
+        throw new Error(`The verifiers don't match their trusted setup:\n${problems.join("\n")}`);
+    }
 
-    // Retrieve the chainId
-    const chainId = network.config.chainId;
+    // Contracts in the network's manifest that are unchanged are reused instead of deployed again
+    const { tokenAddresses, manifest, deployed } = await deployContracts({ manifest: loadDeploymentManifest(network.name) });
 
-    console.log("Chain ID:", chainId);
-    console.log("Verifier deployed to:", verifierAddress);
-    console.log("CompositeNumberGame deployed to:", gameAddress);
-    console.log("Tokens Supported:", tokenAddresses);
-  
-    // Write addresses and chainId to a file
-    const addresses = {
-        chainId: chainId,
-        Verifier: verifierAddress,
-        CompositeNumberGame: gameAddress,
-        SupportedTokens: tokenAddresses,
-    };
+    console.log("Chain ID:", manifest.chainId);
+    for (const [name, deployment] of Object.entries(manifest.contracts)) {
+        console.log(`${name} ${deployed.includes(name) ? "deployed to" : "reused at"}:`, deployment.address);
+    }
+    console.log("Tokens Supported:", manifest.SupportedTokens);
+    const sameTokens = (a, b) => a.map((address) => address.toLowerCase()).sort().join() === b.map((address) => address.toLowerCase()).sort().join();
+    if (!deployed.includes("CompositeNumberGame") && !sameTokens(tokenAddresses, manifest.SupportedTokens)) {
+        console.log("The supported tokens differ from TOKEN_ADDRESSES. Run the syncTokens script to change them");
+    }
 
-    fs.writeFileSync("deployedAddresses.json", JSON.stringify(addresses, null, 2));
+    saveDeploymentManifest(network.name, manifest);
+    console.log(`Deployment manifest written to ${deploymentManifestPath(network.name)}`);
 
-    // Verify contracts if not on local network
-    if (network.name !== "hardhat") {
-        await verifyContract(verifierAddress, []);
-        await verifyContract(gameAddress, [tokenAddresses, verifierAddress]);
+    // Verify the new contracts if not on local network
+    if (network.name !== "hardhat" && network.name !== "localhost") {
+        for (const name of deployed) {
+            await verifyContract(manifest.contracts[name].address, manifest.contracts[name].constructorArgs);
+        }
     }
 }
 
@@ -0,0 +1,24 @@
+const { artifacts } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { generateDeclarations } = require("../utils/clientTypes");
+
+async function main() {
+    // The client loads the ABI from utils/abi, so it works without compiling the contracts
+    const { abi } = await artifacts.readArtifact("CompositeNumberGame");
+    const abiPath = path.join(__dirname, "..", "utils", "abi", "CompositeNumberGame.json");
+    fs.mkdirSync(path.dirname(abiPath), { recursive: true });
+    fs.writeFileSync(abiPath, JSON.stringify(abi, null, 2) + "\n");
+    console.log(`ABI written to ${abiPath}`);
+
+    const declarationsPath = path.join(__dirname, "..", "utils", "client.d.ts");
+    fs.writeFileSync(declarationsPath, generateDeclarations(abi));
+    console.log(`TypeScript declarations written to ${declarationsPath}`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,47 @@
+const { ethers, network } = require("hardhat");
+const path = require("path");
+const { loadDeployedAddresses } = require("../utils/deployedAddresses");
+const { createIndexer } = require("../utils/indexer");
+require("dotenv").config();
+
+async function main() {
+    const addresses = loadDeployedAddresses(network.name);
+    const game = await ethers.getContractAt("CompositeNumberGame", addresses.CompositeNumberGame);
+
+    const indexer = await createIndexer({
+        game,
+        provider: ethers.provider,
+        fromBlock: Number(process.env.INDEXER_FROM_BLOCK || addresses.DeploymentBlock || 0),
+        confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 5),
+        databasePath: process.env.INDEXER_DATABASE || path.join(__dirname, "..", `indexer-${network.name}.sqlite`),
+    });
+    console.log(`Indexing CompositeNumberGame at ${addresses.CompositeNumberGame} on ${network.name} from block ${indexer.lastIndexedBlock() + 1}`);
+
+    const printSync = ({ fromBlock, toBlock, events, removed }) => {
+        if (removed > 0) {
+            console.log(`Reorg: removed ${removed} events`);
+        }
+        if (toBlock >= fromBlock) {
+            console.log(`Indexed blocks ${fromBlock} to ${toBlock}: ${events} events`);
+        }
+    };
+
+    // Backfill, then follow new blocks until interrupted
+    printSync(await indexer.sync());
+    console.log("Open challenges:", indexer.getOpenChallenges().map((challenge) => challenge.challengeId.toString()));
+    if (process.env.INDEXER_FOLLOW === "false") {
+        indexer.close();
+        return;
+    }
+
+    indexer.start({ interval: Number(process.env.INDEXER_INTERVAL || 12000), onSync: printSync });
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    indexer.close();
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
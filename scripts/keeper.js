@@ -0,0 +1,64 @@
+const { ethers, network } = require("hardhat");
+const path = require("path");
+const { loadDeployedAddresses } = require("../utils/deployedAddresses");
+const { createIndexer } = require("../utils/indexer");
+const { settleExpiredChallenges } = require("../utils/keeper");
+require("dotenv").config();
+
+async function main() {
+    const addresses = loadDeployedAddresses(network.name);
+    const game = await ethers.getContractAt("CompositeNumberGame", addresses.CompositeNumberGame);
+    const [signer] = await ethers.getSigners();
+    const batchSize = Number(process.env.KEEPER_BATCH_SIZE || 20);
+
+    // The indexer finds the expired challenges, its database lets the keeper resume without scanning from the deployment again
+    const indexer = await createIndexer({
+        game,
+        provider: ethers.provider,
+        fromBlock: Number(process.env.INDEXER_FROM_BLOCK || addresses.DeploymentBlock || 0),
+        confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 5),
+        databasePath: process.env.KEEPER_DATABASE || path.join(__dirname, "..", `keeper-${network.name}.sqlite`),
+    });
+    console.log(`Claiming expired challenges of CompositeNumberGame at ${addresses.CompositeNumberGame} on ${network.name} as ${signer.address}`);
+
+    const settle = async () => {
+        await indexer.sync();
+        const expired = indexer.getChallenges().filter((challenge) => challenge.state === "expired");
+        const batches = await settleExpiredChallenges({
+            game,
+            signer,
+            challengeIds: expired.map((challenge) => challenge.challengeId),
+            batchSize,
+        });
+        for (const { challengeIds, transactionHash } of batches) {
+            console.log(`Claimed challenges ${challengeIds.join(", ")} (${transactionHash})`);
+        }
+        if (expired.length > 0 && batches.length === 0) {
+            console.log(`No claimable challenges among ${expired.length} expired challenges`);
+        }
+    };
+
+    // Settle once, then keep settling until interrupted
+    await settle();
+    if (process.env.KEEPER_FOLLOW === "false") {
+        indexer.close();
+        return;
+    }
+
+    const interval = Number(process.env.KEEPER_INTERVAL || 60000);
+    let timer;
+    const loop = () => {
+        timer = setTimeout(() => settle().catch((error) => console.error(error.shortMessage || error.message)).finally(loop), interval);
+    };
+    loop();
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    clearTimeout(timer);
+    indexer.close();
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,29 @@
+const { ethers, network } = require("hardhat");
+const { loadDeployedAddresses } = require("../utils/deployedAddresses");
+const { createRelayer, createRelayerServer } = require("../utils/relayer");
+require("dotenv").config();
+
+async function main() {
+    const addresses = loadDeployedAddresses(network.name);
+    const game = await ethers.getContractAt("CompositeNumberGame", addresses.CompositeNumberGame);
+    const forwarder = await ethers.getContractAt("GameForwarder", addresses.GameForwarder);
+    const [signer] = await ethers.getSigners();
+
+    const relayer = createRelayer({ forwarder, game, signer });
+    const server = createRelayerServer(relayer);
+    const port = Number(process.env.RELAYER_PORT || 3000);
+    await new Promise((resolve) => server.listen(port, resolve));
+    console.log(`Relaying requests for CompositeNumberGame at ${addresses.CompositeNumberGame} on ${network.name} as ${signer.address}`);
+    console.log(`POST signed requests to http://localhost:${port}/relay`);
+
+    // Run until interrupted
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    await new Promise((resolve) => server.close(resolve));
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
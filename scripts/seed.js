@@ -0,0 +1,44 @@
+const { ethers, network } = require("hardhat");
+const path = require("path");
+const { deployContracts } = require("../utils/deployContracts");
+const { loadDeploymentManifest, saveDeploymentManifest, resolveCircuitVersions } = require("../utils/deployedAddresses");
+const { loadScenario, seedDevnet } = require("../utils/seed");
+const { terminate } = require("../utils/prover");
+require("dotenv").config();
+
+async function main() {
+    if (network.name !== "hardhat" && network.name !== "localhost") {
+        throw new Error(`The seed script only runs against a local node, not ${network.name}`);
+    }
+    const scenarioPath = process.env.SEED_SCENARIO || path.join(__dirname, "..", "scenarios", "devnet.yaml");
+    const scenario = loadScenario(scenarioPath);
+
+    // Deploy, or reuse the contracts already on the node
+    const { game, manifest } = await deployContracts({ manifest: loadDeploymentManifest(network.name) });
+    saveDeploymentManifest(network.name, manifest);
+
+    console.log(`Seeding CompositeNumberGame at ${await game.getAddress()} on ${network.name} with ${scenarioPath}`);
+    try {
+        const { tokens, challenges } = await seedDevnet({
+            game,
+            scenario,
+            accounts: process.env.SEED_ACCOUNTS ? Number(process.env.SEED_ACCOUNTS) : undefined,
+            circuitVersions: resolveCircuitVersions(manifest),
+        });
+        console.log("Tokens:", tokens);
+        console.log("Challenges:", challenges);
+    } finally {
+        await terminate();
+    }
+
+    // The scenario's tokens were added to the game
+    manifest.SupportedTokens = [...(await game.getSupportedTokens())];
+    saveDeploymentManifest(network.name, manifest);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
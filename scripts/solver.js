@@ -0,0 +1,61 @@
+const { ethers, network } = require("hardhat");
+const { loadDeployedAddresses, loadDeploymentManifest, resolveCircuitVersions } = require("../utils/deployedAddresses");
+const { createSolver } = require("../utils/solver");
+const { terminate } = require("../utils/prover");
+require("dotenv").config();
+
+// Parses SOLVER_MIN_REWARDS, e.g. "0xToken1:10,0xToken2:2.5", into minimum amounts in each token's base units
+async function parseMinRewards(value) {
+    const minRewards = {};
+    for (const entry of value.split(",").filter((entry) => entry.trim() !== "")) {
+        const [token, amount] = entry.split(":").map((part) => part.trim());
+        const decimals = await (await ethers.getContractAt("IERC20Metadata", token)).decimals();
+        minRewards[token] = ethers.parseUnits(amount || "0", decimals);
+    }
+    return minRewards;
+}
+
+async function main() {
+    const addresses = loadDeployedAddresses(network.name);
+    const game = await ethers.getContractAt("CompositeNumberGame", addresses.CompositeNumberGame);
+    const [signer] = await ethers.getSigners();
+
+    // Without SOLVER_MIN_REWARDS any reward in a supported token is accepted
+    const minRewards = process.env.SOLVER_MIN_REWARDS
+        ? await parseMinRewards(process.env.SOLVER_MIN_REWARDS)
+        : Object.fromEntries(addresses.SupportedTokens.map((token) => [token, 0n]));
+
+    const solver = createSolver({
+        game,
+        provider: ethers.provider,
+        signer,
+        minRewards,
+        fromBlock: process.env.SOLVER_FROM_BLOCK ? Number(process.env.SOLVER_FROM_BLOCK) : undefined,
+        workers: process.env.SOLVER_WORKERS ? Number(process.env.SOLVER_WORKERS) : undefined,
+        blockTime: Number(process.env.SOLVER_BLOCK_TIME || 12000),
+        circuits: resolveCircuitVersions(loadDeploymentManifest(network.name)).circuits,
+    });
+    console.log(`Solving challenges of CompositeNumberGame at ${addresses.CompositeNumberGame} on ${network.name} as ${signer.address}`);
+
+    solver.on("solved", ({ challengeId, n, factor1, factor2, transactionHash }) => {
+        console.log(`Solved challenge ${challengeId}: ${n} = ${factor1} * ${factor2} (${transactionHash})`);
+    });
+    solver.on("skipped", ({ challengeId, reason }) => console.log(`Skipped challenge ${challengeId}: ${reason}`));
+    solver.on("gaveUp", ({ challengeId, reason }) => console.log(`Gave up on challenge ${challengeId}: ${reason}`));
+    solver.on("failed", ({ challengeId, error }) => {
+        console.error(challengeId === undefined ? "Polling failed:" : `Challenge ${challengeId} failed:`, error.shortMessage || error.message);
+    });
+
+    // Run until interrupted
+    solver.start();
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    solver.stop();
+    await terminate();
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
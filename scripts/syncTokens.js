@@ -0,0 +1,31 @@
+const { ethers, network } = require("hardhat");
+const { loadDeployedAddresses, loadDeploymentManifest, saveDeploymentManifest } = require("../utils/deployedAddresses");
+const { readTokenList, syncSupportedTokens } = require("../utils/syncTokens");
+require("dotenv").config();
+
+async function main() {
+    const addresses = loadDeployedAddresses(network.name);
+    const tokenAddresses = readTokenList();
+    const dryRun = process.env.DRY_RUN === "true";
+    const confirmations = Number(process.env.CONFIRMATIONS || 1);
+
+    const game = await ethers.getContractAt("CompositeNumberGame", addresses.CompositeNumberGame);
+    console.log(`Syncing supported tokens of CompositeNumberGame at ${addresses.CompositeNumberGame} on ${network.name}${dryRun ? " (dry run)" : ""}`);
+
+    const { added, removed } = await syncSupportedTokens(game, tokenAddresses, { dryRun, confirmations });
+    console.log("Tokens added:", added);
+    console.log("Tokens removed:", removed);
+
+    if (!dryRun) {
+        const manifest = loadDeploymentManifest(network.name);
+        manifest.SupportedTokens = [...(await game.getSupportedTokens())];
+        saveDeploymentManifest(network.name, manifest);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
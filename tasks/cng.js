@@ -0,0 +1,204 @@
+const { scope, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { windowModes, nativeToken, getGame, getToken, ensureAllowance, decodeError, getChallengeStatus } = require("../utils/cng");
+const { supportsPermit, signPermit } = require("../utils/permit");
+
+const cng = scope("cng", "Play the CompositeNumberGame from the command line");
+
+// Parameters shared by every cng task
+function gameTask(name, description) {
+    return cng
+        .task(name, description)
+        .addOptionalParam("game", "CompositeNumberGame address, instead of the one in the deployment manifest")
+        .addOptionalParam("account", "Index of the account to send transactions from", 0, types.int);
+}
+
+// Sends a game transaction and reports a revert by its custom error, e.g. ChallengeExpired(challengeId=1)
+async function send(contracts, sendTransaction) {
+    const confirmations = Number(process.env.CONFIRMATIONS || 1);
+    try {
+        const tx = await sendTransaction();
+        return await tx.wait(confirmations);
+    } catch (error) {
+        throw new HardhatPluginError("cng", `Transaction reverted: ${decodeError(error, contracts)}`, error);
+    }
+}
+
+// Contracts whose custom errors a game transaction can revert with. ETH has no contract
+function errorSources(game, token) {
+    return token.native ? [game] : [game, token];
+}
+
+async function proofFor(hre, game, signer, n, factor1, factor2, circuitVersion, { circuits }) {
+    // Loaded lazily so that other Hardhat tasks don't start snarkjs
+    const { prove, terminate } = require("../utils/prover");
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    try {
+        return await prove(
+            { n, factor1, factor2, prover: await signer.getAddress(), chainId, gameAddress: await game.getAddress() },
+            { circuitVersion: Number(circuitVersion), circuits }
+        );
+    } finally {
+        await terminate();
+    }
+}
+
+gameTask("create", "Create a challenge for a composite n, proving it with two of its factors")
+    .addPositionalParam("n", "The composite number to challenge solvers with")
+    .addPositionalParam("factor1", "A factor of n")
+    .addPositionalParam("factor2", "The other factor of n")
+    .addParam("token", "Address of the reward token, or eth for an ETH reward")
+    .addParam("amount", "Reward amount in whole tokens, e.g. 1.5")
+    .addOptionalParam("window", "Solving window in blocks or seconds. Defaults to the longest window the game allows", undefined, types.int)
+    .addOptionalParam("mode", "Window mode, blocks or timestamp", "blocks")
+    .addOptionalParam("circuitVersion", "Circuit version to prove with. Defaults to the latest version of the 128-bit circuit", undefined, types.int)
+    .addFlag("approve", "Send an approve transaction even if the token supports permit signatures")
+    .setAction(async (args, hre) => {
+        const { game, signer, circuitVersions } = await getGame(hre, args);
+        const token = await getToken(hre, args.token, signer);
+        if (token.native && !(await game.supportedTokens(nativeToken))) {
+            throw new HardhatPluginError("cng", "The game doesn't accept ETH rewards. Its owner must enable them with addSupportedToken(NATIVE_TOKEN)");
+        }
+
+        const windowMode = windowModes[args.mode];
+        if (windowMode === undefined) {
+            throw new HardhatPluginError("cng", `Unknown window mode ${args.mode}. Use blocks or timestamp`);
+        }
+        const window = args.window ?? (await game.windowBounds(windowMode)).max;
+        const circuitVersion = args.circuitVersion ?? circuitVersions.defaultCircuitVersion;
+        const amount = hre.ethers.parseUnits(args.amount, await token.decimals());
+        const tokenAddress = await token.getAddress();
+
+        // The token's creation fee, if any, is transferred along with the reward
+        const creationFee = await game.creationFees(tokenAddress);
+        const total = amount + creationFee;
+        const totalText = `${hre.ethers.formatUnits(total, await token.decimals())} ${await token.symbol()}`;
+        if (creationFee > 0n) {
+            console.log(`The game charges a creation fee of ${hre.ethers.formatUnits(creationFee, await token.decimals())} ${await token.symbol()}`);
+        }
+
+        // Sign a permit rather than sending an approve transaction when the allowance is too low and the token allows it.
+        // An ETH reward is sent with the transaction instead
+        const gameAddress = await game.getAddress();
+        let permit;
+        if (!token.native && (await token.allowance(await signer.getAddress(), gameAddress)) < total && !args.approve && (await supportsPermit(tokenAddress, signer))) {
+            permit = await signPermit({ token: tokenAddress, signer, spender: gameAddress, value: total });
+            console.log(`Signed a permit for the game to transfer ${totalText}`);
+        } else if (!token.native && (await ensureAllowance(token, signer, gameAddress, total))) {
+            console.log(`Approved the game to transfer ${totalText}`);
+        }
+
+        console.log(`Generating a circuit version ${circuitVersion} proof that ${args.n} is composite...`);
+        const [pA, pB, pC, pubSignals] = await proofFor(hre, game, signer, args.n, args.factor1, args.factor2, circuitVersion, circuitVersions);
+
+        const receipt = await send(errorSources(game, token), () =>
+            permit
+                ? game.createChallengeWithPermit(args.n, tokenAddress, amount, window, windowMode, circuitVersion, pA, pB, pC, pubSignals, permit.deadline, permit.v, permit.r, permit.s)
+                : game.createChallenge(args.n, tokenAddress, amount, window, windowMode, circuitVersion, pA, pB, pC, pubSignals, { value: token.native ? total : 0n })
+        );
+        const event = receipt.logs.map((log) => game.interface.parseLog(log)).find((log) => log?.name === "ChallengeCreated");
+        const challengeId = event.args.challengeId;
+        console.log(`Created challenge ${challengeId} for n = ${args.n}, solvable until ${args.mode === "blocks" ? "block" : "timestamp"} ${event.args.deadline}`);
+        return challengeId;
+    });
+
+gameTask("solve", "Solve a challenge by proving two factors of its n")
+    .addPositionalParam("challengeId", "ID of the challenge to solve", undefined, types.bigint)
+    .addPositionalParam("factor1", "A factor of the challenge's n")
+    .addPositionalParam("factor2", "The other factor of the challenge's n")
+    .setAction(async (args, hre) => {
+        const { game, signer, circuitVersions } = await getGame(hre, args);
+        const status = await getChallengeStatus(game, args.challengeId);
+        if (!status.exists) {
+            throw new HardhatPluginError("cng", `Challenge ${args.challengeId} does not exist`);
+        }
+
+        console.log(`Generating a circuit version ${status.circuitVersion} proof for n = ${status.n}...`);
+        const [pA, pB, pC, pubSignals] = await proofFor(hre, game, signer, status.n, args.factor1, args.factor2, status.circuitVersion, circuitVersions);
+
+        const receipt = await send([game], () => game.solveChallenge(args.challengeId, pA, pB, pC, pubSignals));
+        const event = receipt.logs.map((log) => game.interface.parseLog(log)).find((log) => log?.name === "ChallengeSolved");
+        const token = await getToken(hre, status.rewardToken, signer);
+        const reward = hre.ethers.formatUnits(event.args.rewardAmount, await token.decimals());
+        console.log(`Solved challenge ${args.challengeId}. ${reward} ${await token.symbol()} has been credited to ${await signer.getAddress()}`);
+    });
+
+gameTask("claim", "Reclaim the reward of an expired challenge, plus a share of the token's prize pool")
+    .addPositionalParam("challengeId", "ID of the expired challenge", undefined, types.bigint)
+    .setAction(async (args, hre) => {
+        const { game, signer } = await getGame(hre, args);
+
+        await send([game], () => game.claimExpiredChallenge(args.challengeId));
+        console.log(`Claimed expired challenge ${args.challengeId} for ${await signer.getAddress()}`);
+    });
+
+gameTask("withdraw", "Withdraw tokens credited to the account by the game")
+    .addParam("token", "Address of the token to withdraw, or eth")
+    .addOptionalParam("amount", "Amount in whole tokens, e.g. 1.5")
+    .addFlag("all", "Withdraw the whole balance")
+    .setAction(async (args, hre) => {
+        const { game, signer } = await getGame(hre, args);
+        const token = await getToken(hre, args.token, signer);
+
+        if (args.all === (args.amount !== undefined)) {
+            throw new HardhatPluginError("cng", "Pass either --amount or --all");
+        }
+        const tokenAddress = await token.getAddress();
+        const amount = args.all
+            ? await game.balances(await signer.getAddress(), tokenAddress)
+            : hre.ethers.parseUnits(args.amount, await token.decimals());
+
+        await send(errorSources(game, token), () => game.withdraw(amount, tokenAddress));
+        console.log(`Withdrew ${hre.ethers.formatUnits(amount, await token.decimals())} ${await token.symbol()}`);
+        return amount;
+    });
+
+gameTask("status", "Show a challenge")
+    .addPositionalParam("challengeId", "ID of the challenge", undefined, types.bigint)
+    .setAction(async (args, hre) => {
+        const { game, signer } = await getGame(hre, args);
+        const status = await getChallengeStatus(game, args.challengeId);
+
+        if (!status.exists) {
+            console.log(`Challenge ${args.challengeId} does not exist. It may have been claimed after it expired`);
+        } else {
+            console.log(`Challenge ${status.challengeId}: ${status.state}`);
+            console.log(`  n:               ${status.n}`);
+            console.log(`  challenger:      ${status.challenger}`);
+            const token = await getToken(hre, status.rewardToken, signer);
+            const reward = hre.ethers.formatUnits(status.rewardAmount, await token.decimals());
+            console.log(`  reward:          ${reward} ${await token.symbol()} (${status.rewardToken})`);
+            console.log(`  deadline:        ${status.windowMode === "blocks" ? "block" : "timestamp"} ${status.deadline}`);
+            console.log(`  circuit version: ${status.circuitVersion}`);
+            if (status.solver) {
+                console.log(`  solver:          ${status.solver}`);
+            }
+        }
+        return status;
+    });
+
+gameTask("balances", "Show the account's game balances and the prize pools of the supported tokens")
+    .setAction(async (args, hre) => {
+        const { game, signer } = await getGame(hre, args);
+        const account = await signer.getAddress();
+
+        const balances = [];
+        for (const tokenAddress of await game.getSupportedTokens()) {
+            const token = await getToken(hre, tokenAddress, signer);
+            const decimals = await token.decimals();
+            const balance = {
+                token: tokenAddress,
+                symbol: await token.symbol(),
+                game: await game.balances(account, tokenAddress),
+                wallet: await token.balanceOf(account),
+                prizePool: await game.prizePools(tokenAddress),
+            };
+            balances.push(balance);
+
+            console.log(`${balance.symbol} (${tokenAddress})`);
+            console.log(`  withdrawable: ${hre.ethers.formatUnits(balance.game, decimals)}`);
+            console.log(`  wallet:       ${hre.ethers.formatUnits(balance.wallet, decimals)}`);
+            console.log(`  prize pool:   ${hre.ethers.formatUnits(balance.prizePool, decimals)}`);
+        }
+        return balances;
+    });
@@ -1,35 +1,40 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
-const { execSync } = require("child_process");
-const fs = require("fs");
-const snarkjs = require('snarkjs');
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyUint } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { deployContracts } = require("../utils/deployContracts");
+const { generateProof, verifyProof, getCalldata, prove } = require("../utils/prover");
+const { supportsPermit, signPermit } = require("../utils/permit");
+const { signForwardRequest } = require("../utils/relayer");
+const { compileCircuits, proofFor, createChallenge } = require("./helpers");
 
 describe("CompositeNumberGame", function () {
     this.timeout(300000); // Increase timeout
 
-    const r1csPath = "circuit/composite-check.r1cs";
-    const wasmPath = "circuit/composite-check_js/composite-check.wasm";
-    const zkeyPath = "circuit/composite-check_final.zkey";
-    const verificationKeyPath = "circuit/verification_key.json";
-    const ptauPath = "circuit/powersOfTau28_hez_final_15.ptau";
+    // Mirrors the CompositeNumberGame.WindowMode enum
+    const WindowMode = { Blocks: 0, Timestamp: 1 };
 
+    // Solving window used by most tests, the smallest block window allowed by default
+    const blockWindow = 10;
+
+    // deployContracts registers the Verifier as circuit version 1 and the 128-bit Verifier128 as circuit version 2
+    const circuitVersion = 1;
+    const circuitVersion128 = 2;
 
     async function setupTestWithCircomFixture() {
         // Get signers
         [owner, challenger, solver] =
             await ethers.getSigners();
 
-        const { tokenAddresses, verifier, game } = await deployContracts();
+        const { tokenAddresses, verifier, verifier128, forwarder, game } = await deployContracts();
 
         // Assign the first token address to contracts.token
         const tokenAddress = tokenAddresses[0];
         const Token = await ethers.getContractFactory("MockERC20");
         const token = Token.attach(tokenAddress);
 
-        const contracts = { token, verifier, game };
-        compileCircuite();
+        const contracts = { token, verifier, verifier128, forwarder, game };
+        compileCircuits();
 
         return { contracts, signers: { owner, challenger, solver } };
     }
@@ -37,81 +42,22 @@ describe("CompositeNumberGame", function () {
     async function setupTestFixture() {
         // Get signers
         const [owner, challenger, solver] = await ethers.getSigners();
-        const { tokenAddresses, verifier, game } = await deployContracts();
+        const { tokenAddresses, verifier, verifier128, forwarder, game } = await deployContracts();
 
         // Assign the first token address to contracts.token
         const tokenAddress = tokenAddresses[0];
         const Token = await ethers.getContractFactory("MockERC20");
         const token = Token.attach(tokenAddress);
 
-        const contracts = { token, verifier, game };
+        const contracts = { token, verifier, verifier128, forwarder, game };
 
         return { contracts, signers: { owner, challenger, solver } };
     }
 
-    function compileCircuite() {
-        // Compile the circuit
-        console.log("Compiling the circuit...");
-        execSync(`npx circom circuit/composite-check.circom --r1cs --wasm --sym --output circuit`, { stdio: 'inherit' });
-    }
-
-    function generateWitness(input) {
-        console.log("Generating witness with input:", input);
-        const { n, factor1, factor2 } = input;
-        console.log("n in generateWitness:", n);
-        const witnessInput = {
-            n: n,
-            factor1: factor1,
-            factor2: factor2
-        };
-        console.log("Generating witness with input:", witnessInput);
-        fs.writeFileSync("circuit/input.json", JSON.stringify(input));
-        execSync(`node circuit/composite-check_js/generate_witness.js ${wasmPath} circuit/input.json circuit/witness.wtns`);
-
-        // Read and log the contents of circuit/input.json
-        const inputJson = fs.readFileSync("circuit/input.json", "utf8");
-        console.log("Contents of circuit/input.json:", inputJson);
-    }
-
-    function generateProof() {
-        try {
-            console.log("Generating proof...");
-            execSync(`npx snarkjs groth16 prove ${zkeyPath} circuit/witness.wtns circuit/proof.json circuit/public.json`, { stdio: 'inherit' });
-            // Read and log the contents of circuit/input.json
-            const publicJson = fs.readFileSync("circuit/public.json", "utf8");
-            console.log("Contents of circuit/public.json:", publicJson);
-        } catch (error) {
-            console.error("Error during proof generation:", error);
-            throw error;
-        }
-    }
-
-    function verifyProof(expectedN) {
-        try {
-            console.log("Verifying proof...");
-            const result = execSync(`npx snarkjs groth16 verify ${verificationKeyPath} circuit/public.json circuit/proof.json`);
-            console.log("Verification result: ", result.toString());
-            return result.toString().includes("OK");
-        } catch (error) {
-            console.error("Error during proof verification:", error);
-            return false;
-        }
-    }
-
-
-    function getCalldata() {
-        try {
-            const calldata = execSync(`npx snarkjs zkey export soliditycalldata circuit/public.json circuit/proof.json`);
-            console.log("Raw Calldata in getCallData:", calldata.toString());
-
-            // Wrap the raw output in square brackets to form a valid JSON array
-            const wrappedCalldata = `[${calldata.toString().trim()}]`;
-            console.log("Calldata:", wrappedCalldata);
-            return JSON.parse(wrappedCalldata);
-        } catch (error) {
-            console.error("Error in getCalldata:", error);
-            throw error;
-        }
+    async function proofInput(input, signer, game) {
+        // Bind the proof to the address that submits it and to the game it is submitted to
+        const { chainId } = await ethers.provider.getNetwork();
+        return { ...input, prover: signer.address, chainId, gameAddress: await game.getAddress() };
     }
 
     context("constructor", function () {
@@ -120,8 +66,14 @@ describe("CompositeNumberGame", function () {
                 const { contracts, signers } = await setupTestFixture();
                 console.log("token contract", contracts.token);
 
-                // Check that the verifier address is set correctly
-                expect(await contracts.game.verifier()).to.equal(await contracts.verifier.getAddress());
+                // Check that the verifiers are registered as circuit versions 1 and 2
+                expect(await contracts.game.circuitVersionCount()).to.equal(2);
+                const verifierVersion = await contracts.game.verifiers(circuitVersion);
+                expect(verifierVersion.verifier).to.equal(await contracts.verifier.getAddress());
+                expect(verifierVersion.deprecated).to.be.false;
+                const verifier128Version = await contracts.game.verifiers(circuitVersion128);
+                expect(verifier128Version.verifier).to.equal(await contracts.verifier128.getAddress());
+                expect(verifier128Version.deprecated).to.be.false;
 
                 // Check that the supported tokens are set correctly
                 expect(await contracts.game.supportedTokens(await contracts.token.getAddress())).to.be.true;
@@ -129,11 +81,23 @@ describe("CompositeNumberGame", function () {
                 // Check that the prize pool for the supported token is zero
                 expect(await contracts.game.prizePools(await contracts.token.getAddress())).to.equal(0);
 
+                // Check that the deployer owns the game and the default solving window bounds are set
+                expect(await contracts.game.owner()).to.equal(signers.owner.address);
+                const blockBounds = await contracts.game.windowBounds(WindowMode.Blocks);
+                expect(blockBounds.min).to.equal(10);
+                expect(blockBounds.max).to.equal(50400);
+                const timestampBounds = await contracts.game.windowBounds(WindowMode.Timestamp);
+                expect(timestampBounds.min).to.equal(2 * 60);
+                expect(timestampBounds.max).to.equal(7 * 24 * 60 * 60);
+
+                // Check that keepers are tipped 1% of the reward by default
+                expect(await contracts.game.keeperTipBps()).to.equal(100);
+
             });
         }); // End of Happy Path Test Cases
 
         context("Error Test Cases", function () {
-            it("should revert if verifier address is zero address", async function () {
+            it("should revert if a token address is zero address", async function () {
                 // Deploy the ERC20 token contract
                 const initialSupply = ethers.parseUnits("10000", 18); //10,000 tokens
                 const Token = await ethers.getContractFactory("MockERC20");
@@ -144,8 +108,8 @@ describe("CompositeNumberGame", function () {
                 const CompositeNumberGame = await ethers.getContractFactory("CompositeNumberGame");
 
                 await expect(
-                    CompositeNumberGame.deploy([tokenAddress], ethers.ZeroAddress)
-                ).to.be.revertedWithCustomError(CompositeNumberGame, "InvalidAddress");
+                    CompositeNumberGame.deploy([tokenAddress, ethers.ZeroAddress], ethers.ZeroAddress)
+                ).to.be.revertedWithCustomError(CompositeNumberGame, "InvalidAddress").withArgs(ethers.ZeroAddress);
             });
         }); // End of Error Test Cases
     }); // End of constructor context
@@ -167,23 +131,23 @@ describe("CompositeNumberGame", function () {
                 const gameBalanceBefore = await contracts.token.balanceOf(contracts.game.getAddress());
 
 
-                // Generate witness, proof, and verify
-                await generateWitness({ n, factor1, factor2 });
-                await generateProof();
+                // Generate proof and verify
+                const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
 
                 // Checking that proof is mathematically valid in JS as a sanity check
-                const isValid = await verifyProof(n);
+                const isValid = await verifyProof(proof, publicSignals);
                 expect(isValid).to.be.true;
 
                 // Get calldata
-                const calldata = await getCalldata();
+                const calldata = await getCalldata(proof, publicSignals);
 
                 // Destructure calldata correctly
                 const [pA, pB, pC, pubSignals] = calldata;
 
 
                 // create the challenge
-                const tx = await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, pA, pB, pC, pubSignals);
+                const tx = await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                const challengeId = await contracts.game.challengeCount();
 
                 // Check balances after
                 const challengerBalanceAfter = await contracts.token.balanceOf(signers.challenger.address,);
@@ -193,20 +157,65 @@ describe("CompositeNumberGame", function () {
                 expect(gameBalanceAfter).to.equal(gameBalanceBefore + rewardAmount);
 
                 // Check state
-                const challenge = await contracts.game.challenges(n);
+                const challenge = await contracts.game.challenges(challengeId);
                 expect(challenge.n).to.equal(n);
                 expect(challenge.rewardAmount).to.equal(rewardAmount);
                 expect(challenge.blockNumber).to.equal(tx.blockNumber);
+                expect(challenge.deadline).to.equal(tx.blockNumber + blockWindow);
                 expect(challenge.challenger).to.equal(signers.challenger.address);
                 expect(challenge.rewardToken).to.equal(await contracts.token.getAddress());
                 expect(challenge.solver).to.equal(ethers.ZeroAddress);
+                expect(challenge.windowMode).to.equal(WindowMode.Blocks);
 
                 // Check event
                 await expect(tx)
                     .to.emit(contracts.game, "ChallengeCreated")
-                    .withArgs(n, signers.challenger, await contracts.token.getAddress(), rewardAmount);
+                    .withArgs(challengeId, n, signers.challenger, await contracts.token.getAddress(), rewardAmount, tx.blockNumber + blockWindow, WindowMode.Blocks);
+
+                // The first challenge gets ID 1
+                expect(challengeId).to.equal(1);
+            });
+
+            it("should allow the same n to be challenged more than once", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const otherChallenger = signers.owner;
+
+                const n = 33;
+                const factor1 = 3;
+                const factor2 = 11;
+                const rewardAmount = ethers.parseEther("100");
+                const tokenAddress = await contracts.token.getAddress();
 
+                // First challenge for n
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+                const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
+                const [pA, pB, pC, pubSignals] = await getCalldata(proof, publicSignals);
+
+                // createChallenge returns the new challenge ID
+                const firstChallengeId = await contracts.game.connect(signers.challenger).createChallenge.staticCall(n, tokenAddress, rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                await contracts.game.connect(signers.challenger).createChallenge(n, tokenAddress, rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+
+                // Second challenge for the same n by another challenger
+                await contracts.token.connect(otherChallenger).approve(await contracts.game.getAddress(), rewardAmount);
+                const { proof: proofOther, publicSignals: publicSignalsOther } = await generateProof(await proofInput({ n, factor1, factor2 }, otherChallenger, contracts.game));
+                const [pAOther, pBOther, pCOther, pubSignalsOther] = await getCalldata(proofOther, publicSignalsOther);
+                const tx = await contracts.game.connect(otherChallenger).createChallenge(n, tokenAddress, rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pAOther, pBOther, pCOther, pubSignalsOther);
+                const secondChallengeId = await contracts.game.challengeCount();
+
+                expect(firstChallengeId).to.equal(1);
+                expect(secondChallengeId).to.equal(2);
+
+                // Both challenges are open for the same n
+                const firstChallenge = await contracts.game.challenges(firstChallengeId);
+                const secondChallenge = await contracts.game.challenges(secondChallengeId);
+                expect(firstChallenge.n).to.equal(n);
+                expect(firstChallenge.challenger).to.equal(signers.challenger.address);
+                expect(secondChallenge.n).to.equal(n);
+                expect(secondChallenge.challenger).to.equal(otherChallenger.address);
 
+                await expect(tx)
+                    .to.emit(contracts.game, "ChallengeCreated")
+                    .withArgs(secondChallengeId, n, otherChallenger, tokenAddress, rewardAmount, tx.blockNumber + blockWindow, WindowMode.Blocks);
             });
         }); // End of Happy Path Test Cases
 
@@ -222,23 +231,22 @@ describe("CompositeNumberGame", function () {
                 await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
 
 
-                // Generate witness, proof, and verify
-                await generateWitness({ n, factor1, factor2 });
-                await generateProof();
+                // Generate proof and verify
+                const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
 
                 // Checking that proof is mathematically valid in JS as a sanity check
-                const isValid = await verifyProof(n);
+                const isValid = await verifyProof(proof, publicSignals);
                 expect(isValid).to.be.true;
 
                 // Get calldata
-                const calldata = await getCalldata();
+                const calldata = await getCalldata(proof, publicSignals);
 
                 // Destructure calldata correctly
                 const [pA, pB, pC, pubSignals] = calldata;
 
                 await expect(
-                    contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, pA, pB, pC, pubSignals)
-                ).to.be.revertedWithCustomError(contracts.game, "NotComposite").withArgs(0);
+                    contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals)
+                ).to.be.revertedWithCustomError(contracts.game, "NotComposite").withArgs(1, 0);
             });
 
             it("should revert if n is prime (not composite)", async function () {
@@ -252,23 +260,22 @@ describe("CompositeNumberGame", function () {
                 await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
 
 
-                // Generate witness, proof, and verify
-                await generateWitness({ n, factor1, factor2 });
-                await generateProof();
+                // Generate proof and verify
+                const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
 
                 // Checking that proof is mathematically valid in JS as a sanity check
-                const isValid = await verifyProof(n);
+                const isValid = await verifyProof(proof, publicSignals);
                 expect(isValid).to.be.true;
 
                 // Get calldata
-                const calldata = await getCalldata();
+                const calldata = await getCalldata(proof, publicSignals);
 
                 // Destructure calldata correctly
                 const [pA, pB, pC, pubSignals] = calldata;
 
                 await expect(
-                    contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, pA, pB, pC, pubSignals)
-                ).to.be.revertedWithCustomError(contracts.game, "NotComposite").withArgs(0);
+                    contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals)
+                ).to.be.revertedWithCustomError(contracts.game, "NotComposite").withArgs(1, 0);
             });
 
 
@@ -282,27 +289,24 @@ describe("CompositeNumberGame", function () {
                 const rewardAmount = ethers.parseEther("100");
                 await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
 
-                // Generate witness, proof, and verify
-                await generateWitness({ n, factor1, factor2 });
-                await generateProof();
+                // Generate proof and verify
+                const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
 
                 // Tamper with the proof to make it invalid
-                const proofJson = JSON.parse(fs.readFileSync("circuit/proof.json", "utf8"));
-                proofJson.pi_a[0] = "1"; // Change the first element of pi_a to make the proof invalid
-                fs.writeFileSync("circuit/proof.json", JSON.stringify(proofJson));
+                proof.pi_a[0] = "1"; // Change the first element of pi_a to make the proof invalid
 
-                const isValid = await verifyProof();
+                const isValid = await verifyProof(proof, publicSignals);
                 console.log("Proof verification result:", isValid);
                 expect(isValid).to.be.false;
 
                 // Get calldata
-                const calldata = await getCalldata();
+                const calldata = await getCalldata(proof, publicSignals);
 
                 // Destructure calldata correctly
                 const [pA, pB, pC, pubSignals] = calldata;
 
                 await expect(
-                    contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, pA, pB, pC, pubSignals)
+                    contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals)
                 ).to.be.revertedWithCustomError(contracts.game, "InvalidProof");
             });
         }); // End of Error test cases
@@ -320,25 +324,29 @@ describe("CompositeNumberGame", function () {
                 const factor2 = 11;
                 const rewardAmount = ethers.parseEther("100");
                 await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
-                // Generate witness, proof, and verify
-                await generateWitness({ n, factor1, factor2 });
-                await generateProof();
+                // Generate proof and verify
+                const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
 
                 // Checking that proof is mathematically valid in JS as a sanity check
-                const isValid = await verifyProof(n);
+                const isValid = await verifyProof(proof, publicSignals);
                 expect(isValid).to.be.true;
 
                 // Get calldata
-                const calldata = await getCalldata();
+                const calldata = await getCalldata(proof, publicSignals);
 
                 // Destructure calldata correctly
                 const [pA, pB, pC, pubSignals] = calldata;
 
                 // Create the challenge
-                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, pA, pB, pC, pubSignals);
+                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                const challengeId = await contracts.game.challengeCount();
+
+                // The solver generates their own proof, bound to their address
+                const { proof: proofSolve, publicSignals: publicSignalsSolve } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.solver, contracts.game));
+                const [pASolve, pBSolve, pCSolve, pubSignalsSolve] = await getCalldata(proofSolve, publicSignalsSolve);
 
                 // Solve the challenge
-                const tx = await contracts.game.connect(signers.solver).solveChallenge(n, pA, pB, pC, pubSignals);
+                const tx = await contracts.game.connect(signers.solver).solveChallenge(challengeId, pASolve, pBSolve, pCSolve, pubSignalsSolve);
 
                 // Check balances
                 const solverBalance = await contracts.game.balances(signers.solver.address, await contracts.token.getAddress());
@@ -348,13 +356,13 @@ describe("CompositeNumberGame", function () {
                 expect(prizePool).to.equal(rewardAmount / 2n);
 
                 // Check state
-                const challenge = await contracts.game.challenges(n);
+                const challenge = await contracts.game.challenges(challengeId);
                 expect(challenge.solver).to.equal(signers.solver.address);
 
                 // Check for events
                 await expect(tx)
                     .to.emit(contracts.game, "ChallengeSolved")
-                    .withArgs(n, signers.solver, await contracts.token.getAddress(), rewardAmount / 2n, rewardAmount / 2n);
+                    .withArgs(challengeId, n, signers.solver, await contracts.token.getAddress(), rewardAmount / 2n, rewardAmount / 2n, 0);
             });
         });
 
@@ -369,45 +377,44 @@ describe("CompositeNumberGame", function () {
                 const rewardAmount = ethers.parseEther("100");
                 await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
 
-                // Generate witness, proof, and verify
-                await generateWitness({ n, factor1, factor2 });
-                await generateProof();
+                // Generate proof and verify
+                const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
 
                 // Checking that proof is mathematically valid in JS as a sanity check
-                const isValid = await verifyProof(n);
+                const isValid = await verifyProof(proof, publicSignals);
                 expect(isValid).to.be.true;
 
                 // Get calldata
-                const calldata = await getCalldata();
+                const calldata = await getCalldata(proof, publicSignals);
 
                 // Destructure calldata correctly
                 const [pA, pB, pC, pubSignals] = calldata;
 
                 // Create the challenge
-                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, pA, pB, pC, pubSignals);
+                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                const challengeId = await contracts.game.challengeCount();
 
 
                 // Try to solve the challenge with incorrect factors for 33
                 const factor1Solve = 2;
                 const factor2Solve = 11;
 
-                // Generate witness, proof, and verify
-                await generateWitness({ n, factor1: factor1Solve, factor2: factor2Solve });
-                await generateProof();
+                // Generate proof and verify
+                const { proof: proofSolve, publicSignals: publicSignalsSolve } = await generateProof(await proofInput({ n, factor1: factor1Solve, factor2: factor2Solve }, signers.solver, contracts.game));
 
                 // Checking that proof is mathematically valid in JS as a sanity check
-                const isValidSolveProof = await verifyProof(n);
+                const isValidSolveProof = await verifyProof(proofSolve, publicSignalsSolve);
                 expect(isValidSolveProof).to.be.true;
 
                 // Get calldata
-                const calldataSolve = await getCalldata();
+                const calldataSolve = await getCalldata(proofSolve, publicSignalsSolve);
 
                 // Destructure calldata correctly
                 const [pASolve, pBSolve, pCSolve, pubSignalsSolve] = calldataSolve;
 
                 await expect(
-                    contracts.game.connect(signers.solver).solveChallenge(n, pASolve, pBSolve, pCSolve, pubSignalsSolve)
-                ).to.be.revertedWithCustomError(contracts.game, "NotComposite").withArgs(0);
+                    contracts.game.connect(signers.solver).solveChallenge(challengeId, pASolve, pBSolve, pCSolve, pubSignalsSolve)
+                ).to.be.revertedWithCustomError(contracts.game, "NotComposite").withArgs(1, 0);
             });
 
             it("should revert if proof is valid but for wrong n", async function () {
@@ -416,6 +423,7 @@ describe("CompositeNumberGame", function () {
                 let n, factor1, factor2;
                 let rewardAmount;
                 let isValid;
+                let proof, publicSignals;
                 let calldata, pA, pB, pC, pubSignals;
 
                 // Create challenge 1
@@ -425,22 +433,21 @@ describe("CompositeNumberGame", function () {
                 rewardAmount = ethers.parseEther("100");
                 await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
 
-                // Generate witness, proof, and verify
-                await generateWitness({ n, factor1, factor2 });
-                await generateProof();
+                // Generate proof and verify
+                ({ proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game)));
 
                 // Checking that proof is mathematically valid in JS as a sanity check
-                isValid = await verifyProof(n);
+                isValid = await verifyProof(proof, publicSignals);
                 expect(isValid).to.be.true;
 
                 // Get calldata
-                calldata = await getCalldata();
+                calldata = await getCalldata(proof, publicSignals);
 
                 // Destructure calldata correctly
                 [pA, pB, pC, pubSignals] = calldata;
 
                 // Create the challenge
-                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, pA, pB, pC, pubSignals);
+                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
 
                 // Create challenge 2
                 n = 100;
@@ -449,22 +456,22 @@ describe("CompositeNumberGame", function () {
                 rewardAmount = ethers.parseEther("100");
                 await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
 
-                // Generate witness, proof, and verify
-                await generateWitness({ n, factor1, factor2 });
-                await generateProof();
+                // Generate proof and verify
+                ({ proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game)));
 
                 // Checking that proof is mathematically valid in JS as a sanity check
-                isValid = await verifyProof(n);
+                isValid = await verifyProof(proof, publicSignals);
                 expect(isValid).to.be.true;
 
                 // Get calldata
-                calldata = await getCalldata();
+                calldata = await getCalldata(proof, publicSignals);
 
                 // Destructure calldata correctly
                 [pA, pB, pC, pubSignals] = calldata;
 
                 // Create the challenge
-                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, pA, pB, pC, pubSignals);
+                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                const challengeId = await contracts.game.challengeCount();
 
 
                 // Try to solve the challenge for wrong n
@@ -472,23 +479,114 @@ describe("CompositeNumberGame", function () {
                 const factor1Solve = 3;
                 const factor2Solve = 11;
 
-                // Generate witness, proof, and verify
-                await generateWitness({ n: nSolve, factor1: factor1Solve, factor2: factor2Solve });
-                await generateProof();
+                // Generate proof and verify
+                const { proof: proofSolve, publicSignals: publicSignalsSolve } = await generateProof(await proofInput({ n: nSolve, factor1: factor1Solve, factor2: factor2Solve }, signers.solver, contracts.game));
 
                 // Checking that proof is mathematically valid in JS as a sanity check
-                const isValidSolveProof = await verifyProof(nSolve);
+                const isValidSolveProof = await verifyProof(proofSolve, publicSignalsSolve);
                 expect(isValidSolveProof).to.be.true;
 
                 // Get calldata
-                const calldataSolve = await getCalldata();
+                const calldataSolve = await getCalldata(proofSolve, publicSignalsSolve);
 
                 // Destructure calldata correctly
                 const [pASolve, pBSolve, pCSolve, pubSignalsSolve] = calldataSolve;
 
                 await expect(
-                    contracts.game.connect(signers.solver).solveChallenge(n, pASolve, pBSolve, pCSolve, pubSignalsSolve)
-                ).to.be.revertedWithCustomError(contracts.game, "ProofNotForN").withArgs(n);
+                    contracts.game.connect(signers.solver).solveChallenge(challengeId, pASolve, pBSolve, pCSolve, pubSignalsSolve)
+                ).to.be.revertedWithCustomError(contracts.game, "ProofNotForN").withArgs(challengeId, n);
+            });
+
+            it("should revert if the challenger's proof is copied from the createChallenge transaction", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+
+                // Create a challenge
+                const n = 33;
+                const factor1 = 3;
+                const factor2 = 11;
+                const rewardAmount = ethers.parseEther("100");
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+
+                // Generate proof and get calldata
+                const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
+                const [pA, pB, pC, pubSignals] = await getCalldata(proof, publicSignals);
+
+                // Create the challenge
+                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                const challengeId = await contracts.game.challengeCount();
+
+                // Try to solve the challenge by resubmitting the challenger's proof
+                await expect(
+                    contracts.game.connect(signers.solver).solveChallenge(challengeId, pA, pB, pC, pubSignals)
+                ).to.be.revertedWithCustomError(contracts.game, "ProofNotForSender").withArgs(challengeId, signers.solver.address);
+            });
+
+            it("should revert if a pending solver's proof is copied by a front-runner", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const frontRunner = signers.owner;
+
+                // Create a challenge
+                const n = 33;
+                const factor1 = 3;
+                const factor2 = 11;
+                const rewardAmount = ethers.parseEther("100");
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+
+                const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
+                const [pA, pB, pC, pubSignals] = await getCalldata(proof, publicSignals);
+                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                const challengeId = await contracts.game.challengeCount();
+
+                // The solver's proof as it would appear in the mempool
+                const { proof: proofSolve, publicSignals: publicSignalsSolve } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.solver, contracts.game));
+                const [pASolve, pBSolve, pCSolve, pubSignalsSolve] = await getCalldata(proofSolve, publicSignalsSolve);
+
+                // The front-runner can't claim the reward with it
+                await expect(
+                    contracts.game.connect(frontRunner).solveChallenge(challengeId, pASolve, pBSolve, pCSolve, pubSignalsSolve)
+                ).to.be.revertedWithCustomError(contracts.game, "ProofNotForSender").withArgs(challengeId, frontRunner.address);
+
+                // Rewriting the bound address in the public signals invalidates the proof
+                const forgedPubSignals = [...pubSignalsSolve];
+                forgedPubSignals[2] = BigInt(frontRunner.address).toString();
+                await expect(
+                    contracts.game.connect(frontRunner).solveChallenge(challengeId, pASolve, pBSolve, pCSolve, forgedPubSignals)
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidProof");
+
+                // The solver that generated the proof can still use it
+                await expect(
+                    contracts.game.connect(signers.solver).solveChallenge(challengeId, pASolve, pBSolve, pCSolve, pubSignalsSolve)
+                ).to.emit(contracts.game, "ChallengeSolved");
+            });
+
+            it("should revert if the proof was generated for another game", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+
+                // Deploy a second game that shares the verifier
+                const CompositeNumberGame = await ethers.getContractFactory("CompositeNumberGame");
+                const otherGame = await CompositeNumberGame.deploy([await contracts.token.getAddress()], ethers.ZeroAddress);
+                await otherGame.addVerifier(await contracts.verifier.getAddress());
+
+                // Create a challenge
+                const n = 33;
+                const factor1 = 3;
+                const factor2 = 11;
+                const rewardAmount = ethers.parseEther("100");
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+
+                const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
+                const [pA, pB, pC, pubSignals] = await getCalldata(proof, publicSignals);
+                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                const challengeId = await contracts.game.challengeCount();
+
+                // The solver's proof is bound to the other game
+                const { proof: proofSolve, publicSignals: publicSignalsSolve } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.solver, otherGame));
+                const [pASolve, pBSolve, pCSolve, pubSignalsSolve] = await getCalldata(proofSolve, publicSignalsSolve);
+
+                const { chainId } = await ethers.provider.getNetwork();
+                await expect(
+                    contracts.game.connect(signers.solver).solveChallenge(challengeId, pASolve, pBSolve, pCSolve, pubSignalsSolve)
+                ).to.be.revertedWithCustomError(contracts.game, "ProofNotForGame").withArgs(challengeId, chainId, await contracts.game.getAddress());
             });
 
             it("should revert if proof is invalid", async function () {
@@ -501,22 +599,22 @@ describe("CompositeNumberGame", function () {
                 const rewardAmount = ethers.parseEther("100");
                 await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
 
-                // Generate witness, proof, and verify
-                await generateWitness({ n, factor1, factor2 });
-                await generateProof();
+                // Generate proof and verify
+                const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
 
                 // Checking that proof is mathematically valid in JS as a sanity check
-                const isValid = await verifyProof(n);
+                const isValid = await verifyProof(proof, publicSignals);
                 expect(isValid).to.be.true;
 
                 // Get calldata
-                const calldata = await getCalldata();
+                const calldata = await getCalldata(proof, publicSignals);
 
                 // Destructure calldata correctly
                 const [pA, pB, pC, pubSignals] = calldata;
 
                 // Create the challenge
-                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, pA, pB, pC, pubSignals);
+                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                const challengeId = await contracts.game.challengeCount();
 
 
                 // Generate valid proof for 33
@@ -524,257 +622,666 @@ describe("CompositeNumberGame", function () {
                 const factor1Solve = 3;
                 const factor2Solve = 11;
 
-                // Generate witness, proof, and verify
-                await generateWitness({ n: nSolve, factor1: factor1Solve, factor2: factor2Solve });
-                await generateProof();
+                // Generate proof and verify
+                const { proof: proofSolve, publicSignals: publicSignalsSolve } = await generateProof(await proofInput({ n: nSolve, factor1: factor1Solve, factor2: factor2Solve }, signers.solver, contracts.game));
 
                 // Tamper with the proof to make it invalid
-                const proofJson = JSON.parse(fs.readFileSync("circuit/proof.json", "utf8"));
-                proofJson.pi_a[0] = "1"; // Change the first element of pi_a to make the proof invalid
-                fs.writeFileSync("circuit/proof.json", JSON.stringify(proofJson));
+                proofSolve.pi_a[0] = "1"; // Change the first element of pi_a to make the proof invalid
 
                 // Checking that proof is mathematically valid in JS as a sanity check
-                const isValidSolveProof = await verifyProof(n);
+                const isValidSolveProof = await verifyProof(proofSolve, publicSignalsSolve);
                 expect(isValidSolveProof).to.be.false;
 
                 // Get calldata
-                const calldataSolve = await getCalldata();
+                const calldataSolve = await getCalldata(proofSolve, publicSignalsSolve);
 
                 // Destructure calldata correctly
                 const [pASolve, pBSolve, pCSolve, pubSignalsSolve] = calldataSolve;
 
                 await expect(
-                    contracts.game.connect(signers.solver).solveChallenge(n, pASolve, pBSolve, pCSolve, pubSignalsSolve)
+                    contracts.game.connect(signers.solver).solveChallenge(challengeId, pASolve, pBSolve, pCSolve, pubSignalsSolve)
                 ).to.be.revertedWithCustomError(contracts.game, "InvalidProof");
             });
         });
     }); // End of solveChallenge context
 
-    context("withdraw", function () {
+    context("solving window", function () {
         context("Happy Path Test Cases", function () {
-            it("should allow a user to withdraw tokens", async function () {
-                const { contracts, signers } = await setupTestWithCircomFixture();
+            it("should accept a solution in the last block of a block window", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
 
-                // Transfer some tokens to the challenger and solver
-                const rewardAmount = ethers.parseUnits("100", 18); // 100 tokens
-                await contracts.token.transfer(signers.challenger.address, rewardAmount);
+                const window = 20;
+                const tx = await createChallenge(contracts.game, signers.challenger, contracts.token, { window, windowMode: WindowMode.Blocks });
+                const challengeId = await contracts.game.challengeCount();
+                const challenge = await contracts.game.challenges(challengeId);
+                expect(challenge.deadline).to.equal(tx.blockNumber + window);
 
-                // Approve the game contract to spend tokens on behalf of the challenger
-                await contracts.token.connect(signers.challenger).approve(contracts.game.getAddress(), rewardAmount);
+                // Mine up to the block before the deadline so the solve transaction lands in the deadline block
+                await mine(window - 1);
+                expect(await contracts.game.isExpired(challengeId)).to.be.false;
 
-                // Create a challenge
-                const n = 33;
-                const factor1 = 3;
-                const factor2 = 11;
-                await generateWitness({ n, factor1, factor2 });
-                await generateProof();
-                const calldata = await getCalldata();
-                const [pA, pB, pC, pubSignals] = calldata;
-                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, pA, pB, pC, pubSignals);
+                const solveCalldata = await proofFor(contracts.game, signers.solver, 33, 3, 11);
+                const solveTx = await contracts.game.connect(signers.solver).solveChallenge(challengeId, ...solveCalldata);
+                expect(solveTx.blockNumber).to.equal(challenge.deadline);
+                await expect(solveTx).to.emit(contracts.game, "ChallengeSolved");
+            });
+
+            it("should expire a timestamp window after its deadline", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
 
+                const window = 60 * 60; // 1 hour
+                const tx = await createChallenge(contracts.game, signers.challenger, contracts.token, { window, windowMode: WindowMode.Timestamp });
+                const challengeId = await contracts.game.challengeCount();
+                const createdAt = (await ethers.provider.getBlock(tx.blockNumber)).timestamp;
 
-                // Solve the challenge
-                const factor1Solve = 3;
-                const factor2Solve = 11;
-                await generateWitness({ n, factor1: factor1Solve, factor2: factor2Solve });
-                await generateProof();
-                const calldataSolve = await getCalldata();
-                const [pASolve, pBSolve, pCSolve, pubSignalsSolve] = calldataSolve;
-                await contracts.game.connect(signers.solver).solveChallenge(n, pASolve, pBSolve, pCSolve, pubSignalsSolve);
+                const challenge = await contracts.game.challenges(challengeId);
+                expect(challenge.windowMode).to.equal(WindowMode.Timestamp);
+                expect(challenge.deadline).to.equal(createdAt + window);
+                await expect(tx)
+                    .to.emit(contracts.game, "ChallengeCreated")
+                    .withArgs(challengeId, 33, signers.challenger, await contracts.token.getAddress(), ethers.parseEther("100"), createdAt + window, WindowMode.Timestamp);
 
-                // Check the solver's balance before withdrawal
-                const balanceBefore = await contracts.game.balances(signers.solver.address, await contracts.token.getAddress());
-                expect(balanceBefore).to.equal(rewardAmount / 2n);
+                // Many blocks don't expire a timestamp window on their own
+                await mine(100);
+                expect(await contracts.game.isExpired(challengeId)).to.be.false;
+                await expect(
+                    contracts.game.connect(signers.challenger).claimExpiredChallenge(challengeId)
+                ).to.be.revertedWithCustomError(contracts.game, "ChallengeNotExpired").withArgs(challengeId);
 
-                // Withdraw tokens
-                await contracts.game.connect(solver).withdraw(rewardAmount / 2n, await contracts.token.getAddress());
+                // Move past the deadline
+                await time.increaseTo(createdAt + window + 1);
+                expect(await contracts.game.isExpired(challengeId)).to.be.true;
 
-                // Check the solver's balance after withdrawal
-                const balanceAfter = await contracts.game.balances(signers.solver.address, await contracts.token.getAddress());
-                expect(balanceAfter).to.equal(0);
+                const solveCalldata = await proofFor(contracts.game, signers.solver, 33, 3, 11);
+                await expect(
+                    contracts.game.connect(signers.solver).solveChallenge(challengeId, ...solveCalldata)
+                ).to.be.revertedWithCustomError(contracts.game, "ChallengeExpired").withArgs(challengeId);
 
-                // Check the solver's token balance
-                const tokenBalance = await contracts.token.balanceOf(signers.solver.address);
-                expect(tokenBalance).to.equal(rewardAmount / 2n);
+                await expect(
+                    contracts.game.connect(signers.challenger).claimExpiredChallenge(challengeId)
+                ).to.emit(contracts.game, "ExpiredChallengeClaimed");
             });
-        }); // End of Happy Path Test Cases
 
-        context("Error Test Cases", function () {
-            it("should revert if the user tries to withdraw more than their balance", async function () {
-                const { contracts, signers } = await setupTestWithCircomFixture();
+            it("should let the owner change the window bounds", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
 
-                // Transfer some tokens to the challenger and solver
-                const rewardAmount = ethers.parseUnits("100", 18); // 100 tokens
-                await contracts.token.transfer(signers.challenger.address, rewardAmount);
+                await expect(
+                    contracts.game.connect(signers.owner).setWindowBounds(WindowMode.Timestamp, 60, 30 * 24 * 60 * 60)
+                ).to.emit(contracts.game, "WindowBoundsUpdated").withArgs(WindowMode.Timestamp, 60, 30 * 24 * 60 * 60);
 
-                // Approve the game contract to spend tokens on behalf of the challenger
-                await contracts.token.connect(signers.challenger).approve(contracts.game.getAddress(), rewardAmount);
+                const bounds = await contracts.game.windowBounds(WindowMode.Timestamp);
+                expect(bounds.min).to.equal(60);
+                expect(bounds.max).to.equal(30 * 24 * 60 * 60);
+            });
+        }); // End of Happy Path Test Cases
 
-                // Create a challenge
-                const n = 33;
-                const factor1 = 3;
-                const factor2 = 11;
-                await generateWitness({ n, factor1, factor2 });
-                await generateProof();
-                const calldata = await getCalldata();
-                const [pA, pB, pC, pubSignals] = calldata;
-                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, pA, pB, pC, pubSignals);
+        context("Error Test Cases", function () {
+            it("should revert if a block challenge is solved after its window", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
 
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { window: blockWindow, windowMode: WindowMode.Blocks });
+                const challengeId = await contracts.game.challengeCount();
+                const solveCalldata = await proofFor(contracts.game, signers.solver, 33, 3, 11);
+                await mine(blockWindow);
 
-                // Solve the challenge
-                const factor1Solve = 3;
-                const factor2Solve = 11;
-                await generateWitness({ n, factor1: factor1Solve, factor2: factor2Solve });
-                await generateProof();
-                const calldataSolve = await getCalldata();
-                const [pASolve, pBSolve, pCSolve, pubSignalsSolve] = calldataSolve;
-                await contracts.game.connect(signers.solver).solveChallenge(n, pASolve, pBSolve, pCSolve, pubSignalsSolve);
+                await expect(
+                    contracts.game.connect(signers.solver).solveChallenge(challengeId, ...solveCalldata)
+                ).to.be.revertedWithCustomError(contracts.game, "ChallengeExpired").withArgs(challengeId);
+            });
 
-                // Check the solver's balance before withdrawal
-                const balanceBefore = await contracts.game.balances(signers.solver.address, await contracts.token.getAddress());
-                expect(balanceBefore).to.equal(rewardAmount / 2n);
+            it("should revert if the window is outside the bounds", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
 
-                // Attempt to withdraw too much
                 await expect(
-                    contracts.game.connect(solver).withdraw(rewardAmount, await contracts.token.getAddress())
-                ).to.be.revertedWithCustomError(contracts.game, "InsufficientBalance").withArgs(rewardAmount, balanceBefore);
+                    createChallenge(contracts.game, signers.challenger, contracts.token, { window: 9, windowMode: WindowMode.Blocks })
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidWindow").withArgs(9, 10, 50400);
 
+                const tooLong = 7 * 24 * 60 * 60 + 1;
+                await expect(
+                    createChallenge(contracts.game, signers.challenger, contracts.token, { window: tooLong, windowMode: WindowMode.Timestamp })
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidWindow").withArgs(tooLong, 2 * 60, 7 * 24 * 60 * 60);
             });
-        });
 
-        context("claimExpiredChallenge", function () {
-            context("Happy Path Test Cases", function () {
-                it("should allow a user to claim the reward for an expired challenge", async function () {
-                    const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+            it("should revert if the bounds are set by someone other than the owner", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
 
-                    // Create a challenge
-                    const n = 33;
-                    const factor1 = 3;
-                    const factor2 = 11;
-                    const rewardAmount = ethers.parseEther("100");
-                    await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+                await expect(
+                    contracts.game.connect(signers.challenger).setWindowBounds(WindowMode.Blocks, 1, 100)
+                ).to.be.revertedWithCustomError(contracts.game, "OwnableUnauthorizedAccount").withArgs(signers.challenger.address);
+            });
 
-                    // Generate witness, proof, and verify
-                    await generateWitness({ n, factor1, factor2 });
-                    await generateProof();
+            it("should revert if the bounds are invalid", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
 
-                    // Checking that proof is mathematically valid in JS as a sanity check
-                    const isValid = await verifyProof(n);
-                    expect(isValid).to.be.true;
+                await expect(
+                    contracts.game.connect(signers.owner).setWindowBounds(WindowMode.Blocks, 0, 100)
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidWindowBounds").withArgs(0, 100);
 
-                    // Get calldata
-                    const calldata = await getCalldata();
+                await expect(
+                    contracts.game.connect(signers.owner).setWindowBounds(WindowMode.Blocks, 101, 100)
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidWindowBounds").withArgs(101, 100);
+            });
+        }); // End of Error Test Cases
+    }); // End of solving window context
 
-                    // Destructure calldata correctly
-                    const [pA, pB, pC, pubSignals] = calldata;
+    context("challenge IDs", function () {
+        context("Happy Path Test Cases", function () {
+            it("should allow n to be challenged again after it is solved", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
 
+                const n = 33;
+                const factor1 = 3;
+                const factor2 = 11;
+                const rewardAmount = ethers.parseEther("100");
+                const tokenAddress = await contracts.token.getAddress();
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount * 2n);
 
-                    // create the challenge
-                    const tx = await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, pA, pB, pC, pubSignals);
+                // Create and solve a challenge for n
+                const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
+                const [pA, pB, pC, pubSignals] = await getCalldata(proof, publicSignals);
+                await contracts.game.connect(signers.challenger).createChallenge(n, tokenAddress, rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                const challengeId = await contracts.game.challengeCount();
 
-                    // Get Reward token address
-                    const challenge = await contracts.game.challenges(n);
+                const { proof: proofSolve, publicSignals: publicSignalsSolve } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.solver, contracts.game));
+                const [pASolve, pBSolve, pCSolve, pubSignalsSolve] = await getCalldata(proofSolve, publicSignalsSolve);
+                await contracts.game.connect(signers.solver).solveChallenge(challengeId, pASolve, pBSolve, pCSolve, pubSignalsSolve);
 
-                    // Advance the blockchain by more than T blocks
-                    const t = await contracts.game.T();
-                    await mine(t + 1n);
+                // The same proof can be used to challenge n again
+                await contracts.game.connect(signers.challenger).createChallenge(n, tokenAddress, rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                const newChallengeId = await contracts.game.challengeCount();
+                expect(newChallengeId).to.equal(challengeId + 1n);
 
-                    // Get balances before claiming the reward
-                    const challengerBalanceBefore = await contracts.game.balances(signers.challenger.address, challenge.rewardToken);
-                    const prizePoolBalanceBefore = await contracts.game.prizePools(challenge.rewardToken);
+                // The new challenge is open while the old one stays solved
+                expect((await contracts.game.challenges(newChallengeId)).solver).to.equal(ethers.ZeroAddress);
+                expect((await contracts.game.challenges(challengeId)).solver).to.equal(signers.solver.address);
 
-                    // Challenger claims the expired challenge
-                    await contracts.game.connect(signers.challenger).claimExpiredChallenge(n);
+                // The solver's proof for n can't be used against the solved challenge again
+                await expect(
+                    contracts.game.connect(signers.solver).solveChallenge(challengeId, pASolve, pBSolve, pCSolve, pubSignalsSolve)
+                ).to.be.revertedWithCustomError(contracts.game, "ChallengeAlreadySolved").withArgs(challengeId);
 
-                    // Check the final balances after claiming the reward
-                    const challengerBalanceAfter = await contracts.game.balances(signers.challenger.address, challenge.rewardToken);
-                    const prizePoolBalanceAfter = await contracts.game.prizePools(challenge.rewardToken);
+                // But it solves the new challenge
+                await expect(
+                    contracts.game.connect(signers.solver).solveChallenge(newChallengeId, pASolve, pBSolve, pCSolve, pubSignalsSolve)
+                ).to.emit(contracts.game, "ChallengeSolved").withArgs(newChallengeId, n, signers.solver, tokenAddress, rewardAmount / 2n, rewardAmount / 2n, 0);
+            });
+        }); // End of Happy Path Test Cases
 
-                    // Challenger should receive 100% of the reward and 50% of the prize pool
-                    const expectedChallengerBalance = challengerBalanceBefore + rewardAmount + (prizePoolBalanceBefore / 2n);
-                    const expectedPrizePoolBalance = prizePoolBalanceBefore - (prizePoolBalanceBefore / 2n);
+        context("Error Test Cases", function () {
+            it("should revert if the challenge ID does not exist", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
 
-                    expect(challengerBalanceAfter).to.equal(expectedChallengerBalance);
-                    expect(prizePoolBalanceAfter).to.equal(expectedPrizePoolBalance);
-                });
-            }); // End of Happy Path Test Cases
+                const n = 33;
+                const factor1 = 3;
+                const factor2 = 11;
+                const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.solver, contracts.game));
+                const [pA, pB, pC, pubSignals] = await getCalldata(proof, publicSignals);
 
-            context("Error Test Cases", function () {
-                it("should revert if the challenge is not expired", async function () {
-                    const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const challengeId = 99;
+                await expect(
+                    contracts.game.connect(signers.solver).solveChallenge(challengeId, pA, pB, pC, pubSignals)
+                ).to.be.revertedWithCustomError(contracts.game, "ChallengeDoesNotExist").withArgs(challengeId);
+            });
+        }); // End of Error Test Cases
+    }); // End of challenge IDs context
 
-                    // Create a challenge
-                    const n = 33;
-                    const factor1 = 3;
-                    const factor2 = 11;
-                    const rewardAmount = ethers.parseEther("100");
-                    await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+    context("verifier registry", function () {
+        // Version 3 re-registers the first circuit's verifier
+        const circuits = { 1: 1, 2: 2, 3: 1 };
 
-                    // Generate witness, proof, and verify
-                    await generateWitness({ n, factor1, factor2 });
-                    await generateProof();
+        context("Happy Path Test Cases", function () {
+            it("should register new circuit versions and record the version on each challenge", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
 
-                    // Checking that proof is mathematically valid in JS as a sanity check
-                    const isValid = await verifyProof(n);
-                    expect(isValid).to.be.true;
+                // Register the first circuit's verifier again as version 3
+                const Verifier = await ethers.getContractFactory("Groth16Verifier");
+                const newVerifier = await Verifier.deploy();
+                await expect(
+                    contracts.game.connect(signers.owner).addVerifier(await newVerifier.getAddress())
+                ).to.emit(contracts.game, "VerifierAdded").withArgs(3, await newVerifier.getAddress());
+                expect(await contracts.game.circuitVersionCount()).to.equal(3);
 
-                    // Get calldata
-                    const calldata = await getCalldata();
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { circuitVersion: 3, circuits });
+                const challengeId = await contracts.game.challengeCount();
+                expect((await contracts.game.challenges(challengeId)).circuitVersion).to.equal(3);
+            });
 
-                    // Destructure calldata correctly
-                    const [pA, pB, pC, pubSignals] = calldata;
+            it("should still solve challenges created under a deprecated version", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
 
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { circuitVersion });
+                const challengeId = await contracts.game.challengeCount();
 
-                    // create the challenge
-                    const tx = await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, pA, pB, pC, pubSignals);
+                await expect(
+                    contracts.game.connect(signers.owner).deprecateVerifier(circuitVersion)
+                ).to.emit(contracts.game, "VerifierDeprecated").withArgs(circuitVersion);
+                expect((await contracts.game.verifiers(circuitVersion)).deprecated).to.be.true;
 
-                    // Get Reward token address
-                    const challenge = await contracts.game.challenges(n);
+                // New challenges can't use the deprecated version
+                await expect(
+                    createChallenge(contracts.game, signers.challenger, contracts.token, { circuitVersion })
+                ).to.be.revertedWithCustomError(contracts.game, "CircuitVersionDeprecated").withArgs(circuitVersion);
 
-                    // Get balances before claiming the reward
-                    const challengerBalanceBefore = await contracts.game.balances(signers.challenger.address, challenge.rewardToken);
-                    const prizePoolBalanceBefore = await contracts.game.prizePools(challenge.rewardToken);
+                // The open challenge is solved against the version it was created under
+                const { proof, publicSignals } = await generateProof(await proofInput({ n: 33, factor1: 3, factor2: 11 }, signers.solver, contracts.game));
+                const [pA, pB, pC, pubSignals] = await getCalldata(proof, publicSignals);
+                await expect(
+                    contracts.game.connect(signers.solver).solveChallenge(challengeId, pA, pB, pC, pubSignals)
+                ).to.emit(contracts.game, "ChallengeSolved");
+            });
+        }); // End of Happy Path Test Cases
 
-                    // Challenger claims the expired challenge
-                    await expect(
-                        contracts.game.connect(signers.challenger).claimExpiredChallenge(n)
-                    ).to.be.revertedWithCustomError(contracts.game, "ChallengeNotExpired").withArgs(n);
-                });
+        context("Error Test Cases", function () {
+            it("should revert if the circuit version is not registered", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
 
-                it("should revert if caller is not the challenger", async function () {
-                    const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                await expect(
+                    createChallenge(contracts.game, signers.challenger, contracts.token, { circuitVersion: 3, circuits })
+                ).to.be.revertedWithCustomError(contracts.game, "UnknownCircuitVersion").withArgs(3);
 
-                    // Create a challenge
-                    const n = 33;
-                    const factor1 = 3;
-                    const factor2 = 11;
-                    const rewardAmount = ethers.parseEther("100");
-                    await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+                await expect(
+                    contracts.game.connect(signers.owner).deprecateVerifier(3)
+                ).to.be.revertedWithCustomError(contracts.game, "UnknownCircuitVersion").withArgs(3);
+            });
 
-                    // Generate witness, proof, and verify
-                    await generateWitness({ n, factor1, factor2 });
-                    await generateProof();
+            it("should revert if a version is deprecated twice", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
 
-                    // Checking that proof is mathematically valid in JS as a sanity check
-                    const isValid = await verifyProof(n);
-                    expect(isValid).to.be.true;
+                await contracts.game.connect(signers.owner).deprecateVerifier(circuitVersion);
+                await expect(
+                    contracts.game.connect(signers.owner).deprecateVerifier(circuitVersion)
+                ).to.be.revertedWithCustomError(contracts.game, "CircuitVersionDeprecated").withArgs(circuitVersion);
+            });
 
-                    // Get calldata
-                    const calldata = await getCalldata();
+            it("should revert if verifier address is zero address", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
+
+                await expect(
+                    contracts.game.connect(signers.owner).addVerifier(ethers.ZeroAddress)
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidAddress").withArgs(ethers.ZeroAddress);
+            });
+
+            it("should revert if someone other than the owner changes the verifiers", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
+
+                await expect(
+                    contracts.game.connect(signers.challenger).addVerifier(await contracts.verifier.getAddress())
+                ).to.be.revertedWithCustomError(contracts.game, "OwnableUnauthorizedAccount").withArgs(signers.challenger.address);
+
+                await expect(
+                    contracts.game.connect(signers.challenger).deprecateVerifier(circuitVersion)
+                ).to.be.revertedWithCustomError(contracts.game, "OwnableUnauthorizedAccount").withArgs(signers.challenger.address);
+            });
+        }); // End of Error Test Cases
+    }); // End of verifier registry context
+
+    context("128-bit circuit", function () {
+        // Two 64-bit primes, the largest below 2^64, whose product is a 128-bit semiprime
+        const p64 = 2n ** 64n - 59n;
+        const q64 = 2n ** 64n - 83n;
+
+        context("Happy Path Test Cases", function () {
+            it("should create and solve a challenge for a 128-bit semiprime", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+
+                const n = p64 * q64;
+                const rewardAmount = ethers.parseEther("100");
+                const tokenAddress = await contracts.token.getAddress();
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+
+                const [pA, pB, pC, pubSignals] = await prove(await proofInput({ n, factor1: p64, factor2: q64 }, signers.challenger, contracts.game), { circuitVersion: circuitVersion128 });
+                await contracts.game.connect(signers.challenger).createChallenge(n, tokenAddress, rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion128, pA, pB, pC, pubSignals);
+                const challengeId = await contracts.game.challengeCount();
+
+                const challenge = await contracts.game.challenges(challengeId);
+                expect(challenge.n).to.equal(n);
+                expect(challenge.circuitVersion).to.equal(circuitVersion128);
+
+                // The solver may list the factors in either order
+                const [pASolve, pBSolve, pCSolve, pubSignalsSolve] = await prove(await proofInput({ n, factor1: q64, factor2: p64 }, signers.solver, contracts.game), { circuitVersion: circuitVersion128 });
+                await expect(
+                    contracts.game.connect(signers.solver).solveChallenge(challengeId, pASolve, pBSolve, pCSolve, pubSignalsSolve)
+                ).to.emit(contracts.game, "ChallengeSolved")
+                    .withArgs(challengeId, n, signers.solver, tokenAddress, rewardAmount / 2n, rewardAmount / 2n, 0);
+            });
+        }); // End of Happy Path Test Cases
+
+        context("Error Test Cases", function () {
+            it("should revert if a version 1 proof is submitted for circuit version 2", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+
+                const n = 33;
+                const rewardAmount = ethers.parseEther("100");
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+
+                const [pA, pB, pC, pubSignals] = await prove(await proofInput({ n, factor1: 3, factor2: 11 }, signers.challenger, contracts.game));
+                const nextChallengeId = (await contracts.game.challengeCount()) + 1n;
+
+                await expect(
+                    contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion128, pA, pB, pC, pubSignals)
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidProof").withArgs(nextChallengeId);
+            });
+        }); // End of Error Test Cases
+    }); // End of 128-bit circuit context
+
+    context("supported tokens", function () {
+        async function deployToken(symbol) {
+            const Token = await ethers.getContractFactory("MockERC20");
+            return Token.deploy(`${symbol} Token`, symbol, 18, ethers.parseUnits("10000", 18));
+        }
+
+        context("Happy Path Test Cases", function () {
+            it("should let the owner add a supported token", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
+                const newToken = await deployToken("NEW");
+                const newTokenAddress = await newToken.getAddress();
+
+                await expect(
+                    contracts.game.connect(signers.owner).addSupportedToken(newTokenAddress)
+                ).to.emit(contracts.game, "TokenSupported").withArgs(newTokenAddress);
+
+                expect(await contracts.game.supportedTokens(newTokenAddress)).to.be.true;
+                expect(await contracts.game.getSupportedTokens()).to.deep.equal([await contracts.token.getAddress(), newTokenAddress]);
+            });
+
+            it("should block new challenges in a removed token but still allow withdrawals", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokenAddress = await contracts.token.getAddress();
+
+                // Create and solve a challenge so the solver has a balance in the token
+                const n = 33;
+                const factor1 = 3;
+                const factor2 = 11;
+                const rewardAmount = ethers.parseEther("100");
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount * 2n);
+
+                const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
+                const [pA, pB, pC, pubSignals] = await getCalldata(proof, publicSignals);
+                await contracts.game.connect(signers.challenger).createChallenge(n, tokenAddress, rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                const challengeId = await contracts.game.challengeCount();
+
+                const { proof: proofSolve, publicSignals: publicSignalsSolve } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.solver, contracts.game));
+                const [pASolve, pBSolve, pCSolve, pubSignalsSolve] = await getCalldata(proofSolve, publicSignalsSolve);
+                await contracts.game.connect(signers.solver).solveChallenge(challengeId, pASolve, pBSolve, pCSolve, pubSignalsSolve);
+
+                // Remove the token
+                await expect(
+                    contracts.game.connect(signers.owner).removeSupportedToken(tokenAddress)
+                ).to.emit(contracts.game, "TokenUnsupported").withArgs(tokenAddress);
+                expect(await contracts.game.supportedTokens(tokenAddress)).to.be.false;
+                expect(await contracts.game.getSupportedTokens()).to.deep.equal([]);
+
+                // New challenges in the token are rejected
+                await expect(
+                    contracts.game.connect(signers.challenger).createChallenge(n, tokenAddress, rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals)
+                ).to.be.revertedWithCustomError(contracts.game, "UnsupportedToken").withArgs(tokenAddress);
+
+                // The solver can still withdraw their balance
+                await expect(
+                    contracts.game.connect(signers.solver).withdraw(rewardAmount / 2n, tokenAddress)
+                ).to.emit(contracts.game, "Withdrawn").withArgs(signers.solver.address, tokenAddress, rewardAmount / 2n, 0);
+                expect(await contracts.token.balanceOf(signers.solver.address)).to.equal(rewardAmount / 2n);
+            });
+        }); // End of Happy Path Test Cases
+
+        context("Error Test Cases", function () {
+            it("should revert if someone other than the owner changes the supported tokens", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
+                const newToken = await deployToken("NEW");
+
+                await expect(
+                    contracts.game.connect(signers.challenger).addSupportedToken(await newToken.getAddress())
+                ).to.be.revertedWithCustomError(contracts.game, "OwnableUnauthorizedAccount").withArgs(signers.challenger.address);
+
+                await expect(
+                    contracts.game.connect(signers.challenger).removeSupportedToken(await contracts.token.getAddress())
+                ).to.be.revertedWithCustomError(contracts.game, "OwnableUnauthorizedAccount").withArgs(signers.challenger.address);
+            });
+
+            it("should revert if the token is the zero address or already supported", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
+
+                await expect(
+                    contracts.game.connect(signers.owner).addSupportedToken(ethers.ZeroAddress)
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidAddress").withArgs(ethers.ZeroAddress);
+
+                await expect(
+                    contracts.game.connect(signers.owner).addSupportedToken(await contracts.token.getAddress())
+                ).to.be.revertedWithCustomError(contracts.game, "TokenAlreadySupported").withArgs(await contracts.token.getAddress());
+            });
+
+            it("should revert if the token being removed is not supported", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
+                const otherToken = await deployToken("OTH");
+
+                await expect(
+                    contracts.game.connect(signers.owner).removeSupportedToken(await otherToken.getAddress())
+                ).to.be.revertedWithCustomError(contracts.game, "UnsupportedToken").withArgs(await otherToken.getAddress());
+            });
+        }); // End of Error Test Cases
+    }); // End of supported tokens context
+
+    context("withdraw", function () {
+        context("Happy Path Test Cases", function () {
+            it("should allow a user to withdraw tokens", async function () {
+                const { contracts, signers } = await setupTestWithCircomFixture();
+
+                // Transfer some tokens to the challenger and solver
+                const rewardAmount = ethers.parseUnits("100", 18); // 100 tokens
+                await contracts.token.transfer(signers.challenger.address, rewardAmount);
+
+                // Approve the game contract to spend tokens on behalf of the challenger
+                await contracts.token.connect(signers.challenger).approve(contracts.game.getAddress(), rewardAmount);
+
+                // Create a challenge
+                const n = 33;
+                const factor1 = 3;
+                const factor2 = 11;
+                const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
+                const calldata = await getCalldata(proof, publicSignals);
+                const [pA, pB, pC, pubSignals] = calldata;
+                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                const challengeId = await contracts.game.challengeCount();
+
+
+                // Solve the challenge
+                const factor1Solve = 3;
+                const factor2Solve = 11;
+                const { proof: proofSolve, publicSignals: publicSignalsSolve } = await generateProof(await proofInput({ n, factor1: factor1Solve, factor2: factor2Solve }, signers.solver, contracts.game));
+                const calldataSolve = await getCalldata(proofSolve, publicSignalsSolve);
+                const [pASolve, pBSolve, pCSolve, pubSignalsSolve] = calldataSolve;
+                await contracts.game.connect(signers.solver).solveChallenge(challengeId, pASolve, pBSolve, pCSolve, pubSignalsSolve);
+
+                // Check the solver's balance before withdrawal
+                const balanceBefore = await contracts.game.balances(signers.solver.address, await contracts.token.getAddress());
+                expect(balanceBefore).to.equal(rewardAmount / 2n);
+
+                // Withdraw tokens
+                await contracts.game.connect(solver).withdraw(rewardAmount / 2n, await contracts.token.getAddress());
+
+                // Check the solver's balance after withdrawal
+                const balanceAfter = await contracts.game.balances(signers.solver.address, await contracts.token.getAddress());
+                expect(balanceAfter).to.equal(0);
+
+                // Check the solver's token balance
+                const tokenBalance = await contracts.token.balanceOf(signers.solver.address);
+                expect(tokenBalance).to.equal(rewardAmount / 2n);
+            });
+        }); // End of Happy Path Test Cases
+
+        context("Error Test Cases", function () {
+            it("should revert if the user tries to withdraw more than their balance", async function () {
+                const { contracts, signers } = await setupTestWithCircomFixture();
+
+                // Transfer some tokens to the challenger and solver
+                const rewardAmount = ethers.parseUnits("100", 18); // 100 tokens
+                await contracts.token.transfer(signers.challenger.address, rewardAmount);
+
+                // Approve the game contract to spend tokens on behalf of the challenger
+                await contracts.token.connect(signers.challenger).approve(contracts.game.getAddress(), rewardAmount);
+
+                // Create a challenge
+                const n = 33;
+                const factor1 = 3;
+                const factor2 = 11;
+                const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
+                const calldata = await getCalldata(proof, publicSignals);
+                const [pA, pB, pC, pubSignals] = calldata;
+                await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                const challengeId = await contracts.game.challengeCount();
+
+
+                // Solve the challenge
+                const factor1Solve = 3;
+                const factor2Solve = 11;
+                const { proof: proofSolve, publicSignals: publicSignalsSolve } = await generateProof(await proofInput({ n, factor1: factor1Solve, factor2: factor2Solve }, signers.solver, contracts.game));
+                const calldataSolve = await getCalldata(proofSolve, publicSignalsSolve);
+                const [pASolve, pBSolve, pCSolve, pubSignalsSolve] = calldataSolve;
+                await contracts.game.connect(signers.solver).solveChallenge(challengeId, pASolve, pBSolve, pCSolve, pubSignalsSolve);
+
+                // Check the solver's balance before withdrawal
+                const balanceBefore = await contracts.game.balances(signers.solver.address, await contracts.token.getAddress());
+                expect(balanceBefore).to.equal(rewardAmount / 2n);
+
+                // Attempt to withdraw too much
+                await expect(
+                    contracts.game.connect(solver).withdraw(rewardAmount, await contracts.token.getAddress())
+                ).to.be.revertedWithCustomError(contracts.game, "InsufficientBalance").withArgs(rewardAmount, balanceBefore);
+
+            });
+        });
+
+        context("claimExpiredChallenge", function () {
+            context("Happy Path Test Cases", function () {
+                it("should allow a user to claim the reward for an expired challenge", async function () {
+                    const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+
+                    // Create a challenge
+                    const n = 33;
+                    const factor1 = 3;
+                    const factor2 = 11;
+                    const rewardAmount = ethers.parseEther("100");
+                    await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+
+                    // Generate proof and verify
+                    const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
+
+                    // Checking that proof is mathematically valid in JS as a sanity check
+                    const isValid = await verifyProof(proof, publicSignals);
+                    expect(isValid).to.be.true;
+
+                    // Get calldata
+                    const calldata = await getCalldata(proof, publicSignals);
+
+                    // Destructure calldata correctly
+                    const [pA, pB, pC, pubSignals] = calldata;
+
+
+                    // create the challenge
+                    const tx = await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                    const challengeId = await contracts.game.challengeCount();
+
+                    // Get Reward token address
+                    const challenge = await contracts.game.challenges(challengeId);
+
+                    // Advance the blockchain past the challenge's window
+                    await mine(blockWindow + 1);
+
+                    // Get balances before claiming the reward
+                    const challengerBalanceBefore = await contracts.game.balances(signers.challenger.address, challenge.rewardToken);
+                    const prizePoolBalanceBefore = await contracts.game.prizePools(challenge.rewardToken);
+
+                    // Challenger claims the expired challenge
+                    await contracts.game.connect(signers.challenger).claimExpiredChallenge(challengeId);
+
+                    // Check the final balances after claiming the reward
+                    const challengerBalanceAfter = await contracts.game.balances(signers.challenger.address, challenge.rewardToken);
+                    const prizePoolBalanceAfter = await contracts.game.prizePools(challenge.rewardToken);
+
+                    // Challenger should receive 100% of the reward and 50% of the prize pool
+                    const expectedChallengerBalance = challengerBalanceBefore + rewardAmount + (prizePoolBalanceBefore / 2n);
+                    const expectedPrizePoolBalance = prizePoolBalanceBefore - (prizePoolBalanceBefore / 2n);
+
+                    expect(challengerBalanceAfter).to.equal(expectedChallengerBalance);
+                    expect(prizePoolBalanceAfter).to.equal(expectedPrizePoolBalance);
+                });
+            }); // End of Happy Path Test Cases
+
+            context("Error Test Cases", function () {
+                it("should revert if the challenge is not expired", async function () {
+                    const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+
+                    // Create a challenge
+                    const n = 33;
+                    const factor1 = 3;
+                    const factor2 = 11;
+                    const rewardAmount = ethers.parseEther("100");
+                    await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+
+                    // Generate proof and verify
+                    const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
+
+                    // Checking that proof is mathematically valid in JS as a sanity check
+                    const isValid = await verifyProof(proof, publicSignals);
+                    expect(isValid).to.be.true;
+
+                    // Get calldata
+                    const calldata = await getCalldata(proof, publicSignals);
+
+                    // Destructure calldata correctly
+                    const [pA, pB, pC, pubSignals] = calldata;
+
+
+                    // create the challenge
+                    const tx = await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                    const challengeId = await contracts.game.challengeCount();
+
+                    // Get Reward token address
+                    const challenge = await contracts.game.challenges(challengeId);
+
+                    // Get balances before claiming the reward
+                    const challengerBalanceBefore = await contracts.game.balances(signers.challenger.address, challenge.rewardToken);
+                    const prizePoolBalanceBefore = await contracts.game.prizePools(challenge.rewardToken);
+
+                    // Challenger claims the expired challenge
+                    await expect(
+                        contracts.game.connect(signers.challenger).claimExpiredChallenge(challengeId)
+                    ).to.be.revertedWithCustomError(contracts.game, "ChallengeNotExpired").withArgs(challengeId);
+                });
+
+                it("should revert if caller is not the challenger", async function () {
+                    const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+
+                    // Create a challenge
+                    const n = 33;
+                    const factor1 = 3;
+                    const factor2 = 11;
+                    const rewardAmount = ethers.parseEther("100");
+                    await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+
+                    // Generate proof and verify
+                    const { proof, publicSignals } = await generateProof(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
+
+                    // Checking that proof is mathematically valid in JS as a sanity check
+                    const isValid = await verifyProof(proof, publicSignals);
+                    expect(isValid).to.be.true;
+
+                    // Get calldata
+                    const calldata = await getCalldata(proof, publicSignals);
 
                     // Destructure calldata correctly
                     const [pA, pB, pC, pubSignals] = calldata;
 
 
                     // create the challenge
-                    const tx = await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, pA, pB, pC, pubSignals);
+                    const tx = await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                    const challengeId = await contracts.game.challengeCount();
 
                     // Get Reward token address
-                    const challenge = await contracts.game.challenges(n);
+                    const challenge = await contracts.game.challenges(challengeId);
 
-                    // Advance the blockchain by more than T blocks
-                    const t = await contracts.game.T();
-                    await mine(t + 1n);
+                    // Advance the blockchain past the challenge's window
+                    await mine(blockWindow + 1);
 
                     // Get balances before claiming the reward
                     const challengerBalanceBefore = await contracts.game.balances(signers.challenger.address, challenge.rewardToken);
@@ -782,11 +1289,1199 @@ describe("CompositeNumberGame", function () {
 
                     // Challenger claims the expired challenge
                     await expect(
-                        contracts.game.connect(signers.solver).claimExpiredChallenge(n)
-                    ).to.be.revertedWithCustomError(contracts.game, "UnauthorizedChallenger").withArgs(signers.solver.address);
+                        contracts.game.connect(signers.solver).claimExpiredChallenge(challengeId)
+                    ).to.be.revertedWithCustomError(contracts.game, "UnauthorizedChallenger").withArgs(challengeId, signers.solver.address);
                 });
             }); // End of Error Test Cases
         }); // End of claimExpiredChallenge context
 
     }); // End of withdraw context
-});
\ No newline at end of file
+
+    context("claimExpiredFor", function () {
+        const rewardAmount = ethers.parseEther("100");
+
+        // Keeper tip with the default of 100 basis points
+        const tip = rewardAmount / 100n;
+
+        async function createExpiredChallenge(contracts, signers, n = 33, factor1 = 3, factor2 = 11) {
+            await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+            const [pA, pB, pC, pubSignals] = await prove(await proofInput({ n, factor1, factor2 }, signers.challenger, contracts.game));
+            await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+            const challengeId = await contracts.game.challengeCount();
+
+            // Advance the blockchain past the challenge's window
+            await mine(blockWindow + 1);
+            return challengeId;
+        }
+
+        // Solves a challenge so that the prize pool holds half of its reward
+        async function fillPrizePool(contracts, signers) {
+            await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+            const [pA, pB, pC, pubSignals] = await prove(await proofInput({ n: 35, factor1: 5, factor2: 7 }, signers.challenger, contracts.game));
+            await contracts.game.connect(signers.challenger).createChallenge(35, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+            const challengeId = await contracts.game.challengeCount();
+            const solveCalldata = await prove(await proofInput({ n: 35, factor1: 5, factor2: 7 }, signers.solver, contracts.game));
+            await contracts.game.connect(signers.solver).solveChallenge(challengeId, ...solveCalldata);
+        }
+
+        context("Happy Path Test Cases", function () {
+            it("should let anyone claim an expired challenge for the challenger and tip them", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                await fillPrizePool(contracts, signers);
+                const challengeId = await createExpiredChallenge(contracts, signers);
+                const prizePoolBefore = await contracts.game.prizePools(tokenAddress);
+
+                // The owner has no stake in the challenge and acts as the keeper
+                await expect(
+                    contracts.game.connect(signers.owner).claimExpiredFor(challengeId)
+                ).to.emit(contracts.game, "ExpiredChallengeClaimed").withArgs(challengeId, 33, signers.challenger.address, tokenAddress, rewardAmount, prizePoolBefore / 2n, 5000)
+                    .and.to.emit(contracts.game, "KeeperTipPaid").withArgs(challengeId, signers.owner.address, tokenAddress, tip);
+
+                // The challenger is credited the reward minus the tip plus half of the prize pool
+                expect(await contracts.game.balances(signers.challenger.address, tokenAddress)).to.equal(rewardAmount - tip + prizePoolBefore / 2n);
+                expect(await contracts.game.balances(signers.owner.address, tokenAddress)).to.equal(tip);
+                expect(await contracts.game.prizePools(tokenAddress)).to.equal(prizePoolBefore - prizePoolBefore / 2n);
+                expect((await contracts.game.challenges(challengeId)).challenger).to.equal(ethers.ZeroAddress);
+
+                // The keeper can withdraw the tip
+                await contracts.game.connect(signers.owner).withdraw(tip, tokenAddress);
+            });
+
+            it("should claim a batch of expired challenges", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                const firstId = await createExpiredChallenge(contracts, signers);
+                const secondId = await createExpiredChallenge(contracts, signers, 35, 5, 7);
+
+                await expect(
+                    contracts.game.connect(signers.solver).claimExpiredForBatch([firstId, secondId])
+                ).to.emit(contracts.game, "KeeperTipPaid").withArgs(secondId, signers.solver.address, tokenAddress, tip);
+
+                expect(await contracts.game.balances(signers.challenger.address, tokenAddress)).to.equal(2n * (rewardAmount - tip));
+                expect(await contracts.game.balances(signers.solver.address, tokenAddress)).to.equal(2n * tip);
+                expect(await contracts.game.isExpired(firstId)).to.be.false;
+                expect(await contracts.game.isExpired(secondId)).to.be.false;
+            });
+
+            it("should let the owner change the tip", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokenAddress = await contracts.token.getAddress();
+
+                await expect(
+                    contracts.game.connect(signers.owner).setKeeperTip(1000)
+                ).to.emit(contracts.game, "KeeperTipUpdated").withArgs(1000);
+                const challengeId = await createExpiredChallenge(contracts, signers);
+                await contracts.game.connect(signers.solver).claimExpiredFor(challengeId);
+                expect(await contracts.game.balances(signers.solver.address, tokenAddress)).to.equal(rewardAmount / 10n);
+
+                // Without a tip, the challenger gets the whole reward and no tip is reported
+                await contracts.game.connect(signers.owner).setKeeperTip(0);
+                const untippedId = await createExpiredChallenge(contracts, signers, 35, 5, 7);
+                await expect(
+                    contracts.game.connect(signers.solver).claimExpiredFor(untippedId)
+                ).not.to.emit(contracts.game, "KeeperTipPaid");
+                expect(await contracts.game.balances(signers.challenger.address, tokenAddress)).to.equal(rewardAmount - rewardAmount / 10n + rewardAmount);
+            });
+
+            it("should not tip the challenger when they claim for themselves", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const challengeId = await createExpiredChallenge(contracts, signers);
+
+                await expect(
+                    contracts.game.connect(signers.challenger).claimExpiredChallenge(challengeId)
+                ).not.to.emit(contracts.game, "KeeperTipPaid");
+                expect(await contracts.game.balances(signers.challenger.address, await contracts.token.getAddress())).to.equal(rewardAmount);
+            });
+        }); // End of Happy Path Test Cases
+
+        context("Error Test Cases", function () {
+            it("should revert if the challenge is not expired, solved or does not exist", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+                const [pA, pB, pC, pubSignals] = await prove(await proofInput({ n: 33, factor1: 3, factor2: 11 }, signers.challenger, contracts.game));
+                await contracts.game.connect(signers.challenger).createChallenge(33, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals);
+                const challengeId = await contracts.game.challengeCount();
+
+                await expect(
+                    contracts.game.connect(signers.owner).claimExpiredFor(challengeId)
+                ).to.be.revertedWithCustomError(contracts.game, "ChallengeNotExpired").withArgs(challengeId);
+
+                const solveCalldata = await prove(await proofInput({ n: 33, factor1: 3, factor2: 11 }, signers.solver, contracts.game));
+                await contracts.game.connect(signers.solver).solveChallenge(challengeId, ...solveCalldata);
+                await mine(blockWindow + 1);
+                await expect(
+                    contracts.game.connect(signers.owner).claimExpiredFor(challengeId)
+                ).to.be.revertedWithCustomError(contracts.game, "ChallengeAlreadySolved").withArgs(challengeId);
+
+                await expect(
+                    contracts.game.connect(signers.owner).claimExpiredFor(challengeId + 1n)
+                ).to.be.revertedWithCustomError(contracts.game, "ChallengeDoesNotExist").withArgs(challengeId + 1n);
+            });
+
+            it("should revert the whole batch if one challenge can't be claimed", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const challengeId = await createExpiredChallenge(contracts, signers);
+                await contracts.game.connect(signers.challenger).claimExpiredChallenge(challengeId);
+                const expiredId = await createExpiredChallenge(contracts, signers, 35, 5, 7);
+
+                // The first challenge was already claimed, so it was deleted
+                await expect(
+                    contracts.game.connect(signers.owner).claimExpiredForBatch([expiredId, challengeId])
+                ).to.be.revertedWithCustomError(contracts.game, "ChallengeDoesNotExist").withArgs(challengeId);
+                expect(await contracts.game.isExpired(expiredId)).to.be.true;
+            });
+
+            it("should revert if the tip is too high or set by someone other than the owner", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
+
+                await expect(
+                    contracts.game.connect(signers.owner).setKeeperTip(1001)
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidKeeperTip").withArgs(1001, 1000);
+                await expect(
+                    contracts.game.connect(signers.challenger).setKeeperTip(50)
+                ).to.be.revertedWithCustomError(contracts.game, "OwnableUnauthorizedAccount").withArgs(signers.challenger.address);
+            });
+        }); // End of Error Test Cases
+    }); // End of claimExpiredFor context
+
+    context("batching", function () {
+        const rewardAmount = ethers.parseEther("10");
+
+        // createChallenges takes one NewChallenge struct per challenge
+        async function newChallenge(contracts, signer, token, n, factor1, factor2, amount = rewardAmount) {
+            const [pA, pB, pC, pubSignals] = await prove(await proofInput({ n, factor1, factor2 }, signer, contracts.game));
+            return {
+                n, rewardToken: await token.getAddress(), rewardAmount: amount, window: blockWindow, windowMode: WindowMode.Blocks,
+                circuitVersion, pA, pB, pC, pubSignals,
+            };
+        }
+
+        // Deploys two more supported tokens and has the solver earn a reward in each of the three tokens
+        async function earnInThreeTokens(contracts, signers) {
+            const Token = await ethers.getContractFactory("MockERC20");
+            const tokens = [contracts.token, await Token.deploy("Second Token", "TK2", 18, ethers.parseEther("1000")), await Token.deploy("Third Token", "TK3", 18, ethers.parseEther("1000"))];
+            const semiprimes = [[33, 3, 11], [35, 5, 7], [15, 3, 5]];
+            for (let i = 0; i < tokens.length; i++) {
+                const token = tokens[i];
+                if (i > 0) await contracts.game.connect(signers.owner).addSupportedToken(await token.getAddress());
+                await token.connect(signers.owner).approve(await contracts.game.getAddress(), rewardAmount);
+                const challenge = await newChallenge(contracts, signers.owner, token, ...semiprimes[i]);
+                await contracts.game.connect(signers.owner).createChallenges([challenge]);
+                const solveCalldata = await prove(await proofInput({ n: semiprimes[i][0], factor1: semiprimes[i][1], factor2: semiprimes[i][2] }, signers.solver, contracts.game));
+                await contracts.game.connect(signers.solver).solveChallenge(await contracts.game.challengeCount(), ...solveCalldata);
+            }
+            return tokens;
+        }
+
+        context("Happy Path Test Cases", function () {
+            it("should create a batch of challenges", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const gameAddress = await contracts.game.getAddress();
+                await contracts.token.connect(signers.challenger).approve(gameAddress, 3n * rewardAmount);
+                const batch = [
+                    await newChallenge(contracts, signers.challenger, contracts.token, 33, 3, 11),
+                    await newChallenge(contracts, signers.challenger, contracts.token, 35, 5, 7),
+                ];
+                // The batch can mix circuit versions
+                const [pA, pB, pC, pubSignals] = await prove(await proofInput({ n: 15, factor1: 3, factor2: 5 }, signers.challenger, contracts.game), { circuitVersion: circuitVersion128 });
+                batch.push({ ...batch[0], n: 15, circuitVersion: circuitVersion128, pA, pB, pC, pubSignals });
+
+                expect(await contracts.game.connect(signers.challenger).createChallenges.staticCall(batch)).to.deep.equal([1n, 2n, 3n]);
+                const tx = contracts.game.connect(signers.challenger).createChallenges(batch);
+                await expect(tx).to.emit(contracts.game, "ChallengeCreated").withArgs(3, 15, signers.challenger.address, await contracts.token.getAddress(), rewardAmount, anyUint, WindowMode.Blocks);
+                await expect(tx).to.changeTokenBalances(contracts.token, [signers.challenger, contracts.game], [-3n * rewardAmount, 3n * rewardAmount]);
+
+                expect(await contracts.game.challengeCount()).to.equal(3);
+                expect((await contracts.game.challenges(2)).n).to.equal(35);
+                expect((await contracts.game.challenges(2)).challenger).to.equal(signers.challenger.address);
+                expect((await contracts.game.challenges(3)).circuitVersion).to.equal(circuitVersion128);
+            });
+
+            it("should withdraw the whole balance of each listed token", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokens = await earnInThreeTokens(contracts, signers);
+                const tokenAddresses = await Promise.all(tokens.map((token) => token.getAddress()));
+                const halfReward = rewardAmount / 2n;
+
+                // Nothing was earned in the fourth token, so it is skipped
+                const unearnedToken = ethers.Wallet.createRandom().address;
+                const listed = [...tokenAddresses, unearnedToken];
+                expect(await contracts.game.connect(signers.solver).withdrawAll.staticCall(listed)).to.deep.equal([halfReward, halfReward, halfReward, 0n]);
+                await expect(
+                    contracts.game.connect(signers.solver).withdrawAll(listed)
+                ).to.emit(contracts.game, "Withdrawn").withArgs(signers.solver.address, tokenAddresses[2], halfReward, 0);
+
+                for (const token of tokens) {
+                    expect(await token.balanceOf(signers.solver.address)).to.equal(halfReward);
+                    expect(await contracts.game.balances(signers.solver.address, await token.getAddress())).to.equal(0);
+                }
+            });
+        }); // End of Happy Path Test Cases
+
+        context("Error Test Cases", function () {
+            it("should revert the whole batch with the index of the failing challenge", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), 3n * rewardAmount);
+                const batch = [
+                    await newChallenge(contracts, signers.challenger, contracts.token, 33, 3, 11),
+                    await newChallenge(contracts, signers.challenger, contracts.token, 35, 5, 7),
+                ];
+
+                // A zero reward at index 2
+                await expect(
+                    contracts.game.connect(signers.challenger).createChallenges([...batch, { ...batch[0], rewardAmount: 0 }])
+                ).to.be.revertedWithCustomError(contracts.game, "BatchItemFailed").withArgs(2, contracts.game.interface.encodeErrorResult("InvalidRewardAmount", [0]));
+
+                // A proof for another n at index 1. The error carries the challenge ID the proof would have been used for
+                await expect(
+                    contracts.game.connect(signers.challenger).createChallenges([batch[0], { ...batch[1], n: 77 }])
+                ).to.be.revertedWithCustomError(contracts.game, "BatchItemFailed").withArgs(1, contracts.game.interface.encodeErrorResult("ProofNotForN", [2, 77]));
+
+                // A proof generated for another sender at index 0
+                await expect(
+                    contracts.game.connect(signers.owner).createChallenges(batch)
+                ).to.be.revertedWithCustomError(contracts.game, "BatchItemFailed").withArgs(0, contracts.game.interface.encodeErrorResult("ProofNotForSender", [1, signers.owner.address]));
+
+                expect(await contracts.game.challengeCount()).to.equal(0);
+            });
+
+            it("should revert the batch if the reward can't be transferred", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const gameAddress = await contracts.game.getAddress();
+                await contracts.token.connect(signers.challenger).approve(gameAddress, rewardAmount);
+                const batch = [
+                    await newChallenge(contracts, signers.challenger, contracts.token, 33, 3, 11),
+                    await newChallenge(contracts, signers.challenger, contracts.token, 35, 5, 7),
+                ];
+
+                await expect(
+                    contracts.game.connect(signers.challenger).createChallenges(batch)
+                ).to.be.revertedWithCustomError(contracts.game, "BatchItemFailed").withArgs(1, contracts.token.interface.encodeErrorResult("ERC20InsufficientAllowance", [gameAddress, 0, rewardAmount]));
+            });
+
+            it("should revert if the batch is empty", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
+
+                await expect(
+                    contracts.game.connect(signers.challenger).createChallenges([])
+                ).to.be.revertedWithCustomError(contracts.game, "EmptyBatch");
+            });
+
+            it("should withdraw a token listed twice only once", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const [token] = await earnInThreeTokens(contracts, signers);
+                const tokenAddress = await token.getAddress();
+
+                await expect(
+                    contracts.game.connect(signers.solver).withdrawAll([tokenAddress, tokenAddress])
+                ).to.changeTokenBalance(token, signers.solver, rewardAmount / 2n);
+            });
+        }); // End of Error Test Cases
+
+        context("Gas Comparisons", function () {
+            // Gas used by a batch call and by the single calls it replaces. Printed in the report-gas run
+            function compareGas(label, singleGas, batchGas) {
+                if (process.env.REPORT_GAS) {
+                    const saved = Number(((singleGas - batchGas) * 10000n) / singleGas) / 100;
+                    console.log(`      ${label}: ${singleGas} gas in single calls, ${batchGas} gas batched (${saved}% less)`);
+                }
+                expect(batchGas).to.be.lessThan(singleGas);
+            }
+
+            it("should create three challenges for less gas than three createChallenge calls", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), 6n * rewardAmount);
+                const semiprimes = [[33, 3, 11], [35, 5, 7], [15, 3, 5]];
+
+                let singleGas = 0n;
+                for (const semiprime of semiprimes) {
+                    const challenge = await newChallenge(contracts, signers.challenger, contracts.token, ...semiprime);
+                    const tx = await contracts.game.connect(signers.challenger).createChallenge(
+                        challenge.n, challenge.rewardToken, challenge.rewardAmount, challenge.window, challenge.windowMode, challenge.circuitVersion,
+                        challenge.pA, challenge.pB, challenge.pC, challenge.pubSignals
+                    );
+                    singleGas += (await tx.wait()).gasUsed;
+                }
+
+                const batch = [];
+                for (const semiprime of semiprimes) {
+                    batch.push(await newChallenge(contracts, signers.challenger, contracts.token, ...semiprime));
+                }
+                const tx = await contracts.game.connect(signers.challenger).createChallenges(batch);
+                compareGas("createChallenges", singleGas, (await tx.wait()).gasUsed);
+            });
+
+            it("should withdraw three tokens for less gas than three withdraw calls", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokens = await earnInThreeTokens(contracts, signers);
+                const tokenAddresses = await Promise.all(tokens.map((token) => token.getAddress()));
+
+                // Withdraw half of each balance singly, then the other half with withdrawAll, so both paths start from a non-zero balance
+                let singleGas = 0n;
+                for (const tokenAddress of tokenAddresses) {
+                    const tx = await contracts.game.connect(signers.solver).withdraw(rewardAmount / 4n, tokenAddress);
+                    singleGas += (await tx.wait()).gasUsed;
+                }
+                const tx = await contracts.game.connect(signers.solver).withdrawAll(tokenAddresses);
+                compareGas("withdrawAll", singleGas, (await tx.wait()).gasUsed);
+            });
+        }); // End of Gas Comparisons
+    }); // End of batching context
+
+    context("createChallengeWithPermit", function () {
+        const n = 33;
+        const rewardAmount = ethers.parseEther("10");
+
+        // Deploys a supported EIP-2612 token and gives the challenger some of it
+        async function setupPermitFixture() {
+            const { contracts, signers } = await setupTestWithCircomFixture();
+            const Token = await ethers.getContractFactory("MockERC20Permit");
+            const permitToken = await Token.deploy("Permit Token", "PTK", 18, ethers.parseEther("1000"));
+            await contracts.game.connect(signers.owner).addSupportedToken(await permitToken.getAddress());
+            await permitToken.connect(signers.owner).transfer(signers.challenger.address, ethers.parseEther("100"));
+            return { contracts: { ...contracts, permitToken }, signers };
+        }
+
+        async function createWithPermit(contracts, signer, token, permit) {
+            const [pA, pB, pC, pubSignals] = await prove(await proofInput({ n, factor1: 3, factor2: 11 }, signer, contracts.game));
+            return contracts.game.connect(signer).createChallengeWithPermit(
+                n, await token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion,
+                pA, pB, pC, pubSignals, permit.deadline, permit.v, permit.r, permit.s
+            );
+        }
+
+        context("Happy Path Test Cases", function () {
+            it("should create a challenge without a separate approve transaction", async function () {
+                const { contracts, signers } = await loadFixture(setupPermitFixture);
+                const gameAddress = await contracts.game.getAddress();
+                const tokenAddress = await contracts.permitToken.getAddress();
+                expect(await supportsPermit(tokenAddress, signers.challenger)).to.be.true;
+
+                const permit = await signPermit({ token: tokenAddress, signer: signers.challenger, spender: gameAddress, value: rewardAmount });
+                const tx = createWithPermit(contracts, signers.challenger, contracts.permitToken, permit);
+
+                await expect(tx).to.emit(contracts.game, "ChallengeCreated").withArgs(1, n, signers.challenger.address, tokenAddress, rewardAmount, anyUint, WindowMode.Blocks);
+                await expect(tx).to.changeTokenBalances(contracts.permitToken, [signers.challenger, contracts.game], [-rewardAmount, rewardAmount]);
+                expect(await contracts.permitToken.nonces(signers.challenger.address)).to.equal(1);
+                expect(await contracts.permitToken.allowance(signers.challenger.address, gameAddress)).to.equal(0);
+            });
+
+            it("should fall back to the allowance if the permit was already used", async function () {
+                const { contracts, signers } = await loadFixture(setupPermitFixture);
+                const gameAddress = await contracts.game.getAddress();
+                const permit = await signPermit({ token: await contracts.permitToken.getAddress(), signer: signers.challenger, spender: gameAddress, value: rewardAmount });
+
+                // Someone copies the permit from the mempool and submits it first
+                await contracts.permitToken.connect(signers.solver).permit(signers.challenger.address, gameAddress, rewardAmount, permit.deadline, permit.v, permit.r, permit.s);
+
+                await expect(
+                    createWithPermit(contracts, signers.challenger, contracts.permitToken, permit)
+                ).to.changeTokenBalance(contracts.permitToken, contracts.game, rewardAmount);
+            });
+
+            it("should fall back to the allowance for tokens without permit", async function () {
+                const { contracts, signers } = await loadFixture(setupPermitFixture);
+                expect(await supportsPermit(await contracts.token.getAddress(), signers.challenger)).to.be.false;
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+
+                const noPermit = { deadline: 0, v: 27, r: ethers.ZeroHash, s: ethers.ZeroHash };
+                await expect(
+                    createWithPermit(contracts, signers.challenger, contracts.token, noPermit)
+                ).to.emit(contracts.game, "ChallengeCreated");
+            });
+        }); // End of Happy Path Test Cases
+
+        context("Error Test Cases", function () {
+            it("should revert if the permit is for less than the reward and the allowance is too low", async function () {
+                const { contracts, signers } = await loadFixture(setupPermitFixture);
+                const gameAddress = await contracts.game.getAddress();
+                const permit = await signPermit({ token: await contracts.permitToken.getAddress(), signer: signers.challenger, spender: gameAddress, value: rewardAmount / 2n });
+
+                await expect(
+                    createWithPermit(contracts, signers.challenger, contracts.permitToken, permit)
+                ).to.be.revertedWithCustomError(contracts.permitToken, "ERC20InsufficientAllowance").withArgs(gameAddress, 0, rewardAmount);
+            });
+
+            it("should revert if the permit is signed by someone other than the challenger", async function () {
+                const { contracts, signers } = await loadFixture(setupPermitFixture);
+                const gameAddress = await contracts.game.getAddress();
+                const permit = await signPermit({ token: await contracts.permitToken.getAddress(), signer: signers.solver, spender: gameAddress, value: rewardAmount });
+
+                await expect(
+                    createWithPermit(contracts, signers.challenger, contracts.permitToken, permit)
+                ).to.be.revertedWithCustomError(contracts.permitToken, "ERC20InsufficientAllowance");
+            });
+
+            it("should revert if the token is not supported", async function () {
+                const { contracts, signers } = await loadFixture(setupPermitFixture);
+                const tokenAddress = await contracts.permitToken.getAddress();
+                await contracts.game.connect(signers.owner).removeSupportedToken(tokenAddress);
+                const permit = await signPermit({ token: tokenAddress, signer: signers.challenger, spender: await contracts.game.getAddress(), value: rewardAmount });
+
+                await expect(
+                    createWithPermit(contracts, signers.challenger, contracts.permitToken, permit)
+                ).to.be.revertedWithCustomError(contracts.game, "UnsupportedToken").withArgs(tokenAddress);
+            });
+        }); // End of Error Test Cases
+    }); // End of createChallengeWithPermit context
+    context("meta-transactions", function () {
+        const n = 33;
+        const rewardAmount = ethers.parseEther("10");
+
+        // Relays a call to the game signed by signer through the trusted forwarder, with the owner paying the gas
+        async function relay(contracts, signers, signer, functionName, args) {
+            const request = await signForwardRequest({
+                forwarder: contracts.forwarder,
+                signer,
+                to: await contracts.game.getAddress(),
+                data: contracts.game.interface.encodeFunctionData(functionName, args),
+            });
+            return contracts.forwarder.connect(signers.owner).execute(request);
+        }
+
+        // Creates a challenge and returns a new account without any ETH, which signs its requests for the relayer
+        async function setupMetaTxFixture() {
+            const { contracts, signers } = await setupTestWithCircomFixture();
+            await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+            const calldata = await prove(await proofInput({ n, factor1: 3, factor2: 11 }, signers.challenger, contracts.game));
+            await contracts.game.connect(signers.challenger).createChallenge(n, await contracts.token.getAddress(), rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, ...calldata);
+            const player = ethers.Wallet.createRandom().connect(ethers.provider);
+            return { contracts, signers: { ...signers, player } };
+        }
+
+        context("Happy Path Test Cases", function () {
+            it("should credit a relayed solution to the account that signed it", async function () {
+                const { contracts, signers } = await loadFixture(setupMetaTxFixture);
+                expect(await contracts.game.trustedForwarder()).to.equal(await contracts.forwarder.getAddress());
+
+                // The proof is bound to the player, not to the relayer that sends it
+                const calldata = await prove(await proofInput({ n, factor1: 11, factor2: 3 }, signers.player, contracts.game));
+                await expect(
+                    relay(contracts, signers, signers.player, "solveChallenge", [1, ...calldata])
+                ).to.emit(contracts.game, "ChallengeSolved").withArgs(1, n, signers.player.address, await contracts.token.getAddress(), rewardAmount / 2n, rewardAmount / 2n, 0);
+
+                expect((await contracts.game.challenges(1)).solver).to.equal(signers.player.address);
+                expect(await contracts.game.balances(signers.player.address, await contracts.token.getAddress())).to.equal(rewardAmount / 2n);
+                expect(await ethers.provider.getBalance(signers.player.address)).to.equal(0);
+            });
+
+            it("should let a relayed withdrawal send the tokens to the signer", async function () {
+                const { contracts, signers } = await loadFixture(setupMetaTxFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                const calldata = await prove(await proofInput({ n, factor1: 11, factor2: 3 }, signers.player, contracts.game));
+                await relay(contracts, signers, signers.player, "solveChallenge", [1, ...calldata]);
+
+                await expect(
+                    relay(contracts, signers, signers.player, "withdraw", [rewardAmount / 2n, tokenAddress])
+                ).to.changeTokenBalances(contracts.token, [signers.player, signers.owner], [rewardAmount / 2n, 0]);
+            });
+
+            it("should record the signer as the challenger of relayed batch challenges", async function () {
+                const { contracts, signers } = await loadFixture(setupMetaTxFixture);
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+                const [pA, pB, pC, pubSignals] = await prove(await proofInput({ n: 35, factor1: 5, factor2: 7 }, signers.challenger, contracts.game));
+                const challenge = {
+                    n: 35, rewardToken: await contracts.token.getAddress(), rewardAmount, window: blockWindow, windowMode: WindowMode.Blocks,
+                    circuitVersion, pA, pB, pC, pubSignals,
+                };
+
+                await expect(
+                    relay(contracts, signers, signers.challenger, "createChallenges", [[challenge]])
+                ).to.emit(contracts.game, "ChallengeCreated").withArgs(2, 35, signers.challenger.address, await contracts.token.getAddress(), rewardAmount, anyUint, WindowMode.Blocks);
+                expect((await contracts.game.challenges(2)).challenger).to.equal(signers.challenger.address);
+            });
+        }); // End of Happy Path Test Cases
+
+        context("Error Test Cases", function () {
+            it("should ignore an appended address in calls that don't come from the forwarder", async function () {
+                const { contracts, signers } = await loadFixture(setupMetaTxFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                const calldata = await prove(await proofInput({ n, factor1: 11, factor2: 3 }, signers.solver, contracts.game));
+                await contracts.game.connect(signers.solver).solveChallenge(1, ...calldata);
+
+                // The challenger appends the solver's address to try to withdraw the solver's balance
+                const data = ethers.concat([contracts.game.interface.encodeFunctionData("withdraw", [rewardAmount / 2n, tokenAddress]), signers.solver.address]);
+                await expect(
+                    signers.challenger.sendTransaction({ to: await contracts.game.getAddress(), data })
+                ).to.be.revertedWithCustomError(contracts.game, "InsufficientBalance").withArgs(rewardAmount / 2n, 0);
+            });
+
+            it("should revert if a relayed request names someone other than its signer", async function () {
+                const { contracts, signers } = await loadFixture(setupMetaTxFixture);
+                const request = await signForwardRequest({
+                    forwarder: contracts.forwarder,
+                    signer: signers.player,
+                    to: await contracts.game.getAddress(),
+                    data: contracts.game.interface.encodeFunctionData("withdraw", [1, await contracts.token.getAddress()]),
+                });
+
+                await expect(
+                    contracts.forwarder.connect(signers.owner).execute({ ...request, from: signers.solver.address })
+                ).to.be.revertedWithCustomError(contracts.forwarder, "ERC2771ForwarderInvalidSigner");
+            });
+        }); // End of Error Test Cases
+    }); // End of meta-transactions context
+
+    context("native ETH rewards", function () {
+        const rewardAmount = ethers.parseEther("1");
+
+        // Supports ETH rewards alongside the mock token
+        async function setupNativeFixture() {
+            const { contracts, signers } = await setupTestWithCircomFixture();
+            const nativeToken = await contracts.game.NATIVE_TOKEN();
+            await contracts.game.connect(signers.owner).addSupportedToken(nativeToken);
+            return { contracts, signers, nativeToken };
+        }
+
+        async function createEthChallenge(contracts, signer, n, factor1, factor2, value = rewardAmount) {
+            const nativeToken = await contracts.game.NATIVE_TOKEN();
+            const calldata = await prove(await proofInput({ n, factor1, factor2 }, signer, contracts.game));
+            return contracts.game.connect(signer).createChallenge(n, nativeToken, rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, ...calldata, { value });
+        }
+
+        context("Happy Path Test Cases", function () {
+            it("should create a challenge with an ETH reward", async function () {
+                const { contracts, signers, nativeToken } = await loadFixture(setupNativeFixture);
+
+                const tx = createEthChallenge(contracts, signers.challenger, 33, 3, 11);
+                await expect(tx).to.emit(contracts.game, "ChallengeCreated").withArgs(1, 33, signers.challenger.address, nativeToken, rewardAmount, anyUint, WindowMode.Blocks);
+                await expect(tx).to.changeEtherBalances([signers.challenger, contracts.game], [-rewardAmount, rewardAmount]);
+                expect((await contracts.game.challenges(1)).rewardToken).to.equal(nativeToken);
+            });
+
+            it("should keep ETH and token prize pools and balances apart and withdraw both", async function () {
+                const { contracts, signers, nativeToken } = await loadFixture(setupNativeFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                const tokenReward = ethers.parseEther("10");
+
+                await createEthChallenge(contracts, signers.challenger, 33, 3, 11);
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), tokenReward);
+                const tokenCalldata = await prove(await proofInput({ n: 35, factor1: 5, factor2: 7 }, signers.challenger, contracts.game));
+                await contracts.game.connect(signers.challenger).createChallenge(35, tokenAddress, tokenReward, blockWindow, WindowMode.Blocks, circuitVersion, ...tokenCalldata);
+
+                await contracts.game.connect(signers.solver).solveChallenge(1, ...(await prove(await proofInput({ n: 33, factor1: 3, factor2: 11 }, signers.solver, contracts.game))));
+                await contracts.game.connect(signers.solver).solveChallenge(2, ...(await prove(await proofInput({ n: 35, factor1: 5, factor2: 7 }, signers.solver, contracts.game))));
+
+                expect(await contracts.game.prizePools(nativeToken)).to.equal(rewardAmount / 2n);
+                expect(await contracts.game.prizePools(tokenAddress)).to.equal(tokenReward / 2n);
+                expect(await contracts.game.balances(signers.solver.address, nativeToken)).to.equal(rewardAmount / 2n);
+                expect(await contracts.game.balances(signers.solver.address, tokenAddress)).to.equal(tokenReward / 2n);
+
+                const tx = contracts.game.connect(signers.solver).withdrawAll([nativeToken, tokenAddress]);
+                await expect(tx).to.changeEtherBalances([signers.solver, contracts.game], [rewardAmount / 2n, -rewardAmount / 2n]);
+                await expect(tx).to.changeTokenBalance(contracts.token, signers.solver, tokenReward / 2n);
+                await expect(tx).to.emit(contracts.game, "Withdrawn").withArgs(signers.solver.address, nativeToken, rewardAmount / 2n, 0);
+            });
+
+            it("should return an expired ETH reward and half the ETH prize pool to the challenger", async function () {
+                const { contracts, signers, nativeToken } = await loadFixture(setupNativeFixture);
+                await createEthChallenge(contracts, signers.challenger, 33, 3, 11);
+                await contracts.game.connect(signers.solver).solveChallenge(1, ...(await prove(await proofInput({ n: 33, factor1: 3, factor2: 11 }, signers.solver, contracts.game))));
+                await createEthChallenge(contracts, signers.challenger, 35, 5, 7);
+                await mine(blockWindow + 1);
+
+                await contracts.game.connect(signers.challenger).claimExpiredChallenge(2);
+
+                expect(await contracts.game.balances(signers.challenger.address, nativeToken)).to.equal(rewardAmount + rewardAmount / 4n);
+                await expect(
+                    contracts.game.connect(signers.challenger).withdraw(rewardAmount, nativeToken)
+                ).to.changeEtherBalance(signers.challenger, rewardAmount);
+            });
+        }); // End of Happy Path Test Cases
+
+        context("Error Test Cases", function () {
+            it("should revert if the ETH sent doesn't match the reward", async function () {
+                const { contracts, signers } = await loadFixture(setupNativeFixture);
+
+                await expect(
+                    createEthChallenge(contracts, signers.challenger, 33, 3, 11, rewardAmount - 1n)
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidValue").withArgs(rewardAmount - 1n, rewardAmount);
+            });
+
+            it("should revert if ETH is sent with a token reward", async function () {
+                const { contracts, signers } = await loadFixture(setupNativeFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+                const calldata = await prove(await proofInput({ n: 33, factor1: 3, factor2: 11 }, signers.challenger, contracts.game));
+
+                await expect(
+                    contracts.game.connect(signers.challenger).createChallenge(33, tokenAddress, rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, ...calldata, { value: 1 })
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidValue").withArgs(1, 0);
+            });
+
+            it("should revert if ETH is not a supported token", async function () {
+                const { contracts, signers, nativeToken } = await loadFixture(setupNativeFixture);
+                await contracts.game.connect(signers.owner).removeSupportedToken(nativeToken);
+
+                await expect(
+                    createEthChallenge(contracts, signers.challenger, 33, 3, 11)
+                ).to.be.revertedWithCustomError(contracts.game, "UnsupportedToken").withArgs(nativeToken);
+            });
+
+            it("should revert ETH rewards in batches and with a permit", async function () {
+                const { contracts, signers, nativeToken } = await loadFixture(setupNativeFixture);
+                const [pA, pB, pC, pubSignals] = await prove(await proofInput({ n: 33, factor1: 3, factor2: 11 }, signers.challenger, contracts.game));
+                const challenge = {
+                    n: 33, rewardToken: nativeToken, rewardAmount, window: blockWindow, windowMode: WindowMode.Blocks,
+                    circuitVersion, pA, pB, pC, pubSignals,
+                };
+
+                await expect(
+                    contracts.game.connect(signers.challenger).createChallenges([challenge])
+                ).to.be.revertedWithCustomError(contracts.game, "BatchItemFailed").withArgs(0, contracts.game.interface.encodeErrorResult("InvalidValue", [0, rewardAmount]));
+                await expect(
+                    contracts.game.connect(signers.challenger).createChallengeWithPermit(
+                        33, nativeToken, rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, pA, pB, pC, pubSignals, 0, 27, ethers.ZeroHash, ethers.ZeroHash
+                    )
+                ).to.be.revertedWithCustomError(contracts.game, "UnsupportedToken").withArgs(nativeToken);
+            });
+        }); // End of Error Test Cases
+    }); // End of native ETH rewards context
+
+    context("non-standard tokens", function () {
+        const rewardAmount = ethers.parseEther("100");
+
+        // Deploys a supported token with 18 decimals and gives the challenger some of it
+        async function deploySupportedToken(contracts, signers, name, ...args) {
+            const Token = await ethers.getContractFactory(name);
+            const token = await Token.deploy("Odd Token", "ODD", 18, ethers.parseEther("10000"), ...args);
+            await contracts.game.connect(signers.owner).addSupportedToken(await token.getAddress());
+            await token.connect(signers.owner).transfer(signers.challenger.address, ethers.parseEther("1000"));
+            return token;
+        }
+
+        // The game must hold at least what it owes: open rewards, the prize pool and the players' balances
+        async function expectSolvent(contracts, signers, token, openChallengeIds = []) {
+            const tokenAddress = await token.getAddress();
+            let liabilities = await contracts.game.prizePools(tokenAddress);
+            for (const signer of [signers.challenger, signers.solver]) {
+                liabilities += await contracts.game.balances(signer.address, tokenAddress);
+            }
+            for (const challengeId of openChallengeIds) {
+                liabilities += (await contracts.game.challenges(challengeId)).rewardAmount;
+            }
+            expect(await token.balanceOf(await contracts.game.getAddress())).to.be.at.least(liabilities);
+        }
+
+        context("Happy Path Test Cases", function () {
+            it("should credit only what arrived for a fee-on-transfer token and pay every withdrawal", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                // 1% of every transfer is burned
+                const token = await deploySupportedToken(contracts, signers, "MockFeeOnTransferERC20", 100);
+                const tokenAddress = await token.getAddress();
+                const received = rewardAmount - rewardAmount / 100n;
+
+                await expect(
+                    createChallenge(contracts.game, signers.challenger, token)
+                ).to.emit(contracts.game, "ChallengeCreated").withArgs(1, 33, signers.challenger.address, tokenAddress, received, anyUint, WindowMode.Blocks);
+                expect((await contracts.game.challenges(1)).rewardAmount).to.equal(received);
+                await expectSolvent(contracts, signers, token, [1]);
+
+                // Challenge 1 is solved, challenge 2 expires and is claimed
+                await contracts.game.connect(signers.solver).solveChallenge(1, ...(await prove(await proofInput({ n: 33, factor1: 3, factor2: 11 }, signers.solver, contracts.game))));
+                await createChallenge(contracts.game, signers.challenger, token, { n: 35, factors: [5, 7] });
+                await mine(blockWindow + 1);
+                await contracts.game.connect(signers.challenger).claimExpiredChallenge(2);
+                await expectSolvent(contracts, signers, token);
+
+                // Every balance can be withdrawn in full, and the rest of the prize pool is still covered
+                await contracts.game.connect(signers.solver).withdrawAll([tokenAddress]);
+                await contracts.game.connect(signers.challenger).withdrawAll([tokenAddress]);
+                await expectSolvent(contracts, signers, token);
+                expect(await token.balanceOf(await contracts.game.getAddress())).to.equal(await contracts.game.prizePools(tokenAddress));
+            });
+
+            it("should stay solvent with a rebasing token", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const token = await deploySupportedToken(contracts, signers, "MockRebasingERC20");
+                const tokenAddress = await token.getAddress();
+                // Balances are no longer whole shares, so transfers round down
+                await token.rebase(3, 7);
+
+                await createChallenge(contracts.game, signers.challenger, token);
+                const { rewardAmount: received } = await contracts.game.challenges(1);
+                expect(received).to.be.at.most(rewardAmount);
+                expect(received).to.equal(await token.balanceOf(await contracts.game.getAddress()));
+
+                await contracts.game.connect(signers.solver).solveChallenge(1, ...(await prove(await proofInput({ n: 33, factor1: 3, factor2: 11 }, signers.solver, contracts.game))));
+                await createChallenge(contracts.game, signers.challenger, token, { n: 35, factors: [5, 7] });
+                await expectSolvent(contracts, signers, token, [2]);
+
+                // A positive rebase leaves a surplus in the game
+                await token.rebase(11, 10);
+                await expectSolvent(contracts, signers, token, [2]);
+
+                await mine(blockWindow + 1);
+                await contracts.game.connect(signers.challenger).claimExpiredChallenge(2);
+                await contracts.game.connect(signers.solver).withdrawAll([tokenAddress]);
+                await contracts.game.connect(signers.challenger).withdrawAll([tokenAddress]);
+                await expectSolvent(contracts, signers, token);
+            });
+        }); // End of Happy Path Test Cases
+
+        context("Error Test Cases", function () {
+            it("should revert if none of the reward arrives", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                // The whole transfer is burned
+                const token = await deploySupportedToken(contracts, signers, "MockFeeOnTransferERC20", 0);
+                await token.setFee(10_000);
+
+                await expect(
+                    createChallenge(contracts.game, signers.challenger, token)
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidRewardAmount").withArgs(0);
+            });
+        }); // End of Error Test Cases
+    }); // End of non-standard tokens context
+
+    context("solvency", function () {
+        // Odd, so that halving it leaves a wei over
+        const rewardAmount = ethers.parseEther("10") + 1n;
+
+        async function expectSolvency(contracts, assets, liabilities) {
+            const solvency = await contracts.game.solvency(await contracts.token.getAddress());
+            expect(solvency.assets).to.equal(assets);
+            expect(solvency.liabilities).to.equal(liabilities);
+            expect(solvency.surplus).to.equal(assets - liabilities);
+        }
+
+        context("Happy Path Test Cases", function () {
+            it("should track liabilities through creating, solving, claiming and withdrawing", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                await expectSolvency(contracts, 0n, 0n);
+
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { amount: rewardAmount });
+                await expectSolvency(contracts, rewardAmount, rewardAmount);
+
+                // The odd wei goes to the prize pool
+                await expect(
+                    contracts.game.connect(signers.solver).solveChallenge(1, ...(await prove(await proofInput({ n: 33, factor1: 3, factor2: 11 }, signers.solver, contracts.game))))
+                ).to.emit(contracts.game, "ChallengeSolved").withArgs(1, 33, signers.solver.address, tokenAddress, rewardAmount / 2n, rewardAmount / 2n + 1n, 0);
+                expect(await contracts.game.prizePools(tokenAddress)).to.equal(rewardAmount / 2n + 1n);
+                await expectSolvency(contracts, rewardAmount, rewardAmount);
+
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { n: 35, factors: [5, 7], amount: rewardAmount });
+                await mine(blockWindow + 1);
+                await contracts.game.connect(signers.solver).claimExpiredFor(2);
+                await expectSolvency(contracts, 2n * rewardAmount, 2n * rewardAmount);
+
+                for (const signer of [signers.challenger, signers.solver]) {
+                    await contracts.game.connect(signer).withdrawAll([tokenAddress]);
+                }
+                const prizePool = await contracts.game.prizePools(tokenAddress);
+                await expectSolvency(contracts, prizePool, prizePool);
+            });
+
+            it("should report tokens sent to the game directly as surplus", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { amount: rewardAmount });
+
+                await contracts.token.connect(signers.challenger).transfer(await contracts.game.getAddress(), 5n);
+
+                await expectSolvency(contracts, rewardAmount + 5n, rewardAmount);
+            });
+        }); // End of Happy Path Test Cases
+
+        context("Error Test Cases", function () {
+            it("should report a deficit when a token's balances shrink", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const Token = await ethers.getContractFactory("MockRebasingERC20");
+                const token = await Token.deploy("Rebasing Token", "RBT", 18, ethers.parseEther("1000"));
+                const tokenAddress = await token.getAddress();
+                await contracts.game.connect(signers.owner).addSupportedToken(tokenAddress);
+                await token.connect(signers.owner).approve(await contracts.game.getAddress(), rewardAmount);
+                const calldata = await prove(await proofInput({ n: 33, factor1: 3, factor2: 11 }, signers.owner, contracts.game));
+                await contracts.game.connect(signers.owner).createChallenge(33, tokenAddress, rewardAmount, blockWindow, WindowMode.Blocks, circuitVersion, ...calldata);
+
+                await token.rebase(1, 2);
+
+                const solvency = await contracts.game.solvency(tokenAddress);
+                expect(solvency.assets).to.be.lessThan(solvency.liabilities);
+                expect(solvency.surplus).to.equal(solvency.assets - solvency.liabilities);
+                expect(solvency.surplus).to.be.lessThan(0);
+            });
+        }); // End of Error Test Cases
+    }); // End of solvency context
+
+    context("reward split", function () {
+        const rewardAmount = ethers.parseEther("10");
+
+        async function solveChallenge(contracts, signers, challengeId, n, factor1, factor2) {
+            const calldata = await proofFor(contracts.game, signers.solver, n, factor1, factor2);
+            return contracts.game.connect(signers.solver).solveChallenge(challengeId, ...calldata);
+        }
+
+        context("Happy Path Test Cases", function () {
+            it("should split solved rewards between the solver, the treasury and the prize pool", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                await expect(contracts.game.connect(signers.owner).setRewardSplit(6_000, 1_000, 5_000))
+                    .to.emit(contracts.game, "RewardSplitUpdated").withArgs(6_000, 1_000, 5_000);
+
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { amount: rewardAmount });
+                const challengeId = await contracts.game.challengeCount();
+
+                await expect(
+                    solveChallenge(contracts, signers, challengeId, 33, 3, 11)
+                ).to.emit(contracts.game, "ChallengeSolved").withArgs(challengeId, 33, signers.solver.address, tokenAddress, ethers.parseEther("6"), ethers.parseEther("3"), ethers.parseEther("1"));
+                expect(await contracts.game.balances(signers.solver.address, tokenAddress)).to.equal(ethers.parseEther("6"));
+                expect(await contracts.game.treasuryBalances(tokenAddress)).to.equal(ethers.parseEther("1"));
+                expect(await contracts.game.prizePools(tokenAddress)).to.equal(ethers.parseEther("3"));
+                expect((await contracts.game.solvency(tokenAddress)).liabilities).to.equal(rewardAmount);
+            });
+
+            it("should give the remainder wei of rounded-down shares to the prize pool", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                await contracts.game.connect(signers.owner).setRewardSplit(3_333, 3_333, 5_000);
+                // 3333 bps of 10,001 wei is 3333.3333 wei, so both shares round down
+                const amount = 10_001n;
+                const share = 3_333n;
+
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { amount });
+                const challengeId = await contracts.game.challengeCount();
+
+                await expect(
+                    solveChallenge(contracts, signers, challengeId, 33, 3, 11)
+                ).to.emit(contracts.game, "ChallengeSolved").withArgs(challengeId, 33, signers.solver.address, tokenAddress, share, amount - 2n * share, share);
+            });
+
+            it("should keep the split a challenge was created with", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { amount: rewardAmount });
+                const challengeId = await contracts.game.challengeCount();
+
+                // Changing the split afterwards doesn't reduce the solver's share
+                await contracts.game.connect(signers.owner).setRewardSplit(1_000, 2_000, 1_000);
+                const split = (await contracts.game.challenges(challengeId)).rewardSplit;
+                expect(split.solverBps).to.equal(5_000);
+                expect(split.treasuryBps).to.equal(0);
+                expect(split.expiryPoolBps).to.equal(5_000);
+
+                await expect(
+                    solveChallenge(contracts, signers, challengeId, 33, 3, 11)
+                ).to.emit(contracts.game, "ChallengeSolved").withArgs(challengeId, 33, signers.solver.address, tokenAddress, rewardAmount / 2n, rewardAmount / 2n, 0);
+
+                // A challenge created after the change uses the new split
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { n: 35, factors: [5, 7], amount: rewardAmount });
+                const newChallengeId = await contracts.game.challengeCount();
+                expect((await contracts.game.challenges(newChallengeId)).rewardSplit.solverBps).to.equal(1_000);
+            });
+
+            it("should pay an expired challenge the prize pool share it was created with", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                await contracts.game.connect(signers.owner).setRewardSplit(5_000, 0, 2_500);
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { amount: rewardAmount });
+                const solvedId = await contracts.game.challengeCount();
+                await solveChallenge(contracts, signers, solvedId, 33, 3, 11);
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { n: 35, factors: [5, 7], amount: rewardAmount });
+                const expiredId = await contracts.game.challengeCount();
+                await contracts.game.connect(signers.owner).setRewardSplit(5_000, 0, 10_000);
+                await mine(blockWindow + 1);
+
+                const prizePool = await contracts.game.prizePools(tokenAddress);
+                await expect(
+                    contracts.game.connect(signers.challenger).claimExpiredChallenge(expiredId)
+                ).to.emit(contracts.game, "ExpiredChallengeClaimed").withArgs(expiredId, 35, signers.challenger.address, tokenAddress, rewardAmount, prizePool / 4n, 2_500);
+                expect(await contracts.game.prizePools(tokenAddress)).to.equal(prizePool - prizePool / 4n);
+            });
+
+            it("should withdraw the treasury's balance to the treasury", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                await expect(contracts.game.connect(signers.owner).setTreasury(signers.solver.address))
+                    .to.emit(contracts.game, "TreasuryUpdated").withArgs(signers.solver.address);
+                await contracts.game.connect(signers.owner).setRewardSplit(4_000, 2_000, 5_000);
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { amount: rewardAmount });
+                const challengeId = await contracts.game.challengeCount();
+                await solveChallenge(contracts, signers, challengeId, 33, 3, 11);
+                const treasuryAmount = ethers.parseEther("2");
+
+                // Anyone can trigger the withdrawal, which always goes to the treasury
+                const tx = contracts.game.connect(signers.challenger).withdrawTreasury(tokenAddress);
+                await expect(tx).to.emit(contracts.game, "TreasuryWithdrawn").withArgs(signers.solver.address, tokenAddress, treasuryAmount);
+                await expect(tx).to.changeTokenBalance(contracts.token, signers.solver, treasuryAmount);
+                expect(await contracts.game.treasuryBalances(tokenAddress)).to.equal(0);
+                expect((await contracts.game.solvency(tokenAddress)).liabilities).to.equal(rewardAmount - treasuryAmount);
+            });
+        }); // End of Happy Path Test Cases
+
+        context("Error Test Cases", function () {
+            it("should reject splits that give away more than the whole", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
+
+                await expect(
+                    contracts.game.connect(signers.owner).setRewardSplit(9_000, 1_001, 5_000)
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidRewardSplit").withArgs(9_000, 1_001, 5_000);
+                await expect(
+                    contracts.game.connect(signers.owner).setRewardSplit(5_000, 0, 10_001)
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidRewardSplit").withArgs(5_000, 0, 10_001);
+            });
+
+            it("should only let the owner change the split and the treasury", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
+
+                await expect(
+                    contracts.game.connect(signers.challenger).setRewardSplit(10_000, 0, 5_000)
+                ).to.be.revertedWithCustomError(contracts.game, "OwnableUnauthorizedAccount").withArgs(signers.challenger.address);
+                await expect(
+                    contracts.game.connect(signers.challenger).setTreasury(signers.challenger.address)
+                ).to.be.revertedWithCustomError(contracts.game, "OwnableUnauthorizedAccount").withArgs(signers.challenger.address);
+                await expect(
+                    contracts.game.connect(signers.owner).setTreasury(ethers.ZeroAddress)
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidAddress").withArgs(ethers.ZeroAddress);
+            });
+
+            it("should revert withdrawing an empty treasury balance", async function () {
+                const { contracts } = await loadFixture(setupTestFixture);
+
+                await expect(
+                    contracts.game.withdrawTreasury(await contracts.token.getAddress())
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidAmount").withArgs(0);
+            });
+        }); // End of Error Test Cases
+    }); // End of reward split context
+
+    context("expiry payout cap", function () {
+        const rewardAmount = ethers.parseEther("10");
+
+        // Leaves a prize pool of 50 tokens
+        async function fillPrizePool(contracts, signers) {
+            await createChallenge(contracts.game, signers.challenger, contracts.token, { amount: ethers.parseEther("100") });
+            const challengeId = await contracts.game.challengeCount();
+            const calldata = await proofFor(contracts.game, signers.solver, 33, 3, 11);
+            await contracts.game.connect(signers.solver).solveChallenge(challengeId, ...calldata);
+        }
+
+        context("Happy Path Test Cases", function () {
+            it("should cap an expired challenge's prize pool share at its reward", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                expect(await contracts.game.expiryPayoutCapBps()).to.equal(10_000);
+                await fillPrizePool(contracts, signers);
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { n: 35, factors: [5, 7], amount: rewardAmount });
+                const challengeId = await contracts.game.challengeCount();
+                await mine(blockWindow + 1);
+
+                // Half of the 50 token pool is more than the 10 token reward
+                await expect(
+                    contracts.game.connect(signers.challenger).claimExpiredChallenge(challengeId)
+                ).to.emit(contracts.game, "ExpiredChallengeClaimed").withArgs(challengeId, 35, signers.challenger.address, tokenAddress, rewardAmount, rewardAmount, 5_000);
+                expect(await contracts.game.prizePools(tokenAddress)).to.equal(ethers.parseEther("40"));
+            });
+
+            it("should pay a challenger no more of the pool than they paid into it", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                await fillPrizePool(contracts, signers);
+                expect(await contracts.game.prizePoolContributions(signers.challenger.address, tokenAddress)).to.equal(ethers.parseEther("50"));
+                await contracts.token.connect(signers.owner).transfer(signers.solver.address, rewardAmount);
+                await createChallenge(contracts.game, signers.solver, contracts.token, { n: 35, factors: [5, 7], amount: rewardAmount });
+                const solverChallengeId = await contracts.game.challengeCount();
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { n: 77, factors: [7, 11], amount: rewardAmount });
+                const challengeId = await contracts.game.challengeCount();
+                await mine(blockWindow + 1);
+
+                // The solver never paid into the pool, so they only get their reward back
+                await expect(
+                    contracts.game.connect(signers.solver).claimExpiredChallenge(solverChallengeId)
+                ).to.emit(contracts.game, "ExpiredChallengeClaimed").withArgs(solverChallengeId, 35, signers.solver.address, tokenAddress, rewardAmount, 0, 5_000);
+                await expect(
+                    contracts.game.connect(signers.challenger).claimExpiredChallenge(challengeId)
+                ).to.emit(contracts.game, "ExpiredChallengeClaimed").withArgs(challengeId, 77, signers.challenger.address, tokenAddress, rewardAmount, rewardAmount, 5_000);
+                expect(await contracts.game.prizePoolContributions(signers.challenger.address, tokenAddress)).to.equal(ethers.parseEther("40"));
+            });
+
+            it("should keep the cap a challenge was created with", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                await fillPrizePool(contracts, signers);
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { n: 35, factors: [5, 7], amount: rewardAmount });
+                const challengeId = await contracts.game.challengeCount();
+                await expect(contracts.game.connect(signers.owner).setExpiryPayoutCap(20_000))
+                    .to.emit(contracts.game, "ExpiryPayoutCapUpdated").withArgs(20_000);
+                expect((await contracts.game.challenges(challengeId)).expiryPayoutCapBps).to.equal(10_000);
+                await createChallenge(contracts.game, signers.challenger, contracts.token, { n: 77, factors: [7, 11], amount: rewardAmount });
+                const newChallengeId = await contracts.game.challengeCount();
+                expect((await contracts.game.challenges(newChallengeId)).expiryPayoutCapBps).to.equal(20_000);
+                await mine(blockWindow + 1);
+
+                await contracts.game.connect(signers.challenger).claimExpiredChallenge(challengeId);
+                expect(await contracts.game.prizePools(tokenAddress)).to.equal(ethers.parseEther("40"));
+                // Half of the remaining 40 tokens is within twice the reward
+                await contracts.game.connect(signers.challenger).claimExpiredChallenge(newChallengeId);
+                expect(await contracts.game.prizePools(tokenAddress)).to.equal(ethers.parseEther("20"));
+            });
+        }); // End of Happy Path Test Cases
+
+        context("Error Test Cases", function () {
+            it("should reject a cap above MAX_EXPIRY_PAYOUT_CAP_BPS", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
+                const max = await contracts.game.MAX_EXPIRY_PAYOUT_CAP_BPS();
+
+                await expect(
+                    contracts.game.connect(signers.owner).setExpiryPayoutCap(max + 1n)
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidExpiryPayoutCap").withArgs(max + 1n, max);
+            });
+
+            it("should only let the owner change the cap", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
+
+                await expect(
+                    contracts.game.connect(signers.challenger).setExpiryPayoutCap(0)
+                ).to.be.revertedWithCustomError(contracts.game, "OwnableUnauthorizedAccount").withArgs(signers.challenger.address);
+            });
+        }); // End of Error Test Cases
+    }); // End of expiry payout cap context
+
+    context("minimum rewards and creation fees", function () {
+        // Mirrors the CompositeNumberGame.FeeDestination enum
+        const FeeDestination = { PrizePool: 0, Treasury: 1 };
+
+        const rewardAmount = ethers.parseEther("10");
+        const creationFee = ethers.parseEther("1");
+
+        // Stands in for NATIVE_TOKEN, which createChallenge is called with like a token
+        async function supportEth(contracts, signers) {
+            const nativeToken = await contracts.game.NATIVE_TOKEN();
+            await contracts.game.connect(signers.owner).addSupportedToken(nativeToken);
+            return { getAddress: async () => nativeToken };
+        }
+
+        context("Happy Path Test Cases", function () {
+            it("should accept a reward of exactly the token's minimum", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                await expect(contracts.game.connect(signers.owner).setMinReward(tokenAddress, rewardAmount))
+                    .to.emit(contracts.game, "MinRewardUpdated").withArgs(tokenAddress, rewardAmount);
+
+                const requirements = await contracts.game.getCreationRequirements(tokenAddress);
+                expect(requirements.supported).to.be.true;
+                expect(requirements.minReward).to.equal(rewardAmount);
+                expect(requirements.creationFee).to.equal(0);
+
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+                await expect(createChallenge(contracts.game, signers.challenger, contracts.token, { amount: rewardAmount, approve: false })).to.emit(contracts.game, "ChallengeCreated");
+            });
+
+            it("should credit the creation fee to the prize pool and the rest to the reward", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const tokenAddress = await contracts.token.getAddress();
+                await expect(contracts.game.connect(signers.owner).setCreationFee(tokenAddress, creationFee))
+                    .to.emit(contracts.game, "CreationFeeUpdated").withArgs(tokenAddress, creationFee);
+                expect((await contracts.game.getCreationRequirements(tokenAddress)).creationFee).to.equal(creationFee);
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount + creationFee);
+
+                const tx = createChallenge(contracts.game, signers.challenger, contracts.token, { amount: rewardAmount, approve: false });
+                await expect(tx).to.emit(contracts.game, "CreationFeePaid").withArgs(1, tokenAddress, creationFee, FeeDestination.PrizePool)
+                    .and.to.emit(contracts.game, "ChallengeCreated").withArgs(1, 33, signers.challenger.address, tokenAddress, rewardAmount, anyUint, WindowMode.Blocks);
+                await expect(tx).to.changeTokenBalance(contracts.token, signers.challenger, -(rewardAmount + creationFee));
+
+                expect((await contracts.game.challenges(1)).rewardAmount).to.equal(rewardAmount);
+                expect(await contracts.game.prizePools(tokenAddress)).to.equal(creationFee);
+                expect((await contracts.game.solvency(tokenAddress)).liabilities).to.equal(rewardAmount + creationFee);
+            });
+
+            it("should credit ETH creation fees to the treasury when it is the destination", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const eth = await supportEth(contracts, signers);
+                const nativeToken = await eth.getAddress();
+                await contracts.game.connect(signers.owner).setCreationFee(nativeToken, creationFee);
+                await expect(contracts.game.connect(signers.owner).setCreationFeeDestination(FeeDestination.Treasury))
+                    .to.emit(contracts.game, "CreationFeeDestinationUpdated").withArgs(FeeDestination.Treasury);
+
+                await expect(
+                    createChallenge(contracts.game, signers.challenger, eth, { amount: rewardAmount, approve: false, overrides: { value: rewardAmount + creationFee } })
+                ).to.emit(contracts.game, "CreationFeePaid").withArgs(1, nativeToken, creationFee, FeeDestination.Treasury);
+
+                expect(await contracts.game.treasuryBalances(nativeToken)).to.equal(creationFee);
+                expect(await contracts.game.prizePools(nativeToken)).to.equal(0);
+                expect((await contracts.game.challenges(1)).rewardAmount).to.equal(rewardAmount);
+            });
+        }); // End of Happy Path Test Cases
+
+        context("Error Test Cases", function () {
+            it("should revert if the reward is below the token's minimum", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                await contracts.game.connect(signers.owner).setMinReward(await contracts.token.getAddress(), rewardAmount);
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+
+                await expect(
+                    createChallenge(contracts.game, signers.challenger, contracts.token, { amount: rewardAmount - 1n, approve: false })
+                ).to.be.revertedWithCustomError(contracts.game, "RewardBelowMinimum").withArgs(rewardAmount - 1n, rewardAmount);
+            });
+
+            it("should apply the minimum to what a fee-on-transfer token delivers", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const Token = await ethers.getContractFactory("MockFeeOnTransferERC20");
+                const token = await Token.deploy("Fee Token", "FEE", 18, ethers.parseEther("10000"), 100);
+                const tokenAddress = await token.getAddress();
+                await contracts.game.connect(signers.owner).addSupportedToken(tokenAddress);
+                await contracts.game.connect(signers.owner).setMinReward(tokenAddress, rewardAmount);
+                await token.connect(signers.owner).transfer(signers.challenger.address, ethers.parseEther("1000"));
+                await token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+
+                // 1% of the transfer is burned
+                const received = rewardAmount - rewardAmount / 100n;
+                await expect(
+                    createChallenge(contracts.game, signers.challenger, token, { amount: rewardAmount, approve: false })
+                ).to.be.revertedWithCustomError(contracts.game, "RewardBelowMinimum").withArgs(received, rewardAmount);
+            });
+
+            it("should revert if less than the creation fee arrives", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const Token = await ethers.getContractFactory("MockFeeOnTransferERC20");
+                const token = await Token.deploy("Fee Token", "FEE", 18, ethers.parseEther("10000"), 0);
+                const tokenAddress = await token.getAddress();
+                await contracts.game.connect(signers.owner).addSupportedToken(tokenAddress);
+                await contracts.game.connect(signers.owner).setCreationFee(tokenAddress, creationFee);
+                await token.connect(signers.owner).transfer(signers.challenger.address, ethers.parseEther("1000"));
+                // The whole transfer is burned
+                await token.setFee(10_000);
+                await token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount + creationFee);
+
+                await expect(
+                    createChallenge(contracts.game, signers.challenger, token, { amount: rewardAmount, approve: false })
+                ).to.be.revertedWithCustomError(contracts.game, "InsufficientCreationFee").withArgs(0, creationFee);
+            });
+
+            it("should revert if the ETH sent doesn't include the creation fee", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                const eth = await supportEth(contracts, signers);
+                await contracts.game.connect(signers.owner).setCreationFee(await eth.getAddress(), creationFee);
+
+                await expect(
+                    createChallenge(contracts.game, signers.challenger, eth, { amount: rewardAmount, approve: false, overrides: { value: rewardAmount } })
+                ).to.be.revertedWithCustomError(contracts.game, "InvalidValue").withArgs(rewardAmount, rewardAmount + creationFee);
+            });
+
+            it("should revert if the allowance doesn't cover the creation fee", async function () {
+                const { contracts, signers } = await loadFixture(setupTestWithCircomFixture);
+                await contracts.game.connect(signers.owner).setCreationFee(await contracts.token.getAddress(), creationFee);
+                await contracts.token.connect(signers.challenger).approve(await contracts.game.getAddress(), rewardAmount);
+
+                await expect(
+                    createChallenge(contracts.game, signers.challenger, contracts.token, { amount: rewardAmount, approve: false })
+                ).to.be.revertedWithCustomError(contracts.token, "ERC20InsufficientAllowance");
+            });
+
+            it("should only let the owner set minimum rewards and creation fees", async function () {
+                const { contracts, signers } = await loadFixture(setupTestFixture);
+                const tokenAddress = await contracts.token.getAddress();
+
+                await expect(
+                    contracts.game.connect(signers.challenger).setMinReward(tokenAddress, 0)
+                ).to.be.revertedWithCustomError(contracts.game, "OwnableUnauthorizedAccount").withArgs(signers.challenger.address);
+                await expect(
+                    contracts.game.connect(signers.challenger).setCreationFee(tokenAddress, 0)
+                ).to.be.revertedWithCustomError(contracts.game, "OwnableUnauthorizedAccount").withArgs(signers.challenger.address);
+                await expect(
+                    contracts.game.connect(signers.challenger).setCreationFeeDestination(FeeDestination.Treasury)
+                ).to.be.revertedWithCustomError(contracts.game, "OwnableUnauthorizedAccount").withArgs(signers.challenger.address);
+            });
+        }); // End of Error Test Cases
+    }); // End of minimum rewards and creation fees context
+});
@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const { execSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { checkVerifier, checkVerifiers, resolveCeremonyArtifacts, runCeremony } = require("../utils/ceremony");
+const { generateProof, verifyProof } = require("../utils/prover");
+
+describe("ceremony", function () {
+    this.timeout(600000); // The ceremony sets up a proving key from scratch
+
+    // Any address works for the binding inputs when the proof is only checked off-chain
+    const binding = {
+        prover: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+        chainId: 31337,
+        gameAddress: "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0",
+    };
+
+    const beacon = { hash: "0x" + "ab".repeat(32), iterationsExp: 10 };
+
+    let ptauPath;
+
+    // A throwaway powers of tau for up to 2^10 constraints, so the ceremony can run without the Hermez file from Git LFS.
+    // Its secret isn't destroyed, which doesn't matter for keys that only live in a temporary directory
+    before(function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ptau-"));
+        ptauPath = path.join(dir, "pot10_final.ptau");
+        const run = (args) => execSync(`npx snarkjs ${args}`, { cwd: dir, stdio: "ignore" });
+        run("powersoftau new bn128 10 pot10_0000.ptau");
+        run("powersoftau contribute pot10_0000.ptau pot10_0001.ptau --name=test -e=test");
+        run("powersoftau prepare phase2 pot10_0001.ptau pot10_final.ptau");
+    });
+
+    // Copies circuit version 1's outputs to a temporary directory, so tests can break them without touching circuit/
+    function copyArtifacts() {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ceremony-"));
+        const artifacts = resolveCeremonyArtifacts(1);
+        const overrides = {
+            zkeyPath: path.join(dir, "final.zkey"),
+            verificationKeyPath: path.join(dir, "verification_key.json"),
+            verifierPaths: [path.join(dir, "circuit-Verifier.sol"), path.join(dir, "contracts-Verifier.sol")],
+            workDir: path.join(dir, "work"),
+            manifestPath: path.join(dir, "ceremony.json"),
+            ptauPath,
+        };
+        fs.copyFileSync(artifacts.zkeyPath, overrides.zkeyPath);
+        fs.copyFileSync(artifacts.verificationKeyPath, overrides.verificationKeyPath);
+        artifacts.verifierPaths.forEach((verifierPath, i) => fs.copyFileSync(verifierPath, overrides.verifierPaths[i]));
+        return overrides;
+    }
+
+    function editJson(filePath, edit) {
+        const value = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        edit(value);
+        fs.writeFileSync(filePath, JSON.stringify(value, null, 1));
+    }
+
+    context("Happy Path Test Cases", function () {
+        it("should find the checked-in zkeys, verification keys and verifiers consistent", async function () {
+            expect(await checkVerifiers()).to.deep.equal([]);
+        });
+
+        it("should run a ceremony whose outputs prove and verify", async function () {
+            const overrides = copyArtifacts();
+
+            const entry = await runCeremony({
+                circuitVersion: 1,
+                contributions: [{ name: "alice" }, { name: "bob", entropy: "bob's entropy" }],
+                beacon,
+                overrides,
+                log: () => {},
+            });
+
+            expect(entry.contributions.map((contribution) => contribution.name)).to.deep.equal(["alice", "bob"]);
+            expect(entry.beacon).to.include({ hash: "ab".repeat(32), iterationsExp: 10 });
+            expect(Object.keys(entry.outputs)).to.have.lengthOf(4);
+            expect(JSON.parse(fs.readFileSync(overrides.manifestPath, "utf8")).circuits[1]).to.deep.equal(entry);
+            expect(await checkVerifier(1, overrides)).to.deep.equal([]);
+            // Both copies of the verifier are the same export
+            expect(fs.readFileSync(overrides.verifierPaths[0], "utf8")).to.equal(fs.readFileSync(overrides.verifierPaths[1], "utf8"));
+
+            const { proof, publicSignals } = await generateProof({ n: 33, factor1: 3, factor2: 11, ...binding }, { zkeyPath: overrides.zkeyPath });
+            expect(await verifyProof(proof, publicSignals, { verificationKeyPath: overrides.verificationKeyPath })).to.be.true;
+            // A new setup has a new delta, so the old verification key rejects its proofs
+            expect(await verifyProof(proof, publicSignals)).to.be.false;
+        });
+    }); // End of Happy Path Test Cases
+
+    context("Error Test Cases", function () {
+        it("should report a verification key whose delta equals gamma", async function () {
+            const overrides = copyArtifacts();
+            editJson(overrides.verificationKeyPath, (key) => {
+                key.vk_delta_2 = key.vk_gamma_2;
+            });
+
+            const problems = await checkVerifier(1, overrides);
+
+            expect(problems.some((problem) => problem.endsWith("has delta equal to gamma, so its zkey never had a phase-2 contribution"))).to.be.true;
+            expect(problems.some((problem) => problem.startsWith("vk_delta_2 of"))).to.be.true;
+        });
+
+        it("should report a verification key that doesn't match the zkey", async function () {
+            const overrides = copyArtifacts();
+            fs.copyFileSync(resolveCeremonyArtifacts(2).zkeyPath, overrides.zkeyPath);
+
+            const problems = await checkVerifier(1, overrides);
+
+            expect(problems).to.include(`IC of ${path.relative(path.join(__dirname, ".."), overrides.verificationKeyPath)} differs from the one in ${path.relative(path.join(__dirname, ".."), overrides.zkeyPath)}`);
+        });
+
+        it("should report a Solidity verifier that doesn't match the verification key", async function () {
+            const overrides = copyArtifacts();
+            const [, contractsVerifier] = overrides.verifierPaths;
+            const source = fs.readFileSync(contractsVerifier, "utf8");
+            fs.writeFileSync(contractsVerifier, source.replace(/uint256 constant deltax1 = \d+;/, "uint256 constant deltax1 = 1;"));
+
+            const problems = await checkVerifier(1, overrides);
+
+            expect(problems).to.have.lengthOf(1);
+            expect(problems[0]).to.match(/^deltax1 in .*contracts-Verifier\.sol is 1, but \d+ in /);
+        });
+
+        it("should report outputs that changed since the ceremony", async function () {
+            const overrides = copyArtifacts();
+            await runCeremony({ circuitVersion: 1, contributions: [{ name: "alice" }], beacon, overrides, log: () => {} });
+            fs.appendFileSync(overrides.verifierPaths[0], "\n");
+
+            const problems = await checkVerifier(1, overrides);
+
+            expect(problems).to.have.lengthOf(1);
+            expect(problems[0]).to.match(/circuit-Verifier\.sol changed since the ceremony recorded in /);
+        });
+
+        it("should ask for the powers of tau when only its Git LFS pointer is there", async function () {
+            const overrides = copyArtifacts();
+            overrides.ptauPath = path.join(path.dirname(overrides.zkeyPath), "pointer.ptau");
+            fs.writeFileSync(overrides.ptauPath, "version https://git-lfs.github.com/spec/v1\noid sha256:" + "00".repeat(32) + "\nsize 37831832\n");
+
+            await expect(
+                runCeremony({ circuitVersion: 1, contributions: [{ name: "alice" }], beacon, overrides })
+            ).to.be.rejectedWith("pointer.ptau is a Git LFS pointer, run git lfs pull to fetch the powers of tau");
+        });
+
+        it("should require a contribution and a valid beacon", async function () {
+            const overrides = copyArtifacts();
+
+            await expect(runCeremony({ circuitVersion: 1, contributions: [], beacon, overrides })).to.be.rejectedWith("A ceremony needs at least one contribution");
+            await expect(
+                runCeremony({ circuitVersion: 1, contributions: [{ name: "alice" }], beacon: { hash: "0x1234" }, overrides })
+            ).to.be.rejectedWith("The beacon hash must be 32 bytes of hex");
+            await expect(
+                runCeremony({ circuitVersion: 1, contributions: [{ name: "alice" }], beacon: { ...beacon, iterationsExp: 4 }, overrides })
+            ).to.be.rejectedWith("The beacon needs between 10 and 63 as iterationsExp, got 4");
+        });
+    }); // End of Error Test Cases
+});
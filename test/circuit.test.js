@@ -0,0 +1,278 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const snarkjs = require("snarkjs");
+const { compileCircuits } = require("./helpers");
+
+describe("circuits", function () {
+    this.timeout(300000); // Increase timeout
+
+    // Order of the BN254 scalar field that circom arithmetic wraps around
+    const fieldSize = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+    // The binding inputs don't affect isComposite
+    const binding = { prover: 1n, chainId: 31337n, gameAddress: 2n };
+
+    // Largest prime below 2^64
+    const p64 = 2n ** 64n - 59n;
+
+    const circuits = ["composite-check", "composite-check-128"];
+
+    // Witness calculators built from each circuit's wasm, keyed by circuit name
+    const witnessCalculators = {};
+
+    before(async function () {
+        // Compile the circuits and load each one's witness calculator
+        compileCircuits();
+        for (const name of circuits) {
+            const builder = require(path.join(__dirname, "..", "circuit", `${name}_js`, "witness_calculator.js"));
+            witnessCalculators[name] = await builder(fs.readFileSync(path.join("circuit", `${name}_js`, `${name}.wasm`)));
+        }
+    });
+
+    // Computes the witness and returns the isComposite output, which follows the constant 1 signal
+    async function isComposite(name, n, factor1, factor2) {
+        const witness = await witnessCalculators[name].calculateWitness({ n, factor1, factor2, ...binding }, true);
+        return witness[1];
+    }
+
+    // The witness calculator throws when a constraint can't be satisfied
+    async function expectUnprovable(name, n, factor1, factor2) {
+        let error;
+        try {
+            await isComposite(name, n, factor1, factor2);
+        } catch (e) {
+            error = e;
+        }
+        expect(error, `witness for n=${n}, factor1=${factor1}, factor2=${factor2}`).to.be.an("error");
+        expect(error.message).to.contain("Assert Failed");
+    }
+
+    // What the circuits are meant to compute: factor1 and factor2 are a non-trivial factorisation of n
+    function isNonTrivialFactorisation(n, factor1, factor2) {
+        return factor1 * factor2 === n && factor1 > 1n && factor2 > 1n && factor1 < n && factor2 < n;
+    }
+
+    // Deterministic Miller-Rabin, exact for n below 3.3 * 10^24 with these bases
+    function isPrime(n) {
+        const bases = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n, 41n];
+        if (n < 2n) return false;
+        for (const p of bases) {
+            if (n % p === 0n) return n === p;
+        }
+
+        let d = n - 1n;
+        let s = 0;
+        while (d % 2n === 0n) {
+            d /= 2n;
+            s++;
+        }
+
+        for (const a of bases) {
+            let x = modPow(a, d, n);
+            if (x === 1n || x === n - 1n) continue;
+            let witnessFound = true;
+            for (let i = 1; i < s; i++) {
+                x = (x * x) % n;
+                if (x === n - 1n) {
+                    witnessFound = false;
+                    break;
+                }
+            }
+            if (witnessFound) return false;
+        }
+        return true;
+    }
+
+    function modPow(base, exponent, modulus) {
+        let result = 1n;
+        base %= modulus;
+        while (exponent > 0n) {
+            if (exponent & 1n) result = (result * base) % modulus;
+            base = (base * base) % modulus;
+            exponent >>= 1n;
+        }
+        return result;
+    }
+
+    function smallestFactor(n) {
+        for (let f = 2n; f * f <= n; f++) {
+            if (n % f === 0n) return f;
+        }
+        return n;
+    }
+
+    // Seeded xorshift generator so that a failing sweep can be reproduced
+    function randomGenerator(seed) {
+        let state = BigInt(seed);
+        const mask = 2n ** 64n - 1n;
+        return function randomBelow(limit) {
+            state ^= (state << 13n) & mask;
+            state ^= state >> 7n;
+            state ^= (state << 17n) & mask;
+            return state % limit;
+        };
+    }
+
+    for (const name of circuits) {
+        context(name, function () {
+            context("Happy Path Test Cases", function () {
+                it("should output 1 for composite numbers", async function () {
+                    expect(await isComposite(name, 33n, 3n, 11n)).to.equal(1n);
+                    expect(await isComposite(name, 33n, 11n, 3n)).to.equal(1n);
+                    expect(await isComposite(name, 100n, 20n, 5n)).to.equal(1n);
+                });
+
+                it("should output 1 for n = 4 and other squares of primes", async function () {
+                    expect(await isComposite(name, 4n, 2n, 2n)).to.equal(1n);
+                    expect(await isComposite(name, 9n, 3n, 3n)).to.equal(1n);
+                    expect(await isComposite(name, 49n, 7n, 7n)).to.equal(1n);
+                    expect(await isComposite(name, 65521n * 65521n, 65521n, 65521n)).to.equal(1n);
+                    expect(await isComposite(name, 4294967291n * 4294967291n, 4294967291n, 4294967291n)).to.equal(1n);
+                });
+
+                it("should output 1 for the maximum 64-bit value", async function () {
+                    const n = 2n ** 64n - 1n;
+                    expect(await isComposite(name, n, 2n ** 32n - 1n, 2n ** 32n + 1n)).to.equal(1n);
+                });
+
+                it("should output 0 for n = 0, 1 and 2", async function () {
+                    expect(await isComposite(name, 0n, 0n, 0n)).to.equal(0n);
+                    expect(await isComposite(name, 0n, 0n, 5n)).to.equal(0n);
+                    expect(await isComposite(name, 1n, 1n, 1n)).to.equal(0n);
+                    expect(await isComposite(name, 2n, 1n, 2n)).to.equal(0n);
+                    expect(await isComposite(name, 2n, 2n, 1n)).to.equal(0n);
+                });
+
+                it("should output 0 if a factor is 1 or n", async function () {
+                    expect(await isComposite(name, 33n, 1n, 33n)).to.equal(0n);
+                    expect(await isComposite(name, 33n, 33n, 1n)).to.equal(0n);
+                    expect(await isComposite(name, 11n, 1n, 11n)).to.equal(0n);
+                    expect(await isComposite(name, 2n ** 64n - 1n, 1n, 2n ** 64n - 1n)).to.equal(0n);
+                    expect(await isComposite(name, p64, 1n, p64)).to.equal(0n);
+                });
+
+                it("should output 0 if the factors don't multiply to n", async function () {
+                    expect(await isComposite(name, 33n, 2n, 11n)).to.equal(0n);
+                    expect(await isComposite(name, 34n, 3n, 11n)).to.equal(0n);
+                });
+
+                it("should produce witnesses that satisfy the r1cs", async function () {
+                    const r1csPath = path.join("circuit", `${name}.r1cs`);
+                    for (const [n, factor1, factor2] of [[33n, 3n, 11n], [11n, 1n, 11n], [0n, 0n, 0n]]) {
+                        const wtns = await witnessCalculators[name].calculateWTNSBin({ n, factor1, factor2, ...binding }, true);
+                        expect(await snarkjs.wtns.check(r1csPath, { type: "mem", data: wtns })).to.be.true;
+                    }
+                });
+            }); // End of Happy Path Test Cases
+
+            context("Error Test Cases", function () {
+                it("should not compute a witness for factors that wrap the field", async function () {
+                    // 2 * factor2 == 7 in the field even though 7 is prime
+                    await expectUnprovable(name, 7n, 2n, (7n * ((fieldSize + 1n) / 2n)) % fieldSize);
+                });
+            }); // End of Error Test Cases
+
+            context("property sweep", function () {
+                it("should agree with a primality oracle for random n", async function () {
+                    const randomBelow = randomGenerator(0x5eed);
+
+                    for (let i = 0; i < 1500; i++) {
+                        const n = randomBelow(2n ** 20n);
+
+                        if (n >= 4n && !isPrime(n)) {
+                            // The smallest factor and its cofactor prove that a composite n is composite
+                            const factor = smallestFactor(n);
+                            expect(await isComposite(name, n, factor, n / factor), `n=${n}`).to.equal(1n);
+                        } else {
+                            // No factorisation makes a prime, 0, 1, 2 or 3 composite
+                            expect(await isComposite(name, n, 1n, n), `n=${n}`).to.equal(0n);
+                            const factor1 = randomBelow(n + 1n);
+                            const factor2 = factor1 === 0n ? randomBelow(n + 1n) : n / factor1;
+                            expect(await isComposite(name, n, factor1, factor2), `n=${n}, factor1=${factor1}, factor2=${factor2}`).to.equal(0n);
+                        }
+                    }
+                });
+
+                it("should agree with the definition for random factor pairs", async function () {
+                    const randomBelow = randomGenerator(0xfac7);
+
+                    for (let i = 0; i < 1500; i++) {
+                        const factor1 = randomBelow(2n ** 32n);
+                        const factor2 = randomBelow(2n ** 32n);
+                        // Use the product itself most of the time and a nearby value otherwise
+                        const n = factor1 * factor2 + [0n, 0n, 1n, 2n][randomBelow(4n)];
+
+                        const expected = isNonTrivialFactorisation(n, factor1, factor2) ? 1n : 0n;
+                        expect(await isComposite(name, n, factor1, factor2), `n=${n}, factor1=${factor1}, factor2=${factor2}`).to.equal(expected);
+                    }
+                });
+            }); // End of property sweep context
+        });
+    }
+
+    context("composite-check without range checks", function () {
+        const name = "composite-check";
+
+        context("Happy Path Test Cases", function () {
+            it("should output 0 for negative factors whose product is n in the field", async function () {
+                // -1 * -33 == 33 in the field. The 64-bit comparators reject -1 as a factor instead of the range checks
+                expect(await isComposite(name, 33n, fieldSize - 1n, fieldSize - 33n)).to.equal(0n);
+            });
+        }); // End of Happy Path Test Cases
+
+        context("Error Test Cases", function () {
+            it("should not compute a witness for composite n wider than 64 bits", async function () {
+                await expectUnprovable(name, 3n * p64, 3n, p64);
+            });
+        }); // End of Error Test Cases
+    }); // End of composite-check without range checks context
+
+    context("composite-check-128 range checks", function () {
+        const name = "composite-check-128";
+
+        context("Happy Path Test Cases", function () {
+            it("should output 1 for 128-bit semiprimes", async function () {
+                const q64 = 2n ** 64n - 83n;
+                expect(await isComposite(name, p64 * q64, p64, q64)).to.equal(1n);
+                expect(await isComposite(name, 3n * p64, 3n, p64)).to.equal(1n);
+                expect(await isComposite(name, p64 * p64, p64, p64)).to.equal(1n);
+                expect(await isComposite(name, 2n ** 128n - 1n, 2n ** 64n - 1n, 2n ** 64n + 1n)).to.equal(1n);
+            });
+
+            it("should agree with the definition for random 128-bit factor pairs", async function () {
+                const randomBelow = randomGenerator(0x128);
+
+                for (let i = 0; i < 500; i++) {
+                    // Any factorisation of an n below 2^128 has a factor below 2^64
+                    const factor1 = randomBelow(2n ** 64n);
+                    const factor2 = randomBelow(2n ** 128n / (factor1 + 1n));
+                    const n = factor1 * factor2 + [0n, 0n, 1n][randomBelow(3n)];
+
+                    const expected = isNonTrivialFactorisation(n, factor1, factor2) ? 1n : 0n;
+                    expect(await isComposite(name, n, factor1, factor2), `n=${n}, factor1=${factor1}, factor2=${factor2}`).to.equal(expected);
+                }
+            });
+        }); // End of Happy Path Test Cases
+
+        context("Error Test Cases", function () {
+            it("should not compute a witness for n of 2^128 or more", async function () {
+                await expectUnprovable(name, 2n ** 128n, 2n ** 64n, 2n ** 64n);
+                await expectUnprovable(name, fieldSize - 1n, 1n, fieldSize - 1n);
+            });
+
+            it("should not compute a witness for a factor of 2^128 or more", async function () {
+                await expectUnprovable(name, 33n, 2n ** 128n, 3n);
+                await expectUnprovable(name, 33n, 3n, 2n ** 128n);
+
+                // -1 * -33 == 33 in the field
+                await expectUnprovable(name, 33n, fieldSize - 1n, fieldSize - 33n);
+            });
+
+            it("should not compute a witness if both factors are 2^64 or more", async function () {
+                await expectUnprovable(name, 0n, 2n ** 64n, 2n ** 64n);
+                await expectUnprovable(name, 33n, 2n ** 127n, 2n ** 127n + 1n);
+            });
+        }); // End of Error Test Cases
+    }); // End of composite-check-128 range checks context
+});
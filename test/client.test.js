@@ -0,0 +1,271 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const path = require("path");
+const { deployContracts } = require("../utils/deployContracts");
+const { CompositeNumberGameClient, GameError, errors, messages, decodeGameError } = require("../utils/client");
+const { generateDeclarations } = require("../utils/clientTypes");
+const { compileCircuits, proofFor } = require("./helpers");
+
+describe("CompositeNumberGameClient", function () {
+    this.timeout(300000); // Increase timeout
+
+    // Solving window used by most tests, the smallest block window allowed by default
+    const blockWindow = 10;
+    const rewardAmount = ethers.parseEther("100");
+
+    before(compileCircuits);
+
+    async function setupTestFixture({ ethRewards = false } = {}) {
+        const [owner, challenger, solver, keeper] = await ethers.getSigners();
+        const { tokenAddresses, game } = await deployContracts({ ethRewards });
+        const token = await ethers.getContractAt("MockERC20", tokenAddresses[0]);
+        const gameAddress = await game.getAddress();
+
+        const clients = {
+            challenger: new CompositeNumberGameClient(gameAddress, challenger),
+            solver: new CompositeNumberGameClient(gameAddress, solver),
+            keeper: new CompositeNumberGameClient(gameAddress, keeper),
+            reader: new CompositeNumberGameClient(gameAddress, ethers.provider),
+        };
+        return { game, token, clients, signers: { owner, challenger, solver, keeper } };
+    }
+
+    function setupEthFixture() {
+        return setupTestFixture({ ethRewards: true });
+    }
+
+    function createChallenge(client, token, options = {}) {
+        return token.getAddress().then((tokenAddress) =>
+            client.create({ n: 33n, factors: [3n, 11n], token: tokenAddress, amount: rewardAmount, window: blockWindow, ...options })
+        );
+    }
+
+    // Collects events from a subscription until count have arrived
+    async function collect(subscription, count) {
+        const events = [];
+        for await (const event of subscription) {
+            events.push(event);
+            if (events.length === count) break;
+        }
+        return events;
+    }
+
+    context("Happy Path Test Cases", function () {
+        it("should create a challenge, approving the reward first, and read it back", async function () {
+            const { game, token, clients, signers } = await loadFixture(setupTestFixture);
+
+            const { challengeId, deadline } = await createChallenge(clients.challenger, token);
+
+            expect(challengeId).to.equal(1);
+            const challenge = await clients.reader.getChallenge(challengeId);
+            expect(challenge).to.deep.include({
+                challengeId: 1n,
+                n: 33n,
+                challenger: signers.challenger.address,
+                rewardToken: await token.getAddress(),
+                rewardAmount,
+                deadline,
+                windowMode: "blocks",
+                solver: undefined,
+                state: "open",
+            });
+            expect(challenge.rewardSplit).to.deep.equal({ solverBps: 5000n, treasuryBps: 0n, expiryPoolBps: 5000n });
+            expect(await token.balanceOf(await game.getAddress())).to.equal(rewardAmount);
+            expect(await clients.reader.isExpired(challengeId)).to.be.false;
+            expect(await clients.reader.blocksRemaining(challengeId)).to.equal(blockWindow);
+        });
+
+        it("should create an ETH challenge and count a timestamp window in blocks", async function () {
+            const { game, clients } = await loadFixture(setupEthFixture);
+
+            const { challengeId } = await clients.challenger.create({
+                n: 35n, factors: [5n, 7n], token: "eth", amount: ethers.parseEther("1"), window: 120, mode: "timestamp",
+            });
+
+            const challenge = await clients.reader.getChallenge(challengeId);
+            expect(challenge.windowMode).to.equal("timestamp");
+            expect(challenge.rewardToken).to.equal(await game.NATIVE_TOKEN());
+            expect(await clients.reader.blocksRemaining(challengeId)).to.equal(10);
+            expect(await clients.reader.blocksRemaining(challengeId, { blockTime: 60 })).to.equal(2);
+        });
+
+        it("should solve a challenge and withdraw the whole reward", async function () {
+            const { token, clients, signers } = await loadFixture(setupTestFixture);
+            const { challengeId } = await createChallenge(clients.challenger, token);
+
+            const solved = await clients.solver.solve(challengeId, { factors: [11n, 3n] });
+
+            expect(solved).to.include({ rewardAmount: ethers.parseEther("50"), prizePoolAmount: ethers.parseEther("50"), treasuryAmount: 0n });
+            const challenge = await clients.reader.getChallenge(challengeId);
+            expect(challenge.state).to.equal("solved");
+            expect(challenge.solver).to.equal(signers.solver.address);
+
+            const withdrawn = await clients.solver.withdraw(await token.getAddress());
+            expect(withdrawn).to.include({ amount: ethers.parseEther("50"), newBalance: 0n });
+            expect(await token.balanceOf(signers.solver.address)).to.equal(ethers.parseEther("50"));
+        });
+
+        it("should solve with a proof generated elsewhere", async function () {
+            const { game, token, clients, signers } = await loadFixture(setupTestFixture);
+            const { challengeId } = await createChallenge(clients.challenger, token);
+            const { circuitVersion } = await clients.reader.getChallenge(challengeId);
+            const proof = await proofFor(game, signers.solver, 33, 3, 11, { circuitVersion: Number(circuitVersion) });
+
+            await clients.solver.solve(challengeId, { proof });
+
+            expect((await clients.reader.getChallenge(challengeId)).state).to.equal("solved");
+        });
+
+        it("should claim an expired challenge for its challenger or as a keeper", async function () {
+            const { token, clients, signers } = await loadFixture(setupTestFixture);
+            const { challengeId: ownId } = await createChallenge(clients.challenger, token);
+            const { challengeId: keptId } = await createChallenge(clients.challenger, token, { n: 35n, factors: [5n, 7n] });
+            await mine(blockWindow + 1);
+            expect((await clients.reader.getChallenge(ownId)).state).to.equal("expired");
+            expect(await clients.reader.blocksRemaining(ownId)).to.equal(0);
+
+            const own = await clients.challenger.claim(ownId);
+            const kept = await clients.keeper.claim(keptId);
+
+            expect(own).to.include({ rewardAmount, tip: 0n });
+            // The keeper tip is 1% of the reward by default, taken out of the challenger's reward
+            expect(kept).to.include({ rewardAmount, tip: ethers.parseEther("1") });
+            expect(await clients.reader.getChallenge(ownId)).to.be.null;
+            expect(await clients.keeper.game.balances(signers.keeper.address, await token.getAddress())).to.equal(ethers.parseEther("1"));
+        });
+
+        it("should yield new events in order, filtered by indexed arguments", async function () {
+            const { token, clients, signers } = await loadFixture(setupTestFixture);
+            await token.connect(signers.challenger).transfer(signers.solver.address, ethers.parseEther("200"));
+            const created = collect(clients.reader.events("ChallengeCreated", { filter: { challenger: signers.challenger.address }, pollInterval: 10 }), 2);
+            // Let the subscription start at the current block before anything is created
+            await new Promise((resolve) => setTimeout(resolve, 50));
+
+            const first = await createChallenge(clients.challenger, token);
+            await createChallenge(clients.solver, token, { n: 35n, factors: [5n, 7n] });
+            const second = await createChallenge(clients.challenger, token, { n: 77n, factors: [7n, 11n] });
+
+            const events = await created;
+            expect(events.map((event) => event.args.challengeId)).to.deep.equal([first.challengeId, second.challengeId]);
+            expect(events[0].name).to.equal("ChallengeCreated");
+            expect(events[0].args).to.include({ n: 33n, challenger: signers.challenger.address, rewardAmount, deadline: first.deadline });
+            expect(events[0].transactionHash).to.equal(first.receipt.hash);
+        });
+
+        it("should replay events from a past block and stop when aborted", async function () {
+            const { token, clients } = await loadFixture(setupTestFixture);
+            const { challengeId, receipt } = await createChallenge(clients.challenger, token);
+            await clients.solver.solve(challengeId, { factors: [3n, 11n] });
+            const controller = new AbortController();
+
+            const events = [];
+            for await (const event of clients.reader.events("ChallengeSolved", { fromBlock: receipt.blockNumber, pollInterval: 10, signal: controller.signal })) {
+                events.push(event);
+                controller.abort();
+            }
+
+            expect(events).to.have.lengthOf(1);
+            expect(events[0].args).to.include({ challengeId, rewardAmount: ethers.parseEther("50") });
+        });
+
+        it("should have a message for every custom error", async function () {
+            const abiErrors = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "utils", "abi", "CompositeNumberGame.json"), "utf8"))
+                .filter((entry) => entry.type === "error")
+                .map((entry) => entry.name);
+
+            expect(Object.keys(errors).sort()).to.deep.equal([...abiErrors].sort());
+            expect(Object.keys(messages).sort()).to.deep.equal([...abiErrors].sort());
+        });
+
+        it("should have an ABI and declarations generated from the compiled contract", async function () {
+            const { abi } = await artifacts.readArtifact("CompositeNumberGame");
+
+            // Run npm run generate:client if these fail after changing the contract
+            expect(JSON.parse(fs.readFileSync(path.join(__dirname, "..", "utils", "abi", "CompositeNumberGame.json"), "utf8"))).to.deep.equal(abi);
+            expect(fs.readFileSync(path.join(__dirname, "..", "utils", "client.d.ts"), "utf8")).to.equal(generateDeclarations(abi));
+        });
+    }); // End of Happy Path Test Cases
+
+    context("Error Test Cases", function () {
+        it("should throw InsufficientBalanceError for a withdrawal above the balance", async function () {
+            const { token, clients } = await loadFixture(setupTestFixture);
+
+            const error = await clients.solver.withdraw(await token.getAddress(), 1n).catch((error) => error);
+
+            expect(error).to.be.an.instanceOf(errors.InsufficientBalance);
+            expect(error).to.be.an.instanceOf(GameError);
+            expect(error.name).to.equal("InsufficientBalanceError");
+            expect(error.args).to.deep.equal({ amount: 1n, balance: 0n });
+            expect(error.message).to.equal("Can't withdraw 1, the balance is only 0");
+        });
+
+        it("should throw NotCompositeError for a proof with the wrong factors", async function () {
+            const { token, clients } = await loadFixture(setupTestFixture);
+            const { challengeId } = await createChallenge(clients.challenger, token);
+
+            await expect(clients.solver.solve(challengeId, { factors: [3n, 12n] })).to.be.rejectedWith(
+                errors.NotComposite,
+                "The proof for challenge 1 doesn't show that n is composite (isComposite = 0)"
+            );
+        });
+
+        it("should throw ChallengeNotExpiredError for claiming an open challenge", async function () {
+            const { token, clients } = await loadFixture(setupTestFixture);
+            const { challengeId } = await createChallenge(clients.challenger, token);
+
+            await expect(clients.challenger.claim(challengeId)).to.be.rejectedWith(errors.ChallengeNotExpired);
+            await expect(clients.keeper.claim(challengeId)).to.be.rejectedWith(errors.ChallengeNotExpired);
+        });
+
+        it("should throw ChallengeDoesNotExistError for a challenge that doesn't exist", async function () {
+            const { clients } = await loadFixture(setupTestFixture);
+
+            await expect(clients.reader.blocksRemaining(7)).to.be.rejectedWith(errors.ChallengeDoesNotExist, "Challenge 7 does not exist");
+            await expect(clients.solver.solve(7, { factors: [3n, 11n] })).to.be.rejectedWith(errors.ChallengeDoesNotExist);
+        });
+
+        it("should decode the reverts of calls made without the client", async function () {
+            const { game, token, clients, signers } = await loadFixture(setupTestFixture);
+            const { challengeId } = await createChallenge(clients.challenger, token);
+
+            const error = decodeGameError(await game.connect(signers.solver).claimExpiredChallenge(challengeId).catch((error) => error));
+
+            expect(error).to.be.an.instanceOf(errors.UnauthorizedChallenger);
+            expect(error.args).to.deep.equal({ challengeId, challenger: signers.solver.address });
+            expect(error.message).to.equal(`${signers.solver.address} isn't the challenger of challenge 1`);
+        });
+
+        it("should decode the error of the failing challenge in a batch", async function () {
+            const { game } = await loadFixture(setupTestFixture);
+            const reason = game.interface.encodeErrorResult("InvalidWindow", [5, 10, 50400]);
+
+            const error = decodeGameError({ data: game.interface.encodeErrorResult("BatchItemFailed", [2, reason]) });
+
+            expect(error).to.be.an.instanceOf(errors.BatchItemFailed);
+            expect(error.itemError).to.be.an.instanceOf(errors.InvalidWindow);
+            expect(error.message).to.equal("The challenge at index 2 of the batch failed: A solving window of 5 is outside the allowed 10 to 50400");
+        });
+
+        it("should tell the challenger that the owner must enable ETH rewards", async function () {
+            const { clients } = await loadFixture(setupTestFixture);
+
+            await expect(
+                clients.challenger.create({ n: 33n, factors: [3n, 11n], token: "eth", amount: 1n, window: blockWindow })
+            ).to.be.rejectedWith(errors.UnsupportedToken, "The game doesn't accept ETH rewards");
+        });
+
+        it("should require a signer to send transactions", async function () {
+            const { token, clients } = await loadFixture(setupTestFixture);
+
+            await expect(createChallenge(clients.reader, token)).to.be.rejectedWith("Sending transactions needs a client created with a signer");
+        });
+
+        it("should reject an event the game doesn't have", async function () {
+            const { clients } = await loadFixture(setupTestFixture);
+
+            await expect(clients.reader.events("Transfer").next()).to.be.rejected;
+        });
+    }); // End of Error Test Cases
+});
@@ -0,0 +1,232 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContracts } = require("../utils/deployContracts");
+const { compileCircuits } = require("./helpers");
+
+describe("cng tasks", function () {
+    this.timeout(300000); // Increase timeout
+
+    const { ethers } = hre;
+
+    // Account indexes of the Hardhat signers
+    const challengerAccount = 1;
+    const solverAccount = 2;
+
+    before(compileCircuits);
+
+    async function setupTestFixture() {
+        const [owner, challenger, solver] = await ethers.getSigners();
+        const { tokenAddresses, game } = await deployContracts();
+        const token = await ethers.getContractAt("MockERC20", tokenAddresses[0]);
+
+        return { game, token, signers: { owner, challenger, solver } };
+    }
+
+    // The same game, deployed with ETH rewards enabled
+    async function setupEthFixture() {
+        const [owner, challenger, solver] = await ethers.getSigners();
+        const { tokenAddresses, game } = await deployContracts({ ethRewards: true });
+        const token = await ethers.getContractAt("MockERC20", tokenAddresses[0]);
+
+        return { game, token, signers: { owner, challenger, solver } };
+    }
+
+    // Runs a cng task against the fixture's game rather than the one in the deployment manifest
+    function cng(task, game, args) {
+        return game.getAddress().then((address) => hre.run({ scope: "cng", task }, { game: address, ...args }));
+    }
+
+    async function createChallenge(game, token, args = {}) {
+        return cng("create", game, {
+            n: "33",
+            factor1: "3",
+            factor2: "11",
+            token: await token.getAddress(),
+            amount: "100",
+            window: 10,
+            account: challengerAccount,
+            ...args,
+        });
+    }
+
+    context("Happy Path Test Cases", function () {
+        it("should create a challenge, approving the reward first", async function () {
+            const { game, token, signers } = await loadFixture(setupTestFixture);
+            expect(await token.allowance(signers.challenger.address, await game.getAddress())).to.equal(0);
+
+            const challengeId = await createChallenge(game, token);
+
+            expect(challengeId).to.equal(1);
+            const status = await cng("status", game, { challengeId });
+            expect(status.state).to.equal("open");
+            expect(status.n).to.equal(33);
+            expect(status.challenger).to.equal(signers.challenger.address);
+            expect(status.rewardAmount).to.equal(ethers.parseEther("100"));
+            // The range-checked 128-bit circuit is used by default
+            expect(status.circuitVersion).to.equal(2);
+        });
+
+        it("should create a challenge with a permit if the token supports it", async function () {
+            const { game, signers } = await loadFixture(setupTestFixture);
+            const Token = await ethers.getContractFactory("MockERC20Permit");
+            const permitToken = await Token.deploy("Permit Token", "PTK", 18, ethers.parseEther("1000"));
+            await game.connect(signers.owner).addSupportedToken(await permitToken.getAddress());
+            await permitToken.connect(signers.owner).transfer(signers.challenger.address, ethers.parseEther("100"));
+
+            const challengeId = await createChallenge(game, permitToken);
+
+            expect((await cng("status", game, { challengeId })).state).to.equal("open");
+            // The permit was used instead of an approve transaction
+            expect(await permitToken.nonces(signers.challenger.address)).to.equal(1);
+            expect(await permitToken.balanceOf(await game.getAddress())).to.equal(ethers.parseEther("100"));
+        });
+
+        it("should transfer the creation fee along with the reward", async function () {
+            const { game, token, signers } = await loadFixture(setupTestFixture);
+            await game.connect(signers.owner).setCreationFee(await token.getAddress(), ethers.parseEther("1"));
+            const balanceBefore = await token.balanceOf(signers.challenger.address);
+
+            const challengeId = await createChallenge(game, token);
+
+            expect((await cng("status", game, { challengeId })).rewardAmount).to.equal(ethers.parseEther("100"));
+            expect(await token.balanceOf(signers.challenger.address)).to.equal(balanceBefore - ethers.parseEther("101"));
+            expect(await game.prizePools(await token.getAddress())).to.equal(ethers.parseEther("1"));
+        });
+
+        it("should use the longest window the game allows by default", async function () {
+            const { game, token } = await loadFixture(setupTestFixture);
+
+            const challengeId = await createChallenge(game, token, { window: undefined, mode: "timestamp" });
+
+            const status = await cng("status", game, { challengeId });
+            const block = await ethers.provider.getBlock("latest");
+            expect(status.windowMode).to.equal("timestamp");
+            expect(status.deadline).to.equal(BigInt(block.timestamp) + (await game.windowBounds(1)).max);
+        });
+
+        it("should solve a challenge and withdraw the whole reward", async function () {
+            const { game, token, signers } = await loadFixture(setupTestFixture);
+            const challengeId = await createChallenge(game, token);
+
+            await cng("solve", game, { challengeId, factor1: "11", factor2: "3", account: solverAccount });
+
+            const status = await cng("status", game, { challengeId });
+            expect(status.state).to.equal("solved");
+            expect(status.solver).to.equal(signers.solver.address);
+
+            const [balance] = await cng("balances", game, { account: solverAccount });
+            expect(balance.token).to.equal(await token.getAddress());
+            expect(balance.game).to.equal(ethers.parseEther("50"));
+            expect(balance.prizePool).to.equal(ethers.parseEther("50"));
+
+            const amount = await cng("withdraw", game, { token: await token.getAddress(), all: true, account: solverAccount });
+            expect(amount).to.equal(ethers.parseEther("50"));
+            expect(await token.balanceOf(signers.solver.address)).to.equal(ethers.parseEther("50"));
+            expect(await game.balances(signers.solver.address, await token.getAddress())).to.equal(0);
+        });
+
+        it("should play with ETH and token rewards in the same game", async function () {
+            const { game, token, signers } = await loadFixture(setupEthFixture);
+            const nativeToken = await game.NATIVE_TOKEN();
+
+            const tokenChallengeId = await createChallenge(game, token);
+            const ethChallengeId = await createChallenge(game, token, { n: "35", factor1: "5", factor2: "7", token: "eth", amount: "2" });
+            expect((await cng("status", game, { challengeId: ethChallengeId })).rewardToken).to.equal(nativeToken);
+            expect(await ethers.provider.getBalance(await game.getAddress())).to.equal(ethers.parseEther("2"));
+
+            await cng("solve", game, { challengeId: tokenChallengeId, factor1: "3", factor2: "11", account: solverAccount });
+            await cng("solve", game, { challengeId: ethChallengeId, factor1: "5", factor2: "7", account: solverAccount });
+
+            const balances = await cng("balances", game, { account: solverAccount });
+            const ethBalance = balances.find((balance) => balance.token === nativeToken);
+            expect(ethBalance.symbol).to.equal("ETH");
+            expect(ethBalance.game).to.equal(ethers.parseEther("1"));
+            expect(ethBalance.prizePool).to.equal(ethers.parseEther("1"));
+
+            const amount = await cng("withdraw", game, { token: "eth", all: true, account: solverAccount });
+            expect(amount).to.equal(ethers.parseEther("1"));
+            expect(await game.balances(signers.solver.address, nativeToken)).to.equal(0);
+            expect(await game.balances(signers.solver.address, await token.getAddress())).to.equal(ethers.parseEther("50"));
+        });
+
+        it("should claim an expired challenge and withdraw part of the balance", async function () {
+            const { game, token, signers } = await loadFixture(setupTestFixture);
+            const challengeId = await createChallenge(game, token);
+            // The challenge expires once the latest block is past its deadline
+            await mine(11);
+
+            expect((await cng("status", game, { challengeId })).state).to.equal("expired");
+            await cng("claim", game, { challengeId, account: challengerAccount });
+
+            // The claimed challenge is deleted
+            expect((await cng("status", game, { challengeId })).exists).to.be.false;
+            expect(await game.balances(signers.challenger.address, await token.getAddress())).to.equal(ethers.parseEther("100"));
+
+            await cng("withdraw", game, { token: await token.getAddress(), amount: "40.5", account: challengerAccount });
+            expect(await game.balances(signers.challenger.address, await token.getAddress())).to.equal(ethers.parseEther("59.5"));
+        });
+    }); // End of Happy Path Test Cases
+
+    context("Error Test Cases", function () {
+        it("should tell the challenger that the owner must enable ETH rewards", async function () {
+            const { game, token } = await loadFixture(setupTestFixture);
+
+            await expect(
+                createChallenge(game, token, { token: "eth", amount: "1" })
+            ).to.be.rejectedWith("The game doesn't accept ETH rewards. Its owner must enable them with addSupportedToken(NATIVE_TOKEN)");
+        });
+
+        it("should report a proof with the wrong factors as NotComposite", async function () {
+            const { game, token } = await loadFixture(setupTestFixture);
+            const challengeId = await createChallenge(game, token);
+
+            await expect(
+                cng("solve", game, { challengeId, factor1: "3", factor2: "12", account: solverAccount })
+            ).to.be.rejectedWith("Transaction reverted: NotComposite(challengeId=1, isComposite=0)");
+        });
+
+        it("should report solving an expired challenge as ChallengeExpired", async function () {
+            const { game, token } = await loadFixture(setupTestFixture);
+            const challengeId = await createChallenge(game, token);
+            await mine(10);
+
+            await expect(
+                cng("solve", game, { challengeId, factor1: "3", factor2: "11", account: solverAccount })
+            ).to.be.rejectedWith("Transaction reverted: ChallengeExpired(challengeId=1)");
+        });
+
+        it("should report claiming an open challenge as ChallengeNotExpired", async function () {
+            const { game, token } = await loadFixture(setupTestFixture);
+            const challengeId = await createChallenge(game, token);
+
+            await expect(
+                cng("claim", game, { challengeId, account: challengerAccount })
+            ).to.be.rejectedWith("Transaction reverted: ChallengeNotExpired(challengeId=1)");
+        });
+
+        it("should report withdrawing more than the balance as InsufficientBalance", async function () {
+            const { game, token } = await loadFixture(setupTestFixture);
+
+            await expect(
+                cng("withdraw", game, { token: await token.getAddress(), amount: "1", account: solverAccount })
+            ).to.be.rejectedWith(`Transaction reverted: InsufficientBalance(amount=${ethers.parseEther("1")}, balance=0)`);
+        });
+
+        it("should require exactly one of --amount and --all", async function () {
+            const { game, token } = await loadFixture(setupTestFixture);
+            const tokenAddress = await token.getAddress();
+
+            await expect(cng("withdraw", game, { token: tokenAddress })).to.be.rejectedWith("Pass either --amount or --all");
+            await expect(cng("withdraw", game, { token: tokenAddress, amount: "1", all: true })).to.be.rejectedWith("Pass either --amount or --all");
+        });
+
+        it("should report a challenge that does not exist", async function () {
+            const { game } = await loadFixture(setupTestFixture);
+
+            await expect(
+                cng("solve", game, { challengeId: 7n, factor1: "3", factor2: "11", account: solverAccount })
+            ).to.be.rejectedWith("Challenge 7 does not exist");
+        });
+    }); // End of Error Test Cases
+});
@@ -0,0 +1,219 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const path = require("path");
+const fs = require("fs");
+const { deployContracts, hashVerifyingKey } = require("../utils/deployContracts");
+const { loadDeployedAddresses, saveDeploymentManifest, deploymentManifestPath, resolveCircuitVersions } = require("../utils/deployedAddresses");
+const { compileCircuits, proofFor } = require("./helpers");
+
+describe("deployments", function () {
+    this.timeout(300000); // Increase timeout
+
+    const contractNames = ["MockERC20", "Verifier", "Verifier128", "GameForwarder", "CompositeNumberGame"];
+
+    async function setupTestFixture() {
+        const [owner] = await ethers.getSigners();
+        const deployment = await deployContracts();
+        return { owner, deployment };
+    }
+
+    // Deploys again from a copy of the fixture's manifest, changed by edit, and reports the blocks it used
+    async function redeploy(deployment, edit = () => {}, options = {}) {
+        const manifest = structuredClone(deployment.manifest);
+        edit(manifest);
+        const blockBefore = await ethers.provider.getBlockNumber();
+        const result = await deployContracts({ manifest, ...options });
+        return { ...result, blocks: (await ethers.provider.getBlockNumber()) - blockBefore };
+    }
+
+    before(compileCircuits);
+
+    context("Happy Path Test Cases", function () {
+        it("should record every contract in a new manifest", async function () {
+            const { owner, deployment } = await loadFixture(setupTestFixture);
+            const { manifest, deployed, game } = deployment;
+
+            expect(deployed).to.deep.equal(contractNames);
+            expect(manifest.chainId).to.equal(31337);
+            expect(manifest.SupportedTokens).to.deep.equal(deployment.tokenAddresses);
+            expect(manifest.history).to.deep.equal([]);
+            for (const name of contractNames) {
+                const entry = manifest.contracts[name];
+                const receipt = await ethers.provider.getTransactionReceipt(entry.transactionHash);
+                expect(receipt.contractAddress).to.equal(entry.address);
+                expect(receipt.blockNumber).to.equal(entry.blockNumber);
+                expect(entry.deployer).to.equal(owner.address);
+                expect(entry.bytecodeHash).to.equal(ethers.keccak256((await ethers.getContractFactory(entry.contract)).bytecode));
+            }
+
+            const gameEntry = manifest.contracts.CompositeNumberGame;
+            expect(gameEntry.constructorArgs).to.deep.equal([deployment.tokenAddresses, await deployment.forwarder.getAddress()]);
+            expect(gameEntry.constructorArgsHash).to.equal(
+                ethers.keccak256(game.interface.encodeDeploy([deployment.tokenAddresses, await deployment.forwarder.getAddress()]))
+            );
+            expect(manifest.contracts.Verifier.verifyingKeyHash).to.equal(hashVerifyingKey(path.join(__dirname, "..", "circuit", "verification_key.json")));
+            expect(manifest.contracts.Verifier.circuitVersion).to.equal(1);
+            expect(manifest.contracts.Verifier128.circuitVersion).to.equal(2);
+        });
+
+        it("should reuse an unchanged deployment without sending transactions", async function () {
+            const { deployment } = await loadFixture(setupTestFixture);
+
+            const { deployed, game, manifest, blocks } = await redeploy(deployment);
+
+            expect(deployed).to.deep.equal([]);
+            expect(blocks).to.equal(0);
+            expect(await game.getAddress()).to.equal(await deployment.game.getAddress());
+            expect(manifest).to.deep.equal(deployment.manifest);
+        });
+
+        it("should redeploy only a changed verifier and register it as a new circuit version", async function () {
+            const { deployment } = await loadFixture(setupTestFixture);
+            const previous = deployment.manifest.contracts.Verifier128;
+
+            const { deployed, game, manifest } = await redeploy(deployment, (manifest) => {
+                manifest.contracts.Verifier128.bytecodeHash = ethers.ZeroHash;
+            });
+
+            expect(deployed).to.deep.equal(["Verifier128"]);
+            expect(await game.getAddress()).to.equal(await deployment.game.getAddress());
+            expect(manifest.contracts.Verifier128.address).to.not.equal(previous.address);
+            expect(manifest.contracts.Verifier128.circuitVersion).to.equal(3);
+            expect((await game.verifiers(3)).verifier).to.equal(manifest.contracts.Verifier128.address);
+            // The replaced version is deprecated, but its challenges can still be solved
+            expect((await game.verifiers(2)).deprecated).to.be.true;
+
+            expect(manifest.history).to.have.lengthOf(1);
+            expect(manifest.history[0]).to.include({ name: "Verifier128", address: previous.address, circuitVersion: 2 });
+            expect(manifest.history[0].replacedInBlock).to.equal(manifest.contracts.Verifier128.blockNumber);
+        });
+
+        it("should prove for a redeployed verifier's circuit version through the manifest", async function () {
+            const { deployment } = await loadFixture(setupTestFixture);
+            expect(resolveCircuitVersions(deployment.manifest)).to.deep.equal({ circuits: { 1: 1, 2: 2 }, defaultCircuitVersion: 2 });
+            const { game, tokenAddresses, manifest } = await redeploy(deployment, (manifest) => {
+                manifest.contracts.Verifier128.bytecodeHash = ethers.ZeroHash;
+            });
+
+            const { circuits, defaultCircuitVersion } = resolveCircuitVersions(manifest);
+            expect(circuits).to.deep.equal({ 1: 1, 2: 2, 3: 2 });
+            expect(defaultCircuitVersion).to.equal(3);
+
+            // The prover only knows the versions of a new game, and needs the manifest's mapping for the others
+            const [, challenger] = await ethers.getSigners();
+            await expect(proofFor(game, challenger, 221, 13, 17, { circuitVersion: 3 })).to.be.rejectedWith("Unknown circuit version: 3");
+            const token = await ethers.getContractAt("MockERC20", tokenAddresses[0]);
+            await token.connect(challenger).approve(await game.getAddress(), 1n);
+            const proof = await proofFor(game, challenger, 221, 13, 17, { circuitVersion: 3, circuits });
+            await expect(game.connect(challenger).createChallenge(221, tokenAddresses[0], 1n, 10, 0, 3, ...proof)).to.emit(game, "ChallengeCreated");
+        });
+
+        it("should keep proving new challenges with the 128-bit circuit when the 64-bit verifier is redeployed", async function () {
+            const { deployment } = await loadFixture(setupTestFixture);
+            const { manifest } = await redeploy(deployment, (manifest) => {
+                manifest.contracts.Verifier.bytecodeHash = ethers.ZeroHash;
+            });
+
+            // Version 3 is the newest, but it verifies the circuit without range checks
+            expect(resolveCircuitVersions(manifest)).to.deep.equal({ circuits: { 1: 1, 2: 2, 3: 1 }, defaultCircuitVersion: 2 });
+        });
+
+        it("should ignore verifiers replaced before the game was deployed", async function () {
+            const { deployment } = await loadFixture(setupTestFixture);
+            const { manifest } = await redeploy(deployment, (manifest) => {
+                manifest.contracts.Verifier128.bytecodeHash = ethers.ZeroHash;
+                manifest.contracts.GameForwarder.bytecodeHash = ethers.ZeroHash;
+            });
+
+            // The new game registered the redeployed verifiers as versions 1 and 2 again
+            expect(manifest.history.map((entry) => entry.name)).to.include("Verifier128");
+            expect(resolveCircuitVersions(manifest)).to.deep.equal({ circuits: { 1: 1, 2: 2 }, defaultCircuitVersion: 2 });
+        });
+
+        it("should redeploy the game when the forwarder it trusts changed", async function () {
+            const { deployment } = await loadFixture(setupTestFixture);
+
+            const { deployed, game, manifest } = await redeploy(deployment, (manifest) => {
+                manifest.contracts.GameForwarder.bytecodeHash = ethers.ZeroHash;
+            });
+
+            expect(deployed).to.deep.equal(["GameForwarder", "CompositeNumberGame"]);
+            expect(await game.trustedForwarder()).to.equal(manifest.contracts.GameForwarder.address);
+            // The reused verifiers are registered with the new game
+            expect(await game.circuitVersionCount()).to.equal(2);
+            expect((await game.verifiers(1)).verifier).to.equal(deployment.manifest.contracts.Verifier.address);
+            expect(manifest.history.map((entry) => entry.name)).to.deep.equal(["GameForwarder", "CompositeNumberGame"]);
+        });
+
+        it("should support ETH rewards in a new game when they are enabled", async function () {
+            const { deployment } = await loadFixture(setupTestFixture);
+
+            const { game, tokenAddresses, manifest } = await redeploy(deployment, (manifest) => {
+                manifest.chainId = 11155111;
+            }, { ethRewards: true });
+
+            expect(tokenAddresses).to.deep.equal([manifest.contracts.MockERC20.address, await game.NATIVE_TOKEN()]);
+            expect(await game.supportedTokens(await game.NATIVE_TOKEN())).to.be.true;
+            expect(manifest.SupportedTokens).to.deep.equal(tokenAddresses);
+        });
+
+        it("should reuse the game even if the token list changed", async function () {
+            const { deployment } = await loadFixture(setupTestFixture);
+
+            // Stands in for a change to TOKEN_ADDRESSES, which a new mock token has on a local network
+            const { deployed, game, tokenAddresses } = await redeploy(deployment, (manifest) => {
+                manifest.contracts.MockERC20.bytecodeHash = ethers.ZeroHash;
+            });
+
+            expect(deployed).to.deep.equal(["MockERC20"]);
+            expect(await game.getAddress()).to.equal(await deployment.game.getAddress());
+            expect(await game.supportedTokens(tokenAddresses[0])).to.be.false;
+        });
+
+        it("should read the addresses of the current deployment from a saved manifest", async function () {
+            const { deployment } = await loadFixture(setupTestFixture);
+            const networkName = "deployments-test";
+            saveDeploymentManifest(networkName, deployment.manifest);
+
+            try {
+                const addresses = loadDeployedAddresses(networkName);
+                expect(addresses.chainId).to.equal(31337);
+                expect(addresses.CompositeNumberGame).to.equal(await deployment.game.getAddress());
+                expect(addresses.Verifier128).to.equal(await deployment.verifier128.getAddress());
+                expect(addresses.DeploymentBlock).to.equal(deployment.manifest.contracts.CompositeNumberGame.blockNumber);
+                expect(addresses.SupportedTokens).to.deep.equal(deployment.tokenAddresses);
+            } finally {
+                fs.unlinkSync(deploymentManifestPath(networkName));
+            }
+        });
+    }); // End of Happy Path Test Cases
+
+    context("Error Test Cases", function () {
+        it("should redeploy a contract whose code is no longer on chain", async function () {
+            const { deployment } = await loadFixture(setupTestFixture);
+            // As after restarting a local node. setCode doesn't accept empty code
+            await ethers.provider.send("hardhat_setCode", [deployment.manifest.contracts.Verifier.address, "0x"]);
+
+            const { deployed } = await redeploy(deployment);
+
+            expect(deployed).to.deep.equal(["Verifier"]);
+        });
+
+        it("should deploy everything for a manifest of another chain", async function () {
+            const { deployment } = await loadFixture(setupTestFixture);
+
+            const { deployed, manifest } = await redeploy(deployment, (manifest) => {
+                manifest.chainId = 11155111;
+            });
+
+            expect(deployed).to.deep.equal(contractNames);
+            expect(manifest.chainId).to.equal(31337);
+            expect(manifest.history).to.deep.equal([]);
+        });
+
+        it("should report a network without a manifest", async function () {
+            expect(() => loadDeployedAddresses("no-such-network")).to.throw("No deployment manifest for network no-such-network");
+        });
+    }); // End of Error Test Cases
+});
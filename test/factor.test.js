@@ -0,0 +1,63 @@
+const { expect } = require("chai");
+const { isProbablePrime, trialDivision, pollardBrent, ecm, findFactor } = require("../utils/factor");
+
+describe("factor", function () {
+    this.timeout(60000); // Increase timeout
+
+    // Largest primes below 2^30, 2^32 and 2^64, and a 70-bit prime
+    const p30 = 1073741789n;
+    const p32 = 4294967291n;
+    const p64 = 2n ** 64n - 59n;
+    const p70 = 1180591620717411303449n;
+
+    context("Happy Path Test Cases", function () {
+        it("should tell primes from composites", async function () {
+            for (const prime of [2n, 3n, 65537n, p30, p32, p64, p70]) {
+                expect(isProbablePrime(prime), `${prime}`).to.be.true;
+            }
+            // 3215031751 is a strong pseudoprime to bases 2, 3, 5 and 7
+            for (const composite of [0n, 1n, 4n, 561n, 3215031751n, p32 * p32, p30 * p64]) {
+                expect(isProbablePrime(composite), `${composite}`).to.be.false;
+            }
+        });
+
+        it("should find small factors by trial division", async function () {
+            expect(trialDivision(91n)).to.equal(7n);
+            expect(trialDivision(65521n * p64)).to.equal(65521n);
+            expect(trialDivision(p30 * p32)).to.be.null;
+        });
+
+        it("should find medium factors with Pollard's rho", async function () {
+            const factor = pollardBrent(p30 * p32);
+            expect([p30, p32]).to.include(factor);
+        });
+
+        it("should find a factor with the elliptic curve method", async function () {
+            const factor = ecm(p30 * p70);
+            expect(factor).to.equal(p30);
+        });
+
+        it("should return a non-trivial factor of composites", async function () {
+            for (const n of [4n, 15n, 65537n * 65537n, p32 * p32, p30 * p32, 3n * p64, p30 * p70]) {
+                const factor = findFactor(n);
+                expect(factor > 1n && factor < n && n % factor === 0n, `${n}`).to.be.true;
+            }
+        });
+    }); // End of Happy Path Test Cases
+
+    context("Error Test Cases", function () {
+        it("should return null for primes and numbers below 4", async function () {
+            for (const n of [0n, 1n, 2n, 3n, 5n, p64, p70]) {
+                expect(findFactor(n), `${n}`).to.be.null;
+            }
+        });
+
+        it("should give up at the deadline", async function () {
+            const start = Date.now();
+
+            // Two 64-bit primes are far out of reach in half a second
+            expect(findFactor(p64 * (2n ** 64n - 83n), { deadline: start + 500 })).to.be.null;
+            expect(Date.now() - start).to.be.lessThan(5000);
+        });
+    }); // End of Error Test Cases
+});
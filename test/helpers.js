@@ -0,0 +1,55 @@
+const { ethers } = require("hardhat");
+const { execSync } = require("child_process");
+const { prove } = require("../utils/prover");
+
+// The circuits the tests prove with, registered by deployContracts as circuit versions 1 and 2
+const circuits = ["circuit/composite-check.circom", "circuit/composite-check-128.circom"];
+
+let compiled = false;
+
+/**
+ * Compiles the circuits. Every suite that generates proofs runs it as a before hook, and only the first one in a test run
+ * compiles.
+ */
+function compileCircuits() {
+    if (compiled) {
+        return;
+    }
+    console.log("Compiling the circuits...");
+    for (const circuitPath of circuits) {
+        execSync(`npm run --silent circom -- ${circuitPath} --r1cs --wasm --sym --output circuit`, { stdio: 'inherit' });
+    }
+    compiled = true;
+}
+
+/**
+ * Proves that factor1 and factor2 are factors of n for signer, bound to this chain and the game.
+ * @param {{circuitVersion?: number}} [options] Circuit version to prove for. Defaults to 1.
+ * @returns {Promise<Array>} The proof as [pA, pB, pC, pubSignals].
+ */
+async function proofFor(game, signer, n, factor1, factor2, options) {
+    const { chainId } = await ethers.provider.getNetwork();
+    return prove({ n, factor1, factor2, prover: await signer.getAddress(), chainId, gameAddress: await game.getAddress() }, options);
+}
+
+/**
+ * Creates a challenge for n from challenger, proving it with its factors. Approves the reward first unless approve is
+ * false, for tests that set up the allowance themselves or pay in ETH.
+ * @param {{n?: number, factors?: number[], amount?: bigint, window?: number, windowMode?: number, circuitVersion?: number,
+ * circuits?: Object<number, number>, approve?: boolean, overrides?: object}} [options] Defaults to 33 = 3 x 11 for a 100
+ * token reward over a 10 block window, proven for circuit version 1. circuits is passed to proofFor, see generateProof.
+ * @returns {Promise<ContractTransactionResponse>}
+ */
+async function createChallenge(game, challenger, token, options = {}) {
+    const {
+        n = 33, factors: [factor1, factor2] = [3, 11], amount = ethers.parseEther("100"), window = 10, windowMode = 0,
+        circuitVersion = 1, circuits, approve = true, overrides = {}
+    } = options;
+    if (approve) {
+        await token.connect(challenger).approve(await game.getAddress(), amount);
+    }
+    const calldata = await proofFor(game, challenger, n, factor1, factor2, { circuitVersion, circuits });
+    return game.connect(challenger).createChallenge(n, await token.getAddress(), amount, window, windowMode, circuitVersion, ...calldata, overrides);
+}
+
+module.exports = { compileCircuits, proofFor, createChallenge };
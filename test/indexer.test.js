@@ -0,0 +1,291 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployContracts } = require("../utils/deployContracts");
+const { createIndexer } = require("../utils/indexer");
+const { compileCircuits, proofFor } = require("./helpers");
+
+describe("indexer", function () {
+    this.timeout(300000); // Increase timeout
+
+    // Mirrors the CompositeNumberGame.WindowMode enum
+    const WindowMode = { Blocks: 0, Timestamp: 1 };
+
+    // Mirrors the CompositeNumberGame.FeeDestination enum
+    const FeeDestination = { PrizePool: 0, Treasury: 1 };
+
+    const rewardAmount = ethers.parseEther("100");
+
+    before(compileCircuits);
+
+    async function createChallenge(game, token, signer, n, factor1, factor2, window = 10, windowMode = WindowMode.Blocks) {
+        await token.connect(signer).approve(await game.getAddress(), rewardAmount + (await game.creationFees(await token.getAddress())));
+        const [pA, pB, pC, pubSignals] = await proofFor(game, signer, n, factor1, factor2);
+        await game.connect(signer).createChallenge(n, await token.getAddress(), rewardAmount, window, windowMode, 1, pA, pB, pC, pubSignals);
+        return game.challengeCount();
+    }
+
+    async function solveChallenge(game, signer, challengeId, n, factor1, factor2) {
+        const [pA, pB, pC, pubSignals] = await proofFor(game, signer, n, factor1, factor2);
+        await game.connect(signer).solveChallenge(challengeId, pA, pB, pC, pubSignals);
+    }
+
+    // Challenge 1 is solved, challenge 2 is open with a timestamp window and challenge 3 expires and is claimed
+    async function setupTestFixture() {
+        const [owner, challenger, solver] = await ethers.getSigners();
+        const { tokenAddresses, game } = await deployContracts();
+        const token = await ethers.getContractAt("MockERC20", tokenAddresses[0]);
+        const fromBlock = await ethers.provider.getBlockNumber();
+
+        await createChallenge(game, token, challenger, 33, 3, 11);
+        await solveChallenge(game, solver, 1n, 33, 11, 3);
+        await createChallenge(game, token, challenger, 35, 5, 7, 3600, WindowMode.Timestamp);
+        await createChallenge(game, token, challenger, 15, 3, 5);
+        await mine(11);
+        await game.connect(challenger).claimExpiredChallenge(3n);
+        await game.connect(solver).withdraw(ethers.parseEther("50"), await token.getAddress());
+
+        return { game, token, fromBlock, signers: { owner, challenger, solver } };
+    }
+
+    async function indexerFor(game, options = {}) {
+        return createIndexer({ game, provider: ethers.provider, confirmations: 0, ...options });
+    }
+
+    context("Happy Path Test Cases", function () {
+        it("should backfill the game's events and track each challenge's state", async function () {
+            const { game, token, fromBlock, signers } = await loadFixture(setupTestFixture);
+            const indexer = await indexerFor(game, { fromBlock });
+
+            const { events, toBlock } = await indexer.sync();
+
+            // Three created, one solved, one claimed and one withdrawal
+            expect(events).to.equal(6);
+            expect(toBlock).to.equal(await ethers.provider.getBlockNumber());
+
+            const challenges = indexer.getChallenges();
+            expect(challenges.map((challenge) => challenge.state)).to.deep.equal(["solved", "open", "claimed"]);
+            expect(challenges[0]).to.include({ challengeId: 1n, n: 33n, challenger: signers.challenger.address, solver: signers.solver.address });
+            expect(challenges[0].rewardToken).to.equal(await token.getAddress());
+            expect(challenges[1].windowMode).to.equal(WindowMode.Timestamp);
+            indexer.close();
+        });
+
+        it("should list open and expiring challenges", async function () {
+            const { game, token, fromBlock, signers } = await loadFixture(setupTestFixture);
+            await createChallenge(game, token, signers.challenger, 21, 3, 7, 100);
+            const indexer = await indexerFor(game, { fromBlock });
+            await indexer.sync();
+
+            expect(indexer.getOpenChallenges().map((challenge) => challenge.challengeId)).to.deep.equal([2n, 4n]);
+
+            // Challenge 4 has 100 blocks left and challenge 2 just under an hour
+            expect(indexer.getExpiringChallenges({ blocks: 100, seconds: 60 }).map((challenge) => challenge.challengeId)).to.deep.equal([4n]);
+            expect(indexer.getExpiringChallenges({ blocks: 10, seconds: 3600 }).map((challenge) => challenge.challengeId)).to.deep.equal([2n]);
+
+            // Expired challenges that haven't been claimed are no longer open
+            await mine(101);
+            await indexer.sync();
+            expect(indexer.getChallenges()[3].state).to.equal("expired");
+            expect(indexer.getOpenChallenges().map((challenge) => challenge.challengeId)).to.deep.equal([2n]);
+            indexer.close();
+        });
+
+        it("should sum earnings per user and token", async function () {
+            const { game, token, fromBlock, signers } = await loadFixture(setupTestFixture);
+            const indexer = await indexerFor(game, { fromBlock });
+            await indexer.sync();
+            const tokenAddress = await token.getAddress();
+
+            expect(indexer.getEarnings(signers.solver.address)).to.deep.equal([
+                { token: tokenAddress, solverRewards: ethers.parseEther("50"), prizePoolShares: 0n, keeperTips: 0n, total: ethers.parseEther("50") },
+            ]);
+            // The challenger reclaimed their own reward, which isn't counted, plus half of the 50 token prize pool
+            expect(indexer.getEarnings(signers.challenger.address.toLowerCase())).to.deep.equal([
+                { token: tokenAddress, solverRewards: 0n, prizePoolShares: ethers.parseEther("25"), keeperTips: 0n, total: ethers.parseEther("25") },
+            ]);
+            expect(indexer.getEarnings(signers.owner.address)).to.deep.equal([]);
+            indexer.close();
+        });
+
+        it("should count tips for claiming expired challenges as earnings", async function () {
+            const { game, token, fromBlock, signers } = await loadFixture(setupTestFixture);
+            await createChallenge(game, token, signers.challenger, 21, 3, 7);
+            await mine(11);
+            await game.connect(signers.owner).claimExpiredFor(4n);
+
+            const indexer = await indexerFor(game, { fromBlock });
+            await indexer.sync();
+
+            // 1% of the reward goes to the keeper, the challenger still gets half of the remaining 25 token prize pool
+            expect(indexer.getEarnings(signers.owner.address)).to.deep.equal([
+                { token: await token.getAddress(), solverRewards: 0n, prizePoolShares: 0n, keeperTips: ethers.parseEther("1"), total: ethers.parseEther("1") },
+            ]);
+            expect(indexer.getEarnings(signers.challenger.address)[0].prizePoolShares).to.equal(ethers.parseEther("37.5"));
+            expect(indexer.getChallenges()[3].state).to.equal("claimed");
+            indexer.close();
+        });
+
+        it("should rank solvers and challengers", async function () {
+            const { game, token, fromBlock, signers } = await loadFixture(setupTestFixture);
+            await solveChallenge(game, signers.owner, 2n, 35, 5, 7);
+            const otherToken = await (await ethers.getContractFactory("MockERC20")).deploy("Other Token", "OTK", 18, rewardAmount);
+            await game.connect(signers.owner).addSupportedToken(await otherToken.getAddress());
+            await createChallenge(game, otherToken, signers.owner, 21, 3, 7);
+            await solveChallenge(game, signers.solver, 4n, 21, 3, 7);
+
+            const indexer = await indexerFor(game, { fromBlock });
+            await indexer.sync();
+
+            expect(indexer.getSolverLeaderboard({ token: await token.getAddress() })).to.deep.equal([
+                { solver: signers.solver.address, solved: 2, earned: ethers.parseEther("50") },
+                { solver: signers.owner.address, solved: 1, earned: ethers.parseEther("50") },
+            ]);
+            expect(indexer.getSolverLeaderboard({ limit: 1 })).to.deep.equal([
+                { solver: signers.solver.address, solved: 2, earned: ethers.parseEther("100") },
+            ]);
+            expect(indexer.getChallengerLeaderboard()).to.deep.equal([
+                { challenger: signers.challenger.address, created: 3, solved: 2, unsolved: 1 },
+                { challenger: signers.owner.address, created: 1, solved: 1, unsolved: 0 },
+            ]);
+            indexer.close();
+        });
+
+        it("should replay the prize pool history of a token", async function () {
+            const { game, token, fromBlock } = await loadFixture(setupTestFixture);
+            const indexer = await indexerFor(game, { fromBlock });
+            await indexer.sync();
+
+            const history = indexer.getPrizePoolHistory(await token.getAddress());
+
+            expect(history.map(({ challengeId, change, prizePool }) => ({ challengeId, change, prizePool }))).to.deep.equal([
+                { challengeId: 1n, change: ethers.parseEther("50"), prizePool: ethers.parseEther("50") },
+                { challengeId: 3n, change: -ethers.parseEther("25"), prizePool: ethers.parseEther("25") },
+            ]);
+            expect(history[1].timestamp).to.be.greaterThan(history[0].timestamp);
+            expect(history[1].prizePool).to.equal(await game.prizePools(await token.getAddress()));
+            indexer.close();
+        });
+
+        it("should count creation fees credited to the prize pool", async function () {
+            const { game, token, fromBlock, signers } = await loadFixture(setupTestFixture);
+            const tokenAddress = await token.getAddress();
+            const creationFee = ethers.parseEther("1");
+            await game.connect(signers.owner).setCreationFee(tokenAddress, creationFee);
+            await createChallenge(game, token, signers.challenger, 21, 3, 7);
+            // A fee credited to the treasury leaves the prize pool as it is
+            await game.connect(signers.owner).setCreationFeeDestination(FeeDestination.Treasury);
+            await createChallenge(game, token, signers.challenger, 39, 3, 13);
+            const indexer = await indexerFor(game, { fromBlock });
+            await indexer.sync();
+
+            const history = indexer.getPrizePoolHistory(tokenAddress);
+
+            expect(history.map(({ challengeId, change }) => ({ challengeId, change }))).to.deep.equal([
+                { challengeId: 1n, change: ethers.parseEther("50") },
+                { challengeId: 3n, change: -ethers.parseEther("25") },
+                { challengeId: 4n, change: creationFee },
+            ]);
+            expect(history[2].prizePool).to.equal(await game.prizePools(tokenAddress));
+            const [fee] = indexer.db.exec("SELECT account FROM events WHERE name = 'CreationFeePaid' AND challenge_id = '4'")[0].values;
+            expect(fee[0]).to.equal(signers.challenger.address);
+            indexer.close();
+        });
+
+        it("should only index blocks with enough confirmations", async function () {
+            const { game, token, fromBlock, signers } = await loadFixture(setupTestFixture);
+            const indexer = await indexerFor(game, { fromBlock, confirmations: 3 });
+            await mine(3);
+            await indexer.sync();
+
+            await createChallenge(game, token, signers.challenger, 21, 3, 7);
+            let result = await indexer.sync();
+            expect(result.events).to.equal(0);
+            expect(indexer.getChallenges()).to.have.lengthOf(3);
+
+            await mine(3);
+            result = await indexer.sync();
+            expect(result.events).to.equal(1);
+            expect(indexer.getChallenges()).to.have.lengthOf(4);
+            indexer.close();
+        });
+
+        it("should drop the events of reorganised blocks", async function () {
+            const { game, token, fromBlock, signers } = await loadFixture(setupTestFixture);
+            const indexer = await indexerFor(game, { fromBlock });
+            await indexer.sync();
+
+            // Index a challenge, then replace its block with other blocks
+            const snapshot = await network.provider.send("evm_snapshot");
+            await createChallenge(game, token, signers.challenger, 21, 3, 7);
+            await mine(2);
+            await indexer.sync();
+            expect(indexer.getChallenges()).to.have.lengthOf(4);
+
+            await network.provider.send("evm_revert", [snapshot]);
+            await mine(5);
+            const { removed } = await indexer.sync();
+
+            expect(removed).to.equal(1);
+            expect(indexer.getChallenges()).to.have.lengthOf(3);
+            expect(indexer.lastIndexedBlock()).to.equal(await ethers.provider.getBlockNumber());
+            indexer.close();
+        });
+
+        it("should follow new blocks until stopped", async function () {
+            const { game, token, fromBlock, signers } = await loadFixture(setupTestFixture);
+            const indexer = await indexerFor(game, { fromBlock });
+            await indexer.sync();
+
+            const synced = new Promise((resolve, reject) => {
+                indexer.start({ interval: 10, onSync: (result) => result.events > 0 && resolve(result), onError: reject });
+            });
+            await createChallenge(game, token, signers.challenger, 21, 3, 7);
+
+            expect((await synced).events).to.equal(1);
+            indexer.stop();
+            expect(indexer.getOpenChallenges().map((challenge) => challenge.challengeId)).to.deep.equal([2n, 4n]);
+            indexer.close();
+        });
+
+        it("should save the database and resume from it", async function () {
+            const { game, token, fromBlock, signers } = await loadFixture(setupTestFixture);
+            const databasePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "indexer.sqlite");
+
+            const indexer = await indexerFor(game, { fromBlock, databasePath });
+            await indexer.sync();
+            const lastIndexedBlock = indexer.lastIndexedBlock();
+            indexer.close();
+            expect(fs.existsSync(databasePath)).to.be.true;
+
+            await createChallenge(game, token, signers.challenger, 21, 3, 7);
+            const resumed = await indexerFor(game, { fromBlock, databasePath });
+            expect(resumed.getChallenges()).to.have.lengthOf(3);
+
+            // Only the new blocks are read
+            const { fromBlock: resumedFrom, events } = await resumed.sync();
+            expect(resumedFrom).to.equal(lastIndexedBlock + 1);
+            expect(events).to.equal(1);
+            resumed.close();
+        });
+    }); // End of Happy Path Test Cases
+
+    context("Error Test Cases", function () {
+        it("should refuse a database that indexes another game", async function () {
+            const { game, fromBlock } = await loadFixture(setupTestFixture);
+            const databasePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "indexer.sqlite");
+
+            const indexer = await indexerFor(game, { fromBlock, databasePath });
+            await indexer.sync();
+            indexer.close();
+
+            const { game: otherGame } = await deployContracts();
+            await expect(
+                indexerFor(otherGame, { databasePath })
+            ).to.be.rejectedWith(`indexes game 31337:${await game.getAddress()}, not 31337:${await otherGame.getAddress()}`);
+        });
+    }); // End of Error Test Cases
+});
@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContracts } = require("../utils/deployContracts");
+const { compileCircuits, proofFor } = require("./helpers");
+
+// Runs random sequences of game operations and checks the prize-pool ledger after every one. Set INVARIANT_RUNS to change
+// the number of operations and INVARIANT_SEED to try other sequences or replay a failing run
+describe("prize-pool ledger invariants", function () {
+    this.timeout(0); // Thousands of transactions
+
+    // Mirrors the CompositeNumberGame.WindowMode enum
+    const WindowMode = { Blocks: 0, Timestamp: 1 };
+
+    // A fixed seed keeps npm test reproducible. Longer runs with other seeds are for hunting bugs
+    const runs = Number(process.env.INVARIANT_RUNS || 200);
+    const seed = Number(process.env.INVARIANT_SEED || 1);
+
+    // Proofs aren't bound to a challenge ID, so one proof per n and account covers every challenge
+    const semiprimes = [[33n, 3n, 11n], [35n, 5n, 7n], [77n, 7n, 11n], [221n, 13n, 17n]];
+
+    // mulberry32, a small seedable PRNG so a run can be replayed
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        const next = () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        return {
+            int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+            bigint: (max) => ((BigInt(Math.floor(next() * 2 ** 32)) << 32n) | BigInt(Math.floor(next() * 2 ** 32))) % (max + 1n),
+            pick: (items) => items[Math.floor(next() * items.length)],
+        };
+    }
+
+    before(compileCircuits);
+
+    // A plain token, a fee-on-transfer token and ETH, all supported, and players funded with each
+    async function setup() {
+        const [owner, ...players] = (await ethers.getSigners()).slice(0, 5);
+        const { tokenAddresses, game } = await deployContracts({ ethRewards: true });
+        const gameAddress = await game.getAddress();
+        const token = await ethers.getContractAt("MockERC20", tokenAddresses[0]);
+        const FeeToken = await ethers.getContractFactory("MockFeeOnTransferERC20");
+        const feeToken = await FeeToken.deploy("Fee Token", "FEE", 18, ethers.parseEther("10000"), 250);
+        await game.addSupportedToken(await feeToken.getAddress());
+        const nativeToken = await game.NATIVE_TOKEN();
+
+        for (const player of players) {
+            for (const erc20 of [token, feeToken]) {
+                if ((await erc20.balanceOf(player.address)) === 0n) {
+                    await erc20.connect(owner).transfer(player.address, ethers.parseEther("1000"));
+                }
+                await erc20.connect(player).approve(gameAddress, ethers.MaxUint256);
+            }
+        }
+
+        const proofs = new Map();
+        for (const [n, factor1, factor2] of semiprimes) {
+            for (const player of players) {
+                proofs.set(`${n}:${player.address}`, await proofFor(game, player, n, factor1, factor2));
+            }
+        }
+
+        return { game, owner, players, tokenAddresses: [await token.getAddress(), await feeToken.getAddress(), nativeToken], proofs };
+    }
+
+    it(`should never owe more than it holds over ${runs} random operations`, async function () {
+        const { game, owner, players, tokenAddresses, proofs } = await setup();
+        const random = createRandom(seed);
+        console.log(`      Seed ${seed}. Replay with INVARIANT_SEED=${seed}`);
+
+        // Challenges that are unsolved and haven't been claimed, and so still hold their reward
+        const unsettled = new Set();
+        const counts = { create: 0, solve: 0, claim: 0, withdraw: 0, split: 0, treasury: 0, mine: 0, reverted: 0 };
+
+        async function create() {
+            const player = random.pick(players);
+            const [n] = random.pick(semiprimes);
+            const tokenAddress = random.pick(tokenAddresses);
+            // Mostly small and odd amounts, which exercise the rounding in the splits
+            const amount = random.int(0, 1) ? random.bigint(1000n) + 1n : random.bigint(ethers.parseEther("5")) + 1n;
+            const value = tokenAddress === tokenAddresses[2] ? amount + (await game.creationFees(tokenAddress)) : 0n;
+            // Every operation mines a block, so windows this long leave time for solves while mine steps still expire some
+            await game.connect(player).createChallenge(n, tokenAddress, amount, random.int(10, 60), WindowMode.Blocks, 1, ...proofs.get(`${n}:${player.address}`), { value });
+            unsettled.add(await game.challengeCount());
+            return tokenAddress;
+        }
+
+        async function solve() {
+            const challengeId = random.pick([...unsettled]);
+            const challenge = await game.challenges(challengeId);
+            const player = random.pick(players);
+            await game.connect(player).solveChallenge(challengeId, ...proofs.get(`${challenge.n}:${player.address}`));
+            unsettled.delete(challengeId);
+            return challenge.rewardToken;
+        }
+
+        async function claim() {
+            const challengeId = random.pick([...unsettled]);
+            const challenge = await game.challenges(challengeId);
+            if (random.int(0, 1)) {
+                const challenger = players.find((player) => player.address === challenge.challenger);
+                await game.connect(challenger).claimExpiredChallenge(challengeId);
+            } else {
+                await game.connect(random.pick(players)).claimExpiredFor(challengeId);
+            }
+            unsettled.delete(challengeId);
+            return challenge.rewardToken;
+        }
+
+        async function withdraw() {
+            const player = random.pick(players);
+            const tokenAddress = random.pick(tokenAddresses);
+            const balance = await game.balances(player.address, tokenAddress);
+            if (random.int(0, 1)) {
+                await game.connect(player).withdrawAll([tokenAddress]);
+            } else {
+                await game.connect(player).withdraw(random.bigint(balance) + 1n, tokenAddress);
+            }
+            return tokenAddress;
+        }
+
+        // Changes the split and expiry payout cap of new challenges, which challenges created before keep, and the creation fees
+        async function split() {
+            const solverBps = random.int(0, 10_000);
+            await game.connect(owner).setRewardSplit(solverBps, random.int(0, 10_000 - solverBps), random.int(0, 10_000));
+            await game.connect(owner).setExpiryPayoutCap(random.int(0, 100_000));
+            await game.connect(owner).setCreationFee(random.pick(tokenAddresses), random.int(0, 1) ? random.bigint(1000n) : 0n);
+            await game.connect(owner).setCreationFeeDestination(random.int(0, 1));
+        }
+
+        async function treasury() {
+            const tokenAddress = random.pick(tokenAddresses);
+            await game.withdrawTreasury(tokenAddress);
+            return tokenAddress;
+        }
+
+        // Reads the ledger from its parts and checks it against the game's own totals and holdings
+        async function checkInvariants(tokenAddress) {
+            let owed = (await game.prizePools(tokenAddress)) + (await game.treasuryBalances(tokenAddress));
+            for (const player of players) {
+                owed += await game.balances(player.address, tokenAddress);
+            }
+            for (const challengeId of unsettled) {
+                const challenge = await game.challenges(challengeId);
+                if (challenge.rewardToken === tokenAddress) owed += challenge.rewardAmount;
+            }
+
+            const { assets, liabilities, surplus } = await game.solvency(tokenAddress);
+            expect(liabilities, `liabilities of ${tokenAddress} (seed ${seed})`).to.equal(owed);
+            expect(liabilities, `liabilities of ${tokenAddress} exceed assets (seed ${seed})`).to.be.at.most(assets);
+            expect(surplus).to.equal(assets - liabilities);
+        }
+
+        for (let i = 0; i < runs; i++) {
+            // Solves are weighted up, since they feed the prize pool and treasury through the split
+            const operation = random.pick(["create", "create", "solve", "solve", "solve", "claim", "withdraw", "split", "treasury", "mine"]);
+            if ((operation === "solve" || operation === "claim") && unsettled.size === 0) continue;
+
+            let tokenAddress;
+            try {
+                if (operation === "mine") {
+                    await mine(random.int(1, 60));
+                } else {
+                    tokenAddress = await { create, solve, claim, withdraw, split, treasury }[operation]();
+                }
+                counts[operation]++;
+            } catch (error) {
+                // Operations on challenges in the wrong state, or withdrawals above the balance or of an empty treasury balance, are
+                // expected to revert
+                if (!error.message.includes("reverted")) throw error;
+                counts.reverted++;
+            }
+
+            for (const address of tokenAddress ? [tokenAddress] : tokenAddresses) {
+                await checkInvariants(address);
+            }
+        }
+        console.log(`      ${Object.entries(counts).map(([name, count]) => `${count} ${name}`).join(", ")}`);
+    });
+});
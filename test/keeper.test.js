@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContracts } = require("../utils/deployContracts");
+const { findClaimableChallenges, settleExpiredChallenges } = require("../utils/keeper");
+const { compileCircuits, proofFor } = require("./helpers");
+
+describe("keeper", function () {
+    this.timeout(300000); // Increase timeout
+
+    // Mirrors the CompositeNumberGame.WindowMode enum
+    const WindowMode = { Blocks: 0, Timestamp: 1 };
+
+    const rewardAmount = ethers.parseEther("100");
+
+    before(compileCircuits);
+
+    // Challenges 1 to 3 expire unsolved, challenge 4 is solved and expires, challenge 5 is still open
+    async function setupTestFixture() {
+        const [owner, challenger, solver, keeper] = await ethers.getSigners();
+        const { tokenAddresses, game } = await deployContracts();
+        const token = await ethers.getContractAt("MockERC20", tokenAddresses[0]);
+
+        const createChallenge = async (n, factor1, factor2, window = 10) => {
+            await token.connect(challenger).approve(await game.getAddress(), rewardAmount);
+            const calldata = await proofFor(game, challenger, n, factor1, factor2);
+            await game.connect(challenger).createChallenge(n, await token.getAddress(), rewardAmount, window, WindowMode.Blocks, 1, ...calldata);
+        };
+        await createChallenge(33, 3, 11);
+        await createChallenge(35, 5, 7);
+        await createChallenge(15, 3, 5);
+        await createChallenge(21, 3, 7);
+        await game.connect(solver).solveChallenge(4n, ...(await proofFor(game, solver, 21, 3, 7)));
+        await createChallenge(77, 7, 11, 100);
+        await mine(11);
+
+        return { game, token, signers: { owner, challenger, solver, keeper } };
+    }
+
+    context("Happy Path Test Cases", function () {
+        it("should keep only the challenges that can be claimed", async function () {
+            const { game, signers } = await loadFixture(setupTestFixture);
+            await game.connect(signers.challenger).claimExpiredChallenge(2n);
+
+            expect(await findClaimableChallenges(game, [1n, 2n, 3n, 4n, 5n, 6n])).to.deep.equal([1n, 3n]);
+        });
+
+        it("should claim expired challenges in batches and earn the tips", async function () {
+            const { game, token, signers } = await loadFixture(setupTestFixture);
+            const tokenAddress = await token.getAddress();
+
+            const batches = await settleExpiredChallenges({ game, signer: signers.keeper, challengeIds: [1n, 2n, 3n, 4n, 5n], batchSize: 2 });
+
+            expect(batches.map((batch) => batch.challengeIds)).to.deep.equal([[1n, 2n], [3n]]);
+            expect(await game.balances(signers.keeper.address, tokenAddress)).to.equal(3n * rewardAmount / 100n);
+            // The prize pool of 50 tokens from the solved challenge is halved by each claim
+            const prizePoolShares = ethers.parseEther("25") + ethers.parseEther("12.5") + ethers.parseEther("6.25");
+            expect(await game.balances(signers.challenger.address, tokenAddress)).to.equal(3n * (rewardAmount - rewardAmount / 100n) + prizePoolShares);
+            expect(await findClaimableChallenges(game, [1n, 2n, 3n])).to.deep.equal([]);
+        });
+    }); // End of Happy Path Test Cases
+
+    context("Error Test Cases", function () {
+        it("should not send a batch when none of its challenges can be claimed", async function () {
+            const { game, signers } = await loadFixture(setupTestFixture);
+
+            // Claimed by the challenger after the keeper found them
+            await game.connect(signers.challenger).claimExpiredChallenge(1n);
+            await game.connect(signers.challenger).claimExpiredChallenge(2n);
+
+            const batches = await settleExpiredChallenges({ game, signer: signers.keeper, challengeIds: [1n, 2n, 4n, 5n] });
+
+            expect(batches).to.deep.equal([]);
+        });
+    }); // End of Error Test Cases
+});
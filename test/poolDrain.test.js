@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContracts } = require("../utils/deployContracts");
+const { compileCircuits, proofFor } = require("./helpers");
+
+// Simulates a challenger draining the prize pool with rewards on numbers nobody solves in time. Before expiry payouts were
+// capped by what the challenger paid into the pool, every claim took half of the pool, or as much as the stake, risk-free
+describe("prize pool draining", function () {
+    this.timeout(300000); // Increase timeout
+
+    // Mirrors the CompositeNumberGame.WindowMode enum
+    const WindowMode = { Blocks: 0, Timestamp: 1 };
+
+    const window = 10;
+    const rounds = 20;
+
+    before(compileCircuits);
+
+    // Honest play leaves a 250 token prize pool: five 100 token challenges are created and solved
+    async function setupTestFixture() {
+        const [owner, challenger, solver, attacker] = await ethers.getSigners();
+        const { tokenAddresses, game } = await deployContracts();
+        const token = await ethers.getContractAt("MockERC20", tokenAddresses[0]);
+        const gameAddress = await game.getAddress();
+
+        await token.connect(challenger).approve(gameAddress, ethers.MaxUint256);
+        const createProof = await proofFor(game, challenger, 33, 3, 11);
+        const solveProof = await proofFor(game, solver, 33, 3, 11);
+        for (let i = 0; i < 5; i++) {
+            await game.connect(challenger).createChallenge(33, tokenAddresses[0], ethers.parseEther("100"), window, WindowMode.Blocks, 1, ...createProof);
+            await game.connect(solver).solveChallenge(await game.challengeCount(), ...solveProof);
+        }
+
+        await token.connect(owner).transfer(attacker.address, ethers.parseEther("100"));
+        await token.connect(attacker).approve(gameAddress, ethers.MaxUint256);
+        // Stands in for a large semiprime that nobody factors within the window
+        const attackProof = await proofFor(game, attacker, 221, 13, 17);
+
+        return { game, token, attacker, attackProof, solver, solveProof };
+    }
+
+    // Creates a challenge with the given stake, lets it expire unsolved and claims it, once per round
+    async function attack(game, token, attacker, attackProof, stake) {
+        const tokenAddress = await token.getAddress();
+        const payouts = [];
+        for (let i = 0; i < rounds; i++) {
+            await game.connect(attacker).createChallenge(221, tokenAddress, stake, window, WindowMode.Blocks, 1, ...attackProof);
+            const challengeId = await game.challengeCount();
+            await mine(window + 1);
+
+            const receipt = await (await game.connect(attacker).claimExpiredChallenge(challengeId)).wait();
+            const event = receipt.logs.map((log) => game.interface.parseLog(log)).find((log) => log?.name === "ExpiredChallengeClaimed");
+            payouts.push(event.args.prizePoolAmount);
+        }
+        return payouts;
+    }
+
+    // What the same rounds paid when every claim took half of the pool
+    function uncappedPayouts(prizePool) {
+        const payouts = [];
+        for (let i = 0; i < rounds; i++) {
+            payouts.push(prizePool / 2n);
+            prizePool -= prizePool / 2n;
+        }
+        return payouts;
+    }
+
+    const sum = (amounts) => amounts.reduce((total, amount) => total + amount, 0n);
+
+    // The attacker's tokens, in their wallet and in the game, and their ETH
+    async function holdings(game, token, attacker) {
+        return {
+            tokens: (await token.balanceOf(attacker.address)) + (await game.balances(attacker.address, await token.getAddress())),
+            eth: await ethers.provider.getBalance(attacker.address),
+        };
+    }
+
+    it("should pay an attacker who never funded the pool nothing from it", async function () {
+        const { game, token, attacker, attackProof } = await loadFixture(setupTestFixture);
+        const tokenAddress = await token.getAddress();
+        const prizePool = await game.prizePools(tokenAddress);
+        expect(prizePool).to.equal(ethers.parseEther("250"));
+        const before = await holdings(game, token, attacker);
+
+        const payouts = await attack(game, token, attacker, attackProof, ethers.parseEther("1"));
+
+        // Uncapped, the attacker would have taken all but a millionth of the pool for stakes they got back anyway
+        expect(sum(uncappedPayouts(prizePool))).to.be.greaterThan(prizePool - prizePool / 1_000_000n);
+        // Now every claim only returns the stake, and the attack costs gas
+        expect(payouts).to.deep.equal(Array(rounds).fill(0n));
+        expect(await game.prizePools(tokenAddress)).to.equal(prizePool);
+        const after = await holdings(game, token, attacker);
+        expect(after.tokens).to.equal(before.tokens);
+        expect(after.eth).to.be.lessThan(before.eth);
+    });
+
+    it("should leave an attacker who funded the pool first with less than they started with", async function () {
+        const { game, token, attacker, attackProof, solver, solveProof } = await loadFixture(setupTestFixture);
+        const tokenAddress = await token.getAddress();
+        const prizePool = await game.prizePools(tokenAddress);
+        const before = await holdings(game, token, attacker);
+
+        // Half of a solved 10 token challenge goes to the pool and is what the attacker can take back, the other half is lost
+        const fundingProof = await proofFor(game, attacker, 33, 3, 11);
+        await game.connect(attacker).createChallenge(33, tokenAddress, ethers.parseEther("10"), window, WindowMode.Blocks, 1, ...fundingProof);
+        await game.connect(solver).solveChallenge(await game.challengeCount(), ...solveProof);
+        expect(await game.prizePoolContributions(attacker.address, tokenAddress)).to.equal(ethers.parseEther("5"));
+
+        const payouts = await attack(game, token, attacker, attackProof, ethers.parseEther("1"));
+
+        expect(sum(payouts)).to.equal(ethers.parseEther("5"));
+        expect(await game.prizePools(tokenAddress)).to.equal(prizePool);
+        expect(await game.prizePoolContributions(attacker.address, tokenAddress)).to.equal(0n);
+        const after = await holdings(game, token, attacker);
+        expect(after.tokens).to.equal(before.tokens - ethers.parseEther("5"));
+        expect(after.eth).to.be.lessThan(before.eth);
+    });
+});
@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const { generateProof, verifyProof, getCalldata, prove } = require("../utils/prover");
+const { compileCircuits } = require("./helpers");
+
+describe("prover", function () {
+    this.timeout(300000); // Increase timeout
+
+    // Any address works for the binding inputs when the proof is only checked off-chain
+    const binding = {
+        prover: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+        chainId: 31337,
+        gameAddress: "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0",
+    };
+
+    // Two 64-bit primes, the largest below 2^64, whose product is a 128-bit semiprime
+    const p64 = 2n ** 64n - 59n;
+    const q64 = 2n ** 64n - 83n;
+
+    // Order of the BN254 scalar field that circom arithmetic wraps around
+    const fieldSize = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+    before(compileCircuits);
+
+    context("Happy Path Test Cases", function () {
+        it("should generate a proof that verifies off-chain", async function () {
+            const { proof, publicSignals } = await generateProof({ n: 33, factor1: 3, factor2: 11, ...binding });
+
+            // The output signal isComposite comes first, followed by the public inputs n, prover, chainId and gameAddress
+            expect(publicSignals).to.deep.equal([
+                "1",
+                "33",
+                BigInt(binding.prover).toString(),
+                "31337",
+                BigInt(binding.gameAddress).toString(),
+            ]);
+            expect(await verifyProof(proof, publicSignals)).to.be.true;
+        });
+
+        it("should return calldata in createChallenge argument order", async function () {
+            const [pA, pB, pC, pubSignals] = await prove({ n: 33n, factor1: 3n, factor2: 11n, ...binding });
+
+            expect(pA).to.have.lengthOf(2);
+            expect(pB).to.have.lengthOf(2);
+            expect(pB[0]).to.have.lengthOf(2);
+            expect(pC).to.have.lengthOf(2);
+            expect(pubSignals.map(BigInt)).to.deep.equal([1n, 33n, BigInt(binding.prover), 31337n, BigInt(binding.gameAddress)]);
+        });
+
+        it("should build several proofs at once without writing files", async function () {
+            const filesBefore = fs.readdirSync("circuit");
+
+            const inputs = [
+                { n: 33, factor1: 3, factor2: 11, ...binding },
+                { n: 100, factor1: 20, factor2: 5, ...binding },
+                { n: 35, factor1: 5, factor2: 7, ...binding },
+            ];
+            const results = await Promise.all(inputs.map((input) => generateProof(input)));
+
+            for (let i = 0; i < inputs.length; i++) {
+                expect(results[i].publicSignals[1]).to.equal(String(inputs[i].n));
+                expect(await verifyProof(results[i].proof, results[i].publicSignals)).to.be.true;
+            }
+
+            expect(fs.readdirSync("circuit")).to.deep.equal(filesBefore);
+        });
+
+        it("should detect a tampered proof", async function () {
+            const { proof, publicSignals } = await generateProof({ n: 33, factor1: 3, factor2: 11, ...binding });
+            proof.pi_a[0] = "1";
+
+            expect(await verifyProof(proof, publicSignals)).to.be.false;
+
+            // Calldata can still be exported so that the contract's rejection can be tested
+            const [, , , pubSignals] = await getCalldata(proof, publicSignals);
+            expect(pubSignals).to.have.lengthOf(5);
+        });
+
+        it("should prove a 128-bit semiprime with circuit version 2", async function () {
+            const n = p64 * q64;
+            const { proof, publicSignals } = await generateProof({ n, factor1: p64, factor2: q64, ...binding }, { circuitVersion: 2 });
+
+            expect(publicSignals[0]).to.equal("1");
+            expect(publicSignals[1]).to.equal(n.toString());
+            expect(await verifyProof(proof, publicSignals, { circuitVersion: 2 })).to.be.true;
+
+            // The proof doesn't verify against the version 1 key
+            expect(await verifyProof(proof, publicSignals)).to.be.false;
+        });
+
+        it("should output isComposite 0 for a prime with circuit version 2", async function () {
+            const { proof, publicSignals } = await generateProof({ n: q64, factor1: 1, factor2: q64, ...binding }, { circuitVersion: 2 });
+
+            expect(publicSignals[0]).to.equal("0");
+            expect(await verifyProof(proof, publicSignals, { circuitVersion: 2 })).to.be.true;
+        });
+    }); // End of Happy Path Test Cases
+
+    context("Error Test Cases", function () {
+        it("should report a missing wasm file", async function () {
+            await expect(
+                generateProof({ n: 33, factor1: 3, factor2: 11, ...binding }, { wasmPath: "circuit/missing.wasm" })
+            ).to.be.rejectedWith("Circuit wasm not found at circuit/missing.wasm");
+        });
+
+        it("should report a missing zkey file", async function () {
+            await expect(
+                prove({ n: 33, factor1: 3, factor2: 11, ...binding }, { zkeyPath: "circuit/missing.zkey" })
+            ).to.be.rejectedWith("Proving key (zkey) not found at circuit/missing.zkey");
+        });
+
+        it("should report a missing binding input", async function () {
+            await expect(
+                generateProof({ n: 33, factor1: 3, factor2: 11, prover: binding.prover, chainId: binding.chainId })
+            ).to.be.rejectedWith("Missing circuit input: gameAddress");
+        });
+
+        it("should report a missing verification key", async function () {
+            const { proof, publicSignals } = await generateProof({ n: 33, factor1: 3, factor2: 11, ...binding });
+
+            await expect(
+                verifyProof(proof, publicSignals, { verificationKeyPath: "circuit/missing.json" })
+            ).to.be.rejectedWith("Verification key not found at circuit/missing.json");
+        });
+
+        it("should reject an unknown circuit version", async function () {
+            await expect(
+                generateProof({ n: 33, factor1: 3, factor2: 11, ...binding }, { circuitVersion: 99 })
+            ).to.be.rejectedWith("Unknown circuit version: 99");
+        });
+
+        it("should not prove an n of 2^128 or more with circuit version 2", async function () {
+            await expect(
+                generateProof({ n: 2n ** 128n, factor1: 2n ** 64n, factor2: 2n ** 64n, ...binding }, { circuitVersion: 2 })
+            ).to.be.rejectedWith("Assert Failed");
+        });
+
+        it("should not prove factors whose product only equals n modulo the field with circuit version 2", async function () {
+            // 2 * factor2 == 7 in the field even though 7 is prime
+            const factor2 = (7n * ((fieldSize + 1n) / 2n)) % fieldSize;
+
+            await expect(
+                generateProof({ n: 7, factor1: 2, factor2, ...binding }, { circuitVersion: 2 })
+            ).to.be.rejectedWith("Assert Failed");
+        });
+
+        it("should not prove two 128-bit factors that are both wider than 64 bits with circuit version 2", async function () {
+            // Their product would exceed 2^128, so no n accepted by the circuit can equal it
+            const factor = 2n ** 64n + 13n;
+
+            await expect(
+                generateProof({ n: (factor * factor) % 2n ** 128n, factor1: factor, factor2: factor, ...binding }, { circuitVersion: 2 })
+            ).to.be.rejectedWith("Assert Failed");
+        });
+    }); // End of Error Test Cases
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContracts } = require("../utils/deployContracts");
+const { maxBodySize, signForwardRequest, createRelayer, createRelayerServer } = require("../utils/relayer");
+const { compileCircuits, proofFor } = require("./helpers");
+
+describe("relayer", function () {
+    this.timeout(300000); // Increase timeout
+
+    // Mirrors the CompositeNumberGame.WindowMode enum
+    const WindowMode = { Blocks: 0, Timestamp: 1 };
+
+    const rewardAmount = ethers.parseEther("100");
+
+    before(compileCircuits);
+
+    // Challenge 1 is open for n = 33. The player is a new account without any ETH
+    async function setupTestFixture() {
+        const [owner, challenger, solver, relayerAccount] = await ethers.getSigners();
+        const { tokenAddresses, forwarder, game } = await deployContracts();
+        const token = await ethers.getContractAt("MockERC20", tokenAddresses[0]);
+
+        await token.connect(challenger).approve(await game.getAddress(), rewardAmount);
+        const calldata = await proofFor(game, challenger, 33, 3, 11);
+        await game.connect(challenger).createChallenge(33, await token.getAddress(), rewardAmount, 10, WindowMode.Blocks, 1, ...calldata);
+
+        const player = ethers.Wallet.createRandom().connect(ethers.provider);
+        const relayer = createRelayer({ forwarder, game, signer: relayerAccount });
+        return { forwarder, game, token, relayer, signers: { owner, challenger, solver, relayerAccount, player } };
+    }
+
+    async function signGameCall(forwarder, game, signer, functionName, args, options = {}) {
+        return signForwardRequest({
+            forwarder,
+            signer,
+            to: await game.getAddress(),
+            data: game.interface.encodeFunctionData(functionName, args),
+            ...options,
+        });
+    }
+
+    context("Happy Path Test Cases", function () {
+        it("should relay a solution and a withdrawal for an account without ETH", async function () {
+            const { forwarder, game, token, relayer, signers } = await loadFixture(setupTestFixture);
+            const tokenAddress = await token.getAddress();
+
+            const solveRequest = await signGameCall(forwarder, game, signers.player, "solveChallenge", [1, ...(await proofFor(game, signers.player, 33, 11, 3))]);
+            const solved = await relayer.relay(solveRequest);
+            expect(solved.name).to.equal("solveChallenge");
+            expect((await game.challenges(1)).solver).to.equal(signers.player.address);
+
+            const withdrawRequest = await signGameCall(forwarder, game, signers.player, "withdraw", [rewardAmount / 2n, tokenAddress]);
+            await relayer.relay(withdrawRequest);
+            expect(await token.balanceOf(signers.player.address)).to.equal(rewardAmount / 2n);
+            expect(await ethers.provider.getBalance(signers.player.address)).to.equal(0);
+        });
+
+        it("should relay requests posted to the HTTP server", async function () {
+            const { forwarder, game, relayer, signers } = await loadFixture(setupTestFixture);
+            const server = createRelayerServer(relayer);
+            await new Promise((resolve) => server.listen(0, resolve));
+            const url = `http://localhost:${server.address().port}/relay`;
+
+            try {
+                // Amounts travel as decimal strings
+                const request = await signGameCall(forwarder, game, signers.player, "solveChallenge", [1, ...(await proofFor(game, signers.player, 33, 3, 11))]);
+                const body = JSON.stringify(request, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+                const response = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body });
+
+                expect(response.status).to.equal(200);
+                const { name, transactionHash } = await response.json();
+                expect(name).to.equal("solveChallenge");
+                expect((await ethers.provider.getTransactionReceipt(transactionHash)).status).to.equal(1);
+            } finally {
+                await new Promise((resolve) => server.close(resolve));
+            }
+        });
+    }); // End of Happy Path Test Cases
+
+    context("Error Test Cases", function () {
+        it("should turn away a request whose signature is not from its sender", async function () {
+            const { forwarder, game, relayer, signers } = await loadFixture(setupTestFixture);
+            const request = await signGameCall(forwarder, game, signers.player, "withdraw", [1, await game.getAddress()]);
+
+            await expect(relayer.check({ ...request, from: signers.solver.address })).to.be.rejectedWith(`not by ${signers.solver.address}`);
+        });
+
+        it("should turn away a proof generated for another account", async function () {
+            const { forwarder, game, relayer, signers } = await loadFixture(setupTestFixture);
+            // The player submits the solver's proof
+            const calldata = await proofFor(game, signers.solver, 33, 3, 11);
+            const request = await signGameCall(forwarder, game, signers.player, "solveChallenge", [1, ...calldata]);
+
+            await expect(relayer.check(request)).to.be.rejectedWith(`The proof was not generated for ${signers.player.address}`);
+        });
+
+        it("should turn away a proof that the verifier rejects", async function () {
+            const { forwarder, game, relayer, signers } = await loadFixture(setupTestFixture);
+            const [pA, pB, pC, pubSignals] = await proofFor(game, signers.player, 33, 3, 11);
+            const request = await signGameCall(forwarder, game, signers.player, "solveChallenge", [1, pA, pB, [pC[1], pC[0]], pubSignals]);
+
+            await expect(relayer.check(request)).to.be.rejectedWith("The proof is invalid");
+        });
+
+        it("should turn away calls that are not relayed or would revert", async function () {
+            const { forwarder, game, token, relayer, signers } = await loadFixture(setupTestFixture);
+
+            const ownerCall = await signGameCall(forwarder, game, signers.player, "setKeeperTip", [0]);
+            await expect(relayer.check(ownerCall)).to.be.rejectedWith("Calls to setKeeperTip are not relayed");
+
+            const withdrawal = await signGameCall(forwarder, game, signers.player, "withdraw", [1, await token.getAddress()]);
+            await expect(relayer.check(withdrawal)).to.be.rejectedWith("The call would revert: InsufficientBalance(amount=1, balance=0)");
+        });
+
+        it("should turn away an expired request", async function () {
+            const { forwarder, game, token, relayer, signers } = await loadFixture(setupTestFixture);
+            const deadline = BigInt(await time.latest()) + 60n;
+            const request = await signGameCall(forwarder, game, signers.player, "withdraw", [1, await token.getAddress()], { deadline });
+            await time.increase(120);
+
+            await expect(relayer.check(request)).to.be.rejectedWith("The request has expired");
+        });
+
+        it("should turn away a request body that is too large", async function () {
+            const { relayer } = await loadFixture(setupTestFixture);
+            const server = createRelayerServer(relayer);
+            await new Promise((resolve) => server.listen(0, resolve));
+            const url = `http://localhost:${server.address().port}/relay`;
+
+            try {
+                const body = JSON.stringify({ data: "0x" + "00".repeat(maxBodySize) });
+                const response = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body });
+
+                expect(response.status).to.equal(413);
+                expect((await response.json()).error).to.equal(`Requests must be at most ${maxBodySize} bytes`);
+            } finally {
+                await new Promise((resolve) => server.close(resolve));
+            }
+        });
+    }); // End of Error Test Cases
+});
@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployContracts } = require("../utils/deployContracts");
+const { loadScenario, seedDevnet } = require("../utils/seed");
+const { nativeToken, getChallengeStatus } = require("../utils/cng");
+const { compileCircuits } = require("./helpers");
+
+describe("seed", function () {
+    this.timeout(600000); // Every create and solve generates a proof
+
+    before(compileCircuits);
+
+    async function setupTestFixture() {
+        const signers = await ethers.getSigners();
+        const { game } = await deployContracts();
+        return { game, signers };
+    }
+
+    // Writes a scenario to a temporary file and loads it back, as the seed script does
+    function scenarioFile(scenario, extension = ".json") {
+        const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "seed-")), `scenario${extension}`);
+        fs.writeFileSync(filePath, typeof scenario === "string" ? scenario : JSON.stringify(scenario));
+        return filePath;
+    }
+
+    function seed(game, scenario) {
+        return seedDevnet({ game, scenario, log: () => {} });
+    }
+
+    context("Happy Path Test Cases", function () {
+        it("should deploy and fund the scenario's tokens", async function () {
+            const { game, signers } = await loadFixture(setupTestFixture);
+
+            const { tokens } = await seed(game, {
+                accounts: 2,
+                fund: "50",
+                eth: true,
+                tokens: [{ symbol: "USDC", decimals: 6 }],
+                steps: [],
+            });
+
+            expect(Object.keys(tokens)).to.deep.equal(["TTK", "ETH", "USDC"]);
+            expect(tokens.ETH).to.equal(nativeToken);
+            expect([...(await game.getSupportedTokens())]).to.deep.equal([tokens.TTK, tokens.ETH, tokens.USDC]);
+            const usdc = await ethers.getContractAt("MockERC20", tokens.USDC);
+            expect(await usdc.balanceOf(signers[1].address)).to.equal(50_000_000n);
+            expect(await usdc.balanceOf(signers[2].address)).to.equal(50_000_000n);
+            expect(await usdc.balanceOf(signers[3].address)).to.equal(0);
+        });
+
+        it("should run creates, solves, expiries, claims and withdrawals", async function () {
+            const { game, signers } = await loadFixture(setupTestFixture);
+            const scenario = loadScenario(scenarioFile({
+                accounts: 3,
+                eth: true,
+                steps: [
+                    { create: { id: "open", account: 1, n: 35, factors: [5, 7], token: "ETH", amount: "1", mode: "timestamp" } },
+                    { create: { id: "solved", account: 1, n: 33, factors: [3, 11], token: "TTK", amount: "100" } },
+                    { solve: { challenge: "solved", account: 2 } },
+                    { create: { id: "claimed", account: 3, n: 91, factors: [7, 13], token: "TTK", amount: "20", window: 10 } },
+                    { expire: { challenge: "claimed" } },
+                    { claim: { challenge: "claimed", account: 2 } },
+                    { withdraw: { account: 2, token: "TTK" } },
+                    { mine: 3 },
+                ],
+            }));
+
+            const { tokens, challenges } = await seed(game, scenario);
+
+            expect(challenges).to.deep.equal({ open: 1n, solved: 2n, claimed: 3n });
+            expect((await getChallengeStatus(game, challenges.open)).state).to.equal("open");
+            expect((await getChallengeStatus(game, challenges.solved)).solver).to.equal(signers[2].address);
+            expect((await getChallengeStatus(game, challenges.claimed)).exists).to.be.false;
+            // The keeper's tip and the solver's reward were withdrawn, the challenger's claim is still in the game
+            expect(await game.balances(signers[2].address, tokens.TTK)).to.equal(0);
+            expect(await game.balances(signers[3].address, tokens.TTK)).to.be.greaterThan(0);
+        });
+
+        it("should run the default devnet scenario", async function () {
+            const { game } = await loadFixture(setupTestFixture);
+            const scenario = loadScenario(path.join(__dirname, "..", "scenarios", "devnet.yaml"));
+
+            const { challenges } = await seed(game, scenario);
+
+            const states = {};
+            for (const [id, challengeId] of Object.entries(challenges)) {
+                const status = await getChallengeStatus(game, challengeId);
+                states[id] = status.exists ? status.state : "claimed";
+            }
+            expect(states).to.deep.equal({
+                "open-ttk": "open",
+                "open-usdc": "open",
+                "open-eth": "open",
+                "open-128": "open",
+                "solved-ttk": "solved",
+                "solved-usdc": "solved",
+                "expired-ttk": "expired",
+                "claimed-ttk": "claimed",
+                "claimed-eth": "claimed",
+            });
+            expect((await game.challenges(challenges["open-128"])).circuitVersion).to.equal(2);
+        });
+    }); // End of Happy Path Test Cases
+
+    context("Error Test Cases", function () {
+        it("should reject a step with an unknown action", async function () {
+            const filePath = scenarioFile("steps:\n  - create: { id: a, n: 33, factors: [3, 11], token: TTK, amount: '1' }\n  - bribe: { challenge: a }\n", ".yaml");
+
+            expect(() => loadScenario(filePath)).to.throw("Step 2 of");
+        });
+
+        it("should reject a scenario without steps", async function () {
+            expect(() => loadScenario(scenarioFile({ accounts: 1 }))).to.throw("has no list of steps");
+        });
+
+        it("should report the failing step with the game's custom error", async function () {
+            const { game } = await loadFixture(setupTestFixture);
+
+            await expect(seed(game, {
+                steps: [
+                    { create: { id: "a", n: 33, factors: [3, 11], token: "TTK", amount: "1" } },
+                    { solve: { challenge: "a", factors: [3, 12] } },
+                ],
+            })).to.be.rejectedWith("Step 2 (solve) failed: NotComposite(challengeId=1, isComposite=0)");
+        });
+
+        it("should report a token the game doesn't have", async function () {
+            const { game } = await loadFixture(setupTestFixture);
+
+            await expect(seed(game, {
+                steps: [{ create: { id: "a", n: 33, factors: [3, 11], token: "DAI", amount: "1" } }],
+            })).to.be.rejectedWith("Step 1 (create) failed: Unknown token DAI");
+        });
+    }); // End of Error Test Cases
+});
@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployContracts } = require("../utils/deployContracts");
+const { factorInWorker, createSolver } = require("../utils/solver");
+const { compileCircuits, proofFor } = require("./helpers");
+
+describe("solver", function () {
+    this.timeout(300000); // Increase timeout
+
+    // Mirrors the CompositeNumberGame.WindowMode enum
+    const WindowMode = { Blocks: 0, Timestamp: 1 };
+
+    // deployContracts registers the 128-bit circuit as version 2
+    const circuitVersion128 = 2;
+
+    const rewardAmount = ethers.parseEther("100");
+
+    before(compileCircuits);
+
+    async function setupTestFixture() {
+        const [owner, challenger, solver] = await ethers.getSigners();
+        const { tokenAddresses, game } = await deployContracts();
+        const token = await ethers.getContractAt("MockERC20", tokenAddresses[0]);
+
+        return { game, token, signers: { owner, challenger, solver } };
+    }
+
+    async function createChallenge(game, token, signer, n, factor1, factor2, { amount = rewardAmount, window = 100, windowMode = WindowMode.Blocks } = {}) {
+        await token.connect(signer).approve(await game.getAddress(), amount);
+        const [pA, pB, pC, pubSignals] = await proofFor(game, signer, n, factor1, factor2, { circuitVersion: circuitVersion128 });
+        await game.connect(signer).createChallenge(n, await token.getAddress(), amount, window, windowMode, circuitVersion128, pA, pB, pC, pubSignals);
+        return game.challengeCount();
+    }
+
+    function solverFor(game, signer, options) {
+        return createSolver({ game, provider: ethers.provider, signer, fromBlock: 0, workers: 1, pollInterval: 20, ...options });
+    }
+
+    // Resolves with the first event the solver emits for the challenge
+    function outcome(solver, challengeId) {
+        return new Promise((resolve) => {
+            for (const name of ["solved", "skipped", "gaveUp", "failed"]) {
+                solver.on(name, (result) => result.challengeId === challengeId && resolve({ name, ...result }));
+            }
+        });
+    }
+
+    context("Happy Path Test Cases", function () {
+        it("should factor a new challenge in a worker and solve it", async function () {
+            const { game, token, signers } = await loadFixture(setupTestFixture);
+            const p = 4294967291n;
+            const q = 4294967279n;
+            const solver = solverFor(game, signers.solver, { minRewards: { [await token.getAddress()]: rewardAmount } });
+            solver.start();
+
+            const challengeId = await createChallenge(game, token, signers.challenger, p * q, p, q);
+            const result = await outcome(solver, challengeId);
+            solver.stop();
+
+            expect(result.name).to.equal("solved");
+            expect(result.factor1 * result.factor2).to.equal(p * q);
+            expect((await game.challenges(challengeId)).solver).to.equal(signers.solver.address);
+            expect(await game.balances(signers.solver.address, await token.getAddress())).to.equal(rewardAmount / 2n);
+        });
+
+        it("should find challenges created before it started", async function () {
+            const { game, token, signers } = await loadFixture(setupTestFixture);
+            const challengeId = await createChallenge(game, token, signers.challenger, 1000003n * 1000033n, 1000003n, 1000033n, { windowMode: WindowMode.Timestamp, window: 3600 });
+
+            const solver = solverFor(game, signers.solver, { minRewards: { [await token.getAddress()]: 0n } });
+            const solved = outcome(solver, challengeId);
+            await solver.poll();
+
+            expect((await solved).name).to.equal("solved");
+        });
+
+        it("should factor in a worker thread", async function () {
+            expect(await factorInWorker(91n, 1000)).to.be.oneOf([7n, 13n]);
+            expect(await factorInWorker(4294967291n, 1000)).to.be.null;
+        });
+    }); // End of Happy Path Test Cases
+
+    context("Error Test Cases", function () {
+        it("should skip challenges below the reward thresholds", async function () {
+            const { game, token, signers } = await loadFixture(setupTestFixture);
+            const otherToken = await (await ethers.getContractFactory("MockERC20")).deploy("Other Token", "OTK", 18, rewardAmount);
+            await game.connect(signers.owner).addSupportedToken(await otherToken.getAddress());
+
+            const lowRewardId = await createChallenge(game, token, signers.challenger, 33n, 3n, 11n, { amount: ethers.parseEther("1") });
+            const otherTokenId = await createChallenge(game, otherToken, signers.owner, 35n, 5n, 7n);
+
+            const solver = solverFor(game, signers.solver, { minRewards: { [await token.getAddress()]: ethers.parseEther("10") } });
+            const lowReward = outcome(solver, lowRewardId);
+            const unaccepted = outcome(solver, otherTokenId);
+            await solver.poll();
+
+            expect(await lowReward).to.deep.include({ name: "skipped", reason: `Reward ${ethers.parseEther("1")} is below the minimum of ${ethers.parseEther("10")}` });
+            expect(await unaccepted).to.deep.include({ name: "skipped", reason: `Reward token ${await otherToken.getAddress()} isn't accepted` });
+            expect((await game.challenges(lowRewardId)).solver).to.equal(ethers.ZeroAddress);
+        });
+
+        it("should give up when n can't be factored before the deadline", async function () {
+            const { game, token, signers } = await loadFixture(setupTestFixture);
+            const p = 2n ** 64n - 59n;
+            const q = 2n ** 64n - 83n;
+
+            // With 50 ms blocks the 100 block window leaves the solver about 5 seconds
+            const challengeId = await createChallenge(game, token, signers.challenger, p * q, p, q);
+            const solver = solverFor(game, signers.solver, { minRewards: { [await token.getAddress()]: 0n }, blockTime: 50 });
+            const result = outcome(solver, challengeId);
+            await solver.poll();
+
+            expect(await result).to.deep.include({ name: "gaveUp", reason: "n wasn't factored before the deadline" });
+        });
+
+        it("should give up when the deadline is too close", async function () {
+            const { game, token, signers } = await loadFixture(setupTestFixture);
+
+            const challengeId = await createChallenge(game, token, signers.challenger, 33n, 3n, 11n, { window: 10 });
+            const solver = solverFor(game, signers.solver, { minRewards: { [await token.getAddress()]: 0n }, marginBlocks: 10 });
+            const result = outcome(solver, challengeId);
+            await solver.poll();
+
+            expect(await result).to.deep.include({ name: "gaveUp", reason: "The deadline is too close" });
+        });
+    }); // End of Error Test Cases
+});
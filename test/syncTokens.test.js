@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployContracts } = require("../utils/deployContracts");
+const { readTokenList, syncSupportedTokens } = require("../utils/syncTokens");
+
+describe("syncTokens", function () {
+    async function setupTestFixture() {
+        const [owner] = await ethers.getSigners();
+        const { tokenAddresses, game } = await deployContracts();
+
+        // Two more tokens that are not supported yet
+        const Token = await ethers.getContractFactory("MockERC20");
+        const tokenA = await Token.deploy("Token A", "TKA", 18, 0);
+        const tokenB = await Token.deploy("Token B", "TKB", 18, 0);
+
+        return {
+            game: game.connect(owner),
+            deployedToken: tokenAddresses[0],
+            tokenA: await tokenA.getAddress(),
+            tokenB: await tokenB.getAddress(),
+        };
+    }
+
+    context("syncSupportedTokens", function () {
+        it("should add missing tokens and remove tokens that are not listed", async function () {
+            const { game, deployedToken, tokenA, tokenB } = await loadFixture(setupTestFixture);
+
+            const { added, removed } = await syncSupportedTokens(game, [tokenA, tokenB]);
+
+            expect(added).to.deep.equal([tokenA, tokenB]);
+            expect(removed).to.deep.equal([deployedToken]);
+            expect([...(await game.getSupportedTokens())]).to.have.members([tokenA, tokenB]);
+        });
+
+        it("should do nothing when the game is already in sync", async function () {
+            const { game, deployedToken } = await loadFixture(setupTestFixture);
+
+            const { added, removed } = await syncSupportedTokens(game, [deployedToken.toLowerCase()]);
+
+            expect(added).to.deep.equal([]);
+            expect(removed).to.deep.equal([]);
+        });
+
+        it("should only report the changes on a dry run", async function () {
+            const { game, deployedToken, tokenA } = await loadFixture(setupTestFixture);
+
+            const { added, removed } = await syncSupportedTokens(game, [tokenA], { dryRun: true });
+
+            expect(added).to.deep.equal([tokenA]);
+            expect(removed).to.deep.equal([deployedToken]);
+            expect(await game.getSupportedTokens()).to.deep.equal([deployedToken]);
+        });
+    }); // End of syncSupportedTokens context
+
+    context("readTokenList", function () {
+        const env = { TOKEN_LIST: process.env.TOKEN_LIST, TOKEN_ADDRESSES: process.env.TOKEN_ADDRESSES, ETH_REWARDS: process.env.ETH_REWARDS };
+
+        afterEach(function () {
+            // Restore the variables the tests change
+            for (const [name, value] of Object.entries(env)) {
+                if (value === undefined) {
+                    delete process.env[name];
+                } else {
+                    process.env[name] = value;
+                }
+            }
+        });
+
+        it("should read a JSON token list file", function () {
+            const tokenAddress = "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238";
+            const listPath = path.join(os.tmpdir(), `tokens-${process.pid}.json`);
+            fs.writeFileSync(listPath, JSON.stringify([tokenAddress.toLowerCase()]));
+            process.env.TOKEN_LIST = listPath;
+
+            try {
+                expect(readTokenList()).to.deep.equal([tokenAddress]);
+            } finally {
+                fs.unlinkSync(listPath);
+            }
+        });
+
+        it("should fall back to TOKEN_ADDRESSES", function () {
+            delete process.env.TOKEN_LIST;
+            process.env.TOKEN_ADDRESSES = "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238, 0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+
+            expect(readTokenList()).to.deep.equal([
+                "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238",
+                "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
+            ]);
+        });
+
+        it("should add the native token when ETH rewards are enabled", function () {
+            delete process.env.TOKEN_LIST;
+            process.env.TOKEN_ADDRESSES = "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238";
+            process.env.ETH_REWARDS = "true";
+
+            expect(readTokenList()).to.deep.equal([
+                "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238",
+                "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE"
+            ]);
+        });
+
+        it("should reject invalid addresses", function () {
+            delete process.env.TOKEN_LIST;
+            process.env.TOKEN_ADDRESSES = "0xTokenAddress1";
+
+            expect(() => readTokenList()).to.throw("Invalid token address: 0xTokenAddress1");
+        });
+    }); // End of readTokenList context
+});
@@ -0,0 +1,273 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const snarkjs = require("snarkjs");
+const { circuitArtifacts } = require("./prover");
+
+const rootDir = path.join(__dirname, "..");
+const circuitDir = path.join(rootDir, "circuit");
+
+// Hashes of every ceremony's inputs, contributions and outputs, written by runCeremony and checked by checkVerifier
+const ceremonyManifestPath = path.join(circuitDir, "ceremony.json");
+
+// What the ceremony of each circuit version reads and writes, on top of the prover's artifacts. Both copies of the
+// Solidity verifier are written, the one in contracts/ is the one that gets compiled and deployed
+const ceremonyCircuits = {
+    1: {
+        name: "composite-check",
+        contractName: "Groth16Verifier",
+        verifierPaths: [path.join(circuitDir, "Verifier.sol"), path.join(rootDir, "contracts", "Verifier.sol")],
+    },
+    2: {
+        name: "composite-check-128",
+        contractName: "Groth16Verifier128",
+        verifierPaths: [path.join(circuitDir, "Verifier128.sol"), path.join(rootDir, "contracts", "Verifier128.sol")],
+    },
+};
+
+function resolveCeremonyArtifacts(circuitVersion, overrides = {}) {
+    const circuit = ceremonyCircuits[circuitVersion];
+    if (!circuit) {
+        throw new Error(`Unknown circuit version: ${circuitVersion}`);
+    }
+    return {
+        ...circuitArtifacts[circuitVersion],
+        ...circuit,
+        r1csPath: path.join(circuitDir, `${circuit.name}.r1cs`),
+        // The public Hermez powers of tau, for circuits of up to 2^15 constraints
+        ptauPath: path.join(circuitDir, "powersOfTau28_hez_final_15.ptau"),
+        // Intermediate zkeys, one per contribution. Only the final zkey is needed to prove and to verify the ceremony
+        workDir: path.join(circuitDir, "ceremony"),
+        manifestPath: ceremonyManifestPath,
+        ...overrides,
+    };
+}
+
+function sha256File(filePath) {
+    return crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+}
+
+function relative(filePath) {
+    return path.relative(rootDir, filePath);
+}
+
+// snarkjs returns bigints in some verification keys and decimal strings in others
+function normalize(value) {
+    return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item)));
+}
+
+// The verification key fields a Groth16 verifier is made of
+const verificationKeyFields = ["protocol", "curve", "nPublic", "vk_alpha_1", "vk_beta_2", "vk_gamma_2", "vk_delta_2", "IC"];
+
+/**
+ * Lists the constants a snarkjs Groth16 verifier contract must have for a verification key. G2 points are stored with
+ * their coordinates' two components swapped, e.g. betax1 is vk_beta_2[0][1].
+ * @param {object} verificationKey A snarkjs verification key.
+ * @returns {Map<string, bigint>} The constants by name, e.g. alphax, deltay2 and IC0x.
+ */
+function verifierConstants(verificationKey) {
+    const constants = new Map();
+    const [alphax, alphay] = verificationKey.vk_alpha_1;
+    constants.set("alphax", BigInt(alphax)).set("alphay", BigInt(alphay));
+    for (const name of ["beta", "gamma", "delta"]) {
+        const [x, y] = verificationKey[`vk_${name}_2`];
+        constants
+            .set(`${name}x1`, BigInt(x[1]))
+            .set(`${name}x2`, BigInt(x[0]))
+            .set(`${name}y1`, BigInt(y[1]))
+            .set(`${name}y2`, BigInt(y[0]));
+    }
+    verificationKey.IC.forEach(([x, y], i) => {
+        constants.set(`IC${i}x`, BigInt(x)).set(`IC${i}y`, BigInt(y));
+    });
+    return constants;
+}
+
+function readVerifierConstants(source) {
+    const constants = new Map();
+    for (const [, name, value] of source.matchAll(/uint256 constant (\w+)\s*=\s*(\d+);/g)) {
+        constants.set(name, BigInt(value));
+    }
+    return constants;
+}
+
+function samePoint(a, b) {
+    return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Checks that a circuit version's final zkey, verification key and both copies of its Solidity verifier agree, that the
+ * zkey had a phase-2 contribution, and that none of them changed since the ceremony recorded in circuit/ceremony.json.
+ * @param {number} circuitVersion The circuit version, as registered with CompositeNumberGame.addVerifier.
+ * @param {object} [overrides] Artifact paths to check instead, for example { zkeyPath, verificationKeyPath, verifierPaths }.
+ * @returns {Promise<string[]>} The problems found, or an empty array if there are none.
+ */
+async function checkVerifier(circuitVersion, overrides = {}) {
+    const artifacts = resolveCeremonyArtifacts(circuitVersion, overrides);
+    const problems = [];
+    const verificationKey = JSON.parse(fs.readFileSync(artifacts.verificationKeyPath, "utf8"));
+
+    // A new phase-2 zkey has delta equal to gamma and each contribution changes delta. A zkey whose delta still equals
+    // gamma never had a contribution, and anyone can forge proofs for it
+    if (samePoint(verificationKey.vk_delta_2, verificationKey.vk_gamma_2)) {
+        problems.push(`${relative(artifacts.verificationKeyPath)} has delta equal to gamma, so its zkey never had a phase-2 contribution`);
+    }
+
+    const zkeyVerificationKey = normalize(await snarkjs.zKey.exportVerificationKey(artifacts.zkeyPath));
+    for (const field of verificationKeyFields) {
+        if (!samePoint(zkeyVerificationKey[field], verificationKey[field])) {
+            problems.push(`${field} of ${relative(artifacts.verificationKeyPath)} differs from the one in ${relative(artifacts.zkeyPath)}`);
+        }
+    }
+
+    const expected = verifierConstants(verificationKey);
+    for (const verifierPath of artifacts.verifierPaths) {
+        const source = fs.readFileSync(verifierPath, "utf8");
+        if (!new RegExp(`contract ${artifacts.contractName} \\{`).test(source)) {
+            problems.push(`${relative(verifierPath)} doesn't declare contract ${artifacts.contractName}`);
+        }
+        const actual = readVerifierConstants(source);
+        for (const [name, value] of expected) {
+            if (actual.get(name) !== value) {
+                problems.push(`${name} in ${relative(verifierPath)} is ${actual.get(name)}, but ${value} in ${relative(artifacts.verificationKeyPath)}`);
+            }
+        }
+        const extra = [...actual.keys()].filter((name) => /^IC\d+[xy]$/.test(name) && !expected.has(name));
+        if (extra.length > 0) {
+            problems.push(`${relative(verifierPath)} has more public inputs than ${relative(artifacts.verificationKeyPath)}: ${extra.join(", ")}`);
+        }
+    }
+
+    // The manifest is only there once the ceremony has been run with runCeremony
+    const manifest = fs.existsSync(artifacts.manifestPath) ? JSON.parse(fs.readFileSync(artifacts.manifestPath, "utf8")) : undefined;
+    const recorded = manifest?.circuits?.[circuitVersion];
+    if (recorded) {
+        for (const [filePath, hash] of Object.entries(outputHashes(artifacts))) {
+            if (recorded.outputs[filePath] !== hash) {
+                problems.push(`${filePath} changed since the ceremony recorded in ${relative(artifacts.manifestPath)}`);
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * Runs checkVerifier for every circuit version.
+ * @returns {Promise<string[]>} The problems found, each prefixed with its circuit version.
+ */
+async function checkVerifiers() {
+    const problems = [];
+    for (const circuitVersion of Object.keys(ceremonyCircuits)) {
+        for (const problem of await checkVerifier(Number(circuitVersion))) {
+            problems.push(`Circuit version ${circuitVersion}: ${problem}`);
+        }
+    }
+    return problems;
+}
+
+function outputHashes(artifacts) {
+    const hashes = {};
+    for (const filePath of [artifacts.zkeyPath, artifacts.verificationKeyPath, ...artifacts.verifierPaths]) {
+        hashes[relative(filePath)] = sha256File(filePath);
+    }
+    return hashes;
+}
+
+/**
+ * Runs the trusted setup of a circuit version: compiles the circuit, starts phase 2 from the powers of tau, adds a
+ * contribution per contributor and then a random beacon, verifies the result against the r1cs and the powers of tau, and
+ * exports the verification key and the Solidity verifier. Hashes of the inputs, each contribution and the outputs are
+ * written to circuit/ceremony.json, and checkVerifier is run on the outputs.
+ * @dev Each contribution's entropy is discarded as soon as it has been used. Proofs can't be forged as long as one
+ * contributor's entropy stays secret. The beacon, for example the hash of a block mined after the last contribution, keeps
+ * the last contributor from choosing the final zkey.
+ * @param {object} options
+ * @param {number} options.circuitVersion The circuit version to set up.
+ * @param {{name: string, entropy?: string}[]} options.contributions Contributors in order. Entropy defaults to 64 random bytes.
+ * @param {{hash: string, iterationsExp?: number}} options.beacon The beacon as a hex string and 2^iterationsExp hash
+ * iterations, from 10 (the default) to 63.
+ * @param {object} [options.overrides] Artifact paths to use instead, see checkVerifier.
+ * @param {(message: string) => void} [options.log] Receives a line per step. Defaults to console.log.
+ * @returns {Promise<object>} The circuit's entry in the ceremony manifest.
+ */
+async function runCeremony({ circuitVersion, contributions, beacon, overrides = {}, log = console.log }) {
+    const artifacts = resolveCeremonyArtifacts(circuitVersion, overrides);
+    if (!contributions?.length) {
+        throw new Error("A ceremony needs at least one contribution");
+    }
+    if (!/^(0x)?[0-9a-fA-F]{64}$/.test(beacon?.hash ?? "")) {
+        throw new Error("The beacon hash must be 32 bytes of hex");
+    }
+    // snarkjs doesn't apply a beacon outside this range, it only logs an error
+    const iterationsExp = beacon.iterationsExp ?? 10;
+    if (!Number.isInteger(iterationsExp) || iterationsExp < 10 || iterationsExp > 63) {
+        throw new Error(`The beacon needs between 10 and 63 as iterationsExp, got ${iterationsExp}`);
+    }
+    // Without Git LFS, a clone only has the pointer to the powers of tau
+    if (fs.readFileSync(artifacts.ptauPath).subarray(0, 100).toString().startsWith("version https://git-lfs")) {
+        throw new Error(`${relative(artifacts.ptauPath)} is a Git LFS pointer, run git lfs pull to fetch the powers of tau`);
+    }
+
+    log(`Compiling ${relative(artifacts.circuitPath)}...`);
+    execSync(`npm run --silent circom -- ${relative(artifacts.circuitPath)} --r1cs --wasm --sym --output ${relative(path.dirname(artifacts.r1csPath))}`, {
+        cwd: rootDir,
+        stdio: "inherit",
+    });
+
+    fs.mkdirSync(artifacts.workDir, { recursive: true });
+    const zkeyAt = (index) => path.join(artifacts.workDir, `${artifacts.name}_${String(index).padStart(4, "0")}.zkey`);
+
+    log(`Starting phase 2 from ${relative(artifacts.ptauPath)}...`);
+    await snarkjs.zKey.newZKey(artifacts.r1csPath, artifacts.ptauPath, zkeyAt(0));
+
+    const recordedContributions = [];
+    for (const [i, { name, entropy = crypto.randomBytes(64).toString("hex") }] of contributions.entries()) {
+        const hash = await snarkjs.zKey.contribute(zkeyAt(i), zkeyAt(i + 1), name, entropy);
+        recordedContributions.push({ name, contributionHash: Buffer.from(hash).toString("hex"), zkeySha256: sha256File(zkeyAt(i + 1)) });
+        log(`Contribution ${i + 1} by ${name}: ${recordedContributions[i].contributionHash}`);
+    }
+
+    const beaconHash = beacon.hash.replace(/^0x/, "");
+    const finalHash = await snarkjs.zKey.beacon(zkeyAt(contributions.length), artifacts.zkeyPath, "Final beacon", beaconHash, iterationsExp);
+    log(`Applied beacon ${beaconHash} with 2^${iterationsExp} iterations`);
+
+    if (!(await snarkjs.zKey.verifyFromR1cs(artifacts.r1csPath, artifacts.ptauPath, artifacts.zkeyPath))) {
+        throw new Error(`${relative(artifacts.zkeyPath)} doesn't verify against ${relative(artifacts.r1csPath)} and ${relative(artifacts.ptauPath)}`);
+    }
+
+    const verificationKey = normalize(await snarkjs.zKey.exportVerificationKey(artifacts.zkeyPath));
+    fs.writeFileSync(artifacts.verificationKeyPath, JSON.stringify(verificationKey, null, 1));
+
+    // snarkjs only exports its templates through its command line, so they are read from the package directly
+    const templatePath = path.join(path.dirname(require.resolve("snarkjs")), "..", "templates", "verifier_groth16.sol.ejs");
+    const verifier = (await snarkjs.zKey.exportSolidityVerifier(artifacts.zkeyPath, { groth16: fs.readFileSync(templatePath, "utf8") }))
+        .replace("contract Groth16Verifier {", `contract ${artifacts.contractName} {`);
+    for (const verifierPath of artifacts.verifierPaths) {
+        fs.writeFileSync(verifierPath, verifier);
+    }
+    log(`Exported ${[artifacts.verificationKeyPath, ...artifacts.verifierPaths].map(relative).join(", ")}`);
+
+    const entry = {
+        circuit: relative(artifacts.circuitPath),
+        inputs: {
+            [relative(artifacts.circuitPath)]: sha256File(artifacts.circuitPath),
+            [relative(artifacts.r1csPath)]: sha256File(artifacts.r1csPath),
+            [relative(artifacts.ptauPath)]: sha256File(artifacts.ptauPath),
+        },
+        contributions: recordedContributions,
+        beacon: { hash: beaconHash, iterationsExp, contributionHash: Buffer.from(finalHash).toString("hex") },
+        outputs: outputHashes(artifacts),
+    };
+    const manifest = fs.existsSync(artifacts.manifestPath) ? JSON.parse(fs.readFileSync(artifacts.manifestPath, "utf8")) : { circuits: {} };
+    manifest.circuits[circuitVersion] = entry;
+    fs.writeFileSync(artifacts.manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+
+    const problems = await checkVerifier(circuitVersion, overrides);
+    if (problems.length > 0) {
+        throw new Error(`The ceremony's outputs are inconsistent:\n${problems.join("\n")}`);
+    }
+    return entry;
+}
+
+module.exports = { ceremonyCircuits, ceremonyManifestPath, resolveCeremonyArtifacts, verifierConstants, checkVerifier, checkVerifiers, runCeremony };
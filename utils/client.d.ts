@@ -0,0 +1,492 @@
+// Generated from the CompositeNumberGame ABI by scripts/generateClientTypes.js. Do not edit, run npm run generate:client
+import type { Contract, ContractRunner, ContractTransactionReceipt, Log, Provider } from "ethers";
+
+export type WindowMode = "blocks" | "timestamp";
+
+/** The arguments of each CompositeNumberGame event, by event name */
+export interface GameEventArgs {
+    ChallengeCreated: {
+        challengeId: bigint;
+        n: bigint;
+        challenger: string;
+        rewardToken: string;
+        rewardAmount: bigint;
+        deadline: bigint;
+        /** enum CompositeNumberGame.WindowMode */
+        windowMode: bigint;
+    };
+    ChallengeSolved: {
+        challengeId: bigint;
+        n: bigint;
+        solver: string;
+        rewardtoken: string;
+        rewardAmount: bigint;
+        prizePoolAmount: bigint;
+        treasuryAmount: bigint;
+    };
+    CreationFeeDestinationUpdated: {
+        /** enum CompositeNumberGame.FeeDestination */
+        destination: bigint;
+    };
+    CreationFeePaid: {
+        challengeId: bigint;
+        token: string;
+        creationFee: bigint;
+        /** enum CompositeNumberGame.FeeDestination */
+        destination: bigint;
+    };
+    CreationFeeUpdated: {
+        token: string;
+        creationFee: bigint;
+    };
+    ExpiredChallengeClaimed: {
+        challengeId: bigint;
+        n: bigint;
+        challenger: string;
+        rewardtoken: string;
+        rewardAmount: bigint;
+        prizePoolAmount: bigint;
+        expiryPoolBps: bigint;
+    };
+    ExpiryPayoutCapUpdated: {
+        expiryPayoutCapBps: bigint;
+    };
+    KeeperTipPaid: {
+        challengeId: bigint;
+        keeper: string;
+        rewardToken: string;
+        tip: bigint;
+    };
+    KeeperTipUpdated: {
+        keeperTipBps: bigint;
+    };
+    MinRewardUpdated: {
+        token: string;
+        minReward: bigint;
+    };
+    OwnershipTransferred: {
+        previousOwner: string;
+        newOwner: string;
+    };
+    RewardSplitUpdated: {
+        solverBps: bigint;
+        treasuryBps: bigint;
+        expiryPoolBps: bigint;
+    };
+    TokenSupported: {
+        token: string;
+    };
+    TokenUnsupported: {
+        token: string;
+    };
+    TreasuryUpdated: {
+        treasury: string;
+    };
+    TreasuryWithdrawn: {
+        treasury: string;
+        token: string;
+        amount: bigint;
+    };
+    VerifierAdded: {
+        circuitVersion: bigint;
+        verifier: string;
+    };
+    VerifierDeprecated: {
+        circuitVersion: bigint;
+    };
+    WindowBoundsUpdated: {
+        /** enum CompositeNumberGame.WindowMode */
+        windowMode: bigint;
+        min: bigint;
+        max: bigint;
+    };
+    Withdrawn: {
+        user: string;
+        token: string;
+        amount: bigint;
+        newBalance: bigint;
+    };
+}
+
+export type GameEventName = keyof GameEventArgs;
+
+/** An event yielded by CompositeNumberGameClient.events */
+export interface GameEvent<N extends GameEventName = GameEventName> {
+    name: N;
+    args: GameEventArgs[N];
+    blockNumber: number;
+    transactionHash: string;
+    logIndex: number;
+    log: Log;
+}
+
+/** The arguments of each custom error the game can revert with, by error name */
+export interface GameErrorArgs {
+    AddressEmptyCode: {
+        target: string;
+    };
+    AddressInsufficientBalance: {
+        account: string;
+    };
+    BatchItemFailed: {
+        index: bigint;
+        reason: string;
+    };
+    ChallengeAlreadySolved: {
+        challengeId: bigint;
+    };
+    ChallengeDoesNotExist: {
+        challengeId: bigint;
+    };
+    ChallengeExpired: {
+        challengeId: bigint;
+    };
+    ChallengeNotExpired: {
+        challengeId: bigint;
+    };
+    CircuitVersionDeprecated: {
+        circuitVersion: bigint;
+    };
+    EmptyBatch: Record<string, never>;
+    FailedInnerCall: Record<string, never>;
+    InsufficientBalance: {
+        amount: bigint;
+        balance: bigint;
+    };
+    InsufficientCreationFee: {
+        received: bigint;
+        creationFee: bigint;
+    };
+    InvalidAddress: {
+        invalidAddress: string;
+    };
+    InvalidAmount: {
+        amount: bigint;
+    };
+    InvalidExpiryPayoutCap: {
+        expiryPayoutCapBps: bigint;
+        max: bigint;
+    };
+    InvalidKeeperTip: {
+        keeperTipBps: bigint;
+        max: bigint;
+    };
+    InvalidProof: {
+        challengeId: bigint;
+    };
+    InvalidRewardAmount: {
+        rewardAmount: bigint;
+    };
+    InvalidRewardSplit: {
+        solverBps: bigint;
+        treasuryBps: bigint;
+        expiryPoolBps: bigint;
+    };
+    InvalidValue: {
+        value: bigint;
+        expected: bigint;
+    };
+    InvalidWindow: {
+        window: bigint;
+        min: bigint;
+        max: bigint;
+    };
+    InvalidWindowBounds: {
+        min: bigint;
+        max: bigint;
+    };
+    NotComposite: {
+        challengeId: bigint;
+        isComposite: bigint;
+    };
+    OwnableInvalidOwner: {
+        owner: string;
+    };
+    OwnableUnauthorizedAccount: {
+        account: string;
+    };
+    ProofNotForGame: {
+        challengeId: bigint;
+        chainId: bigint;
+        game: string;
+    };
+    ProofNotForN: {
+        challengeId: bigint;
+        n: bigint;
+    };
+    ProofNotForSender: {
+        challengeId: bigint;
+        sender: string;
+    };
+    ReentrancyGuardReentrantCall: Record<string, never>;
+    RewardBelowMinimum: {
+        rewardAmount: bigint;
+        minReward: bigint;
+    };
+    SafeERC20FailedOperation: {
+        token: string;
+    };
+    TokenAlreadySupported: {
+        tokenAddress: string;
+    };
+    UnauthorizedChallenger: {
+        challengeId: bigint;
+        challenger: string;
+    };
+    UnknownCircuitVersion: {
+        circuitVersion: bigint;
+    };
+    UnsupportedToken: {
+        tokenAddress: string;
+    };
+}
+
+export type GameErrorName = keyof GameErrorArgs;
+
+/** A custom error the game reverted with */
+export class GameError<N extends GameErrorName = GameErrorName> extends Error {
+    constructor(errorName: N, args: GameErrorArgs[N], data?: string, options?: { cause?: unknown; itemError?: GameError });
+    readonly errorName: N;
+    readonly args: GameErrorArgs[N];
+    /** The raw revert data, undefined for errors the client raises itself */
+    readonly data: string | undefined;
+    /** For BatchItemFailed, the error the failing challenge reverted with */
+    readonly itemError: GameError | undefined;
+}
+
+export class AddressEmptyCodeError extends GameError<"AddressEmptyCode"> {
+    constructor(args: GameErrorArgs["AddressEmptyCode"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class AddressInsufficientBalanceError extends GameError<"AddressInsufficientBalance"> {
+    constructor(args: GameErrorArgs["AddressInsufficientBalance"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class BatchItemFailedError extends GameError<"BatchItemFailed"> {
+    constructor(args: GameErrorArgs["BatchItemFailed"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class ChallengeAlreadySolvedError extends GameError<"ChallengeAlreadySolved"> {
+    constructor(args: GameErrorArgs["ChallengeAlreadySolved"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class ChallengeDoesNotExistError extends GameError<"ChallengeDoesNotExist"> {
+    constructor(args: GameErrorArgs["ChallengeDoesNotExist"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class ChallengeExpiredError extends GameError<"ChallengeExpired"> {
+    constructor(args: GameErrorArgs["ChallengeExpired"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class ChallengeNotExpiredError extends GameError<"ChallengeNotExpired"> {
+    constructor(args: GameErrorArgs["ChallengeNotExpired"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class CircuitVersionDeprecatedError extends GameError<"CircuitVersionDeprecated"> {
+    constructor(args: GameErrorArgs["CircuitVersionDeprecated"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class EmptyBatchError extends GameError<"EmptyBatch"> {
+    constructor(args: GameErrorArgs["EmptyBatch"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class FailedInnerCallError extends GameError<"FailedInnerCall"> {
+    constructor(args: GameErrorArgs["FailedInnerCall"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class InsufficientBalanceError extends GameError<"InsufficientBalance"> {
+    constructor(args: GameErrorArgs["InsufficientBalance"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class InsufficientCreationFeeError extends GameError<"InsufficientCreationFee"> {
+    constructor(args: GameErrorArgs["InsufficientCreationFee"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class InvalidAddressError extends GameError<"InvalidAddress"> {
+    constructor(args: GameErrorArgs["InvalidAddress"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class InvalidAmountError extends GameError<"InvalidAmount"> {
+    constructor(args: GameErrorArgs["InvalidAmount"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class InvalidExpiryPayoutCapError extends GameError<"InvalidExpiryPayoutCap"> {
+    constructor(args: GameErrorArgs["InvalidExpiryPayoutCap"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class InvalidKeeperTipError extends GameError<"InvalidKeeperTip"> {
+    constructor(args: GameErrorArgs["InvalidKeeperTip"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class InvalidProofError extends GameError<"InvalidProof"> {
+    constructor(args: GameErrorArgs["InvalidProof"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class InvalidRewardAmountError extends GameError<"InvalidRewardAmount"> {
+    constructor(args: GameErrorArgs["InvalidRewardAmount"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class InvalidRewardSplitError extends GameError<"InvalidRewardSplit"> {
+    constructor(args: GameErrorArgs["InvalidRewardSplit"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class InvalidValueError extends GameError<"InvalidValue"> {
+    constructor(args: GameErrorArgs["InvalidValue"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class InvalidWindowError extends GameError<"InvalidWindow"> {
+    constructor(args: GameErrorArgs["InvalidWindow"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class InvalidWindowBoundsError extends GameError<"InvalidWindowBounds"> {
+    constructor(args: GameErrorArgs["InvalidWindowBounds"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class NotCompositeError extends GameError<"NotComposite"> {
+    constructor(args: GameErrorArgs["NotComposite"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class OwnableInvalidOwnerError extends GameError<"OwnableInvalidOwner"> {
+    constructor(args: GameErrorArgs["OwnableInvalidOwner"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class OwnableUnauthorizedAccountError extends GameError<"OwnableUnauthorizedAccount"> {
+    constructor(args: GameErrorArgs["OwnableUnauthorizedAccount"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class ProofNotForGameError extends GameError<"ProofNotForGame"> {
+    constructor(args: GameErrorArgs["ProofNotForGame"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class ProofNotForNError extends GameError<"ProofNotForN"> {
+    constructor(args: GameErrorArgs["ProofNotForN"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class ProofNotForSenderError extends GameError<"ProofNotForSender"> {
+    constructor(args: GameErrorArgs["ProofNotForSender"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class ReentrancyGuardReentrantCallError extends GameError<"ReentrancyGuardReentrantCall"> {
+    constructor(args: GameErrorArgs["ReentrancyGuardReentrantCall"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class RewardBelowMinimumError extends GameError<"RewardBelowMinimum"> {
+    constructor(args: GameErrorArgs["RewardBelowMinimum"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class SafeERC20FailedOperationError extends GameError<"SafeERC20FailedOperation"> {
+    constructor(args: GameErrorArgs["SafeERC20FailedOperation"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class TokenAlreadySupportedError extends GameError<"TokenAlreadySupported"> {
+    constructor(args: GameErrorArgs["TokenAlreadySupported"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class UnauthorizedChallengerError extends GameError<"UnauthorizedChallenger"> {
+    constructor(args: GameErrorArgs["UnauthorizedChallenger"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class UnknownCircuitVersionError extends GameError<"UnknownCircuitVersion"> {
+    constructor(args: GameErrorArgs["UnknownCircuitVersion"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+export class UnsupportedTokenError extends GameError<"UnsupportedToken"> {
+    constructor(args: GameErrorArgs["UnsupportedToken"], data?: string, options?: { cause?: unknown; itemError?: GameError });
+}
+
+/** The GameError subclass of each custom error, by error name */
+export const errors: {
+    AddressEmptyCode: typeof AddressEmptyCodeError;
+    AddressInsufficientBalance: typeof AddressInsufficientBalanceError;
+    BatchItemFailed: typeof BatchItemFailedError;
+    ChallengeAlreadySolved: typeof ChallengeAlreadySolvedError;
+    ChallengeDoesNotExist: typeof ChallengeDoesNotExistError;
+    ChallengeExpired: typeof ChallengeExpiredError;
+    ChallengeNotExpired: typeof ChallengeNotExpiredError;
+    CircuitVersionDeprecated: typeof CircuitVersionDeprecatedError;
+    EmptyBatch: typeof EmptyBatchError;
+    FailedInnerCall: typeof FailedInnerCallError;
+    InsufficientBalance: typeof InsufficientBalanceError;
+    InsufficientCreationFee: typeof InsufficientCreationFeeError;
+    InvalidAddress: typeof InvalidAddressError;
+    InvalidAmount: typeof InvalidAmountError;
+    InvalidExpiryPayoutCap: typeof InvalidExpiryPayoutCapError;
+    InvalidKeeperTip: typeof InvalidKeeperTipError;
+    InvalidProof: typeof InvalidProofError;
+    InvalidRewardAmount: typeof InvalidRewardAmountError;
+    InvalidRewardSplit: typeof InvalidRewardSplitError;
+    InvalidValue: typeof InvalidValueError;
+    InvalidWindow: typeof InvalidWindowError;
+    InvalidWindowBounds: typeof InvalidWindowBoundsError;
+    NotComposite: typeof NotCompositeError;
+    OwnableInvalidOwner: typeof OwnableInvalidOwnerError;
+    OwnableUnauthorizedAccount: typeof OwnableUnauthorizedAccountError;
+    ProofNotForGame: typeof ProofNotForGameError;
+    ProofNotForN: typeof ProofNotForNError;
+    ProofNotForSender: typeof ProofNotForSenderError;
+    ReentrancyGuardReentrantCall: typeof ReentrancyGuardReentrantCallError;
+    RewardBelowMinimum: typeof RewardBelowMinimumError;
+    SafeERC20FailedOperation: typeof SafeERC20FailedOperationError;
+    TokenAlreadySupported: typeof TokenAlreadySupportedError;
+    UnauthorizedChallenger: typeof UnauthorizedChallengerError;
+    UnknownCircuitVersion: typeof UnknownCircuitVersionError;
+    UnsupportedToken: typeof UnsupportedTokenError;
+};
+
+/** The readable message of each custom error, by error name */
+export const messages: { [N in GameErrorName]: (args: GameErrorArgs[N], itemError?: GameError) => string };
+
+/** Turns a revert into the GameError subclass of its custom error, or undefined if it carries none */
+export function decodeGameError(error: unknown): GameError | undefined;
+
+/** A challenge as stored by the game */
+export interface ChallengeData {
+    n: bigint;
+    rewardAmount: bigint;
+    blockNumber: bigint;
+    deadline: bigint;
+    challenger: string;
+    rewardToken: string;
+    solver: string;
+    /** enum CompositeNumberGame.WindowMode */
+    windowMode: bigint;
+    circuitVersion: bigint;
+    /** struct CompositeNumberGame.RewardSplit */
+    rewardSplit: { solverBps: bigint; treasuryBps: bigint; expiryPoolBps: bigint };
+    expiryPayoutCapBps: bigint;
+}
+
+/** A challenge as returned by CompositeNumberGameClient.getChallenge */
+export interface Challenge extends Omit<ChallengeData, "windowMode" | "solver"> {
+    challengeId: bigint;
+    windowMode: WindowMode;
+    /** Undefined until the challenge is solved */
+    solver: string | undefined;
+    state: "open" | "solved" | "expired";
+}
+
+/** Two factors of n, or a proof generated elsewhere for the signer and the challenge's circuit version, as [pA, pB, pC, pubSignals] */
+export type Solution =
+    | { factors: [bigint | string, bigint | string]; proof?: undefined }
+    | { proof: [string[], string[][], string[], string[]]; factors?: undefined };
+
+export type CreateOptions = Solution & {
+    n: bigint | string;
+    /** The reward token address, or "eth" */
+    token: string;
+    /** The reward in the token's smallest unit */
+    amount: bigint;
+    /** Defaults to the longest window the game allows */
+    window?: bigint | number;
+    /** Defaults to blocks */
+    mode?: WindowMode;
+    /** Defaults to the client's defaultCircuitVersion */
+    circuitVersion?: bigint | number;
+};
+
+/** Which circuit each of the game's circuit versions verifies, see resolveCircuitVersions in utils/deployedAddresses.js */
+export interface CircuitVersions {
+    /** Maps the game's circuit versions to the prover's */
+    circuits: Record<number, number>;
+    /** The version new challenges are proven with */
+    defaultCircuitVersion: number;
+}
+
+export interface EventOptions<N extends GameEventName> {
+    /** Values of indexed arguments to match */
+    filter?: Partial<GameEventArgs[N]>;
+    /** Defaults to the block after the latest one */
+    fromBlock?: number;
+    /** Milliseconds between polls, 4000 by default */
+    pollInterval?: number;
+    signal?: AbortSignal;
+}
+
+export class CompositeNumberGameClient {
+    /** circuitVersions defaults to the versions a new game registers */
+    constructor(address: string, runner: ContractRunner, circuitVersions?: CircuitVersions);
+    readonly address: string;
+    readonly runner: ContractRunner;
+    readonly provider: Provider;
+    /** The ethers contract the client calls */
+    readonly game: Contract;
+    readonly circuits: Record<number, number>;
+    readonly defaultCircuitVersion: number;
+    getChallenge(challengeId: bigint | number): Promise<Challenge | null>;
+    isExpired(challengeId: bigint | number): Promise<boolean>;
+    blocksRemaining(challengeId: bigint | number, options?: { blockTime?: number }): Promise<bigint>;
+    create(options: CreateOptions): Promise<{ challengeId: bigint; deadline: bigint; receipt: ContractTransactionReceipt }>;
+    solve(
+        challengeId: bigint | number,
+        solution: Solution
+    ): Promise<{ rewardAmount: bigint; prizePoolAmount: bigint; treasuryAmount: bigint; receipt: ContractTransactionReceipt }>;
+    claim(challengeId: bigint | number): Promise<{ rewardAmount: bigint; prizePoolAmount: bigint; tip: bigint; receipt: ContractTransactionReceipt }>;
+    withdraw(token: string, amount?: bigint): Promise<{ amount: bigint; newBalance: bigint; receipt: ContractTransactionReceipt }>;
+    events<N extends GameEventName>(eventName: N, options?: EventOptions<N>): AsyncGenerator<GameEvent<N>, void, undefined>;
+}
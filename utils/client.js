@@ -0,0 +1,288 @@
+const { Contract, ZeroAddress } = require("ethers");
+const abi = require("./abi/CompositeNumberGame.json");
+const { windowModes, nativeToken, ensureAllowance } = require("./cng");
+const { resolveCircuitVersions } = require("./deployedAddresses");
+const { GameError, errors, messages, decodeGameError } = require("./clientErrors");
+
+// The ERC-20 functions the client needs to approve a reward
+const erc20Abi = [
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+// Runs a game call or transaction and rethrows a revert as the GameError subclass of its custom error
+async function withGameErrors(send) {
+    try {
+        return await send();
+    } catch (error) {
+        throw decodeGameError(error) ?? error;
+    }
+}
+
+// Turns decoded values into a plain object keyed by parameter name, including nested structs
+function toObject(values, params) {
+    const object = {};
+    params.forEach((param, i) => {
+        object[param.name] = param.baseType === "tuple" ? toObject(values[i], param.components) : values[i];
+    });
+    return object;
+}
+
+function isNativeToken(token) {
+    return token.toLowerCase() === "eth" || token.toLowerCase() === nativeToken.toLowerCase();
+}
+
+async function signerAddress(client) {
+    if (typeof client.runner.getAddress !== "function") {
+        throw new Error("Sending transactions needs a client created with a signer");
+    }
+    return client.runner.getAddress();
+}
+
+// Proves that factors are two factors of n for the client's signer. The prover is loaded lazily, so clients that bring
+// their own proofs don't need snarkjs
+async function proveFor(client, n, [factor1, factor2], circuitVersion) {
+    const { prove } = require("./prover");
+    const { chainId } = await client.provider.getNetwork();
+    return prove(
+        { n, factor1, factor2, prover: await signerAddress(client), chainId, gameAddress: client.address },
+        { circuitVersion: Number(circuitVersion), circuits: client.circuits }
+    );
+}
+
+// Sends a game transaction and waits for it to be mined
+async function sendTransaction(client, send) {
+    await signerAddress(client);
+    return withGameErrors(async () => (await send()).wait());
+}
+
+// The arguments of the first game event with the given name in a receipt, or undefined
+function findEvent(client, receipt, eventName) {
+    for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== client.address.toLowerCase()) continue;
+        const parsed = client.game.interface.parseLog(log);
+        if (parsed?.name === eventName) {
+            return toObject(parsed.args, parsed.fragment.inputs);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Plays the CompositeNumberGame with ethers: reads challenges, sends transactions, turns reverts into typed errors and
+ * subscribes to events. Every custom error the game reverts with is thrown as its GameError subclass, see
+ * utils/clientErrors.js. TypeScript declarations generated from the ABI are in utils/client.d.ts.
+ */
+class CompositeNumberGameClient {
+    /**
+     * @param {string} address The CompositeNumberGame address.
+     * @param {import("ethers").ContractRunner} runner A signer to send transactions from, or a provider to only read.
+     * @param {{circuits: Object<number, number>, defaultCircuitVersion: number}} [circuitVersions] Which circuit each of the
+     * game's circuit versions verifies and the version new challenges are proven with, as returned by
+     * resolveCircuitVersions in utils/deployedAddresses.js for the game's deployment manifest. Defaults to the versions a
+     * new game registers.
+     */
+    constructor(address, runner, circuitVersions = resolveCircuitVersions()) {
+        this.address = address;
+        this.runner = runner;
+        this.provider = runner.provider ?? runner;
+        this.game = new Contract(address, abi, runner);
+        this.circuits = circuitVersions.circuits;
+        this.defaultCircuitVersion = circuitVersions.defaultCircuitVersion;
+    }
+
+    /**
+     * Reads a challenge and works out whether it is open, solved or expired.
+     * @param {bigint | number} challengeId
+     * @returns {Promise<object | null>} The challenge's fields, with windowMode as "blocks" or "timestamp", solver undefined
+     * until it is solved, and state. Null if the challenge doesn't exist, for example because it was claimed.
+     */
+    async getChallenge(challengeId) {
+        const fragment = this.game.interface.getFunction("challenges");
+        const challenge = toObject(await withGameErrors(() => this.game.challenges(challengeId)), fragment.outputs);
+        if (challenge.challenger === ZeroAddress) {
+            return null;
+        }
+
+        const solved = challenge.solver !== ZeroAddress;
+        const expired = await this.isExpired(challengeId);
+        return {
+            challengeId: BigInt(challengeId),
+            ...challenge,
+            windowMode: Number(challenge.windowMode) === windowModes.blocks ? "blocks" : "timestamp",
+            solver: solved ? challenge.solver : undefined,
+            state: solved ? "solved" : expired ? "expired" : "open",
+        };
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether the challenge's deadline has passed, see CompositeNumberGame.isExpired.
+     */
+    async isExpired(challengeId) {
+        return withGameErrors(() => this.game.isExpired(challengeId));
+    }
+
+    /**
+     * Counts the blocks a solution can still be included in. Timestamp windows are converted with blockTime.
+     * @param {bigint | number} challengeId
+     * @param {{blockTime?: number}} [options] Seconds per block for timestamp windows. Defaults to 12.
+     * @returns {Promise<bigint>} The number of blocks, 0 once the challenge has expired.
+     */
+    async blocksRemaining(challengeId, { blockTime = 12 } = {}) {
+        const challenge = await this.getChallenge(challengeId);
+        if (!challenge) {
+            throw new errors.ChallengeDoesNotExist({ challengeId: BigInt(challengeId) });
+        }
+        const latest = await this.provider.getBlock("latest");
+        const remaining = challenge.windowMode === "blocks"
+            ? challenge.deadline - BigInt(latest.number)
+            : (challenge.deadline - BigInt(latest.timestamp) + BigInt(blockTime) - 1n) / BigInt(blockTime);
+        return remaining > 0n ? remaining : 0n;
+    }
+
+    /**
+     * Creates a challenge. The reward plus the token's creation fee is approved first if the allowance is too low, or sent
+     * with the transaction for ETH.
+     * @param {object} options
+     * @param {bigint | string} options.n The composite number.
+     * @param {[bigint | string, bigint | string]} [options.factors] Two factors of n to prove it with. Either factors or proof.
+     * @param {Array} [options.proof] A proof generated elsewhere for the signer, as [pA, pB, pC, pubSignals].
+     * @param {string} options.token The reward token address, or "eth".
+     * @param {bigint} options.amount The reward in the token's smallest unit.
+     * @param {bigint | number} [options.window] Solving window. Defaults to the longest the game allows.
+     * @param {"blocks" | "timestamp"} [options.mode] Window mode. Defaults to blocks.
+     * @param {bigint | number} [options.circuitVersion] Defaults to the client's defaultCircuitVersion.
+     * @returns {Promise<{challengeId: bigint, deadline: bigint, receipt: import("ethers").ContractTransactionReceipt}>}
+     */
+    async create({ n, factors, proof, token, amount, window, mode = "blocks", circuitVersion }) {
+        await signerAddress(this);
+        const windowMode = windowModes[mode];
+        if (windowMode === undefined) {
+            throw new Error(`Unknown window mode ${mode}. Use blocks or timestamp`);
+        }
+        const native = isNativeToken(token);
+        const tokenAddress = native ? nativeToken : token;
+        window ??= (await withGameErrors(() => this.game.windowBounds(windowMode))).max;
+        circuitVersion ??= this.defaultCircuitVersion;
+        const total = amount + (await withGameErrors(() => this.game.creationFees(tokenAddress)));
+
+        if (!native) {
+            await ensureAllowance(new Contract(tokenAddress, erc20Abi, this.runner), this.runner, this.address, total);
+        }
+        const [pA, pB, pC, pubSignals] = proof ?? (await proveFor(this, n, factors, circuitVersion));
+
+        const receipt = await sendTransaction(this, () =>
+            this.game.createChallenge(n, tokenAddress, amount, window, windowMode, circuitVersion, pA, pB, pC, pubSignals, { value: native ? total : 0n })
+        );
+        const { challengeId, deadline } = findEvent(this, receipt, "ChallengeCreated");
+        return { challengeId, deadline, receipt };
+    }
+
+    /**
+     * Solves a challenge with the challenge's circuit version.
+     * @param {bigint | number} challengeId
+     * @param {{factors?: Array, proof?: Array}} options Two factors of the challenge's n, or a proof generated elsewhere. A
+     * proof generated elsewhere must be for the signer and for the challenge's circuitVersion, see getChallenge.
+     * @returns {Promise<{rewardAmount: bigint, prizePoolAmount: bigint, treasuryAmount: bigint, receipt: import("ethers").ContractTransactionReceipt}>}
+     * The solver's share of the reward and the shares of the prize pool and the treasury.
+     */
+    async solve(challengeId, { factors, proof }) {
+        if (!proof) {
+            const challenge = await this.getChallenge(challengeId);
+            if (!challenge) {
+                throw new errors.ChallengeDoesNotExist({ challengeId: BigInt(challengeId) });
+            }
+            proof = await proveFor(this, challenge.n, factors, challenge.circuitVersion);
+        }
+        const [pA, pB, pC, pubSignals] = proof;
+
+        const receipt = await sendTransaction(this, () => this.game.solveChallenge(challengeId, pA, pB, pC, pubSignals));
+        const { rewardAmount, prizePoolAmount, treasuryAmount } = findEvent(this, receipt, "ChallengeSolved");
+        return { rewardAmount, prizePoolAmount, treasuryAmount, receipt };
+    }
+
+    /**
+     * Claims an expired challenge. The challenger claims their own challenge, any other signer claims it on their behalf
+     * and earns the keeper tip.
+     * @param {bigint | number} challengeId
+     * @returns {Promise<{rewardAmount: bigint, prizePoolAmount: bigint, tip: bigint, receipt: import("ethers").ContractTransactionReceipt}>}
+     * The reward and prize pool share credited to the challenger, and the tip credited to the signer.
+     */
+    async claim(challengeId) {
+        const { challenger } = await withGameErrors(() => this.game.challenges(challengeId));
+        const claimOwn = challenger === (await signerAddress(this));
+
+        const receipt = await sendTransaction(this, () =>
+            claimOwn ? this.game.claimExpiredChallenge(challengeId) : this.game.claimExpiredFor(challengeId)
+        );
+        const { rewardAmount, prizePoolAmount } = findEvent(this, receipt, "ExpiredChallengeClaimed");
+        return { rewardAmount, prizePoolAmount, tip: findEvent(this, receipt, "KeeperTipPaid")?.tip ?? 0n, receipt };
+    }
+
+    /**
+     * Withdraws from the signer's game balance.
+     * @param {string} token The token address, or "eth".
+     * @param {bigint} [amount] Amount in the token's smallest unit. Defaults to the whole balance.
+     * @returns {Promise<{amount: bigint, newBalance: bigint, receipt: import("ethers").ContractTransactionReceipt}>}
+     */
+    async withdraw(token, amount) {
+        const tokenAddress = isNativeToken(token) ? nativeToken : token;
+        amount ??= await withGameErrors(async () => this.game.balances(await signerAddress(this), tokenAddress));
+
+        const receipt = await sendTransaction(this, () => this.game.withdraw(amount, tokenAddress));
+        const { newBalance } = findEvent(this, receipt, "Withdrawn");
+        return { amount, newBalance, receipt };
+    }
+
+    /**
+     * Subscribes to one of the game's events. Iterate the result with for await; each event is yielded once, in the
+     * order it was emitted. New blocks are polled for, so it works with any provider.
+     * @param {string} eventName The event, e.g. ChallengeCreated.
+     * @param {object} [options]
+     * @param {object} [options.filter] Values of indexed arguments to match, e.g. { challenger: address }.
+     * @param {number} [options.fromBlock] First block to yield events from. Defaults to the block after the latest one.
+     * @param {number} [options.pollInterval] Milliseconds between polls. Defaults to 4000.
+     * @param {AbortSignal} [options.signal] Ends the iteration when aborted. Breaking out of the loop ends it as well.
+     * @returns {AsyncGenerator<{name: string, args: object, blockNumber: number, transactionHash: string, logIndex: number, log: import("ethers").Log}>}
+     */
+    async *events(eventName, { filter = {}, fromBlock, pollInterval = 4000, signal } = {}) {
+        const fragment = this.game.interface.getEvent(eventName);
+        if (!fragment) {
+            throw new Error(`CompositeNumberGame has no event ${eventName}`);
+        }
+        const topics = this.game.interface.encodeFilterTopics(fragment, fragment.inputs.map((input) => filter[input.name] ?? null));
+
+        let nextBlock = fromBlock ?? (await this.provider.getBlockNumber()) + 1;
+        while (!signal?.aborted) {
+            const latest = await this.provider.getBlockNumber();
+            if (latest >= nextBlock) {
+                const logs = await this.provider.getLogs({ address: this.address, topics, fromBlock: nextBlock, toBlock: latest });
+                for (const log of logs) {
+                    const parsed = this.game.interface.parseLog(log);
+                    yield {
+                        name: parsed.name,
+                        args: toObject(parsed.args, parsed.fragment.inputs),
+                        blockNumber: log.blockNumber,
+                        transactionHash: log.transactionHash,
+                        logIndex: log.index,
+                        log,
+                    };
+                }
+                nextBlock = latest + 1;
+            }
+            await new Promise((resolve) => {
+                const onAbort = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+                const timer = setTimeout(() => {
+                    signal?.removeEventListener("abort", onAbort);
+                    resolve();
+                }, pollInterval);
+                signal?.addEventListener("abort", onAbort, { once: true });
+            });
+        }
+    }
+}
+
+module.exports = { CompositeNumberGameClient, GameError, errors, messages, decodeGameError };
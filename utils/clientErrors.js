@@ -0,0 +1,111 @@
+const { Interface } = require("ethers");
+const abi = require("./abi/CompositeNumberGame.json");
+const { nativeToken, findRevertData } = require("./cng");
+
+const gameInterface = new Interface(abi);
+
+// Readable messages for the game's custom errors, including the ones of the OpenZeppelin contracts it inherits from
+const messages = {
+    AddressEmptyCode: ({ target }) => `${target} has no code`,
+    AddressInsufficientBalance: ({ account }) => `${account} doesn't have enough ETH for the transfer`,
+    BatchItemFailed: ({ index }, itemError) => `The challenge at index ${index} of the batch failed: ${itemError?.message ?? "it reverted without a reason"}`,
+    ChallengeAlreadySolved: ({ challengeId }) => `Challenge ${challengeId} has already been solved`,
+    ChallengeDoesNotExist: ({ challengeId }) => `Challenge ${challengeId} does not exist. It may have been claimed after it expired`,
+    ChallengeExpired: ({ challengeId }) => `Challenge ${challengeId} has expired and can no longer be solved`,
+    ChallengeNotExpired: ({ challengeId }) => `Challenge ${challengeId} hasn't expired yet`,
+    CircuitVersionDeprecated: ({ circuitVersion }) => `Circuit version ${circuitVersion} is deprecated and can't be used for new challenges`,
+    EmptyBatch: () => "The batch has no challenges",
+    FailedInnerCall: () => "A call made by the game failed",
+    InsufficientBalance: ({ amount, balance }) => `Can't withdraw ${amount}, the balance is only ${balance}`,
+    InsufficientCreationFee: ({ received, creationFee }) => `Received ${received} after the reward, but the creation fee is ${creationFee}`,
+    InvalidAddress: ({ invalidAddress }) => `${invalidAddress} isn't a valid address here`,
+    InvalidAmount: ({ amount }) => `${amount} isn't a valid amount`,
+    InvalidExpiryPayoutCap: ({ expiryPayoutCapBps, max }) => `An expiry payout cap of ${expiryPayoutCapBps} bps is above the maximum of ${max} bps`,
+    InvalidKeeperTip: ({ keeperTipBps, max }) => `A keeper tip of ${keeperTipBps} bps is above the maximum of ${max} bps`,
+    InvalidProof: ({ challengeId }) => `The proof for challenge ${challengeId} doesn't verify`,
+    InvalidRewardAmount: ({ rewardAmount }) => `${rewardAmount} isn't a valid reward, it must be more than 0`,
+    InvalidRewardSplit: ({ solverBps, treasuryBps, expiryPoolBps }) =>
+        `A reward split of ${solverBps} bps to the solver, ${treasuryBps} bps to the treasury and an expiry pool share of ${expiryPoolBps} bps is invalid`,
+    InvalidValue: ({ value, expected }) => `Sent ${value} wei with the transaction, but ${expected} was expected`,
+    InvalidWindow: ({ window, min, max }) => `A solving window of ${window} is outside the allowed ${min} to ${max}`,
+    InvalidWindowBounds: ({ min, max }) => `Window bounds from ${min} to ${max} are invalid`,
+    NotComposite: ({ challengeId, isComposite }) => `The proof for challenge ${challengeId} doesn't show that n is composite (isComposite = ${isComposite})`,
+    OwnableInvalidOwner: ({ owner }) => `${owner} can't be the owner`,
+    OwnableUnauthorizedAccount: ({ account }) => `${account} isn't the owner of the game`,
+    ProofNotForGame: ({ challengeId, chainId, game }) => `The proof for challenge ${challengeId} wasn't generated for the game ${game} on chain ${chainId}`,
+    ProofNotForN: ({ challengeId, n }) => `The proof for challenge ${challengeId} isn't for n = ${n}`,
+    ProofNotForSender: ({ challengeId, sender }) => `The proof for challenge ${challengeId} wasn't generated for the sender ${sender}`,
+    ReentrancyGuardReentrantCall: () => "The game was called again while handling a call",
+    RewardBelowMinimum: ({ rewardAmount, minReward }) => `A reward of ${rewardAmount} is below the token's minimum of ${minReward}`,
+    SafeERC20FailedOperation: ({ token }) => `A transfer of token ${token} failed`,
+    TokenAlreadySupported: ({ tokenAddress }) => `Token ${tokenAddress} is already supported`,
+    UnauthorizedChallenger: ({ challengeId, challenger }) => `${challenger} isn't the challenger of challenge ${challengeId}`,
+    UnknownCircuitVersion: ({ circuitVersion }) => `Circuit version ${circuitVersion} isn't registered`,
+    UnsupportedToken: ({ tokenAddress }) => (tokenAddress === nativeToken
+        ? "The game doesn't accept ETH rewards. Its owner must enable them with addSupportedToken(NATIVE_TOKEN)"
+        : `Token ${tokenAddress} isn't supported`),
+};
+
+/**
+ * A custom error the game reverted with. Each of the game's custom errors has its own subclass, named after it with an
+ * Error suffix, e.g. InsufficientBalanceError, so callers can tell them apart with instanceof.
+ * @property {string} errorName The custom error's name, e.g. InsufficientBalance.
+ * @property {object} args The custom error's arguments by name, e.g. { amount, balance }.
+ * @property {string} data The raw revert data.
+ * @property {GameError} [itemError] For BatchItemFailed, the error the failing challenge reverted with.
+ */
+class GameError extends Error {
+    constructor(errorName, args, data, options = {}) {
+        super(messages[errorName]?.(args, options.itemError) ?? `${errorName}(${Object.entries(args).map(([name, value]) => `${name}=${value}`).join(", ")})`, options);
+        this.name = `${errorName}Error`;
+        this.errorName = errorName;
+        this.args = args;
+        this.data = data;
+        this.itemError = options.itemError;
+    }
+}
+
+// One subclass of GameError per custom error in the ABI
+const errors = {};
+for (const fragment of gameInterface.fragments.filter((fragment) => fragment.type === "error")) {
+    const errorName = fragment.name;
+    errors[errorName] = {
+        [`${errorName}Error`]: class extends GameError {
+            constructor(args, data, options) {
+                super(errorName, args, data, options);
+            }
+        },
+    }[`${errorName}Error`];
+}
+
+function decodeRevertData(data, options) {
+    let parsed;
+    try {
+        parsed = gameInterface.parseError(data);
+    } catch {
+        return undefined;
+    }
+    // Error(string) and Panic(uint256) are parsed too, but aren't custom errors of the game
+    if (!parsed || !errors[parsed.name]) {
+        return undefined;
+    }
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name] = parsed.args[i];
+    });
+    const itemError = parsed.name === "BatchItemFailed" ? decodeRevertData(args.reason) : undefined;
+    return new errors[parsed.name](args, data, { ...options, itemError });
+}
+
+/**
+ * Turns a revert into the GameError subclass of the custom error it carries.
+ * @param {unknown} error An error thrown by ethers when a game call or transaction reverted.
+ * @returns {GameError | undefined} The typed error, with the original error as its cause, or undefined if the revert
+ * doesn't carry one of the game's custom errors.
+ */
+function decodeGameError(error) {
+    const data = findRevertData(error);
+    return data ? decodeRevertData(data, { cause: error }) : undefined;
+}
+
+module.exports = { GameError, errors, messages, decodeGameError };
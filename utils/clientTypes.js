@@ -0,0 +1,179 @@
+// TypeScript declarations for utils/client.js, generated from the CompositeNumberGame ABI by generateDeclarations
+
+// Maps an ABI parameter to the type ethers v6 decodes it to
+function tsType(param) {
+    const array = param.type.match(/^(.*)\[\d*\]$/);
+    if (array) {
+        return `${tsType({ ...param, type: array[1] })}[]`;
+    }
+    if (param.type === "tuple") {
+        return `{ ${param.components.map((component) => `${component.name}: ${tsType(component)}`).join("; ")} }`;
+    }
+    if (/^u?int\d*$/.test(param.type)) {
+        return "bigint";
+    }
+    if (param.type === "bool") {
+        return "boolean";
+    }
+    // address, string, bytes and bytesN are all strings
+    return "string";
+}
+
+// One interface member per parameter. Enums and structs are noted with their Solidity type, since ethers decodes them
+// as bigints and plain objects
+function members(params, indent) {
+    return params
+        .map((param) => {
+            const note = /^(enum|struct) /.test(param.internalType ?? "") ? `${indent}/** ${param.internalType} */\n` : "";
+            return `${note}${indent}${param.name}: ${tsType(param)};`;
+        })
+        .join("\n");
+}
+
+// An interface with one member per ABI entry, whose type is an object of the entry's parameters
+function argsInterface(name, entries, description) {
+    const body = entries
+        .map((entry) => (entry.inputs.length === 0
+            ? `    ${entry.name}: Record<string, never>;`
+            : `    ${entry.name}: {\n${members(entry.inputs, "        ")}\n    };`))
+        .join("\n");
+    return `/** ${description} */\nexport interface ${name} {\n${body}\n}`;
+}
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+/**
+ * Generates utils/client.d.ts from the CompositeNumberGame ABI: the arguments of every event and custom error, a
+ * GameError subclass per custom error, the fields of a challenge and the client's methods.
+ * @param {object[]} abi The ABI from the compiled CompositeNumberGame artifact.
+ * @returns {string} The declarations.
+ */
+function generateDeclarations(abi) {
+    const events = abi.filter((entry) => entry.type === "event").sort(byName);
+    const errors = abi.filter((entry) => entry.type === "error").sort(byName);
+    const challenges = abi.find((entry) => entry.type === "function" && entry.name === "challenges");
+
+    return `// Generated from the CompositeNumberGame ABI by scripts/generateClientTypes.js. Do not edit, run npm run generate:client
+import type { Contract, ContractRunner, ContractTransactionReceipt, Log, Provider } from "ethers";
+
+export type WindowMode = "blocks" | "timestamp";
+
+${argsInterface("GameEventArgs", events, "The arguments of each CompositeNumberGame event, by event name")}
+
+export type GameEventName = keyof GameEventArgs;
+
+/** An event yielded by CompositeNumberGameClient.events */
+export interface GameEvent<N extends GameEventName = GameEventName> {
+    name: N;
+    args: GameEventArgs[N];
+    blockNumber: number;
+    transactionHash: string;
+    logIndex: number;
+    log: Log;
+}
+
+${argsInterface("GameErrorArgs", errors, "The arguments of each custom error the game can revert with, by error name")}
+
+export type GameErrorName = keyof GameErrorArgs;
+
+/** A custom error the game reverted with */
+export class GameError<N extends GameErrorName = GameErrorName> extends Error {
+    constructor(errorName: N, args: GameErrorArgs[N], data?: string, options?: { cause?: unknown; itemError?: GameError });
+    readonly errorName: N;
+    readonly args: GameErrorArgs[N];
+    /** The raw revert data, undefined for errors the client raises itself */
+    readonly data: string | undefined;
+    /** For BatchItemFailed, the error the failing challenge reverted with */
+    readonly itemError: GameError | undefined;
+}
+
+${errors.map((error) => `export class ${error.name}Error extends GameError<"${error.name}"> {\n    constructor(args: GameErrorArgs["${error.name}"], data?: string, options?: { cause?: unknown; itemError?: GameError });\n}`).join("\n")}
+
+/** The GameError subclass of each custom error, by error name */
+export const errors: {
+${errors.map((error) => `    ${error.name}: typeof ${error.name}Error;`).join("\n")}
+};
+
+/** The readable message of each custom error, by error name */
+export const messages: { [N in GameErrorName]: (args: GameErrorArgs[N], itemError?: GameError) => string };
+
+/** Turns a revert into the GameError subclass of its custom error, or undefined if it carries none */
+export function decodeGameError(error: unknown): GameError | undefined;
+
+/** A challenge as stored by the game */
+export interface ChallengeData {
+${members(challenges.outputs, "    ")}
+}
+
+/** A challenge as returned by CompositeNumberGameClient.getChallenge */
+export interface Challenge extends Omit<ChallengeData, "windowMode" | "solver"> {
+    challengeId: bigint;
+    windowMode: WindowMode;
+    /** Undefined until the challenge is solved */
+    solver: string | undefined;
+    state: "open" | "solved" | "expired";
+}
+
+/** Two factors of n, or a proof generated elsewhere for the signer and the challenge's circuit version, as [pA, pB, pC, pubSignals] */
+export type Solution =
+    | { factors: [bigint | string, bigint | string]; proof?: undefined }
+    | { proof: [string[], string[][], string[], string[]]; factors?: undefined };
+
+export type CreateOptions = Solution & {
+    n: bigint | string;
+    /** The reward token address, or "eth" */
+    token: string;
+    /** The reward in the token's smallest unit */
+    amount: bigint;
+    /** Defaults to the longest window the game allows */
+    window?: bigint | number;
+    /** Defaults to blocks */
+    mode?: WindowMode;
+    /** Defaults to the client's defaultCircuitVersion */
+    circuitVersion?: bigint | number;
+};
+
+/** Which circuit each of the game's circuit versions verifies, see resolveCircuitVersions in utils/deployedAddresses.js */
+export interface CircuitVersions {
+    /** Maps the game's circuit versions to the prover's */
+    circuits: Record<number, number>;
+    /** The version new challenges are proven with */
+    defaultCircuitVersion: number;
+}
+
+export interface EventOptions<N extends GameEventName> {
+    /** Values of indexed arguments to match */
+    filter?: Partial<GameEventArgs[N]>;
+    /** Defaults to the block after the latest one */
+    fromBlock?: number;
+    /** Milliseconds between polls, 4000 by default */
+    pollInterval?: number;
+    signal?: AbortSignal;
+}
+
+export class CompositeNumberGameClient {
+    /** circuitVersions defaults to the versions a new game registers */
+    constructor(address: string, runner: ContractRunner, circuitVersions?: CircuitVersions);
+    readonly address: string;
+    readonly runner: ContractRunner;
+    readonly provider: Provider;
+    /** The ethers contract the client calls */
+    readonly game: Contract;
+    readonly circuits: Record<number, number>;
+    readonly defaultCircuitVersion: number;
+    getChallenge(challengeId: bigint | number): Promise<Challenge | null>;
+    isExpired(challengeId: bigint | number): Promise<boolean>;
+    blocksRemaining(challengeId: bigint | number, options?: { blockTime?: number }): Promise<bigint>;
+    create(options: CreateOptions): Promise<{ challengeId: bigint; deadline: bigint; receipt: ContractTransactionReceipt }>;
+    solve(
+        challengeId: bigint | number,
+        solution: Solution
+    ): Promise<{ rewardAmount: bigint; prizePoolAmount: bigint; treasuryAmount: bigint; receipt: ContractTransactionReceipt }>;
+    claim(challengeId: bigint | number): Promise<{ rewardAmount: bigint; prizePoolAmount: bigint; tip: bigint; receipt: ContractTransactionReceipt }>;
+    withdraw(token: string, amount?: bigint): Promise<{ amount: bigint; newBalance: bigint; receipt: ContractTransactionReceipt }>;
+    events<N extends GameEventName>(eventName: N, options?: EventOptions<N>): AsyncGenerator<GameEvent<N>, void, undefined>;
+}
+`;
+}
+
+module.exports = { generateDeclarations };
@@ -0,0 +1,124 @@
+const { ZeroAddress } = require("ethers");
+const { loadDeployedAddresses, loadDeploymentManifest, resolveCircuitVersions } = require("./deployedAddresses");
+
+// Mirrors the CompositeNumberGame.WindowMode enum
+const windowModes = { blocks: 0, timestamp: 1 };
+
+// Mirrors CompositeNumberGame.NATIVE_TOKEN, the token address of ETH rewards, prize pools and balances
+const nativeToken = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+/**
+ * Connects to the CompositeNumberGame from the network's deployment manifest, or at gameAddress if given.
+ * @returns {Promise<{game: import("ethers").Contract, signer: import("ethers").Signer, circuitVersions: object}>}
+ * circuitVersions maps the game's circuit versions to the prover's, see resolveCircuitVersions. A game that isn't the
+ * manifest's is taken to have only the versions a new game registers.
+ */
+async function getGame(hre, { game: gameAddress, account = 0 } = {}) {
+    const address = gameAddress || loadDeployedAddresses(hre.network.name).CompositeNumberGame;
+    const manifest = loadDeploymentManifest(hre.network.name);
+    const deployed = manifest?.contracts?.CompositeNumberGame?.address?.toLowerCase() === address.toLowerCase();
+    const circuitVersions = resolveCircuitVersions(deployed ? manifest : undefined);
+    const signers = await hre.ethers.getSigners();
+    const signer = signers[account];
+    if (!signer) {
+        throw new Error(`Account ${account} is not available on network ${hre.network.name}`);
+    }
+
+    const game = await hre.ethers.getContractAt("CompositeNumberGame", address, signer);
+    return { game, signer, circuitVersions };
+}
+
+/**
+ * Connects to a reward token. "eth" or the NATIVE_TOKEN address stands for ETH, which is returned as an object with the
+ * token functions the tasks read (getAddress, decimals, symbol and balanceOf) and native set to true.
+ */
+async function getToken(hre, address, signer) {
+    if (address.toLowerCase() === "eth" || address.toLowerCase() === nativeToken.toLowerCase()) {
+        return {
+            native: true,
+            getAddress: async () => nativeToken,
+            decimals: async () => 18n,
+            symbol: async () => "ETH",
+            balanceOf: (account) => signer.provider.getBalance(account),
+        };
+    }
+    return hre.ethers.getContractAt("IERC20Metadata", address, signer);
+}
+
+/**
+ * Approves the game to pull amount of token from the signer unless it already may.
+ * @returns {Promise<boolean>} Whether an approval transaction was sent.
+ */
+async function ensureAllowance(token, signer, spender, amount, confirmations = 1) {
+    const allowance = await token.allowance(await signer.getAddress(), spender);
+    if (allowance >= amount) {
+        return false;
+    }
+
+    const tx = await token.connect(signer).approve(spender, amount);
+    await tx.wait(confirmations);
+    return true;
+}
+
+/**
+ * Turns a revert into a readable message such as "ChallengeExpired(challengeId=1)", using the ABIs of the given contracts.
+ * Errors that don't carry revert data are returned as their message.
+ */
+function decodeError(error, contracts) {
+    const data = findRevertData(error);
+    if (data) {
+        for (const contract of contracts) {
+            const parsed = contract.interface.parseError(data);
+            if (parsed) {
+                const args = parsed.fragment.inputs.map((input, i) => `${input.name || i}=${parsed.args[i]}`);
+                return `${parsed.name}(${args.join(", ")})`;
+            }
+        }
+    }
+    return error.shortMessage || error.message;
+}
+
+/**
+ * Finds the revert data of a failed call or transaction in an error thrown by ethers or the Hardhat provider.
+ * @returns {string | undefined} The revert data as hex, or undefined if the error carries none.
+ */
+function findRevertData(error) {
+    // ethers and the Hardhat provider nest the revert data at different depths
+    for (let e = error; e; e = e.error || e.info?.error || e.cause) {
+        if (typeof e.data === "string" && e.data.startsWith("0x") && e.data.length >= 10) {
+            return e.data;
+        }
+        if (typeof e.data?.data === "string") {
+            return e.data.data;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Reads a challenge and works out whether it is open, solved or expired.
+ */
+async function getChallengeStatus(game, challengeId) {
+    const challenge = await game.challenges(challengeId);
+    if (challenge.challenger === ZeroAddress) {
+        return { challengeId, exists: false };
+    }
+
+    const solved = challenge.solver !== ZeroAddress;
+    const expired = await game.isExpired(challengeId);
+    return {
+        challengeId,
+        exists: true,
+        n: challenge.n,
+        challenger: challenge.challenger,
+        rewardToken: challenge.rewardToken,
+        rewardAmount: challenge.rewardAmount,
+        windowMode: Number(challenge.windowMode) === windowModes.blocks ? "blocks" : "timestamp",
+        deadline: challenge.deadline,
+        circuitVersion: challenge.circuitVersion,
+        solver: solved ? challenge.solver : undefined,
+        state: solved ? "solved" : expired ? "expired" : "open",
+    };
+}
+
+module.exports = { windowModes, nativeToken, getGame, getToken, ensureAllowance, decodeError, findRevertData, getChallengeStatus };
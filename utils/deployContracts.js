@@ -1,38 +1,126 @@
 const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { nativeToken } = require("./cng");
 require("dotenv").config();
 
-async function deployContracts() {
+// Verifying keys the verifier contracts were generated from
+const verifyingKeys = {
+    Verifier: path.join(__dirname, "..", "circuit", "verification_key.json"),
+    Verifier128: path.join(__dirname, "..", "circuit", "verification_key_128.json"),
+};
+
+// Manifests store amounts as decimal strings, since JSON has no bigints
+function toJson(value) {
+    return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item)));
+}
+
+/**
+ * Hashes a verifying key file. The JSON is parsed and serialized again, so formatting changes don't change the hash.
+ * @param {string} filePath Path of a snarkjs verification_key.json.
+ * @returns {string} The keccak256 hash of the key.
+ */
+function hashVerifyingKey(filePath) {
+    const key = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(key)));
+}
+
+/**
+ * Deploys the game and the contracts it depends on, or reuses them from a previous deployment.
+ * @dev A contract from the manifest is reused if its code is still on chain and neither its creation bytecode nor its
+ * constructor arguments changed. Everything else is deployed again and its previous entry moved to the manifest's history.
+ * A reused game keeps its supported tokens even if TOKEN_ADDRESSES changed, because those are changed with the
+ * syncTokens script rather than by deploying a new game that strands the old one's prize pools.
+ * @param {object} [options]
+ * @param {object} [options.manifest] The network's deployment manifest, see utils/deployedAddresses. Without one, or if
+ * it is for another chain, everything is deployed.
+ * @param {boolean} [options.ethRewards] Whether a new game supports ETH rewards, under NATIVE_TOKEN. Defaults to whether
+ * ETH_REWARDS is true.
+ * @returns {Promise<object>} The contracts, the supported token addresses, the updated manifest and the names of the
+ * contracts that were deployed rather than reused.
+ */
+async function deployContracts({ manifest, ethRewards = process.env.ETH_REWARDS === "true" } = {}) {
     console.log(`Deploying contracts to network: ${network.name}`);
 
-    let transactionResponse;
-    const confirmations = process.env.CONFIRMATIONS || 1;
-    console.log(`Deployments will wait for ${confirmations} confirmations`);
+    const confirmations = Number(process.env.CONFIRMATIONS || 1);
+    const live = network.name !== "hardhat" && network.name !== "localhost";
+    console.log(`Deployments will wait for ${live ? confirmations : 1} confirmations`);
+
+    const [deployer] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+    if (manifest && BigInt(manifest.chainId) !== chainId) {
+        console.log(`The manifest is for chain ${manifest.chainId}, not ${chainId}. Deploying everything`);
+        manifest = undefined;
+    }
+    manifest = {
+        network: network.name,
+        chainId: Number(chainId),
+        contracts: {},
+        SupportedTokens: [],
+        history: [],
+        ...manifest,
+    };
+    const deployed = [];
+
+    // Deploys contractName as name unless the manifest's entry for name can be reused. reuseArgs are the constructor
+    // arguments an existing deployment must have been created with, if they differ from the ones a new deployment gets
+    async function deploy(name, contractName, args = [], { reuseArgs = args, ...details } = {}) {
+        const factory = await ethers.getContractFactory(contractName);
+        const bytecodeHash = ethers.keccak256(factory.bytecode);
+        const previous = manifest.contracts[name];
+        if (
+            previous &&
+            previous.bytecodeHash === bytecodeHash &&
+            previous.constructorArgsHash === ethers.keccak256(factory.interface.encodeDeploy(reuseArgs)) &&
+            (await ethers.provider.getCode(previous.address)) !== "0x"
+        ) {
+            console.log(`${name} is unchanged, reusing ${previous.address}`);
+            return factory.attach(previous.address);
+        }
 
-    // Deploy the Verifier contract
-    const Verifier = await ethers.getContractFactory("Groth16Verifier");
-    const verifier = await Verifier.deploy();
+        const contract = await factory.deploy(...args);
+        const transaction = contract.deploymentTransaction();
+        if (live) {
+            console.log("Waiting for confirmations...");
+        }
+        const receipt = await transaction.wait(live ? confirmations : 1);
+        console.log(`${name} deployed to: ${receipt.contractAddress}`);
+
+        if (previous) {
+            manifest.history.push({ name, ...previous, replacedInBlock: receipt.blockNumber });
+        }
+        manifest.contracts[name] = {
+            contract: contractName,
+            address: receipt.contractAddress,
+            deployer: deployer.address,
+            blockNumber: receipt.blockNumber,
+            transactionHash: receipt.hash,
+            bytecodeHash,
+            constructorArgs: toJson(args),
+            constructorArgsHash: ethers.keccak256(factory.interface.encodeDeploy(args)),
+            ...details,
+        };
+        deployed.push(name);
+        return contract;
+    }
 
-    if (network.name !== "hardhat" && network.name !== "localhost") {
-        console.log("Waiting for confirmations...");
-        transactionResponse = await verifier.deploymentTransaction();
-        await transactionResponse.wait(confirmations);
-        console.log(`Verifier deployed to: ${await verifier.getAddress()} with ${confirmations} confirmations`);
+    async function send(transaction) {
+        return (await transaction).wait(live ? confirmations : 1);
     }
 
     let tokenAddresses;
 
     if (network.name === "hardhat" || network.name === "localhost") {
-        console.log("Deploying mock ERC20 token contract...");
         // Deploy the mock ERC20 token contract only if the network is hardhat
         const initialSupply = ethers.parseUnits("10000", 18); // 10,000 tokens
-        const Token = await ethers.getContractFactory("MockERC20");
-        const token = await Token.deploy("Test Token", "TTK", 18, initialSupply);
-        const tokenAddress = await token.getAddress();
-        tokenAddresses = [tokenAddress];
+        const token = await deploy("MockERC20", "MockERC20", ["Test Token", "TTK", 18, initialSupply]);
+        tokenAddresses = [await token.getAddress()];
 
         // Transfer some tokens to the challenger so they can create challenges
-        const [owner, challenger] = await ethers.getSigners();
-        await token.connect(owner).transfer(await challenger.getAddress(), ethers.parseEther("1000"));
+        if (deployed.includes("MockERC20")) {
+            const [owner, challenger] = await ethers.getSigners();
+            await send(token.connect(owner).transfer(await challenger.getAddress(), ethers.parseEther("1000")));
+        }
     } else {
         // Use the token addresses from the .env file if not on hardhat
         const tokenAddressesString = process.env.TOKEN_ADDRESSES;
@@ -41,18 +129,56 @@ async function deployContracts() {
         }
         tokenAddresses = tokenAddressesString.split(",").map(address => address.trim());
     }
+    if (ethRewards) {
+        tokenAddresses.push(nativeToken);
+    }
+
+    // Remember which circuit versions the verifiers were registered as, before a redeployment replaces their entries
+    const previousCircuitVersions = {
+        Verifier: manifest.contracts.Verifier?.circuitVersion,
+        Verifier128: manifest.contracts.Verifier128?.circuitVersion,
+    };
+
+    // Deploy the Verifier and the Verifier for the range-checked 128-bit circuit
+    const verifier = await deploy("Verifier", "Groth16Verifier", [], { verifyingKeyHash: hashVerifyingKey(verifyingKeys.Verifier) });
+    const verifier128 = await deploy("Verifier128", "Groth16Verifier128", [], { verifyingKeyHash: hashVerifyingKey(verifyingKeys.Verifier128) });
+
+    // Deploy the ERC-2771 forwarder that relayers submit players' signed requests through
+    const forwarder = await deploy("GameForwarder", "GameForwarder");
+    const forwarderAddress = await forwarder.getAddress();
+
+    // Deploy the CompositeNumberGame contract, trusting the forwarder. An existing game is reused with the tokens it was
+    // deployed with
+    const previousGame = manifest.contracts.CompositeNumberGame;
+    const game = await deploy("CompositeNumberGame", "CompositeNumberGame", [tokenAddresses, forwarderAddress], {
+        reuseArgs: [previousGame?.constructorArgs?.[0] ?? tokenAddresses, forwarderAddress],
+    });
+    const gameDeployed = deployed.includes("CompositeNumberGame");
+
+    // Register the verifiers as circuit versions 1 and 2 of a new game. A reused game registers a redeployed verifier as a
+    // new circuit version and deprecates the version it replaces, whose challenges can still be solved with it
+    for (const [name, verifierContract] of [["Verifier", verifier], ["Verifier128", verifier128]]) {
+        if (!gameDeployed && !deployed.includes(name)) {
+            continue;
+        }
+        const verifierAddress = await verifierContract.getAddress();
+        await send(game.addVerifier(verifierAddress));
+        const circuitVersion = Number(await game.circuitVersionCount());
+        manifest.contracts[name].circuitVersion = circuitVersion;
+        console.log(`${name} ${verifierAddress} registered as circuit version ${circuitVersion}`);
+
+        const replacedVersion = previousCircuitVersions[name];
+        if (!gameDeployed && replacedVersion !== undefined && !(await game.verifiers(replacedVersion)).deprecated) {
+            await send(game.deprecateVerifier(replacedVersion));
+            console.log(`Deprecated circuit version ${replacedVersion}`);
+        }
+    }
 
-    // Deploy the CompositeNumberGame contract
-    const CompositeNumberGame = await ethers.getContractFactory("CompositeNumberGame");
-    const game = await CompositeNumberGame.deploy(tokenAddresses, await verifier.getAddress());
-    if (network.name !== "hardhat" && network.name !== "localhost")  {
-        console.log("Waiting for confirmations...");
-        transactionResponse = await game.deploymentTransaction();
-        await transactionResponse.wait(confirmations);
-        console.log(`CompositeNumberGame deployed to: ${await game.getAddress()} with ${confirmations} confirmations`);
+    if (gameDeployed) {
+        manifest.SupportedTokens = tokenAddresses;
     }
 
-    return { tokenAddresses, verifier, game };
+    return { tokenAddresses, verifier, verifier128, forwarder, game, manifest, deployed };
 }
 
-module.exports = { deployContracts };
\ No newline at end of file
+module.exports = { deployContracts, hashVerifyingKey };
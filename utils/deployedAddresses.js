@@ -0,0 +1,90 @@
+const fs = require("fs");
+const path = require("path");
+
+// Deployment manifests are kept per network, so that deploying to one network never overwrites another's addresses
+const deploymentsDir = path.join(__dirname, "..", "deployments");
+
+// The circuit each verifier verifies, as the circuit version a new game registers it as. The prover and the ceremony key
+// their artifacts by these versions
+const verifierCircuits = { Verifier: 1, Verifier128: 2 };
+
+// The circuit new challenges are proven with. Circuit 1 has no range checks and is only sound for n below 2^64, so it is
+// only used when asked for
+const defaultCircuit = verifierCircuits.Verifier128;
+
+function deploymentManifestPath(networkName) {
+    return path.join(deploymentsDir, `${networkName}.json`);
+}
+
+/**
+ * Reads the deployment manifest of a network.
+ * @param {string} networkName The Hardhat network name.
+ * @returns {object | undefined} The manifest, or undefined if nothing has been deployed to the network yet.
+ */
+function loadDeploymentManifest(networkName) {
+    const filePath = deploymentManifestPath(networkName);
+    if (!fs.existsSync(filePath)) {
+        return undefined;
+    }
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function saveDeploymentManifest(networkName, manifest) {
+    fs.mkdirSync(deploymentsDir, { recursive: true });
+    fs.writeFileSync(deploymentManifestPath(networkName), JSON.stringify(manifest, null, 2) + "\n");
+}
+
+/**
+ * Reads the addresses of a network's current deployment, keyed by contract name, along with its chain ID, the block the
+ * game was deployed in and the game's supported tokens.
+ * @param {string} networkName The Hardhat network name.
+ * @returns {object} For example { chainId, CompositeNumberGame, Verifier, DeploymentBlock, SupportedTokens }.
+ */
+function loadDeployedAddresses(networkName) {
+    const manifest = loadDeploymentManifest(networkName);
+    if (!manifest) {
+        throw new Error(`No deployment manifest for network ${networkName} at ${deploymentManifestPath(networkName)}. Run the deploy script first.`);
+    }
+
+    const addresses = { chainId: manifest.chainId };
+    for (const [name, deployment] of Object.entries(manifest.contracts)) {
+        addresses[name] = deployment.address;
+    }
+    addresses.DeploymentBlock = manifest.contracts.CompositeNumberGame?.blockNumber;
+    addresses.SupportedTokens = manifest.SupportedTokens;
+    return addresses;
+}
+
+/**
+ * Works out which circuit each circuit version of a manifest's game verifies. A reused game registers a redeployed
+ * verifier as a new circuit version, so after a redeployment the game's versions go past the ones the prover knows.
+ * @param {object} [manifest] A deployment manifest. Without one, the game is taken to have only the versions a new game
+ * registers.
+ * @returns {{circuits: Object<number, number>, defaultCircuitVersion: number}} circuits maps the game's circuit versions
+ * to the prover's, see utils/prover.js. defaultCircuitVersion is the version new challenges are proven with, the latest
+ * version of the range-checked 128-bit circuit.
+ */
+function resolveCircuitVersions(manifest) {
+    const game = manifest?.contracts?.CompositeNumberGame;
+    // Replaced verifiers stay registered with the game, but those replaced before it was deployed belong to an older game
+    const verifiers = [
+        ...(manifest?.history ?? []).filter((entry) => game && entry.replacedInBlock > game.blockNumber),
+        ...Object.entries(manifest?.contracts ?? {}).map(([name, deployment]) => ({ name, ...deployment })),
+    ];
+
+    const circuits = {};
+    for (const { name, circuitVersion } of verifiers) {
+        if (verifierCircuits[name] !== undefined && circuitVersion !== undefined) {
+            circuits[circuitVersion] = verifierCircuits[name];
+        }
+    }
+    if (Object.keys(circuits).length === 0) {
+        for (const circuitVersion of Object.values(verifierCircuits)) {
+            circuits[circuitVersion] = circuitVersion;
+        }
+    }
+    const defaultVersions = Object.keys(circuits).map(Number).filter((circuitVersion) => circuits[circuitVersion] === defaultCircuit);
+    return { circuits, defaultCircuitVersion: Math.max(...defaultVersions) };
+}
+
+module.exports = { deploymentManifestPath, loadDeploymentManifest, saveDeploymentManifest, loadDeployedAddresses, resolveCircuitVersions };
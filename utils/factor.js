@@ -0,0 +1,250 @@
+// Factoring engine used by the solver bot: trial division, then Pollard's rho with Brent's cycle detection, then
+// Lenstra's elliptic curve method (stage 1) until a deadline. All arithmetic is on BigInts.
+
+const smallPrimes = sieve(65536);
+
+function sieve(limit) {
+    const composite = new Uint8Array(limit + 1);
+    const primes = [];
+    for (let i = 2; i <= limit; i++) {
+        if (!composite[i]) {
+            primes.push(i);
+            for (let j = i * i; j <= limit; j += i) {
+                composite[j] = 1;
+            }
+        }
+    }
+    return primes;
+}
+
+function gcd(a, b) {
+    while (b !== 0n) {
+        [a, b] = [b, a % b];
+    }
+    return a < 0n ? -a : a;
+}
+
+function modPow(base, exponent, modulus) {
+    let result = 1n;
+    base %= modulus;
+    while (exponent > 0n) {
+        if (exponent & 1n) result = (result * base) % modulus;
+        base = (base * base) % modulus;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+function mod(a, n) {
+    const r = a % n;
+    return r < 0n ? r + n : r;
+}
+
+/**
+ * Miller-Rabin with the first 13 prime bases, which is exact below 3.3 * 10^24 and a strong probable prime test above.
+ */
+function isProbablePrime(n) {
+    if (n < 2n) return false;
+    const bases = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n, 41n];
+    for (const p of bases) {
+        if (n % p === 0n) return n === p;
+    }
+
+    let d = n - 1n;
+    let s = 0;
+    while ((d & 1n) === 0n) {
+        d >>= 1n;
+        s++;
+    }
+
+    for (const a of bases) {
+        let x = modPow(a, d, n);
+        if (x === 1n || x === n - 1n) continue;
+        let composite = true;
+        for (let i = 1; i < s && composite; i++) {
+            x = (x * x) % n;
+            if (x === n - 1n) composite = false;
+        }
+        if (composite) return false;
+    }
+    return true;
+}
+
+/**
+ * Returns the smallest prime factor of n up to bound, or null if there is none.
+ */
+function trialDivision(n, bound = 65536) {
+    for (const p of smallPrimes) {
+        if (p > bound) break;
+        const prime = BigInt(p);
+        if (prime * prime > n) break;
+        if (n % prime === 0n) return prime;
+    }
+    return null;
+}
+
+/**
+ * Pollard's rho with Brent's cycle detection and batched gcds. Returns a non-trivial factor of n or null.
+ */
+function pollardBrent(n, { maxIterations = 1_000_000, seed = 1n, deadline = Infinity } = {}) {
+    if ((n & 1n) === 0n) return 2n;
+
+    const batch = 128;
+    for (let c = seed; c < seed + 8n; c++) {
+        const f = (x) => (x * x + c) % n;
+        let y = 2n;
+        let r = 1;
+        let q = 1n;
+        let g = 1n;
+        let x;
+        let ys;
+        let iterations = 0;
+
+        while (g === 1n && iterations < maxIterations) {
+            x = y;
+            for (let i = 0; i < r; i++) y = f(y);
+
+            for (let k = 0; k < r && g === 1n; k += batch) {
+                ys = y;
+                for (let i = 0; i < Math.min(batch, r - k); i++) {
+                    y = f(y);
+                    q = (q * mod(x - y, n)) % n;
+                }
+                g = gcd(q, n);
+                iterations += batch;
+            }
+            r *= 2;
+            if (Date.now() > deadline) return null;
+        }
+
+        if (g === n) {
+            // The batch overshot, so step through it one value at a time
+            do {
+                ys = f(ys);
+                g = gcd(mod(x - ys, n), n);
+            } while (g === 1n);
+        }
+        if (g !== 1n && g !== n) return g;
+    }
+    return null;
+}
+
+// Montgomery curve point doubling in projective x:z coordinates. a24 = (A + 2) / 4
+function ecmDouble([x, z], a24, n) {
+    const sum = (x + z) % n;
+    const diff = mod(x - z, n);
+    const sumSquared = (sum * sum) % n;
+    const diffSquared = (diff * diff) % n;
+    const t = mod(sumSquared - diffSquared, n);
+    return [(sumSquared * diffSquared) % n, (t * ((diffSquared + a24 * t) % n)) % n];
+}
+
+// Differential addition of P and Q, given P - Q
+function ecmAdd([xp, zp], [xq, zq], [xd, zd], n) {
+    const u = (mod(xp - zp, n) * ((xq + zq) % n)) % n;
+    const v = (((xp + zp) % n) * mod(xq - zq, n)) % n;
+    const sum = (u + v) % n;
+    const diff = mod(u - v, n);
+    return [(zd * ((sum * sum) % n)) % n, (xd * ((diff * diff) % n)) % n];
+}
+
+function ecmMultiply(point, k, a24, n) {
+    let r0 = point;
+    let r1 = ecmDouble(point, a24, n);
+    for (let bit = k.toString(2).length - 2; bit >= 0; bit--) {
+        if ((k >> BigInt(bit)) & 1n) {
+            r0 = ecmAdd(r1, r0, point, n);
+            r1 = ecmDouble(r1, a24, n);
+        } else {
+            r1 = ecmAdd(r0, r1, point, n);
+            r0 = ecmDouble(r0, a24, n);
+        }
+    }
+    return r0;
+}
+
+/**
+ * Runs stage 1 of the elliptic curve method on one Suyama curve. Returns a non-trivial factor of n or null.
+ */
+function ecmCurve(n, sigma, b1, deadline = Infinity) {
+    const u = mod(sigma * sigma - 5n, n);
+    const v = (4n * sigma) % n;
+    const uCubed = modPow(u, 3n, n);
+    const denominator = (16n * uCubed * v) % n;
+
+    // A singular choice of curve either reveals a factor or is skipped
+    const g = gcd(denominator, n);
+    if (g !== 1n) return g !== n ? g : null;
+
+    const a24 = (modPow(mod(v - u, n), 3n, n) * ((3n * u + v) % n) % n) * modInverse(denominator, n) % n;
+    let point = [uCubed, modPow(v, 3n, n)];
+
+    for (const p of smallPrimes) {
+        if (p > b1) break;
+        let q = BigInt(p);
+        while (q * BigInt(p) <= BigInt(b1)) q *= BigInt(p);
+        point = ecmMultiply(point, q, a24, n);
+        if ((p & 1023) === 1 && Date.now() > deadline) return null;
+    }
+
+    const factor = gcd(point[1], n);
+    return factor !== 1n && factor !== n ? factor : null;
+}
+
+function modInverse(a, n) {
+    let [oldR, r] = [mod(a, n), n];
+    let [oldS, s] = [1n, 0n];
+    while (r !== 0n) {
+        const quotient = oldR / r;
+        [oldR, r] = [r, oldR - quotient * r];
+        [oldS, s] = [s, oldS - quotient * s];
+    }
+    return mod(oldS, n);
+}
+
+/**
+ * Runs ECM on curve after curve, raising the stage 1 bound, until a factor is found or the deadline passes.
+ */
+function ecm(n, { deadline = Infinity, maxCurves = Infinity, seed = 6n } = {}) {
+    const bounds = [2000, 11000, 50000];
+    for (let curve = 0; curve < maxCurves && Date.now() <= deadline; curve++) {
+        const b1 = bounds[Math.min(Math.floor(curve / 25), bounds.length - 1)];
+        const factor = ecmCurve(n, seed + BigInt(curve), b1, deadline);
+        if (factor) return factor;
+    }
+    return null;
+}
+
+/**
+ * Finds a non-trivial factor of n, or returns null if n is prime, smaller than 4 or wasn't factored by the deadline.
+ * @param {bigint} n
+ * @param {{deadline?: number}} [options] Time in milliseconds since the epoch at which to give up.
+ * @returns {bigint|null}
+ */
+function findFactor(n, { deadline = Infinity } = {}) {
+    n = BigInt(n);
+    if (n < 4n || isProbablePrime(n)) return null;
+
+    const small = trialDivision(n);
+    if (small) return small;
+
+    // Perfect squares send rho into a short cycle, so catch them first
+    const root = integerSquareRoot(n);
+    if (root * root === n) return root;
+
+    return pollardBrent(n, { maxIterations: 200_000, deadline }) ?? ecm(n, { deadline });
+}
+
+// Newton's method, which converges from above
+function integerSquareRoot(n) {
+    if (n < 2n) return n;
+    let x = n;
+    let y = (x + 1n) / 2n;
+    while (y < x) {
+        x = y;
+        y = (x + n / x) / 2n;
+    }
+    return x;
+}
+
+module.exports = { isProbablePrime, trialDivision, pollardBrent, ecm, findFactor };
@@ -0,0 +1,6 @@
+// Worker thread entry point that factors one number for the solver bot
+const { parentPort, workerData } = require("worker_threads");
+const { findFactor } = require("./factor");
+
+const factor = findFactor(BigInt(workerData.n), { deadline: workerData.deadline });
+parentPort.postMessage(factor === null ? null : factor.toString());
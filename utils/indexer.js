@@ -0,0 +1,418 @@
+const fs = require("fs");
+const initSqlJs = require("sql.js");
+
+// Game events that the indexer stores
+const indexedEvents = ["ChallengeCreated", "CreationFeePaid", "ChallengeSolved", "ExpiredChallengeClaimed", "KeeperTipPaid", "Withdrawn"];
+
+// uint256 values are stored as decimal strings because SQLite integers are only 64 bits wide
+const schema = `
+    CREATE TABLE IF NOT EXISTS events (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        transaction_hash TEXT NOT NULL,
+        name TEXT NOT NULL,
+        challenge_id TEXT,
+        n TEXT,
+        account TEXT NOT NULL,
+        token TEXT NOT NULL,
+        amount TEXT NOT NULL,
+        prize_pool_amount TEXT,
+        deadline TEXT,
+        window_mode INTEGER,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS events_by_challenge ON events (challenge_id, name);
+    CREATE TABLE IF NOT EXISTS blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL,
+        timestamp INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS state (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+`;
+
+// Mirrors the CompositeNumberGame.WindowMode enum
+const WindowMode = { Blocks: 0, Timestamp: 1 };
+
+// Mirrors the CompositeNumberGame.FeeDestination enum
+const FeeDestination = { PrizePool: 0, Treasury: 1 };
+
+/**
+ * Creates an indexer that copies the game's events into an embedded SQLite database (sql.js) and answers queries from it.
+ * Only blocks at least `confirmations` deep are indexed. If a reorg replaces indexed blocks anyway, their events are
+ * dropped and the indexer resumes from the last block that is still on the chain.
+ * @param {object} options
+ * @param {import("ethers").Contract} options.game The CompositeNumberGame contract.
+ * @param {import("ethers").Provider} options.provider Provider for the game's network.
+ * @param {number} [options.fromBlock] First block to index, usually the game's deployment block. Defaults to 0.
+ * @param {number} [options.confirmations] Blocks to wait before indexing a block. Defaults to 5.
+ * @param {number} [options.batchSize] Maximum number of blocks per eth_getLogs request. Defaults to 2000.
+ * @param {string} [options.databasePath] File to load the database from and save it to after every sync. In memory only if omitted.
+ */
+async function createIndexer({ game, provider, fromBlock = 0, confirmations = 5, batchSize = 2000, databasePath }) {
+    const SQL = await initSqlJs();
+    const db = databasePath && fs.existsSync(databasePath)
+        ? new SQL.Database(fs.readFileSync(databasePath))
+        : new SQL.Database();
+    db.run(schema);
+
+    const gameAddress = await game.getAddress();
+    const { chainId } = await provider.getNetwork();
+    checkDatabaseOwner();
+
+    const topics = indexedEvents.map((name) => game.interface.getEvent(name).topicHash);
+    let timer;
+
+    function getState(key) {
+        const [row] = select("SELECT value FROM state WHERE key = ?", [key]);
+        return row?.value;
+    }
+
+    function setState(key, value) {
+        db.run("INSERT OR REPLACE INTO state (key, value) VALUES (?, ?)", [key, String(value)]);
+    }
+
+    function checkDatabaseOwner() {
+        const owner = `${chainId}:${gameAddress}`;
+        const stored = getState("game");
+        if (stored === undefined) {
+            setState("game", owner);
+        } else if (stored !== owner) {
+            throw new Error(`Database ${databasePath} indexes game ${stored}, not ${owner}`);
+        }
+    }
+
+    function select(sql, params = []) {
+        const statement = db.prepare(sql);
+        statement.bind(params);
+        const rows = [];
+        while (statement.step()) {
+            rows.push(statement.getAsObject());
+        }
+        statement.free();
+        return rows;
+    }
+
+    function lastIndexedBlock() {
+        const value = getState("lastIndexedBlock");
+        return value === undefined ? fromBlock - 1 : Number(value);
+    }
+
+    function insertBlock(block) {
+        db.run("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)", [block.number, block.hash, block.timestamp]);
+    }
+
+    // Drops everything indexed after the newest stored block that is still on the chain
+    async function rollBackReorg() {
+        const stored = select("SELECT number, hash FROM blocks ORDER BY number DESC");
+        let forkPoint = fromBlock - 1;
+        for (const { number, hash } of stored) {
+            const block = await provider.getBlock(number);
+            if (block && block.hash === hash) {
+                forkPoint = number;
+                break;
+            }
+        }
+
+        if (forkPoint === lastIndexedBlock()) {
+            return 0;
+        }
+
+        const [{ count }] = select("SELECT COUNT(*) AS count FROM events WHERE block_number > ?", [forkPoint]);
+        db.run("BEGIN");
+        db.run("DELETE FROM events WHERE block_number > ?", [forkPoint]);
+        db.run("DELETE FROM blocks WHERE number > ?", [forkPoint]);
+        setState("lastIndexedBlock", forkPoint);
+        db.run("COMMIT");
+        return count;
+    }
+
+    // challengers maps the IDs of the challenges created in the batch to their challengers
+    function insertEvent(log, challengers) {
+        const { name, args } = game.interface.parseLog(log);
+        const row = {
+            challengeId: null, n: null, prizePoolAmount: null, deadline: null, windowMode: null,
+        };
+        if (name === "CreationFeePaid") {
+            // Only a fee credited to the prize pool adds to it. prize_pool_amount is 0 for a fee credited to the treasury
+            const prizePoolAmount = Number(args.destination) === FeeDestination.PrizePool ? args.creationFee : 0n;
+            Object.assign(row, {
+                challengeId: args.challengeId, account: challengers.get(args.challengeId), token: args.token, amount: args.creationFee, prizePoolAmount,
+            });
+        } else if (name === "Withdrawn") {
+            Object.assign(row, { account: args.user, token: args.token, amount: args.amount });
+        } else if (name === "KeeperTipPaid") {
+            Object.assign(row, { challengeId: args.challengeId, account: args.keeper, token: args.rewardToken, amount: args.tip });
+        } else {
+            const account = name === "ChallengeSolved" ? args.solver : args.challenger;
+            Object.assign(row, { challengeId: args.challengeId, n: args.n, account, token: args[3], amount: args.rewardAmount });
+            if (name === "ChallengeCreated") {
+                Object.assign(row, { deadline: args.deadline, windowMode: Number(args.windowMode) });
+            } else {
+                row.prizePoolAmount = args.prizePoolAmount;
+            }
+        }
+
+        db.run(
+            `INSERT OR REPLACE INTO events (block_number, log_index, transaction_hash, name, challenge_id, n, account, token, amount, prize_pool_amount, deadline, window_mode)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                log.blockNumber, log.index, log.transactionHash, name,
+                toText(row.challengeId), toText(row.n), row.account, row.token, toText(row.amount),
+                toText(row.prizePoolAmount), toText(row.deadline), row.windowMode,
+            ]
+        );
+    }
+
+    /**
+     * Indexes the confirmed blocks that haven't been indexed yet, after rolling back any reorged blocks.
+     * @returns {Promise<{fromBlock: number, toBlock: number, events: number, removed: number}>}
+     */
+    async function sync() {
+        const removed = await rollBackReorg();
+        const head = await provider.getBlockNumber();
+        const toBlock = head - confirmations;
+        const start = lastIndexedBlock() + 1;
+        let events = 0;
+
+        for (let batchStart = start; batchStart <= toBlock; batchStart += batchSize) {
+            const batchEnd = Math.min(batchStart + batchSize - 1, toBlock);
+            const logs = await provider.getLogs({ address: gameAddress, fromBlock: batchStart, toBlock: batchEnd, topics: [topics] });
+
+            // The last block of the batch lets the next sync detect a reorg even if the batch had no events
+            const blockNumbers = new Set([...logs.map((log) => log.blockNumber), batchEnd]);
+            const blocks = await Promise.all([...blockNumbers].map((number) => provider.getBlock(number)));
+            const hashes = new Map(blocks.map((block) => [block.number, block.hash]));
+            const reorged = logs.find((log) => hashes.get(log.blockNumber) !== log.blockHash);
+            if (reorged) {
+                throw new Error(`Block ${reorged.blockNumber} was reorganised while it was being indexed. The next sync will retry it`);
+            }
+
+            // CreationFeePaid doesn't name the challenger who paid it, the ChallengeCreated right after it in the same
+            // transaction does
+            const challengers = new Map();
+            for (const log of logs) {
+                const { name, args } = game.interface.parseLog(log);
+                if (name === "ChallengeCreated") {
+                    challengers.set(args.challengeId, args.challenger);
+                }
+            }
+
+            // Everything is fetched before the transaction starts so that a failed request can't leave it open
+            db.run("BEGIN");
+            blocks.forEach(insertBlock);
+            for (const log of logs) {
+                insertEvent(log, challengers);
+            }
+            db.run("DELETE FROM blocks WHERE number < ? AND number NOT IN (SELECT block_number FROM events)", [batchEnd]);
+            setState("lastIndexedBlock", batchEnd);
+            db.run("COMMIT");
+            events += logs.length;
+        }
+
+        if (databasePath && (start <= toBlock || removed > 0)) {
+            save();
+        }
+        return { fromBlock: start, toBlock: Math.max(toBlock, start - 1), events, removed };
+    }
+
+    /**
+     * Keeps syncing every `interval` milliseconds until stop() is called.
+     * @param {{interval?: number, onSync?: Function, onError?: Function}} [options]
+     */
+    function start({ interval = 4000, onSync = () => {}, onError = console.error } = {}) {
+        const poll = async () => {
+            try {
+                onSync(await sync());
+            } catch (error) {
+                onError(error);
+            }
+            if (timer !== undefined) {
+                timer = setTimeout(poll, interval);
+            }
+        };
+        timer = setTimeout(poll, 0);
+    }
+
+    function stop() {
+        clearTimeout(timer);
+        timer = undefined;
+    }
+
+    function save() {
+        fs.writeFileSync(databasePath, Buffer.from(db.export()));
+    }
+
+    function close() {
+        stop();
+        db.close();
+    }
+
+    // The newest indexed block, which the queries treat as the current block
+    function indexedHead() {
+        const [block] = select("SELECT number, timestamp FROM blocks ORDER BY number DESC LIMIT 1");
+        return block ?? { number: fromBlock - 1, timestamp: 0 };
+    }
+
+    /**
+     * Lists every indexed challenge with its state at the newest indexed block: open, solved, expired or claimed.
+     */
+    function getChallenges() {
+        const head = indexedHead();
+        const rows = select(`
+            SELECT created.challenge_id, created.n, created.account AS challenger, created.token, created.amount,
+                   created.deadline, created.window_mode, created.block_number,
+                   solved.account AS solver, claimed.block_number AS claimed_block
+            FROM events AS created
+            LEFT JOIN events AS solved ON solved.name = 'ChallengeSolved' AND solved.challenge_id = created.challenge_id
+            LEFT JOIN events AS claimed ON claimed.name = 'ExpiredChallengeClaimed' AND claimed.challenge_id = created.challenge_id
+            WHERE created.name = 'ChallengeCreated'
+            ORDER BY CAST(created.challenge_id AS INTEGER)
+        `);
+
+        return rows.map((row) => {
+            const deadline = BigInt(row.deadline);
+            const now = BigInt(row.window_mode === WindowMode.Blocks ? head.number : head.timestamp);
+            let state = "open";
+            if (row.solver) state = "solved";
+            else if (row.claimed_block !== null) state = "claimed";
+            else if (now > deadline) state = "expired";
+
+            return {
+                challengeId: BigInt(row.challenge_id),
+                n: BigInt(row.n),
+                challenger: row.challenger,
+                rewardToken: row.token,
+                rewardAmount: BigInt(row.amount),
+                deadline,
+                windowMode: row.window_mode,
+                createdAtBlock: row.block_number,
+                solver: row.solver ?? undefined,
+                state,
+                // Blocks or seconds left to solve the challenge, counted from the newest indexed block
+                remaining: state === "open" ? deadline - now : 0n,
+            };
+        });
+    }
+
+    function getOpenChallenges() {
+        return getChallenges().filter((challenge) => challenge.state === "open");
+    }
+
+    /**
+     * Lists the open challenges that expire within the given number of blocks or seconds, depending on their window mode.
+     */
+    function getExpiringChallenges({ blocks = 100, seconds = 3600 } = {}) {
+        return getOpenChallenges()
+            .filter((challenge) => challenge.remaining <= BigInt(challenge.windowMode === WindowMode.Blocks ? blocks : seconds))
+            .sort((a, b) => (a.remaining < b.remaining ? -1 : a.remaining > b.remaining ? 1 : 0));
+    }
+
+    /**
+     * Sums what an account has won per token: solver shares of rewards, prize pool shares from claiming expired
+     * challenges and tips from claiming them for others. Reclaimed rewards are the challenger's own tokens and aren't counted.
+     */
+    function getEarnings(account) {
+        const earnings = new Map();
+        const rows = select(
+            "SELECT name, token, amount, prize_pool_amount FROM events WHERE account = ? COLLATE NOCASE AND name IN ('ChallengeSolved', 'ExpiredChallengeClaimed', 'KeeperTipPaid')",
+            [account]
+        );
+        for (const row of rows) {
+            const entry = earnings.get(row.token) ?? { token: row.token, solverRewards: 0n, prizePoolShares: 0n, keeperTips: 0n, total: 0n };
+            if (row.name === "ChallengeSolved") {
+                entry.solverRewards += BigInt(row.amount);
+            } else if (row.name === "KeeperTipPaid") {
+                entry.keeperTips += BigInt(row.amount);
+            } else {
+                entry.prizePoolShares += BigInt(row.prize_pool_amount);
+            }
+            entry.total = entry.solverRewards + entry.prizePoolShares + entry.keeperTips;
+            earnings.set(row.token, entry);
+        }
+        return [...earnings.values()];
+    }
+
+    /**
+     * Ranks solvers by challenges solved, then by what they earned in `token` if given.
+     */
+    function getSolverLeaderboard({ token, limit = 10 } = {}) {
+        const solvers = new Map();
+        for (const row of select("SELECT account, token, amount FROM events WHERE name = 'ChallengeSolved'")) {
+            const entry = solvers.get(row.account) ?? { solver: row.account, solved: 0, earned: 0n };
+            entry.solved++;
+            if (token === undefined || row.token.toLowerCase() === token.toLowerCase()) {
+                entry.earned += BigInt(row.amount);
+            }
+            solvers.set(row.account, entry);
+        }
+        return [...solvers.values()]
+            .sort((a, b) => b.solved - a.solved || (a.earned < b.earned ? 1 : a.earned > b.earned ? -1 : 0))
+            .slice(0, limit);
+    }
+
+    /**
+     * Ranks challengers by how many of their challenges expired unsolved, then by challenges created.
+     */
+    function getChallengerLeaderboard({ limit = 10 } = {}) {
+        const challengers = new Map();
+        for (const challenge of getChallenges()) {
+            const entry = challengers.get(challenge.challenger) ?? { challenger: challenge.challenger, created: 0, solved: 0, unsolved: 0 };
+            entry.created++;
+            if (challenge.state === "solved") entry.solved++;
+            if (challenge.state === "expired" || challenge.state === "claimed") entry.unsolved++;
+            challengers.set(challenge.challenger, entry);
+        }
+        return [...challengers.values()]
+            .sort((a, b) => b.unsolved - a.unsolved || b.created - a.created)
+            .slice(0, limit);
+    }
+
+    /**
+     * Replays the prize pool of a token: every solve and every creation fee credited to the pool adds to it, and every
+     * claim of an expired challenge takes from it.
+     */
+    function getPrizePoolHistory(token) {
+        const rows = select(`
+            SELECT events.block_number, blocks.timestamp, events.challenge_id, events.name, events.prize_pool_amount
+            FROM events JOIN blocks ON blocks.number = events.block_number
+            WHERE events.token = ? COLLATE NOCASE AND (
+                events.name IN ('ChallengeSolved', 'ExpiredChallengeClaimed')
+                OR (events.name = 'CreationFeePaid' AND events.prize_pool_amount != '0')
+            )
+            ORDER BY events.block_number, events.log_index
+        `, [token]);
+
+        let prizePool = 0n;
+        return rows.map((row) => {
+            const change = row.name === "ExpiredChallengeClaimed" ? -BigInt(row.prize_pool_amount) : BigInt(row.prize_pool_amount);
+            prizePool += change;
+            return { blockNumber: row.block_number, timestamp: row.timestamp, challengeId: BigInt(row.challenge_id), change, prizePool };
+        });
+    }
+
+    return {
+        db,
+        sync,
+        start,
+        stop,
+        save,
+        close,
+        lastIndexedBlock,
+        getChallenges,
+        getOpenChallenges,
+        getExpiringChallenges,
+        getEarnings,
+        getSolverLeaderboard,
+        getChallengerLeaderboard,
+        getPrizePoolHistory,
+    };
+}
+
+function toText(value) {
+    return value === null || value === undefined ? null : value.toString();
+}
+
+module.exports = { indexedEvents, createIndexer };
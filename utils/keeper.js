@@ -0,0 +1,44 @@
+const { ZeroAddress } = require("ethers");
+
+/**
+ * Keeps the challenges that can be claimed right now: they exist, are unsolved and their deadline has passed.
+ * @param {import("ethers").Contract} game The CompositeNumberGame contract.
+ * @param {bigint[]} challengeIds Candidate challenge IDs, e.g. the expired challenges reported by the indexer.
+ * @returns {Promise<bigint[]>}
+ */
+async function findClaimableChallenges(game, challengeIds) {
+    const claimable = [];
+    for (const challengeId of challengeIds) {
+        const [expired, challenge] = await Promise.all([game.isExpired(challengeId), game.challenges(challengeId)]);
+        if (expired && challenge.solver === ZeroAddress) {
+            claimable.push(challengeId);
+        }
+    }
+    return claimable;
+}
+
+/**
+ * Claims expired challenges on their challengers' behalf with claimExpiredForBatch, earning the keeper tip for each.
+ * Each batch is checked again right before it is sent, because claimExpiredForBatch reverts if any challenge was claimed or
+ * solved in the meantime.
+ * @param {object} options
+ * @param {import("ethers").Contract} options.game The CompositeNumberGame contract.
+ * @param {import("ethers").Signer} options.signer Account that sends the transactions and receives the tips.
+ * @param {bigint[]} options.challengeIds Challenges to claim.
+ * @param {number} [options.batchSize] Challenges claimed per transaction. Defaults to 20.
+ * @returns {Promise<{challengeIds: bigint[], transactionHash: string}[]>} The batches that were sent.
+ */
+async function settleExpiredChallenges({ game, signer, challengeIds, batchSize = 20 }) {
+    const batches = [];
+    for (let i = 0; i < challengeIds.length; i += batchSize) {
+        const batch = await findClaimableChallenges(game, challengeIds.slice(i, i + batchSize));
+        if (batch.length === 0) continue;
+
+        const tx = await game.connect(signer).claimExpiredForBatch(batch);
+        await tx.wait();
+        batches.push({ challengeIds: batch, transactionHash: tx.hash });
+    }
+    return batches;
+}
+
+module.exports = { findClaimableChallenges, settleExpiredChallenges };
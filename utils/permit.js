@@ -0,0 +1,75 @@
+const { Contract, Signature } = require("ethers");
+
+// The parts of EIP-2612 and EIP-5267 that the helpers below call
+const permitAbi = [
+    "function nonces(address owner) view returns (uint256)",
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+    "function name() view returns (string)",
+];
+
+const permitTypes = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+/**
+ * Returns whether a token implements EIP-2612 permit, judged by it answering nonces and DOMAIN_SEPARATOR.
+ * @param {string} tokenAddress
+ * @param {import("ethers").ContractRunner} runner A provider or signer for the token's network.
+ */
+async function supportsPermit(tokenAddress, runner) {
+    const token = new Contract(tokenAddress, permitAbi, runner);
+    try {
+        await Promise.all([token.nonces(tokenAddress), token.DOMAIN_SEPARATOR()]);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Builds the EIP-712 domain of a permit token. Tokens that implement EIP-5267 report it themselves; for the others the
+ * domain is assumed to use the token's name and version "1", as OpenZeppelin's ERC20Permit does.
+ */
+async function getPermitDomain(token, chainId) {
+    try {
+        const { name, version, chainId: domainChainId, verifyingContract } = await token.eip712Domain();
+        return { name, version, chainId: domainChainId, verifyingContract };
+    } catch {
+        return { name: await token.name(), version: "1", chainId, verifyingContract: await token.getAddress() };
+    }
+}
+
+/**
+ * Signs an EIP-2612 permit that lets spender transfer value of the token from the signer's account.
+ * @param {object} options
+ * @param {string} options.token Address of the permit token.
+ * @param {import("ethers").Signer} options.signer Owner of the tokens, who signs the permit.
+ * @param {string} options.spender Address allowed to transfer the tokens, e.g. the game.
+ * @param {bigint} options.value Amount the spender may transfer.
+ * @param {bigint} [options.deadline] Timestamp until which the permit is valid. Defaults to an hour from the latest block.
+ * @returns {Promise<{deadline: bigint, v: number, r: string, s: string}>} The arguments createChallengeWithPermit takes
+ * after the proof.
+ */
+async function signPermit({ token: tokenAddress, signer, spender, value, deadline }) {
+    const token = new Contract(tokenAddress, permitAbi, signer);
+    const owner = await signer.getAddress();
+    const { chainId } = await signer.provider.getNetwork();
+    if (deadline === undefined) {
+        const block = await signer.provider.getBlock("latest");
+        deadline = BigInt(block.timestamp) + 3600n;
+    }
+
+    const domain = await getPermitDomain(token, chainId);
+    const message = { owner, spender, value, nonce: await token.nonces(owner), deadline };
+    const { v, r, s } = Signature.from(await signer.signTypedData(domain, permitTypes, message));
+    return { deadline, v, r, s };
+}
+
+module.exports = { supportsPermit, signPermit };
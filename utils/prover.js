@@ -0,0 +1,120 @@
+const fs = require("fs");
+const path = require("path");
+const snarkjs = require("snarkjs");
+
+const circuitDir = path.join(__dirname, "..", "circuit");
+
+// Artifacts for each circuit version registered with CompositeNumberGame.addVerifier
+const circuitArtifacts = {
+    // composite-check.circom, only sound for n, factor1 and factor2 below 2^64
+    1: {
+        circuitPath: path.join(circuitDir, "composite-check.circom"),
+        wasmPath: path.join(circuitDir, "composite-check_js", "composite-check.wasm"),
+        zkeyPath: path.join(circuitDir, "composite-check_final.zkey"),
+        verificationKeyPath: path.join(circuitDir, "verification_key.json"),
+    },
+    // composite-check-128.circom, range checks its inputs and supports n below 2^128
+    2: {
+        circuitPath: path.join(circuitDir, "composite-check-128.circom"),
+        wasmPath: path.join(circuitDir, "composite-check-128_js", "composite-check-128.wasm"),
+        zkeyPath: path.join(circuitDir, "composite-check-128_final.zkey"),
+        verificationKeyPath: path.join(circuitDir, "verification_key_128.json"),
+    },
+};
+
+const defaultArtifacts = circuitArtifacts[1];
+
+// Input signals of the composite-check circuits. prover, chainId and gameAddress bind the proof to one sender and one game
+const circuitInputs = ["n", "factor1", "factor2", "prover", "chainId", "gameAddress"];
+
+function resolveArtifacts(options = {}) {
+    const { circuitVersion = 1, circuits, ...overrides } = options;
+    // A game that registered redeployed verifiers has more versions than there are circuits, see resolveCircuitVersions
+    const artifacts = circuitArtifacts[circuits ? circuits[circuitVersion] : circuitVersion];
+    if (!artifacts) {
+        throw new Error(`Unknown circuit version: ${circuitVersion}`);
+    }
+    return { ...artifacts, ...overrides };
+}
+
+function assertArtifactExists(filePath, description, hint) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`${description} not found at ${filePath}. ${hint}`);
+    }
+}
+
+/**
+ * Generates a Groth16 proof for a composite-check circuit entirely in memory.
+ * @param {{n: bigint|number|string, factor1: bigint|number|string, factor2: bigint|number|string, prover: string, chainId: bigint|number, gameAddress: string}} input
+ * Circuit input signals. prover is the address that will submit the proof and gameAddress is the CompositeNumberGame contract.
+ * @param {{circuitVersion?: number, circuits?: Object<number, number>, wasmPath?: string, zkeyPath?: string}} [options]
+ * Circuit version to prove for (defaults to 1) and overrides for its artifact paths. circuits maps the game's circuit
+ * versions to the ones in circuitArtifacts, as returned by resolveCircuitVersions in utils/deployedAddresses.js.
+ * @returns {Promise<{proof: object, publicSignals: string[]}>}
+ */
+async function generateProof(input, options) {
+    const { circuitPath, wasmPath, zkeyPath } = resolveArtifacts(options);
+    assertArtifactExists(
+        wasmPath,
+        "Circuit wasm",
+        `Compile the circuit first: npm run circom -- ${path.relative(process.cwd(), circuitPath)} --r1cs --wasm --sym --output circuit`
+    );
+    assertArtifactExists(zkeyPath, "Proving key (zkey)", "Run the trusted setup first: npm run ceremony");
+
+    const witnessInput = {};
+    for (const signal of circuitInputs) {
+        if (input[signal] === undefined || input[signal] === null) {
+            throw new Error(`Missing circuit input: ${signal}`);
+        }
+        // Addresses are accepted as hex strings and converted to field elements
+        witnessInput[signal] = BigInt(input[signal]);
+    }
+
+    return snarkjs.groth16.fullProve(witnessInput, wasmPath, zkeyPath);
+}
+
+/**
+ * Checks a proof off-chain against the circuit's verification key.
+ * @param {object} proof The proof returned by generateProof.
+ * @param {string[]} publicSignals The public signals returned by generateProof.
+ * @param {{circuitVersion?: number, circuits?: Object<number, number>, verificationKeyPath?: string}} [options] Circuit
+ * version the proof was generated for (defaults to 1), see generateProof, and an override for its verification key path.
+ * @returns {Promise<boolean>}
+ */
+async function verifyProof(proof, publicSignals, options) {
+    const { verificationKeyPath } = resolveArtifacts(options);
+    assertArtifactExists(verificationKeyPath, "Verification key", "Export it with: npx snarkjs zkey export verificationkey");
+
+    const verificationKey = JSON.parse(fs.readFileSync(verificationKeyPath, "utf8"));
+    return snarkjs.groth16.verify(verificationKey, publicSignals, proof);
+}
+
+/**
+ * Converts a proof into the arguments expected by the Solidity verifier.
+ * @returns {Promise<[string[], string[][], string[], string[]]>} [pA, pB, pC, pubSignals]
+ */
+async function getCalldata(proof, publicSignals) {
+    const calldata = await snarkjs.groth16.exportSolidityCallData(proof, publicSignals);
+
+    // snarkjs returns the four arguments without the enclosing brackets
+    return JSON.parse(`[${calldata}]`);
+}
+
+/**
+ * Generates a proof and returns it as [pA, pB, pC, pubSignals], ready for createChallenge or solveChallenge.
+ */
+async function prove(input, options) {
+    const { proof, publicSignals } = await generateProof(input, options);
+    return getCalldata(proof, publicSignals);
+}
+
+/**
+ * Releases the worker threads snarkjs keeps alive for the bn128 curve so that scripts can exit.
+ */
+async function terminate() {
+    if (globalThis.curve_bn128) {
+        await globalThis.curve_bn128.terminate();
+    }
+}
+
+module.exports = { circuitArtifacts, defaultArtifacts, generateProof, verifyProof, getCalldata, prove, terminate };
@@ -0,0 +1,221 @@
+const http = require("http");
+const { Contract, getAddress, verifyTypedData, concat } = require("ethers");
+const { decodeError } = require("./cng");
+
+// The IVerifier function the relayer checks proofs with, without paying gas
+const verifierAbi = [
+    "function verifyProof(uint256[2] pA, uint256[2][2] pB, uint256[2] pC, uint256[5] pubSignals) view returns (bool)",
+];
+
+// Mirrors ERC2771Forwarder's ForwardRequest type
+const forwardRequestTypes = {
+    ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint48" },
+        { name: "data", type: "bytes" },
+    ],
+};
+
+// Game functions the relayer pays gas for. The others are either owner functions or paid for by keepers
+const relayableFunctions = [
+    "createChallenge",
+    "createChallengeWithPermit",
+    "solveChallenge",
+    "claimExpiredChallenge",
+    "withdraw",
+    "withdrawAll",
+];
+
+async function getForwarderDomain(forwarder) {
+    const { name, version, chainId, verifyingContract } = await forwarder.eip712Domain();
+    return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * Signs a request for the forwarder to call the game on the signer's behalf.
+ * @param {object} options
+ * @param {import("ethers").Contract} options.forwarder The GameForwarder contract.
+ * @param {import("ethers").Signer} options.signer The player, who doesn't need any ETH.
+ * @param {string} options.to Address of the game.
+ * @param {string} options.data Calldata of the game call, e.g. from game.interface.encodeFunctionData.
+ * @param {bigint} [options.gas] Gas forwarded to the game call. Defaults to 1,000,000, enough for a proof verification.
+ * @param {bigint} [options.deadline] Timestamp until which the request can be relayed. Defaults to an hour from the latest block.
+ * @returns {Promise<object>} The ForwardRequestData that the relayer passes to the forwarder's execute.
+ */
+async function signForwardRequest({ forwarder, signer, to, data, gas = 1_000_000n, deadline }) {
+    const from = await signer.getAddress();
+    if (deadline === undefined) {
+        const block = await signer.provider.getBlock("latest");
+        deadline = BigInt(block.timestamp) + 3600n;
+    }
+
+    const request = { from, to, value: 0n, gas, deadline, data };
+    const nonce = await forwarder.nonces(from);
+    const signature = await signer.signTypedData(await getForwarderDomain(forwarder), forwardRequestTypes, { ...request, nonce });
+    return { ...request, signature };
+}
+
+/**
+ * Creates a relayer that pays the gas for players' signed requests. Before sending a request it checks off-chain that the
+ * signature is the player's, that it calls a relayable game function, that any proof is bound to the player, this chain
+ * and this game and passes the verifier, and that the call would succeed. Checking costs the relayer nothing, so invalid
+ * requests are turned away without paying for a reverted transaction.
+ * @param {object} options
+ * @param {import("ethers").Contract} options.forwarder The GameForwarder contract the game trusts.
+ * @param {import("ethers").Contract} options.game The CompositeNumberGame contract.
+ * @param {import("ethers").Signer} options.signer Account that sends the transactions and pays their gas.
+ * @param {string[]} [options.functions] Game functions to relay. Defaults to the player functions.
+ */
+function createRelayer({ forwarder, game, signer, functions = relayableFunctions }) {
+    const provider = signer.provider;
+
+    // Checks that the proof is the one the game would accept from the signer. n is what the proof must be for
+    async function checkProof(from, n, circuitVersion, [pA, pB, pC, pubSignals]) {
+        const { chainId } = await provider.getNetwork();
+        if (BigInt(pubSignals[1]) !== BigInt(n)) {
+            throw new Error(`The proof is not for n=${n}`);
+        }
+        if (BigInt(pubSignals[2]) !== BigInt(from)) {
+            throw new Error(`The proof was not generated for ${from}`);
+        }
+        if (BigInt(pubSignals[3]) !== chainId || BigInt(pubSignals[4]) !== BigInt(await game.getAddress())) {
+            throw new Error("The proof was not generated for this game");
+        }
+        if (BigInt(pubSignals[0]) !== 1n) {
+            throw new Error("The proof doesn't show that n is composite");
+        }
+
+        const { verifier: verifierAddress } = await game.verifiers(circuitVersion);
+        const verifier = new Contract(verifierAddress, verifierAbi, provider);
+        if (!(await verifier.verifyProof(pA, pB, pC, pubSignals))) {
+            throw new Error("The proof is invalid");
+        }
+    }
+
+    /**
+     * Checks a signed request without sending it. Throws an Error explaining why the request won't be relayed.
+     * @param {object} request ForwardRequestData from signForwardRequest. Amounts may be decimal strings, as sent over JSON.
+     * @returns {Promise<import("ethers").TransactionDescription>} The decoded game call.
+     */
+    async function check(request) {
+        const from = getAddress(request.from);
+        if (getAddress(request.to) !== getAddress(await game.getAddress())) {
+            throw new Error(`Requests must call the game at ${await game.getAddress()}`);
+        }
+        if (BigInt(request.value) !== 0n) {
+            throw new Error("Requests must not send ETH");
+        }
+        const block = await provider.getBlock("latest");
+        if (BigInt(request.deadline) <= BigInt(block.timestamp)) {
+            throw new Error("The request has expired");
+        }
+
+        const { to, value, gas, deadline, data } = request;
+        const message = { from, to, value, gas, nonce: await forwarder.nonces(from), deadline, data };
+        const signer = verifyTypedData(await getForwarderDomain(forwarder), forwardRequestTypes, message, request.signature);
+        if (signer !== from) {
+            throw new Error(`The request was signed by ${signer}, not by ${from}`);
+        }
+
+        const call = game.interface.parseTransaction({ data: request.data });
+        if (!call || !functions.includes(call.name)) {
+            throw new Error(`Calls to ${call ? call.name : "unknown functions"} are not relayed`);
+        }
+        // Decoded arguments are read-only Results, which ethers can't encode into another call
+        const args = call.args.toArray(true);
+        if (call.name === "createChallenge" || call.name === "createChallengeWithPermit") {
+            await checkProof(from, args[0], args[5], args.slice(6, 10));
+        } else if (call.name === "solveChallenge") {
+            const challenge = await game.challenges(args[0]);
+            await checkProof(from, challenge.n, challenge.circuitVersion, args.slice(1, 5));
+        }
+
+        // Simulate the call as the forwarder makes it, with the signer appended, so a revert is reported as the game's error
+        try {
+            await provider.call({
+                from: await forwarder.getAddress(),
+                to: await game.getAddress(),
+                data: concat([request.data, from]),
+                gasLimit: BigInt(request.gas),
+            });
+        } catch (error) {
+            throw new Error(`The call would revert: ${decodeError(error, [game])}`);
+        }
+        return call;
+    }
+
+    /**
+     * Checks a signed request and sends it to the forwarder, paying the gas.
+     * @returns {Promise<{name: string, transactionHash: string}>} The game function called and the transaction hash.
+     */
+    async function relay(request) {
+        const call = await check(request);
+        const tx = await forwarder.connect(signer).execute(request);
+        await tx.wait();
+        return { name: call.name, transactionHash: tx.hash };
+    }
+
+    return { check, relay };
+}
+
+// Largest request body the server reads. A signed createChallengeWithPermit request, the largest call, is about 2 KB
+const maxBodySize = 8 * 1024;
+
+/**
+ * Creates an HTTP server for a relayer. Players POST a signed request as JSON to /relay, with amounts as decimal strings, and
+ * receive { name, transactionHash } or, with status 400, { error } explaining why it wasn't relayed. Bodies larger than
+ * maxBodySize bytes are turned away with status 413.
+ * @param {ReturnType<typeof createRelayer>} relayer
+ * @param {{maxBodySize?: number}} [options]
+ * @returns {http.Server} The server, not yet listening.
+ */
+function createRelayerServer(relayer, options = {}) {
+    const bodyLimit = options.maxBodySize ?? maxBodySize;
+    const send = (response, status, body) => {
+        response.writeHead(status, { "Content-Type": "application/json" });
+        response.end(JSON.stringify(body));
+    };
+
+    return http.createServer((request, response) => {
+        if (request.method !== "POST" || request.url !== "/relay") {
+            send(response, 404, { error: "Not found" });
+            return;
+        }
+
+        const tooLarge = () => {
+            send(response, 413, { error: `Requests must be at most ${bodyLimit} bytes` });
+            // Drain the rest of the body without keeping it
+            request.removeAllListeners("data");
+            request.removeAllListeners("end");
+            request.resume();
+        };
+        if (Number(request.headers["content-length"]) > bodyLimit) {
+            tooLarge();
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        request.on("data", (chunk) => {
+            size += chunk.length;
+            if (size > bodyLimit) {
+                tooLarge();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on("end", async () => {
+            try {
+                send(response, 200, await relayer.relay(JSON.parse(Buffer.concat(chunks).toString("utf8"))));
+            } catch (error) {
+                send(response, 400, { error: error.message });
+            }
+        });
+    });
+}
+
+module.exports = { forwardRequestTypes, relayableFunctions, maxBodySize, signForwardRequest, createRelayer, createRelayerServer };
@@ -0,0 +1,229 @@
+const { ethers } = require("hardhat");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { windowModes, nativeToken, decodeError } = require("./cng");
+const { prove } = require("./prover");
+const { resolveCircuitVersions } = require("./deployedAddresses");
+
+// Scenario steps, each an object with exactly one of these keys
+const stepActions = ["create", "solve", "mine", "expire", "claim", "withdraw"];
+
+/**
+ * Reads a seeding scenario from a .json, .yaml or .yml file.
+ * @param {string} filePath Path of the scenario file.
+ * @returns {object} The scenario, see scenarios/devnet.yaml for its format.
+ */
+function loadScenario(filePath) {
+    const text = fs.readFileSync(filePath, "utf8");
+    const scenario = [".yaml", ".yml"].includes(path.extname(filePath)) ? yaml.load(text) : JSON.parse(text);
+    if (!Array.isArray(scenario?.steps)) {
+        throw new Error(`Scenario ${filePath} has no list of steps`);
+    }
+    scenario.steps.forEach((step, i) => {
+        const keys = Object.keys(step ?? {});
+        if (keys.length !== 1 || !stepActions.includes(keys[0])) {
+            throw new Error(`Step ${i + 1} of ${filePath} must have exactly one of ${stepActions.join(", ")}`);
+        }
+    });
+    return scenario;
+}
+
+/**
+ * Seeds a local game: deploys the scenario's mock tokens, funds the first accounts with every token and then runs the
+ * scenario's steps in order, proving each create and solve with the real circuits.
+ * @dev Steps name accounts by their index among the signers, like the cng tasks' --account, and challenges by the id the
+ * create step gave them. Amounts are in whole tokens. Running the same scenario against a fresh node gives the same world.
+ * @param {object} options
+ * @param {import("ethers").Contract} options.game The CompositeNumberGame contract, owned by the first signer.
+ * @param {object} options.scenario A scenario, see loadScenario.
+ * @param {number} [options.accounts] Number of accounts after the owner to fund. Defaults to the scenario's accounts or 5.
+ * @param {object} [options.circuitVersions] The game's circuit versions, see resolveCircuitVersions. Defaults to the
+ * versions a new game registers.
+ * @param {(message: string) => void} [options.log] Receives a line per step. Defaults to console.log.
+ * @returns {Promise<{tokens: object, challenges: object}>} Token addresses by symbol and challenge IDs by id.
+ */
+async function seedDevnet({ game, scenario, accounts = scenario.accounts ?? 5, circuitVersions = resolveCircuitVersions(), log = console.log }) {
+    const signers = await ethers.getSigners();
+    const [owner] = signers;
+    game = game.connect(owner);
+    const { chainId } = await ethers.provider.getNetwork();
+    const gameAddress = await game.getAddress();
+
+    // The game's tokens by symbol, including the ones it already supports such as the deployment's TTK
+    const tokens = {};
+    for (const address of await game.getSupportedTokens()) {
+        const token = address === nativeToken ? undefined : await ethers.getContractAt("IERC20Metadata", address);
+        tokens[token ? await token.symbol() : "ETH"] = token ?? { native: true };
+    }
+    if (scenario.eth && !tokens.ETH) {
+        await (await game.addSupportedToken(nativeToken)).wait();
+        tokens.ETH = { native: true };
+        log("Added ETH rewards");
+    }
+    for (const { symbol, name = symbol, decimals = 18, supply = "1000000" } of scenario.tokens ?? []) {
+        const token = await ethers.deployContract("MockERC20", [name, symbol, decimals, ethers.parseUnits(supply, decimals)]);
+        await token.waitForDeployment();
+        await (await game.addSupportedToken(await token.getAddress())).wait();
+        tokens[symbol] = token;
+        log(`Deployed ${symbol} to ${await token.getAddress()}`);
+    }
+
+    // Every funded account gets scenario.fund of each mock token. Hardhat accounts already hold plenty of ETH
+    const fund = scenario.fund ?? "1000";
+    for (const account of signers.slice(1, accounts + 1)) {
+        for (const [symbol, token] of Object.entries(tokens)) {
+            if (token.native) continue;
+            await (await token.connect(owner).transfer(account.address, ethers.parseUnits(fund, await token.decimals()))).wait();
+        }
+        log(`Funded ${account.address} with ${fund} of ${Object.keys(tokens).filter((symbol) => !tokens[symbol].native).join(", ")}`);
+    }
+
+    const challenges = {};
+    // The factors each challenge was created with, which a solve step proves unless it names others
+    const createdFactors = {};
+
+    function signerAt(index) {
+        const signer = signers[index ?? 0];
+        if (!signer) {
+            throw new Error(`Account ${index} is not available`);
+        }
+        return signer;
+    }
+
+    function tokenFor(symbol) {
+        const token = tokens[symbol];
+        if (!token) {
+            throw new Error(`Unknown token ${symbol}. The game has ${Object.keys(tokens).join(", ")}`);
+        }
+        return token;
+    }
+
+    function challengeFor(id) {
+        if (challenges[id] === undefined) {
+            throw new Error(`No challenge was created with id ${id}`);
+        }
+        return challenges[id];
+    }
+
+    async function decimalsOf(token) {
+        return token.native ? 18n : token.decimals();
+    }
+
+    async function proofFor(signer, n, [factor1, factor2], circuitVersion) {
+        return prove(
+            { n, factor1, factor2, prover: signer.address, chainId, gameAddress },
+            { circuitVersion: Number(circuitVersion), circuits: circuitVersions.circuits }
+        );
+    }
+
+    const actions = {
+        async create({ id, account = 1, n, factors, token: symbol, amount, window, mode = "blocks", circuitVersion }) {
+            if (id === undefined || challenges[id] !== undefined) {
+                throw new Error(`A create step needs an id no other challenge has, got ${id}`);
+            }
+            const signer = signerAt(account);
+            const token = tokenFor(symbol);
+            const windowMode = windowModes[mode];
+            if (windowMode === undefined) {
+                throw new Error(`Unknown window mode ${mode}. Use blocks or timestamp`);
+            }
+            window ??= (await game.windowBounds(windowMode)).max;
+            circuitVersion ??= circuitVersions.defaultCircuitVersion;
+            const rewardAmount = ethers.parseUnits(String(amount), await decimalsOf(token));
+            const tokenAddress = token.native ? nativeToken : await token.getAddress();
+            const total = rewardAmount + (await game.creationFees(tokenAddress));
+            if (!token.native) {
+                await (await token.connect(signer).approve(gameAddress, total)).wait();
+            }
+
+            const [pA, pB, pC, pubSignals] = await proofFor(signer, n, factors, circuitVersion);
+            const receipt = await (await game.connect(signer).createChallenge(
+                n, tokenAddress, rewardAmount, window, windowMode, circuitVersion, pA, pB, pC, pubSignals, { value: token.native ? total : 0n }
+            )).wait();
+            const event = receipt.logs.map((log) => game.interface.parseLog(log)).find((log) => log?.name === "ChallengeCreated");
+            challenges[id] = event.args.challengeId;
+            createdFactors[id] = factors;
+            return `created challenge ${id} (${event.args.challengeId}) for n = ${n}, ${amount} ${symbol} until ${mode === "blocks" ? "block" : "timestamp"} ${event.args.deadline}`;
+        },
+
+        async solve({ challenge: id, account = 2, factors = createdFactors[id] }) {
+            const challengeId = challengeFor(id);
+            const signer = signerAt(account);
+            const challenge = await game.challenges(challengeId);
+            const [pA, pB, pC, pubSignals] = await proofFor(signer, challenge.n, factors, challenge.circuitVersion);
+            await (await game.connect(signer).solveChallenge(challengeId, pA, pB, pC, pubSignals)).wait();
+            return `${signer.address} solved challenge ${id} (${challengeId})`;
+        },
+
+        async mine(params) {
+            const { blocks = 0, seconds = 0 } = typeof params === "number" ? { blocks: params } : params;
+            if (seconds > 0) {
+                await time.increase(seconds);
+            }
+            if (blocks > 0) {
+                await mine(blocks);
+            }
+            return `mined to block ${await ethers.provider.getBlockNumber()}`;
+        },
+
+        // Mines or advances time just far enough for the challenge to be expired
+        async expire({ challenge: id }) {
+            const challengeId = challengeFor(id);
+            const { deadline, windowMode } = await game.challenges(challengeId);
+            const latest = await ethers.provider.getBlock("latest");
+            if (Number(windowMode) === windowModes.blocks) {
+                const blocks = deadline - BigInt(latest.number);
+                if (blocks >= 0n) {
+                    await mine(blocks + 1n);
+                }
+            } else if (deadline >= BigInt(latest.timestamp)) {
+                await time.increaseTo(deadline + 1n);
+            }
+            return `challenge ${id} (${challengeId}) has expired`;
+        },
+
+        // The challenger claims their own challenge, any other account claims it for them and earns the keeper tip
+        async claim({ challenge: id, account }) {
+            const challengeId = challengeFor(id);
+            const { challenger } = await game.challenges(challengeId);
+            const signer = account === undefined ? await ethers.getSigner(challenger) : signerAt(account);
+            if (signer.address === challenger) {
+                await (await game.connect(signer).claimExpiredChallenge(challengeId)).wait();
+            } else {
+                await (await game.connect(signer).claimExpiredFor(challengeId)).wait();
+            }
+            return `${signer.address} claimed challenge ${id} (${challengeId})`;
+        },
+
+        async withdraw({ account = 1, token: symbol, amount }) {
+            const signer = signerAt(account);
+            const token = tokenFor(symbol);
+            const tokenAddress = token.native ? nativeToken : await token.getAddress();
+            const withdrawal = amount === undefined
+                ? await game.balances(signer.address, tokenAddress)
+                : ethers.parseUnits(String(amount), await decimalsOf(token));
+            await (await game.connect(signer).withdraw(withdrawal, tokenAddress)).wait();
+            return `${signer.address} withdrew ${ethers.formatUnits(withdrawal, await decimalsOf(token))} ${symbol}`;
+        },
+    };
+
+    const errorSources = [game, ...Object.values(tokens).filter((token) => !token.native)];
+    for (const [i, step] of scenario.steps.entries()) {
+        const [action, params] = Object.entries(step)[0];
+        try {
+            log(`Step ${i + 1}: ${await actions[action](params ?? {})}`);
+        } catch (error) {
+            throw new Error(`Step ${i + 1} (${action}) failed: ${decodeError(error, errorSources)}`, { cause: error });
+        }
+    }
+
+    const tokenAddresses = {};
+    for (const [symbol, token] of Object.entries(tokens)) {
+        tokenAddresses[symbol] = token.native ? nativeToken : await token.getAddress();
+    }
+    return { tokens: tokenAddresses, challenges };
+}
+
+module.exports = { loadScenario, seedDevnet };
@@ -0,0 +1,185 @@
+const { EventEmitter } = require("events");
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { ZeroAddress } = require("ethers");
+const { prove } = require("./prover");
+const { resolveCircuitVersions } = require("./deployedAddresses");
+
+// Mirrors the CompositeNumberGame.WindowMode enum
+const WindowMode = { Blocks: 0, Timestamp: 1 };
+
+/**
+ * Factors n in a worker thread. The worker is terminated once timeLimit milliseconds have passed.
+ * @returns {Promise<bigint|null>} A non-trivial factor of n, or null if none was found in time.
+ */
+function factorInWorker(n, timeLimit) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(path.join(__dirname, "factorWorker.js"), {
+            workerData: { n: n.toString(), deadline: Date.now() + timeLimit },
+        });
+        // The worker checks the deadline itself, this is a backstop for a step that runs long
+        const timer = setTimeout(() => worker.terminate().then(() => resolve(null)), timeLimit + 1000);
+
+        worker.once("message", (factor) => {
+            clearTimeout(timer);
+            worker.terminate();
+            resolve(factor === null ? null : BigInt(factor));
+        });
+        worker.once("error", (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Creates a solver bot that watches the game for ChallengeCreated events, factors each n in a worker thread and submits
+ * solveChallenge before the challenge expires. It emits:
+ * - "solved" with { challengeId, n, factor1, factor2, transactionHash }
+ * - "skipped" with { challengeId, reason } for challenges below the reward thresholds or already solved
+ * - "gaveUp" with { challengeId, reason } when n couldn't be factored before the deadline
+ * - "failed" with { challengeId, error } when proving or submitting failed
+ * @param {object} options
+ * @param {import("ethers").Contract} options.game The CompositeNumberGame contract.
+ * @param {import("ethers").Provider} options.provider Provider for the game's network.
+ * @param {import("ethers").Signer} options.signer Account that solves challenges and receives the rewards.
+ * @param {Object<string, bigint>} options.minRewards Minimum reward amount per token address. Challenges in other tokens are skipped.
+ * @param {number} [options.fromBlock] First block to look for challenges in. Defaults to the current block.
+ * @param {number} [options.workers] Challenges factored at once. Defaults to the number of CPUs minus one.
+ * @param {number} [options.blockTime] Expected milliseconds per block, used to turn block deadlines into time. Defaults to 12000.
+ * @param {number} [options.marginBlocks] Blocks before a block deadline at which factoring stops. Defaults to 2.
+ * @param {number} [options.marginSeconds] Seconds before a timestamp deadline at which factoring stops. Defaults to 30.
+ * @param {number} [options.pollInterval] Milliseconds between checks for new challenges. Defaults to 4000.
+ * @param {Object<number, number>} [options.circuits] Maps the game's circuit versions to the prover's, see
+ * resolveCircuitVersions. Defaults to the versions a new game registers.
+ */
+function createSolver({
+    game,
+    provider,
+    signer,
+    minRewards,
+    fromBlock,
+    workers = Math.max(os.cpus().length - 1, 1),
+    blockTime = 12000,
+    marginBlocks = 2,
+    marginSeconds = 30,
+    pollInterval = 4000,
+    circuits = resolveCircuitVersions().circuits,
+}) {
+    const solver = new EventEmitter();
+    const thresholds = new Map(Object.entries(minRewards).map(([token, amount]) => [token.toLowerCase(), BigInt(amount)]));
+    const seen = new Set();
+    const queue = [];
+    let running = 0;
+    let nextBlock = fromBlock;
+    let timer;
+
+    // Milliseconds left to factor before the challenge's deadline, keeping a margin for proving and submitting
+    async function timeLimit(challenge) {
+        const block = await provider.getBlock("latest");
+        if (Number(challenge.windowMode) === WindowMode.Blocks) {
+            return (Number(challenge.deadline) - block.number - marginBlocks) * blockTime;
+        }
+        return (Number(challenge.deadline) - block.timestamp - marginSeconds) * 1000;
+    }
+
+    async function solve(challengeId) {
+        let challenge = await game.challenges(challengeId);
+        const limit = await timeLimit(challenge);
+        if (limit <= 0) {
+            solver.emit("gaveUp", { challengeId, reason: "The deadline is too close" });
+            return;
+        }
+
+        const factor = await factorInWorker(challenge.n, limit);
+        if (factor === null) {
+            solver.emit("gaveUp", { challengeId, reason: "n wasn't factored before the deadline" });
+            return;
+        }
+
+        // Another solver may have been faster
+        challenge = await game.challenges(challengeId);
+        if (challenge.solver !== ZeroAddress || challenge.challenger === ZeroAddress) {
+            solver.emit("skipped", { challengeId, reason: "Already solved or claimed" });
+            return;
+        }
+
+        const factor1 = factor;
+        const factor2 = challenge.n / factor;
+        const { chainId } = await provider.getNetwork();
+        const [pA, pB, pC, pubSignals] = await prove(
+            { n: challenge.n, factor1, factor2, prover: await signer.getAddress(), chainId, gameAddress: await game.getAddress() },
+            { circuitVersion: Number(challenge.circuitVersion), circuits }
+        );
+        const tx = await game.connect(signer).solveChallenge(challengeId, pA, pB, pC, pubSignals);
+        await tx.wait();
+        solver.emit("solved", { challengeId, n: challenge.n, factor1, factor2, transactionHash: tx.hash });
+    }
+
+    function runQueue() {
+        while (running < workers && queue.length > 0) {
+            const challengeId = queue.shift();
+            running++;
+            solve(challengeId)
+                .catch((error) => solver.emit("failed", { challengeId, error }))
+                .finally(() => {
+                    running--;
+                    runQueue();
+                });
+        }
+    }
+
+    function consider({ challengeId, rewardToken, rewardAmount }) {
+        if (seen.has(challengeId)) return;
+        seen.add(challengeId);
+
+        const minimum = thresholds.get(rewardToken.toLowerCase());
+        if (minimum === undefined) {
+            solver.emit("skipped", { challengeId, reason: `Reward token ${rewardToken} isn't accepted` });
+        } else if (rewardAmount < minimum) {
+            solver.emit("skipped", { challengeId, reason: `Reward ${rewardAmount} is below the minimum of ${minimum}` });
+        } else {
+            queue.push(challengeId);
+            runQueue();
+        }
+    }
+
+    /**
+     * Looks for challenges created since the last poll and queues the ones worth solving.
+     */
+    solver.poll = async function () {
+        const head = await provider.getBlockNumber();
+        if (nextBlock === undefined) nextBlock = head;
+        if (nextBlock > head) return;
+
+        const events = await game.queryFilter(game.filters.ChallengeCreated(), nextBlock, head);
+        nextBlock = head + 1;
+        for (const event of events) {
+            consider(event.args);
+        }
+    };
+
+    solver.start = function () {
+        const loop = async () => {
+            try {
+                await solver.poll();
+            } catch (error) {
+                solver.emit("failed", { error });
+            }
+            if (timer !== undefined) {
+                timer = setTimeout(loop, pollInterval);
+            }
+        };
+        timer = setTimeout(loop, 0);
+    };
+
+    solver.stop = function () {
+        clearTimeout(timer);
+        timer = undefined;
+    };
+
+    return solver;
+}
+
+module.exports = { factorInWorker, createSolver };
@@ -0,0 +1,65 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const { nativeToken } = require("./cng");
+
+/**
+ * Reads the token list to sync. TOKEN_LIST names a JSON file holding an array of addresses;
+ * otherwise the comma-separated TOKEN_ADDRESSES used by the deploy script is read. NATIVE_TOKEN is added if ETH_REWARDS
+ * is true, as the deploy script does, so syncing doesn't remove ETH rewards.
+ */
+function readTokenList() {
+    let tokenAddresses;
+    if (process.env.TOKEN_LIST) {
+        tokenAddresses = JSON.parse(fs.readFileSync(process.env.TOKEN_LIST, "utf8"));
+        if (!Array.isArray(tokenAddresses)) {
+            throw new Error(`${process.env.TOKEN_LIST} must contain a JSON array of token addresses`);
+        }
+    } else if (process.env.TOKEN_ADDRESSES) {
+        tokenAddresses = process.env.TOKEN_ADDRESSES.split(",");
+    } else {
+        throw new Error("Set TOKEN_LIST to a JSON file of token addresses or TOKEN_ADDRESSES in the .env file");
+    }
+
+    tokenAddresses = tokenAddresses.map((address) => {
+        const trimmed = address.trim();
+        if (!ethers.isAddress(trimmed)) {
+            throw new Error(`Invalid token address: ${trimmed}`);
+        }
+        return ethers.getAddress(trimmed);
+    });
+    if (process.env.ETH_REWARDS === "true" && !tokenAddresses.includes(nativeToken)) {
+        tokenAddresses.push(nativeToken);
+    }
+    return tokenAddresses;
+}
+
+/**
+ * Adds and removes supported tokens so that the game supports exactly tokenAddresses.
+ * @returns {Promise<{added: string[], removed: string[]}>} The tokens that were (or, on a dry run, would be) changed.
+ */
+async function syncSupportedTokens(game, tokenAddresses, { dryRun = false, confirmations = 1 } = {}) {
+    const wanted = new Set(tokenAddresses.map((address) => ethers.getAddress(address)));
+    const current = new Set((await game.getSupportedTokens()).map((address) => ethers.getAddress(address)));
+
+    const added = [...wanted].filter((address) => !current.has(address));
+    const removed = [...current].filter((address) => !wanted.has(address));
+
+    if (dryRun) {
+        return { added, removed };
+    }
+
+    for (const tokenAddress of added) {
+        console.log(`Adding supported token ${tokenAddress}`);
+        const tx = await game.addSupportedToken(tokenAddress);
+        await tx.wait(confirmations);
+    }
+    for (const tokenAddress of removed) {
+        console.log(`Removing supported token ${tokenAddress}`);
+        const tx = await game.removeSupportedToken(tokenAddress);
+        await tx.wait(confirmations);
+    }
+
+    return { added, removed };
+}
+
+module.exports = { readTokenList, syncSupportedTokens };